@@ -7,7 +7,8 @@ import { StateManager } from './core/StateManager.js';
 import { eventBus } from './core/EventBus.js';
 import { ErrorHandler } from './core/ErrorHandler.js';
 import { StorageService } from './services/StorageService.js';
-import { Terminal } from './modules/Terminal/Terminal.js';
+import { RandomService, randomService } from './services/RandomService.js';
+import { TerminalTabs } from './modules/Terminal/TerminalTabs.js';
 import { MissionSystem } from './modules/Missions/MissionSystem.js';
 import { DashboardController } from './modules/Dashboard/DashboardController.js';
 import { LogSystem } from './modules/Logs/LogSystem.js';
@@ -31,6 +32,8 @@ import { TutorialSystem } from './modules/Tutorial/TutorialSystem.js';
 import { getAudioSystem } from './core/AudioSystem.js';
 import { FeedbackSystem } from './utils/FeedbackSystem.js';
 import { AnimationSystem } from './utils/AnimationSystem.js';
+import { FormatUtils } from './utils/format.js';
+import { I18n, i18n, t } from './i18n/i18n.js';
 
 /**
  * Initialize application
@@ -49,6 +52,9 @@ class App {
      * Initialize app
      */
     async init() {
+        // Bahasa dari settings dulu, supaya initial state dan modules memakai locale yang benar
+        this.restoreLocale();
+
         // Initialize state manager dengan initial state
         const initialState = this.getInitialState();
         this.stateManager = new StateManager(initialState);
@@ -56,12 +62,18 @@ class App {
         // Load saved state
         this.loadSavedState();
 
+        // Restore seed agar random outcomes bisa di-replay
+        this.restoreRandomSeed();
+
         // Initialize audio system
         this.audioSystem = getAudioSystem();
         
         // Initialize modules
         this.initializeModules();
 
+        // Persist game state saat berubah
+        this.setupAutosave();
+
         // Setup global event handlers
         this.setupGlobalHandlers();
 
@@ -110,12 +122,19 @@ class App {
             badges: [],
             settings: StorageService.getSettings(),
             theme: 'light',
+            aliases: {},
+            env: {},
+            knownHosts: [],
+            breaches: {},
+            alerts: {},
+            interceptedMessages: 0,
+            unlockedItems: [],
             messages: [
                 {
                     id: 1,
-                    sender: 'System Admin',
-                    subject: 'Welcome to Soft Hacker OS ♡',
-                    preview: 'Your first mission is ready...',
+                    sender: t('inbox.welcome.sender'),
+                    subject: t('inbox.welcome.subject'),
+                    preview: t('inbox.welcome.preview'),
                     time: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
                     read: false,
                 },
@@ -123,12 +142,43 @@ class App {
             activities: [
                 {
                     time: new Date().toISOString(),
-                    text: 'System initialized ♡',
+                    text: t('activity.initialized'),
                 },
             ],
         };
     }
 
+    /**
+     * Pakai locale yang tersimpan di settings dan terjemahkan static markup
+     */
+    restoreLocale() {
+        const { locale } = StorageService.getSettings();
+        if (i18n.isSupported(locale)) {
+            i18n.setLocale(locale);
+        }
+        document.documentElement.lang = i18n.getLocale();
+        i18n.translateDocument();
+    }
+
+    /**
+     * Simpan locale baru dan render ulang panels yang terbuka
+     * @param {string} locale - Locale code
+     */
+    handleLocaleChange(locale) {
+        const settings = this.stateManager.get('settings');
+        settings.locale = locale;
+        this.stateManager.set('settings', settings);
+        this.saveSettings();
+
+        document.documentElement.lang = locale;
+        i18n.translateDocument();
+        this.loadSettings();
+        this.dashboardController.updateDashboard();
+        this.missionSystem.renderMissions();
+        this.updateProfile();
+        this.initInbox();
+    }
+
     /**
      * Load saved state dari storage
      */
@@ -148,12 +198,24 @@ class App {
         }
     }
 
+    /**
+     * Pakai seed dari saved state, atau simpan seed baru
+     */
+    restoreRandomSeed() {
+        const seed = this.stateManager.get('randomSeed');
+        if (RandomService.isValidSeed(seed)) {
+            randomService.setSeed(seed);
+        } else {
+            this.stateManager.set('randomSeed', randomService.getSeed());
+        }
+    }
+
     /**
      * Initialize modules
      */
     initializeModules() {
-        // Initialize Terminal
-        this.terminal = new Terminal(this.stateManager);
+        // Initialize Terminal (tabs dan split panes, masing-masing session sendiri)
+        this.terminal = new TerminalTabs(this.stateManager);
 
         // Initialize Mission System
         this.missionSystem = new MissionSystem(this.stateManager);
@@ -183,6 +245,11 @@ class App {
         eventBus.on('tab:switch', (tabName) => {
             this.switchTab(tabName);
         });
+
+        // Locale handler (lang command atau settings)
+        eventBus.on('i18n:locale:changed', (locale) => {
+            this.handleLocaleChange(locale);
+        });
         
         // Milestone unlocked handler
         eventBus.on('milestone:unlocked', (milestone) => {
@@ -207,36 +274,38 @@ class App {
         
         // Daily challenge completion handler
         eventBus.on('daily:challenge:complete', (data) => {
-            this.showToast(`Daily Challenge Complete! +${data.reward} XP`, 'success');
-            eventBus.emit('activity:add', `Completed daily challenge: +${data.reward} XP`);
+            this.showToast(t('toasts.dailyComplete', { xp: data.reward }), 'success');
+            eventBus.emit('activity:add', t('activity.dailyComplete', { xp: data.reward }));
         });
         
         // Daily challenge new handler
         eventBus.on('daily:challenge:new', (challenge) => {
-            this.showToast(`New Daily Challenge: ${challenge.title}`, 'info');
+            this.showToast(t('toasts.dailyNew', { title: challenge.title }), 'info');
         });
         
         // Daily login handler
         eventBus.on('daily:login', (data) => {
             if (data.reward.isWeeklyBonus) {
-                this.showToast(`Weekly Bonus! +${data.reward.xp} XP (${data.streak} day streak!)`, 'success');
+                const { streak, reward } = data;
+                this.showToast(t('toasts.weeklyBonus', { xp: reward.xp, streak }), 'success');
             }
         });
         
         // Collectible unlocked handler
         eventBus.on('collectible:unlocked', (data) => {
-            this.showToast(`New ${data.type} unlocked: ${data.data?.name || data.id}!`, 'success');
+            const name = data.data?.name || data.id;
+            this.showToast(t('toasts.collectible', { type: data.type, name }), 'success');
         });
         
         // Goal completed handler
         eventBus.on('goal:completed', (goal) => {
-            this.showToast(`Long-term Goal Completed: ${goal.name}!`, 'success');
-            eventBus.emit('activity:add', `Completed goal: ${goal.name}`);
+            this.showToast(t('toasts.goal', { name: goal.name }), 'success');
+            eventBus.emit('activity:add', t('activity.goal', { name: goal.name }));
         });
         
         // Tutorial completed handler
         eventBus.on('tutorial:completed', () => {
-            this.showToast('Tutorial completed! Happy hacking! ♡', 'success');
+            this.showToast(t('toasts.tutorial'), 'success');
         });
         
         // Mission complete dengan delayed satisfaction
@@ -261,8 +330,8 @@ class App {
      * @param {Object} badge - Badge data
      */
     showBadgeUnlock(badge) {
-        this.showToast(`${badge.icon} Badge Unlocked: ${badge.name}!`, 'success');
-        eventBus.emit('activity:add', `Badge unlocked: ${badge.name}`);
+        this.showToast(t('toasts.badge', { icon: badge.icon, name: badge.name }), 'success');
+        eventBus.emit('activity:add', t('activity.badge', { name: badge.name }));
     }
     
     /**
@@ -271,10 +340,11 @@ class App {
      */
     showAchievementUnlock(achievement) {
         const rewardText = achievement.reward?.xp 
-            ? ` (+${achievement.reward.xp} XP)` 
+            ? t('toasts.achievementReward', { xp: achievement.reward.xp }) 
             : '';
-        this.showToast(`${achievement.icon} Achievement: ${achievement.name}${rewardText}!`, 'success');
-        eventBus.emit('activity:add', `Achievement unlocked: ${achievement.name}`);
+        const { icon, name } = achievement;
+        this.showToast(t('toasts.achievement', { icon, name, reward: rewardText }), 'success');
+        eventBus.emit('activity:add', t('activity.achievement', { name }));
     }
 
     /**
@@ -376,7 +446,7 @@ class App {
                 const newTheme = currentTheme === 'light' ? 'dark' : 'light';
                 this.stateManager.set('theme', newTheme);
                 document.body.setAttribute('data-theme', newTheme);
-                this.showToast(`Switched to ${newTheme} theme`, 'info');
+                this.showToast(t('toasts.theme', { theme: t(`app.themes.${newTheme}`) }), 'info');
             });
         }
     }
@@ -410,6 +480,7 @@ class App {
             const animationsToggle = this.domCache.get('#animationsToggle') || document.getElementById('animationsToggle');
             const autosaveToggle = this.domCache.get('#autosaveToggle') || document.getElementById('autosaveToggle');
             const fontSizeSelect = this.domCache.get('#fontSizeSelect') || document.getElementById('fontSizeSelect');
+            const languageSelect = this.domCache.get('#languageSelect') || document.getElementById('languageSelect');
 
             if (soundToggle) {
                 soundToggle.addEventListener('change', (e) => {
@@ -451,13 +522,26 @@ class App {
                     const settings = this.stateManager.get('settings');
                     settings.fontSize = parseInt(e.target.value);
                     this.stateManager.set('settings', settings);
-                    const terminalBody = document.querySelector('.terminal-body');
-                    const terminalInput = document.querySelector('.terminal-input');
-                    if (terminalBody) terminalBody.style.fontSize = `${e.target.value}px`;
-                    if (terminalInput) terminalInput.style.fontSize = `${e.target.value}px`;
+                    // Lewat CSS variable supaya pane baru juga memakai ukuran yang sama
+                    const terminalContainer = document.querySelector('.terminal-container');
+                    if (terminalContainer) {
+                        terminalContainer.style.setProperty(
+                            '--terminal-font-size',
+                            `${e.target.value}px`
+                        );
+                    }
                     this.saveSettings();
                 });
             }
+
+            if (languageSelect) {
+                languageSelect.addEventListener('change', (e) => {
+                    // Settings disimpan oleh handleLocaleChange
+                    i18n.setLocale(e.target.value);
+                    const { name } = I18n.LOCALES[i18n.getLocale()];
+                    this.showToast(t('toasts.language', { name }), 'info');
+                });
+            }
         }
     }
 
@@ -470,11 +554,13 @@ class App {
         const animationsToggle = this.domCache.get('#animationsToggle') || document.getElementById('animationsToggle');
         const autosaveToggle = this.domCache.get('#autosaveToggle') || document.getElementById('autosaveToggle');
         const fontSizeSelect = this.domCache.get('#fontSizeSelect') || document.getElementById('fontSizeSelect');
+        const languageSelect = this.domCache.get('#languageSelect') || document.getElementById('languageSelect');
 
         if (soundToggle) soundToggle.checked = settings.sound;
         if (animationsToggle) animationsToggle.checked = settings.animations;
         if (autosaveToggle) autosaveToggle.checked = settings.autosave;
         if (fontSizeSelect) fontSizeSelect.value = settings.fontSize;
+        if (languageSelect) languageSelect.value = i18n.getLocale();
     }
 
     /**
@@ -487,6 +573,27 @@ class App {
         }
     }
 
+    /**
+     * Setup autosave untuk game state
+     * State disimpan (debounced) setiap kali salah satu AUTOSAVE_KEYS berubah
+     */
+    setupAutosave() {
+        const saveState = debounce(() => this.saveState(), CONSTANTS.STORAGE.AUTOSAVE_DELAY);
+        CONSTANTS.STORAGE.AUTOSAVE_KEYS.forEach((key) => {
+            this.stateManager.subscribe(key, saveState);
+        });
+    }
+
+    /**
+     * Save game state (jika autosave aktif)
+     */
+    saveState() {
+        const settings = this.stateManager.get('settings');
+        if (settings.autosave) {
+            StorageService.saveState(this.stateManager.getState());
+        }
+    }
+
     /**
      * Initialize profile modal
      */
@@ -593,7 +700,7 @@ class App {
             item.addEventListener('click', () => {
                 message.read = true;
                 item.classList.remove('unread');
-                this.showToast(`Message: ${message.subject}`, 'info');
+                this.showToast(t('toasts.message', { subject: message.subject }), 'info');
             });
 
             inboxList.appendChild(item);
@@ -607,20 +714,13 @@ class App {
         const toolCards = document.querySelectorAll('.tool-card');
         toolCards.forEach((card) => {
             card.addEventListener('click', () => {
-                const toolName = card.querySelector('.tool-name').textContent;
+                // Command dari data-command, nama tool ikut diterjemahkan
+                const { command } = card.dataset;
                 this.switchTab('terminal');
                 setTimeout(() => {
-                    const terminal = this.domCache.get('#terminalInput') || document.getElementById('terminalInput');
+                    const terminal = this.terminal ? this.terminal.getActive().input : null;
                     if (terminal) {
-                        if (toolName === 'Network Scanner') {
-                            terminal.value = 'scan';
-                        } else if (toolName === 'Password Cracker') {
-                            terminal.value = 'bruteforce';
-                        } else if (toolName === 'Signal Interceptor') {
-                            terminal.value = 'scan';
-                        } else if (toolName === 'Firewall Bypass') {
-                            terminal.value = 'decrypt firewall.enc';
-                        }
+                        terminal.value = command;
                         terminal.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
                     }
                 }, 100);
@@ -695,8 +795,8 @@ class App {
                 unlocks: unlocks
             });
             
-            this.showToast(`Level Up! You are now level ${newLevel}`, 'success');
-            eventBus.emit('activity:add', `Leveled up to level ${newLevel}!`);
+            this.showToast(t('toasts.levelUp', { level: newLevel }), 'success');
+            eventBus.emit('activity:add', t('activity.levelUp', { level: newLevel }));
             
             // Check achievements and goals
             AchievementSystem.checkAchievements(this.stateManager);
@@ -740,12 +840,12 @@ class App {
             {
                 time: new Date().toISOString(),
                 level: 'INFO',
-                message: 'System initialized successfully ♡',
+                message: t('logs.initialized'),
             },
             {
                 time: new Date().toISOString(),
                 level: 'SUCCESS',
-                message: 'Terminal ready for commands',
+                message: t('logs.terminalReady'),
             },
         ];
 
@@ -784,16 +884,7 @@ class App {
      * @returns {string} Time ago string
      */
     getTimeAgo(date) {
-        const now = new Date();
-        const diff = now - date;
-        const minutes = Math.floor(diff / 60000);
-        const hours = Math.floor(diff / 3600000);
-        const days = Math.floor(diff / 86400000);
-
-        if (minutes < 1) return 'Just now';
-        if (minutes < 60) return `${minutes}m ago`;
-        if (hours < 24) return `${hours}h ago`;
-        return `${days}d ago`;
+        return FormatUtils.getTimeAgo(date);
     }
 }
 
@@ -6,10 +6,16 @@ export const CONSTANTS = {
     XP_PER_LEVEL: 100,
     TERMINAL: {
         MAX_HISTORY: 100,
-        MAX_LINES: 500, // Maximum lines in terminal display (prevent memory leak)
+        LINE_HEIGHT: 24, // Tinggi satu line (px) untuk VirtualScroll scrollback
+        SCROLL_OVERSCAN: 20, // Lines di luar viewport yang ikut dirender
+        VIEWPORT_HEIGHT: 600, // Tinggi viewport saat terminal belum ter-layout (hidden tab)
+        TRANSCRIPT_DIRECTORY: '~/transcripts', // Default lokasi save transcript
         CURSOR_BLINK_INTERVAL: 1000,
         AUTOCOMPLETE_DELAY: 300,
+        MAX_COMPLETIONS: 20, // Maximum fuzzy completion candidates
         BATCH_RENDER_INTERVAL: 16, // ~60fps
+        MAX_TABS: 8, // Terminal tabs (TerminalTabs)
+        MAX_PANES: 2, // Split panes per tab (side by side)
     },
     MISSION: {
         STATUS: {
@@ -17,11 +23,102 @@ export const CONSTANTS = {
             LOCKED: 'locked',
             COMPLETED: 'completed',
         },
+        // Keys yang boleh dipakai di step.when (lihat MissionSystem.CONDITION_RULES)
+        STEP_CONDITIONS: ['command', 'args', 'host', 'file', 'artifact', 'after'],
     },
     STORAGE: {
         SETTINGS_KEY: 'softHackerSettings',
         STATE_KEY: 'softHackerState',
         WELCOME_KEY: 'softHackerWelcomeSeen',
+        FILESYSTEM_KEY: 'softHackerFileSystem',
+        // State keys yang memicu autosave saat berubah
+        AUTOSAVE_KEYS: [
+            'xp',
+            'level',
+            'completedMissions',
+            'aliases',
+            'env',
+            'knownHosts',
+            'breaches',
+            'alerts',
+            'interceptedMessages',
+            'unlockedItems',
+            'randomSeed',
+        ],
+        AUTOSAVE_DELAY: 1000,
+    },
+    FILESYSTEM: {
+        USER: 'soft-hacker',
+        HOME: '/home/soft-hacker',
+    },
+    NETWORK: {
+        LOCAL_HOSTNAME: 'terminal',
+        PORT_PROBE_DELAY: 150, // Per port saat scan <host>
+        PING_TIMEOUT: 1000, // Host yang tidak membalas
+        PING_JITTER: 5, // Variasi latency (ms)
+        INTERCEPT_DELAY: 300, // Per message saat intercept
+        PHISH_LURES: ['reset', 'invoice', 'prize'],
+        PHISH_LURE_BONUS: 0.2, // Bonus success rate jika lure cocok dengan target
+        // Jumlah yang dibutuhkan untuk unlock badge
+        BADGE_THRESHOLDS: {
+            firewall_master: 3, // Firewalls di-bypass
+            interceptor_badge: 10, // Messages di-intercept
+        },
+    },
+    PRIVILEGE: {
+        LEVELS: ['guest', 'user', 'root'], // Urutan dari paling rendah
+        LOCAL: 'user', // Player di mesin sendiri (sudo tanpa password)
+        GUEST_ACCOUNT: 'guest', // Login tanpa credentials atau lewat exploit shell
+    },
+    TRACE: {
+        MAX_LEVEL: 100,
+        // Alert level yang ditambahkan ke target per aksi
+        NOISE: {
+            scan: 5, // Port scan satu host
+            sweep: 5, // Subnet scan, setiap host yang ditemukan
+            exploit: 10,
+            bypass: 10,
+            phish: 8,
+            intercept: 8,
+            escalate: 10,
+            bruteforce: 10, // Ke host mission pemilik hash file
+            decrypt: 8, // Hanya saat plaintext salah
+        },
+        FAILURE_MULTIPLIER: 2, // Aksi yang gagal lebih berisik
+        REPEAT_MULTIPLIER: 0.5, // Tambahan per kegagalan berturut-turut sebelumnya
+        HONEYPOT_LEVEL: 40, // Target memasang honeypot host
+        BAN_LEVEL: 70, // IP player di-ban sementara
+        TRACE_LEVEL: 100, // Trace-back countdown dimulai
+        BAN_DURATION: 60000,
+        TRACE_DURATION: 60000, // Mission gagal jika countdown habis
+        TRACE_WARNING_INTERVAL: 15000,
+        DECAY_PER_MINUTE: 10, // Alert turun perlahan selama tidak ada trace
+        STEALTH_NOISE: 0.5, // Noise multiplier dengan item stealth_mode
+        STEALTH_WIPE: 40, // Alert yang dihapus stealth <host>
+        STEALTH_COOLDOWN: 120000, // Per host
+    },
+    SNIFF: {
+        SEGMENT_SIZE: 24, // Payload bytes per packet
+        EPHEMERAL_PORT: 49152, // Port awal untuk client side
+        PACKET_DELAY: 120, // Per packet saat capture
+        PREVIEW_LENGTH: 32, // Panjang payload preview di summary
+    },
+    CRYPTO: {
+        XOR_BRUTE_RESULTS: 5, // Candidates terbaik yang ditampilkan xor --brute
+        HASH_RATE: 1000, // Simulated hashes per detik untuk bruteforce
+        MAX_KEYSPACE: 200000, // Keyspace terbesar yang boleh dicoba
+        PROGRESS_STEPS: 5, // Jumlah progress update selama bruteforce
+    },
+    RECORDING: {
+        DIRECTORY: '~/recordings', // Default lokasi hasil record
+        EXTENSION: '.rec',
+        MAX_IDLE: 2000, // Jeda terpanjang saat replay (ms)
+        MAX_EVENTS: 5000, // Batas events per recording (storage)
+        MAX_IMPORT_SIZE: 512 * 1024, // Bytes, file yang lebih besar ditolak import
+    },
+    EDITOR: {
+        ROWS: 18, // Lines yang terlihat di editor overlay
+        TAB_SIZE: 4, // Spasi yang di-insert oleh Tab
     },
     ANIMATIONS: {
         FADE_IN: '0.15s ease',
@@ -41,11 +138,32 @@ export const CONSTANTS = {
             bruteforce: 0.70,
             decrypt: 0.80,
             ping: 0.99,
+            exploit: 0.65,
+            bypass: 0.60,
+            phish: 0.55,
+            intercept: 0.85,
+            escalate: 0.75,
         },
         // Retry penalties (mengurangi success rate setiap retry)
         RETRY_PENALTY: 0.1,
         // Max retries sebelum command locked
         MAX_RETRIES: 3,
+        // Kategori commands untuk help (urutan = urutan tampil)
+        CATEGORIES: {
+            core: 'Core',
+            files: 'Filesystem',
+            shell: 'Shell',
+            network: 'Network',
+            hacking: 'Hacking',
+            crypto: 'Crypto',
+            progress: 'Progress',
+        },
+    },
+    // Plugin hook names (PluginSystem.registerHook)
+    HOOKS: {
+        COMMAND_BEFORE: 'command:before',
+        COMMAND_AFTER: 'command:after',
+        COMMAND_ERROR: 'command:error',
     },
     MINI_GAMES: {
         TYPING_CHALLENGE_TIME_LIMIT: 10000, // 10 seconds
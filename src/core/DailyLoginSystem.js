@@ -4,6 +4,7 @@
  */
 
 import { eventBus } from './EventBus.js';
+import { t } from '../i18n/i18n.js';
 import { CONSTANTS } from './Constants.js';
 
 /**
@@ -24,7 +25,7 @@ export class DailyLoginSystem {
             return { 
                 alreadyLoggedIn: true, 
                 streak: streak,
-                message: 'You have already logged in today!'
+                message: t('toasts.alreadyLoggedIn')
             };
         }
         
@@ -61,7 +62,7 @@ export class DailyLoginSystem {
             loggedIn: true,
             streak: newStreak,
             reward: reward,
-            message: `Daily login reward: +${reward.xp} XP! (Streak: ${newStreak} days)`
+            message: t('toasts.dailyLogin', { xp: reward.xp, streak: newStreak })
         };
     }
     
@@ -4,6 +4,11 @@ import { ErrorHandler } from './ErrorHandler.js';
 /**
  * PluginSystem - Plugin system untuk extensibility
  * Memungkinkan third-party plugins untuk extend functionality
+ *
+ * Hooks yang dipanggil app (lihat CONSTANTS.HOOKS):
+ *   command:before, command:after, command:error  middleware di sekitar setiap command
+ *   command:after:<name>                          transform output satu command
+ *                                                 (lihat CommandRegistry.execute)
  */
 export class PluginSystem {
     constructor() {
@@ -116,6 +121,28 @@ export class PluginSystem {
         this.hooks.get(hookName).push(callback);
     }
 
+    /**
+     * Remove hook (misal di uninstall plugin)
+     * @param {string} hookName - Hook name
+     * @param {Function} callback - Callback yang sebelumnya di-register
+     */
+    removeHook(hookName, callback) {
+        const callbacks = this.hooks.get(hookName) || [];
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check apakah hook punya callbacks
+     * @param {string} hookName - Hook name
+     * @returns {boolean} True jika ada callback
+     */
+    hasHook(hookName) {
+        return (this.hooks.get(hookName) || []).length > 0;
+    }
+
     /**
      * Execute hook
      * @param {string} hookName - Hook name
@@ -136,6 +163,31 @@ export class PluginSystem {
 
         return result;
     }
+
+    /**
+     * Execute hook secara berurutan, callback boleh async
+     * Callback yang tidak mengembalikan value (undefined) membiarkan data apa adanya.
+     * @param {string} hookName - Hook name
+     * @param {*} data - Data untuk hook
+     * @returns {Promise<*>} Result dari callback terakhir
+     */
+    async executeHookAsync(hookName, data = null) {
+        const callbacks = [...(this.hooks.get(hookName) || [])];
+        let result = data;
+
+        for (const callback of callbacks) {
+            try {
+                const value = await callback(result);
+                if (value !== undefined) {
+                    result = value;
+                }
+            } catch (error) {
+                ErrorHandler.handle(error, `PluginSystem.executeHookAsync(${hookName})`);
+            }
+        }
+
+        return result;
+    }
 }
 
 // Export singleton instance
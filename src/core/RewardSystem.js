@@ -4,53 +4,43 @@
  */
 
 import { eventBus } from './EventBus.js';
+import { t } from '../i18n/i18n.js';
 
 /**
  * RewardSystem class untuk milestone rewards
+ * Message dan description tiap reward ada di translations (rewards.<item>.*)
  */
 export class RewardSystem {
     static MILESTONE_REWARDS = {
         5: { 
             type: 'unlock', 
             item: 'advanced_scanner', 
-            name: 'Advanced Scanner',
-            message: 'Advanced Scanner Unlocked!',
-            description: 'Scan commands are now 20% faster'
+            name: 'Advanced Scanner'
         },
         10: { 
             type: 'unlock', 
             item: 'stealth_mode', 
-            name: 'Stealth Mode',
-            message: 'Stealth Mode Unlocked!',
-            description: 'Commands have 15% higher success rate'
+            name: 'Stealth Mode'
         },
         15: { 
             type: 'unlock', 
             item: 'auto_decrypt', 
-            name: 'Auto-Decrypt Tool',
-            message: 'Auto-Decrypt Tool Unlocked!',
-            description: 'Decrypt commands are now 30% faster'
+            name: 'Auto-Decrypt Tool'
         },
         20: { 
             type: 'badge', 
             item: 'elite_hacker', 
-            name: 'Elite Hacker Badge',
-            message: 'Elite Hacker Badge Earned!',
-            description: 'You are now an Elite Hacker!'
+            name: 'Elite Hacker Badge'
         },
         25: { 
             type: 'cosmetic', 
             item: 'neon_terminal', 
-            name: 'Neon Terminal Theme',
-            message: 'Neon Terminal Theme Unlocked!',
-            description: 'A beautiful neon theme for your terminal'
+            name: 'Neon Terminal Theme'
         },
         30: { 
             type: 'unlock', 
             item: 'mission_editor', 
-            name: 'Mission Editor',
-            message: 'Mission Editor Unlocked!',
-            description: 'Create and edit your own missions'
+            name: 'Mission Editor'
         }
     };
     
@@ -74,18 +64,48 @@ export class RewardSystem {
         unlocked.push(milestone.item);
         stateManager.set('unlockedItems', unlocked);
         
-        // Emit event
-        eventBus.emit('milestone:unlocked', {
-            ...milestone,
+        const reward = {
+            ...this.localize(milestone),
             level: level
-        });
+        };
+
+        // Emit event
+        eventBus.emit('milestone:unlocked', reward);
         
+        return reward;
+    }
+
+    /**
+     * Milestone reward dengan message dan description di locale aktif
+     * @param {Object} milestone - Entry dari MILESTONE_REWARDS
+     * @returns {Object} Milestone dengan message dan description
+     */
+    static localize(milestone) {
+        const key = `rewards.${milestone.item}`;
         return {
             ...milestone,
-            level: level
+            message: t(`${key}.message`),
+            description: t(`${key}.description`)
         };
     }
     
+    /**
+     * Tambah item ke inventory (misal wordlist yang di-collect)
+     * @param {string} itemId - Item ID
+     * @param {Object} stateManager - State manager
+     * @returns {boolean} True jika item baru (belum dimiliki sebelumnya)
+     */
+    static unlockItem(itemId, stateManager) {
+        const unlocked = this.getUnlockedItems(stateManager);
+        if (unlocked.includes(itemId)) {
+            return false;
+        }
+
+        stateManager.set('unlockedItems', [...unlocked, itemId]);
+        eventBus.emit('item:unlocked', { item: itemId });
+        return true;
+    }
+
     /**
      * Get all unlocked items
      * @param {Object} stateManager - State manager
@@ -4,6 +4,7 @@
  */
 
 import { eventBus } from './EventBus.js';
+import { t } from '../i18n/i18n.js';
 
 /**
  * SocialSystem class
@@ -37,7 +38,7 @@ export class SocialSystem {
             try {
                 await navigator.clipboard.writeText(`${text} ${url}`);
                 eventBus.emit('toast:show', {
-                    message: 'Achievement link copied to clipboard!',
+                    message: t('toasts.copiedAchievement'),
                     type: 'success'
                 });
                 return true;
@@ -76,7 +77,7 @@ export class SocialSystem {
             try {
                 await navigator.clipboard.writeText(`${text} ${url}`);
                 eventBus.emit('toast:show', {
-                    message: 'Score link copied to clipboard!',
+                    message: t('toasts.copiedScore'),
                     type: 'success'
                 });
                 return true;
@@ -115,7 +116,7 @@ export class SocialSystem {
             try {
                 await navigator.clipboard.writeText(`${text} ${url}`);
                 eventBus.emit('toast:show', {
-                    message: 'Level up link copied to clipboard!',
+                    message: t('toasts.copiedLevelUp'),
                     type: 'success'
                 });
                 return true;
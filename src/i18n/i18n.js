@@ -1,48 +1,52 @@
+import { eventBus } from '../core/EventBus.js';
+import en from '../../i18n/en.json';
+import id from '../../i18n/id.json';
+
 /**
  * I18n - Internationalization system
  * Support untuk multiple languages
+ *
+ * Translations di-bundle (i18n/*.json) sehingga t() selalu synchronous. English adalah
+ * locale sumber: key yang belum diterjemahkan di locale lain jatuh kembali ke English.
  */
 export class I18n {
-    constructor(locale = 'id') {
+    /**
+     * Locales yang tersedia: nama untuk UI dan locale Intl untuk tanggal dan angka
+     */
+    static LOCALES = {
+        en: { name: 'English', intl: 'en-US' },
+        id: { name: 'Bahasa Indonesia', intl: 'id-ID' },
+    };
+
+    constructor(locale = 'en') {
         this.locale = locale;
-        this.translations = {};
-        this.fallbackLocale = 'id';
+        this.translations = { en, id };
+        this.fallbackLocale = 'en';
     }
 
     /**
-     * Load translations untuk locale tertentu
+     * Set locale dan beritahu UI supaya panels di-render ulang
      * @param {string} locale - Locale code (e.g., 'id', 'en')
-     * @returns {Promise<void>}
+     * @throws {Error} Jika locale tidak tersedia
      */
-    async loadTranslations(locale) {
-        try {
-            const response = await fetch(`/i18n/${locale}.json`);
-            if (!response.ok) {
-                throw new Error(`Failed to load translations for ${locale}`);
-            }
-            this.translations[locale] = await response.json();
-        } catch (error) {
-            console.warn(`Failed to load translations for ${locale}, using fallback`);
-            // Try to load fallback locale
-            if (locale !== this.fallbackLocale) {
-                await this.loadTranslations(this.fallbackLocale);
-            }
+    setLocale(locale) {
+        const code = String(locale || '').toLowerCase();
+        if (!this.isSupported(code)) {
+            throw new Error(`unknown locale '${locale}'`);
         }
+        if (code === this.locale) return;
+
+        this.locale = code;
+        eventBus.emit('i18n:locale:changed', code);
     }
 
     /**
-     * Set locale
+     * Check apakah locale tersedia
      * @param {string} locale - Locale code
+     * @returns {boolean} True jika ada translations untuk locale
      */
-    async setLocale(locale) {
-        if (!this.translations[locale]) {
-            await this.loadTranslations(locale);
-        }
-        this.locale = locale;
-        // Emit locale change event
-        if (window.eventBus) {
-            window.eventBus.emit('i18n:locale:changed', locale);
-        }
+    isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(I18n.LOCALES, locale);
     }
 
     /**
@@ -53,6 +57,22 @@ export class I18n {
         return this.locale;
     }
 
+    /**
+     * Get Intl locale untuk current locale (toLocaleString, Intl.NumberFormat)
+     * @returns {string} BCP 47 locale, e.g. 'en-US'
+     */
+    getIntlLocale() {
+        return I18n.LOCALES[this.locale].intl;
+    }
+
+    /**
+     * Get semua locales yang tersedia
+     * @returns {Array<{code: string, name: string}>} Locales
+     */
+    getLocales() {
+        return Object.entries(I18n.LOCALES).map(([code, { name }]) => ({ code, name }));
+    }
+
     /**
      * Translate key dengan parameters
      * @param {string} key - Translation key (supports dot notation, e.g., 'mission.title')
@@ -70,28 +90,17 @@ export class I18n {
      * @returns {string} Translation atau key jika tidak ditemukan
      */
     getTranslation(key) {
-        const keys = key.split('.');
-        let translation = this.translations[this.locale];
-
-        // Navigate nested object
-        for (const k of keys) {
-            if (translation && typeof translation === 'object' && k in translation) {
-                translation = translation[k];
-            } else {
-                // Try fallback locale
-                translation = this.translations[this.fallbackLocale];
-                for (const k2 of keys) {
-                    if (translation && typeof translation === 'object' && k2 in translation) {
-                        translation = translation[k2];
-                    } else {
-                        return key; // Return key jika tidak ditemukan
-                    }
-                }
-                break;
-            }
-        }
+        const lookup = (locale) =>
+            key.split('.').reduce((node, k) => {
+                return node && typeof node === 'object' && k in node ? node[k] : undefined;
+            }, this.translations[locale]);
 
-        return typeof translation === 'string' ? translation : key;
+        const translation = lookup(this.locale);
+        if (typeof translation === 'string') {
+            return translation;
+        }
+        const fallback = lookup(this.fallbackLocale);
+        return typeof fallback === 'string' ? fallback : key;
     }
 
     /**
@@ -118,8 +127,32 @@ export class I18n {
     has(key) {
         return this.getTranslation(key) !== key;
     }
+
+    /**
+     * Terjemahkan static markup: textContent elements dengan data-i18n,
+     * dan attribute dengan data-i18n-<attribute> (misal data-i18n-aria-label)
+     * @param {ParentNode} root - Root element
+     */
+    translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['title', 'placeholder', 'aria-label'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
 }
 
 // Export singleton instance
 export const i18n = new I18n();
 
+/**
+ * Shorthand untuk i18n.t()
+ * @param {string} key - Translation key
+ * @param {Object} params - Parameters untuk interpolation
+ * @returns {string} Translated string
+ */
+export const t = (key, params) => i18n.t(key, params);
@@ -2,6 +2,7 @@ import { DOMUtils, DOMCache } from '../../utils/dom.js';
 import { FormatUtils } from '../../utils/format.js';
 import { eventBus } from '../../core/EventBus.js';
 import { throttle } from '../../utils/performance.js';
+import { i18n } from '../../i18n/i18n.js';
 import { ProgressionSystem } from '../../core/ProgressionSystem.js';
 
 /**
@@ -59,7 +60,7 @@ export class DashboardController {
         const statMissions = this.domCache.get('#statMissions') || document.getElementById('statMissions');
         const statActive = this.domCache.get('#statActive') || document.getElementById('statActive');
 
-        if (statXP) statXP.textContent = FormatUtils.formatNumber(xp);
+        if (statXP) statXP.textContent = FormatUtils.formatNumber(xp, i18n.getIntlLocale());
         if (statLevel) statLevel.textContent = actualLevel;
         if (statMissions) statMissions.textContent = completedMissions;
         if (statActive) statActive.textContent = activeMissions;
@@ -5,6 +5,7 @@
 
 import { eventBus } from '../../core/EventBus.js';
 import { CONSTANTS } from '../../core/Constants.js';
+import { RandomService } from '../../services/RandomService.js';
 
 /**
  * DailyChallengeSystem class untuk daily challenges
@@ -16,17 +17,9 @@ export class DailyChallengeSystem {
      * @returns {Function} Random function
      */
     static seededRandom(seed) {
-        let value = 0;
-        for (let i = 0; i < seed.length; i++) {
-            value = ((value << 5) - value) + seed.charCodeAt(i);
-            value = value & value; // Convert to 32bit integer
-        }
-        
-        let state = Math.abs(value);
-        return function() {
-            state = (state * 9301 + 49297) % 233280;
-            return state / 233280;
-        };
+        // Tidak memakai seed global: challenge harian harus sama untuk semua player
+        const stream = new RandomService(seed).stream('daily');
+        return () => stream.next();
     }
     
     /**
@@ -5,6 +5,7 @@ import { batchDOMUpdates } from '../../utils/performance.js';
 import { CONSTANTS } from '../../core/Constants.js';
 import { eventBus } from '../../core/EventBus.js';
 import { ErrorHandler } from '../../core/ErrorHandler.js';
+import { i18n, t } from '../../i18n/i18n.js';
 import { MissionSolutionSystem } from './MissionSolutionSystem.js';
 import { ProceduralMissionGenerator } from './ProceduralMissionGenerator.js';
 import { LeaderboardSystem } from '../../core/LeaderboardSystem.js';
@@ -15,6 +16,76 @@ import { MISSION_TYPES, checkMissionTypeRequirements } from './MissionTypes.js';
  * MissionSystem - Mengelola missions dan rendering
  */
 export class MissionSystem {
+    /**
+     * Rule per key di step.when: dipanggil dengan (expected, event, mission) dan harus true
+     * supaya step selesai. Event datang dari CommandHandlers.reportMissionEvent().
+     */
+    static CONDITION_RULES = {
+        // Nama command, atau salah satu dari array command
+        command: (expected, event) => [].concat(expected).includes(event.command),
+        // Semua argument yang disebut harus ada di command line
+        args: (expected, event) => [].concat(expected).every((arg) => event.args.includes(arg)),
+        // Target host, by hostname atau IP
+        host: (expected, event) =>
+            Boolean(event.host) && [event.host.hostname, event.host.ip].includes(expected),
+        // File relatif ke home, sama seperti FileSystem.seedMission
+        file: (expected, event) => event.file === MissionSystem.resolveMissionPath(expected),
+        // Hasil command, misal 'password', 'shell' atau 'root'
+        artifact: (expected, event) => event.artifact === expected,
+        // Ordering: step-step ini harus sudah selesai lebih dulu
+        after: (expected, event, mission) =>
+            [].concat(expected).every((stepId) =>
+                mission.steps.some((step) => step.id === stepId && step.completed)
+            ),
+    };
+
+    /**
+     * Resolve path file mission ke absolute path
+     * @param {string} path - Path dari missions.json (relatif ke home)
+     * @returns {string} Absolute path
+     */
+    static resolveMissionPath(path) {
+        const home = CONSTANTS.FILESYSTEM.HOME;
+        if (path.startsWith('/')) return path;
+        if (path.startsWith('~/')) return home + path.slice(1);
+        return `${home}/${path}`;
+    }
+
+    /**
+     * Mission dengan title, description dan step text di locale aktif
+     * (missionData.<id>), mission tanpa translation (procedural) tetap apa adanya
+     * @param {Object} mission - Mission object
+     * @returns {Object} Copy mission yang sudah diterjemahkan
+     */
+    static localize(mission) {
+        const key = `missionData.${mission.id}`;
+        const translate = (path, fallback) =>
+            i18n.has(`${key}.${path}`) ? t(`${key}.${path}`) : fallback;
+        return {
+            ...mission,
+            title: translate('title', mission.title),
+            description: translate('description', mission.description),
+            steps: (mission.steps || []).map((step) => ({
+                ...step,
+                text: translate(`steps.${step.id}`, step.text),
+            })),
+        };
+    }
+
+    /**
+     * Check apakah event memenuhi semua keys di condition
+     * @param {Object} condition - step.when
+     * @param {Object} event - Mission event (command, args, host, file, artifact)
+     * @param {Object} mission - Mission yang memiliki step tersebut
+     * @returns {boolean} True jika semua rules terpenuhi (key yang tidak dikenal selalu gagal)
+     */
+    static matchesCondition(condition, event, mission) {
+        return Object.entries(condition).every(([key, expected]) => {
+            const rule = MissionSystem.CONDITION_RULES[key];
+            return Boolean(rule) && rule(expected, event, mission);
+        });
+    }
+
     constructor(stateManager) {
         this.state = stateManager;
         this.domCache = new DOMCache();
@@ -40,6 +111,14 @@ export class MissionSystem {
         eventBus.on('mission:step:complete', (data) => {
             this.completeMissionStep(data.missionId, data.stepId);
         });
+        // Command selesai di terminal, cocokkan dengan step.when
+        eventBus.on('mission:command', (event) => {
+            this.evaluateStepConditions(event);
+        });
+        // Mission gagal (misal player ter-trace), progress di-reset
+        eventBus.on('mission:fail', (data) => {
+            this.failMission(data.missionId, data.reason);
+        });
     }
 
     /**
@@ -90,7 +169,8 @@ export class MissionSystem {
         const missions = this.state.get('missions') || [];
         
         // Check if missions actually changed (prevent unnecessary re-renders)
-        const missionsKey = JSON.stringify(missions.map(m => ({
+        // Locale ikut di key supaya ganti bahasa tetap me-render ulang
+        const missionsKey = i18n.getLocale() + JSON.stringify(missions.map(m => ({
             id: m.id,
             status: m.status,
             progress: m.progress,
@@ -107,7 +187,7 @@ export class MissionSystem {
             DOMUtils.clearChildren(grid);
             const loadingDiv = DOMUtils.createElement('div', {
                 style: 'text-align: center; padding: 40px; color: var(--color-text-light);',
-                textContent: 'Loading missions...',
+                textContent: t('missions.loading'),
             });
             grid.appendChild(loadingDiv);
             // Try to load missions (async, will re-render when done)
@@ -122,7 +202,7 @@ export class MissionSystem {
             DOMUtils.clearChildren(grid);
             const loadingDiv = DOMUtils.createElement('div', {
                 style: 'text-align: center; padding: 40px; color: var(--color-text-light);',
-                textContent: 'Loading missions...',
+                textContent: t('missions.loading'),
             });
             grid.appendChild(loadingDiv);
             return;
@@ -178,10 +258,10 @@ export class MissionSystem {
         } catch (error) {
             ErrorHandler.handle(error, 'MissionSystem.loadMissionsFromFile', {
                 showToUser: true,
-                userMessage: 'Failed to load missions. Please refresh the page.',
+                userMessage: t('missions.loadFailed'),
             });
             this.state.set('missions', []);
-            this.showError('Failed to load missions. Please check console for details.');
+            this.showError(t('missions.loadError'));
         }
     }
 
@@ -199,16 +279,17 @@ export class MissionSystem {
         const completedSteps = mission.steps.filter((s) => s.completed).length;
         const totalSteps = mission.steps.length;
         const progress = Math.round((completedSteps / totalSteps) * 100);
+        const localized = MissionSystem.localize(mission);
 
         // Mission header
         const header = DOMUtils.createElement('div', { className: 'mission-header' });
         const title = DOMUtils.createElement('div', {
             className: 'mission-title',
-            textContent: SecurityUtils.escapeHtml(mission.title),
+            textContent: SecurityUtils.escapeHtml(localized.title),
         });
         const badge = DOMUtils.createElement('div', {
             className: 'mission-badge',
-            textContent: mission.status.toUpperCase(),
+            textContent: t(`missions.status.${mission.status}`).toUpperCase(),
         });
         header.appendChild(title);
         header.appendChild(badge);
@@ -216,12 +297,12 @@ export class MissionSystem {
         // Mission description
         const description = DOMUtils.createElement('div', {
             className: 'mission-description',
-            textContent: SecurityUtils.escapeHtml(mission.description),
+            textContent: SecurityUtils.escapeHtml(localized.description),
         });
 
         // Mission steps
         const stepsContainer = DOMUtils.createElement('div', { className: 'mission-steps' });
-        mission.steps.forEach((step) => {
+        localized.steps.forEach((step) => {
             const stepDiv = DOMUtils.createElement('div', {
                 className: `mission-step ${step.completed ? 'completed' : ''}`,
             });
@@ -244,7 +325,7 @@ export class MissionSystem {
         progressBar.appendChild(progressFill);
         const progressText = DOMUtils.createElement('div', {
             className: 'progress-text',
-            textContent: `${progress}% Complete`,
+            textContent: t('missions.progress', { progress }),
         });
         progressContainer.appendChild(progressBar);
         progressContainer.appendChild(progressText);
@@ -252,7 +333,7 @@ export class MissionSystem {
         // Reward
         const reward = DOMUtils.createElement('div', {
             style: 'margin-top: 12px; font-size: 12px; color: var(--color-violet);',
-            textContent: `Reward: ${SecurityUtils.escapeHtml(mission.reward)}`,
+            textContent: t('missions.reward', { reward: SecurityUtils.escapeHtml(mission.reward) }),
         });
 
         // Append all
@@ -287,6 +368,16 @@ export class MissionSystem {
     startMission(mission) {
         // Track mission start time
         mission.startTime = Date.now();
+
+        // Retry setelah gagal (misal trace-back) mulai tanpa tanda failed dari percobaan lama
+        if (mission.steps.some((step) => step.failed)) {
+            const missions = this.state.get('missions') || [];
+            const current = missions.find((m) => m.id === mission.id) || mission;
+            current.steps.forEach((step) => {
+                step.failed = false;
+            });
+            this.state.set('missions', missions);
+        }
         
         // Jika mission punya multiple solutions, show selection
         const availableSolutions = MissionSolutionSystem.getAvailableSolutions(mission);
@@ -299,10 +390,10 @@ export class MissionSystem {
             MissionSolutionSystem.selectSolution(mission, solutionId);
             
             eventBus.emit('toast:show', {
-                message: `Starting mission: ${mission.title}`,
+                message: t('missions.started', { title: mission.title }),
                 type: 'success',
             });
-            eventBus.emit('activity:add', `Started mission: ${mission.title}`);
+            eventBus.emit('activity:add', t('missions.activity.started', { title: mission.title }));
             eventBus.emit('tab:switch', 'terminal');
         }
     }
@@ -341,7 +432,7 @@ export class MissionSystem {
         `;
         
         const title = document.createElement('h2');
-        title.textContent = `Choose Approach: ${mission.title}`;
+        title.textContent = t('missions.chooseApproach', { title: mission.title });
         title.style.cssText = `
             color: #fff;
             margin-bottom: 20px;
@@ -366,6 +457,10 @@ export class MissionSystem {
                 border: 2px solid transparent;
             `;
             
+            const bonus = solution.reward.bonus
+                ? t('missions.solutionBonus', { bonus: solution.reward.bonus })
+                : '';
+            const rate = (solution.successRate * 100).toFixed(0);
             solutionCard.innerHTML = `
                 <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
                     <h3 style="color: #fff; margin: 0;">${SecurityUtils.escapeHtml(solution.name)}</h3>
@@ -373,8 +468,8 @@ export class MissionSystem {
                 </div>
                 <p style="color: #E4C8F7; margin: 10px 0;">${SecurityUtils.escapeHtml(solution.description)}</p>
                 <div style="display: flex; justify-content: space-between; margin-top: 15px;">
-                    <span style="color: #6BCB77;">Reward: ${solution.reward.xp} XP${solution.reward.bonus ? ` + ${solution.reward.bonus} bonus` : ''}</span>
-                    <span style="color: #9A7BB3;">Success: ${(solution.successRate * 100).toFixed(0)}%</span>
+                    <span style="color: #6BCB77;">${t('missions.solutionReward', { xp: solution.reward.xp })}${bonus}</span>
+                    <span style="color: #9A7BB3;">${t('missions.successRate', { rate })}</span>
                 </div>
             `;
             
@@ -392,10 +487,16 @@ export class MissionSystem {
                 modal.remove();
                 
                 eventBus.emit('toast:show', {
-                    message: `Starting mission with ${solution.name}`,
+                    message: t('missions.startedWith', { solution: solution.name }),
                     type: 'success',
                 });
-                eventBus.emit('activity:add', `Started mission: ${mission.title} (${solution.name})`);
+                eventBus.emit(
+                    'activity:add',
+                    t('missions.activity.startedWith', {
+                        title: mission.title,
+                        solution: solution.name,
+                    })
+                );
                 eventBus.emit('tab:switch', 'terminal');
             });
             
@@ -403,7 +504,7 @@ export class MissionSystem {
         });
         
         const closeBtn = document.createElement('button');
-        closeBtn.textContent = 'Cancel';
+        closeBtn.textContent = t('common.cancel');
         closeBtn.style.cssText = `
             margin-top: 20px;
             width: 100%;
@@ -441,6 +542,7 @@ export class MissionSystem {
         if (!step || step.completed) return;
 
         step.completed = true;
+        step.failed = false;
 
         // Update progress
         const completedSteps = mission.steps.filter((s) => s.completed).length;
@@ -460,6 +562,70 @@ export class MissionSystem {
         }
     }
 
+    /**
+     * Selesaikan step yang condition-nya dipenuhi event. Event dengan missionId (mission
+     * pemilik target-nya) hanya dicocokkan ke mission itu, event tanpa target ke semua
+     * active missions. Per mission hanya step pertama yang belum selesai dan cocok, jadi
+     * satu command tidak menyelesaikan beberapa step sekaligus. Steps tanpa condition
+     * hanya selesai via 'mission:step:complete'.
+     * @param {Object} event - Mission event (command, args, host, file, artifact, missionId)
+     */
+    evaluateStepConditions(event) {
+        const missions = this.state.get('missions') || [];
+        const normalized = {
+            args: [],
+            host: null,
+            file: null,
+            artifact: null,
+            missionId: null,
+            ...event,
+        };
+        const matches = (step, mission) =>
+            !step.completed &&
+            Boolean(step.when) &&
+            MissionSystem.matchesCondition(step.when, normalized, mission);
+
+        missions
+            .filter((mission) => mission.status === CONSTANTS.MISSION.STATUS.ACTIVE)
+            .filter((mission) => !normalized.missionId || mission.id === normalized.missionId)
+            .forEach((mission) => {
+                const step = mission.steps.find((s) => matches(s, mission));
+                if (step) {
+                    this.completeMissionStep(mission.id, step.id);
+                }
+            });
+    }
+
+    /**
+     * Fail mission: steps di-reset dan dihitung sebagai retry untuk leaderboard
+     * Tanda failed hilang saat step diselesaikan lagi atau mission di-start ulang
+     * @param {string} missionId - Mission ID
+     * @param {string} reason - Alasan gagal
+     */
+    failMission(missionId, reason) {
+        const missions = this.state.get('missions') || [];
+        const mission = missions.find((m) => m.id === missionId);
+        if (!mission || mission.status !== CONSTANTS.MISSION.STATUS.ACTIVE) return;
+
+        mission.steps.forEach((step) => {
+            step.completed = false;
+            step.failed = true;
+        });
+        mission.progress = 0;
+        mission.retries = (mission.retries || 0) + 1;
+        this.state.set('missions', missions);
+        this.renderMissions();
+
+        eventBus.emit('toast:show', {
+            message: t('missions.failedReason', { title: mission.title, reason }),
+            type: 'error',
+        });
+        eventBus.emit(
+            'activity:add',
+            t('missions.activity.failed', { title: mission.title, reason })
+        );
+    }
+
     /**
      * Complete mission dengan achievement tracking dan leaderboard
      * @param {Object} mission - Mission object
@@ -488,9 +654,9 @@ export class MissionSystem {
             });
         }
         
-        // Track perfect missions (no failed steps)
+        // Track perfect missions (tidak pernah gagal, failed steps di-reset saat retry)
         const hasFailedSteps = mission.steps.some(step => step.failed);
-        if (!hasFailedSteps) {
+        if (!hasFailedSteps && !mission.retries) {
             const perfectMissions = (this.state.get('perfectMissions') || 0) + 1;
             this.state.set('perfectMissions', perfectMissions);
         }
@@ -533,10 +699,13 @@ export class MissionSystem {
         eventBus.emit('xp:add', xpReward);
 
         eventBus.emit('toast:show', {
-            message: `Mission completed! +${xpReward} XP (Rank: #${rankInfo.rank})`,
+            message: t('missions.completed', { xp: xpReward, rank: rankInfo.rank }),
             type: 'success',
         });
-        eventBus.emit('activity:add', `Completed mission: ${mission.title} (+${xpReward} XP, Score: ${score})`);
+        eventBus.emit(
+            'activity:add',
+            t('missions.activity.completed', { title: mission.title, xp: xpReward, score })
+        );
         
         // Emit mission complete event untuk delayed satisfaction
         eventBus.emit('mission:complete', {
@@ -556,7 +725,7 @@ export class MissionSystem {
                 if (checkMissionTypeRequirements(nextMission.type, this.state.getState())) {
                     nextMission.status = CONSTANTS.MISSION.STATUS.ACTIVE;
                     eventBus.emit('toast:show', {
-                        message: `New mission unlocked: ${nextMission.title}`,
+                        message: t('missions.unlocked', { title: nextMission.title }),
                         type: 'info',
                     });
                     this.state.set('missions', missions);
@@ -3,6 +3,8 @@
  * Phase 3: Content & Replayability
  */
 
+import { randomService } from '../../services/RandomService.js';
+
 /**
  * ProceduralMissionGenerator class
  */
@@ -52,28 +54,29 @@ export class ProceduralMissionGenerator {
     /**
      * Generate random mission
      * @param {string} difficulty - Difficulty level (easy, medium, hard)
+     * @param {RandomStream} random - Random stream (default stream missions)
      * @returns {Object} Generated mission
      */
-    static generateMission(difficulty = 'medium') {
+    static generateMission(difficulty = 'medium', random = randomService.stream('missions')) {
         const templates = this.MISSION_TEMPLATES[difficulty] || this.MISSION_TEMPLATES.medium;
-        const template = templates[Math.floor(Math.random() * templates.length)];
+        const template = random.pick(templates);
         
         const theme = template.theme;
         const titles = this.THEME_TITLES[theme] || ['Generated Mission'];
         const descriptions = this.THEME_DESCRIPTIONS[theme] || ['A procedurally generated mission.'];
         
-        const title = titles[Math.floor(Math.random() * titles.length)];
+        const title = random.pick(titles);
         const description = descriptions[0];
         
         return {
-            id: `proc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `proc_${Date.now()}_${random.id(9)}`,
             title: title,
             description: description,
             type: 'RANDOM',
             difficulty: difficulty,
             status: 'active',
             progress: 0,
-            steps: this.generateSteps(template, difficulty),
+            steps: this.generateSteps(template, difficulty, random),
             reward: this.calculateReward(difficulty),
             timeLimit: this.calculateTimeLimit(difficulty),
             procedurallyGenerated: true
@@ -84,9 +87,10 @@ export class ProceduralMissionGenerator {
      * Generate mission steps based on template
      * @param {Object} template - Mission template
      * @param {string} difficulty - Difficulty level
+     * @param {RandomStream} random - Random stream
      * @returns {Array} Mission steps
      */
-    static generateSteps(template, difficulty) {
+    static generateSteps(template, difficulty, random = randomService.stream('missions')) {
         const stepCount = this.getStepCount(difficulty);
         const commands = template.commands;
         
@@ -131,12 +135,12 @@ export class ProceduralMissionGenerator {
         return Array.from({ length: stepCount }, (_, i) => {
             const command = commands[i % commands.length];
             const texts = stepTexts[command] || ['Complete this step'];
-            const text = texts[Math.floor(Math.random() * texts.length)];
+            const text = random.pick(texts);
             
             return {
                 id: `step_${i + 1}`,
                 text: text,
-                command: command,
+                when: { command },
                 completed: false
             };
         });
@@ -188,10 +192,15 @@ export class ProceduralMissionGenerator {
      * Generate multiple missions
      * @param {number} count - Number of missions to generate
      * @param {string} difficulty - Difficulty level
+     * @param {RandomStream} random - Random stream (default stream missions)
      * @returns {Array} Array of generated missions
      */
-    static generateMissions(count, difficulty = 'medium') {
-        return Array.from({ length: count }, () => this.generateMission(difficulty));
+    static generateMissions(
+        count,
+        difficulty = 'medium',
+        random = randomService.stream('missions')
+    ) {
+        return Array.from({ length: count }, () => this.generateMission(difficulty, random));
     }
 }
 
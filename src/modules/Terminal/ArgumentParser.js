@@ -0,0 +1,310 @@
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * ArgumentError - Error untuk argument yang tidak sesuai schema
+ * Message ditampilkan langsung ke user sebagai usage error
+ */
+export class ArgumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArgumentError';
+    }
+}
+
+/**
+ * ArgumentParser - Parse arguments berdasarkan declarative schema
+ *
+ * Schema format:
+ *   {
+ *     args: [{ name: 'file', required: true, variadic: false, complete: 'files' }],
+ *     flags: { parents: { short: 'p', type: 'boolean', description: '...' } },
+ *     strict: true, // false: unknown options diperlakukan sebagai positional
+ *     optionsFirst: false, // true: options berakhir di positional pertama (misal sudo)
+ *   }
+ *
+ * Flag types: boolean (default), string, number (min: nilai terkecil yang diterima).
+ * complete: nama provider untuk tab completion (lihat TabCompleter).
+ * Mendukung --long, --long=value, --long value, -abc (short flags digabung),
+ * -n value, -nvalue dan -- untuk mengakhiri options.
+ */
+export class ArgumentParser {
+    /**
+     * Normalize schema dengan default values
+     * @param {Object} schema - Raw schema
+     * @returns {{args: Array, flags: Object, strict: boolean, optionsFirst: boolean}} Schema
+     */
+    static normalize(schema = {}) {
+        return {
+            args: schema.args || [],
+            flags: schema.flags || {},
+            strict: schema.strict !== false,
+            optionsFirst: schema.optionsFirst === true,
+        };
+    }
+
+    /**
+     * Parse argv berdasarkan schema
+     * @param {string[]} argv - Raw arguments dari ShellParser
+     * @param {Object} schema - Command schema
+     * @returns {{args: string[], flags: Object}} Positional args dan flag values
+     * @throws {ArgumentError} Jika argv tidak sesuai schema
+     */
+    static parse(argv = [], schema = {}) {
+        const { args: positionalSpec, flags: flagSpec, strict, optionsFirst } =
+            this.normalize(schema);
+        const flags = this.getDefaults(flagSpec);
+        const args = [];
+        let optionsEnded = false;
+
+        for (let i = 0; i < argv.length; i++) {
+            const token = argv[i];
+
+            if (optionsEnded || token === '-' || !token.startsWith('-')) {
+                args.push(token);
+                optionsEnded = optionsEnded || optionsFirst;
+                continue;
+            }
+
+            if (token === '--') {
+                optionsEnded = true;
+                continue;
+            }
+
+            if (token.startsWith('--')) {
+                const [longName, ...rest] = token.slice(2).split('=');
+                const inline = rest.length > 0 ? rest.join('=') : null;
+                const key = this.findFlag(flagSpec, longName);
+
+                if (!key) {
+                    if (!strict) {
+                        args.push(token);
+                        continue;
+                    }
+                    const params = { option: longName };
+                    throw new ArgumentError(t('errors.arguments.unrecognized', params));
+                }
+
+                const spec = flagSpec[key];
+                if (this.isBoolean(spec)) {
+                    if (inline !== null) {
+                        throw new ArgumentError(t('errors.arguments.noValue', { option: key }));
+                    }
+                    flags[key] = true;
+                } else {
+                    const value = inline !== null ? inline : argv[++i];
+                    flags[key] = this.coerce(key, spec, value);
+                }
+                continue;
+            }
+
+            // Short flags: -abc atau -n value / -nvalue
+            const cluster = token.slice(1);
+            for (let j = 0; j < cluster.length; j++) {
+                const key = this.findShortFlag(flagSpec, cluster[j]);
+
+                if (!key) {
+                    if (!strict) {
+                        args.push(token);
+                        break;
+                    }
+                    const params = { option: cluster[j] };
+                    throw new ArgumentError(t('errors.arguments.invalidShort', params));
+                }
+
+                const spec = flagSpec[key];
+                if (this.isBoolean(spec)) {
+                    flags[key] = true;
+                } else {
+                    const remainder = cluster.slice(j + 1);
+                    const value = remainder || argv[++i];
+                    flags[key] = this.coerce(key, spec, value);
+                    break;
+                }
+            }
+        }
+
+        this.validatePositionals(args, positionalSpec, strict);
+        return { args, flags };
+    }
+
+    /**
+     * Validate args dan flags yang tidak berasal dari parse (misal di-rewrite plugin hook)
+     * @param {string[]} args - Positional arguments
+     * @param {Object} flags - Flag values
+     * @param {Object} schema - Command schema
+     * @throws {ArgumentError} Jika args atau flags tidak sesuai schema
+     */
+    static validate(args, flags, schema = {}) {
+        const { args: positionalSpec, flags: flagSpec, strict } = this.normalize(schema);
+        if (!Array.isArray(args) || args.some((arg) => typeof arg !== 'string')) {
+            throw new ArgumentError(t('errors.arguments.notStrings'));
+        }
+        if (!flags || typeof flags !== 'object') {
+            throw new ArgumentError(t('errors.arguments.notObject'));
+        }
+
+        Object.entries(flags).forEach(([key, value]) => {
+            if (!this.findFlag(flagSpec, key)) {
+                throw new ArgumentError(t('errors.arguments.unrecognized', { option: key }));
+            }
+            const type = this.isBoolean(flagSpec[key]) ? 'boolean' : flagSpec[key].type;
+            if (value !== undefined && (typeof value !== type || Number.isNaN(value))) {
+                throw new ArgumentError(t('errors.arguments.type', { option: key, type }));
+            }
+            if (type === 'number' && value !== undefined) {
+                this.checkMinimum(key, flagSpec[key], value);
+            }
+        });
+        this.validatePositionals(args, positionalSpec, strict);
+    }
+
+    /**
+     * Validate jumlah positional arguments
+     * @param {string[]} args - Positional arguments
+     * @param {Array} spec - Positional spec
+     * @param {boolean} strict - Tolak extra arguments
+     * @throws {ArgumentError} Jika jumlah arguments tidak sesuai
+     */
+    static validatePositionals(args, spec, strict) {
+        const required = spec.filter((arg) => arg.required);
+        if (args.length < required.length) {
+            const missing = required[args.length];
+            throw new ArgumentError(t('errors.arguments.missing', { name: missing.name }));
+        }
+
+        const variadic = spec.some((arg) => arg.variadic);
+        if (strict && !variadic && args.length > spec.length) {
+            throw new ArgumentError(t('errors.arguments.tooMany'));
+        }
+    }
+
+    /**
+     * Default values untuk semua flags
+     * @param {Object} flagSpec - Flag spec
+     * @returns {Object} Flag values
+     */
+    static getDefaults(flagSpec) {
+        const flags = {};
+        Object.entries(flagSpec).forEach(([key, spec]) => {
+            if (spec.default !== undefined) {
+                flags[key] = spec.default;
+            } else if (this.isBoolean(spec)) {
+                flags[key] = false;
+            }
+        });
+        return flags;
+    }
+
+    /**
+     * Find flag key dari long name
+     * @param {Object} flagSpec - Flag spec
+     * @param {string} name - Long name tanpa --
+     * @returns {string|null} Flag key
+     */
+    static findFlag(flagSpec, name) {
+        return Object.prototype.hasOwnProperty.call(flagSpec, name) ? name : null;
+    }
+
+    /**
+     * Find flag key dari short name
+     * @param {Object} flagSpec - Flag spec
+     * @param {string} short - Short name (satu karakter)
+     * @returns {string|null} Flag key
+     */
+    static findShortFlag(flagSpec, short) {
+        const entry = Object.entries(flagSpec).find(([, spec]) => spec.short === short);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Check if flag adalah boolean flag
+     * @param {Object} spec - Flag spec
+     * @returns {boolean} True jika boolean
+     */
+    static isBoolean(spec) {
+        return !spec.type || spec.type === 'boolean';
+    }
+
+    /**
+     * Convert flag value sesuai type
+     * @param {string} key - Flag key
+     * @param {Object} spec - Flag spec
+     * @param {string|undefined} value - Raw value
+     * @returns {string|number} Converted value
+     * @throws {ArgumentError} Jika value tidak ada atau tidak valid
+     */
+    static coerce(key, spec, value) {
+        if (value === undefined) {
+            throw new ArgumentError(t('errors.arguments.required', { option: key }));
+        }
+        if (spec.type === 'number') {
+            const number = Number(value);
+            if (value === '' || isNaN(number)) {
+                throw new ArgumentError(t('errors.arguments.number', { option: key, value }));
+            }
+            this.checkMinimum(key, spec, number);
+            return number;
+        }
+        return value;
+    }
+
+    /**
+     * Check batas bawah number flag (spec.min)
+     * @param {string} key - Flag key
+     * @param {Object} spec - Flag spec
+     * @param {number} number - Flag value
+     * @throws {ArgumentError} Jika value lebih kecil dari spec.min
+     */
+    static checkMinimum(key, spec, number) {
+        if (spec.min !== undefined && number < spec.min) {
+            const params = { option: key, min: spec.min, value: number };
+            throw new ArgumentError(t('errors.arguments.minimum', params));
+        }
+    }
+
+    /**
+     * Generate usage string dari schema di locale aktif
+     * @param {string} name - Command name
+     * @param {Object} schema - Command schema
+     * @returns {string} Usage string, misal "Usage: rm [-fr] <path>..."
+     */
+    static usage(name, schema = {}) {
+        return t('terminal.usage', { synopsis: this.synopsis(name, schema) });
+    }
+
+    /**
+     * Generate synopsis dari schema
+     * @param {string} name - Command name
+     * @param {Object} schema - Command schema
+     * @returns {string} Synopsis, misal "rm [-fr] <path>..."
+     */
+    static synopsis(name, schema = {}) {
+        const { args, flags } = this.normalize(schema);
+        const parts = [name];
+
+        const shortBooleans = [];
+        const others = [];
+        Object.entries(flags).forEach(([key, spec]) => {
+            if (this.isBoolean(spec) && spec.short) {
+                shortBooleans.push(spec.short);
+            } else if (this.isBoolean(spec)) {
+                others.push(`[--${key}]`);
+            } else {
+                const flag = spec.short ? `-${spec.short}` : `--${key}`;
+                others.push(`[${flag} <${spec.placeholder || spec.type}>]`);
+            }
+        });
+
+        if (shortBooleans.length > 0) {
+            parts.push(`[-${shortBooleans.sort().join('')}]`);
+        }
+        parts.push(...others);
+
+        args.forEach((arg) => {
+            const label = arg.required ? `<${arg.name}>` : `[${arg.name}]`;
+            parts.push(arg.variadic ? `${label}...` : label);
+        });
+
+        return parts.join(' ');
+    }
+}
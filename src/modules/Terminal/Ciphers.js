@@ -0,0 +1,275 @@
+import { randomService } from '../../services/RandomService.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * Ciphers - Classical ciphers untuk decrypt puzzles dan crypto tools
+ *
+ * Cipher types:
+ *   caesar        key: shift 1-25
+ *   vigenere      key: kata (huruf saja)
+ *   base64        tanpa key
+ *   xor           key: satu byte 1-255, ciphertext ditulis sebagai hex
+ *   substitution  key: cipher alphabet (26 huruf, alphabet[i] -> key[i])
+ *
+ * Puzzle bisa berlapis: type ['caesar', 'base64'] berarti plaintext di-caesar dulu,
+ * lalu hasilnya di-base64 (player membuka dari lapisan terluar).
+ */
+export class Ciphers {
+    static TYPES = ['caesar', 'vigenere', 'base64', 'xor', 'substitution'];
+    static ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+    static KEY_WORDS = ['pastel', 'bunny', 'kitty', 'sakura', 'mochi', 'ribbon', 'sprinkle'];
+    // Frekuensi huruf bahasa Inggris (urutan paling sering)
+    static ENGLISH_ORDER = 'etaoinshrdlcumwfgypbvkjxqz';
+
+    /**
+     * Geser huruf sebanyak shift (case dipertahankan, karakter lain tidak berubah)
+     * @param {string} text - Input
+     * @param {number} shift - Jumlah geser (boleh negatif)
+     * @returns {string} Output
+     */
+    static caesar(text, shift) {
+        const offset = ((shift % 26) + 26) % 26;
+        return text.replace(/[a-z]/gi, (char) => {
+            const base = char <= 'Z' ? 65 : 97;
+            return String.fromCharCode(((char.charCodeAt(0) - base + offset) % 26) + base);
+        });
+    }
+
+    /**
+     * Vigenère cipher
+     * @param {string} text - Input
+     * @param {string} key - Key (huruf saja)
+     * @param {boolean} decode - Decrypt jika true
+     * @returns {string} Output
+     */
+    static vigenere(text, key, decode = false) {
+        const shifts = key
+            .toLowerCase()
+            .replace(/[^a-z]/g, '')
+            .split('')
+            .map((char) => char.charCodeAt(0) - 97);
+        if (shifts.length === 0) {
+            throw new Error(t('errors.ciphers.keyLetters'));
+        }
+
+        let index = 0;
+        return text.replace(/[a-z]/gi, (char) => {
+            const shift = shifts[index++ % shifts.length];
+            return this.caesar(char, decode ? -shift : shift);
+        });
+    }
+
+    /**
+     * Base64 encode (UTF-8)
+     * @param {string} text - Input
+     * @returns {string} Base64
+     */
+    static base64Encode(text) {
+        const bytes = new TextEncoder().encode(text);
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * Base64 decode (UTF-8)
+     * @param {string} text - Base64
+     * @returns {string} Decoded text
+     * @throws {Error} Jika input bukan base64 yang valid
+     */
+    static base64Decode(text) {
+        try {
+            const binary = atob(text.replace(/\s+/g, ''));
+            const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+            return new TextDecoder().decode(bytes);
+        } catch (error) {
+            throw new Error(t('errors.ciphers.base64'));
+        }
+    }
+
+    /**
+     * XOR text dengan single-byte key, hasilnya hex
+     * @param {string} text - Plaintext
+     * @param {number} key - Key byte (0-255)
+     * @returns {string} Hex string (tanpa spasi)
+     */
+    static xorEncode(text, key) {
+        return Array.from(new TextEncoder().encode(text))
+            .map((byte) => (byte ^ key).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * XOR hex input dengan single-byte key
+     * @param {string} hex - Hex string (spasi diabaikan)
+     * @param {number} key - Key byte (0-255)
+     * @returns {string} Decoded text
+     * @throws {Error} Jika input bukan hex
+     */
+    static xorDecode(hex, key) {
+        const clean = hex.replace(/\s+/g, '');
+        if (!/^([0-9a-f]{2})*$/i.test(clean)) {
+            throw new Error(t('errors.ciphers.hex'));
+        }
+        const bytes = (clean.match(/../g) || []).map((pair) => parseInt(pair, 16) ^ key);
+        return new TextDecoder().decode(Uint8Array.from(bytes));
+    }
+
+    /**
+     * Monoalphabetic substitution
+     * @param {string} text - Input
+     * @param {string} from - Source alphabet
+     * @param {string} to - Target alphabet (sama panjang dengan from)
+     * @returns {string} Output (case dipertahankan)
+     */
+    static substitute(text, from, to) {
+        const map = new Map();
+        from.toLowerCase().split('').forEach((char, i) => map.set(char, to[i].toLowerCase()));
+
+        return text.replace(/[a-z]/gi, (char) => {
+            const lower = char.toLowerCase();
+            if (!map.has(lower)) return char;
+            const mapped = map.get(lower);
+            return char === lower ? mapped : mapped.toUpperCase();
+        });
+    }
+
+    /**
+     * Hitung frekuensi huruf
+     * @param {string} text - Input
+     * @returns {Array<{letter: string, count: number, percent: number}>} Urut dari paling sering
+     */
+    static frequencies(text) {
+        const counts = new Map();
+        const letters = text.toLowerCase().replace(/[^a-z]/g, '');
+        for (const char of letters) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+
+        return Array.from(counts, ([letter, count]) => ({
+            letter,
+            count,
+            percent: (count / letters.length) * 100,
+        })).sort((a, b) => b.count - a.count || a.letter.localeCompare(b.letter));
+    }
+
+    /**
+     * Index of coincidence (~0.066 untuk English/monoalphabetic, ~0.038 untuk acak)
+     * @param {string} text - Input
+     * @returns {number} IC
+     */
+    static indexOfCoincidence(text) {
+        const letters = text.toLowerCase().replace(/[^a-z]/g, '');
+        const n = letters.length;
+        if (n < 2) return 0;
+        const total = this.frequencies(letters).reduce(
+            (sum, { count }) => sum + count * (count - 1),
+            0
+        );
+        return total / (n * (n - 1));
+    }
+
+    /**
+     * Skor seberapa mirip text dengan English (untuk brute force)
+     * @param {string} text - Candidate plaintext
+     * @returns {number} Skor (lebih besar lebih baik, -Infinity jika tidak printable)
+     */
+    static englishScore(text) {
+        if (/[^\x20-\x7E\n]/.test(text)) return -Infinity;
+        const common = text.toLowerCase().match(/[etaoin shrdlu]/g) || [];
+        return common.length / Math.max(1, text.length);
+    }
+
+    /**
+     * Tebak jenis encoding/cipher dari ciphertext
+     * @param {string} text - Ciphertext
+     * @returns {string} Deskripsi singkat
+     */
+    static identify(text) {
+        const clean = text.trim();
+        if (/^([0-9a-f]{2}\s?)+$/i.test(clean)) {
+            return 'hex encoded bytes (try xor)';
+        }
+        if (/^[A-Za-z0-9+/]+={0,2}$/.test(clean) && clean.length % 4 === 0) {
+            return 'base64 encoded data';
+        }
+        const ic = this.indexOfCoincidence(clean);
+        if (ic >= 0.055) {
+            return `monoalphabetic cipher, IC ${ic.toFixed(3)} (try shift or subst)`;
+        }
+        return `polyalphabetic cipher, IC ${ic.toFixed(3)} (try vigenere)`;
+    }
+
+    /**
+     * Generate key acak untuk cipher type
+     * @param {string} type - Cipher type
+     * @param {RandomStream} random - Random stream (default stream ciphers)
+     * @returns {number|string|null} Key
+     */
+    static generateKey(type, random = randomService.stream('ciphers')) {
+        switch (type) {
+            case 'caesar':
+                return 1 + random.int(25);
+            case 'vigenere':
+                return random.pick(this.KEY_WORDS);
+            case 'xor':
+                return 1 + random.int(255);
+            case 'substitution':
+                return random.shuffle(this.ALPHABET.split('')).join('');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Encrypt satu lapisan
+     * @param {string} type - Cipher type
+     * @param {string} text - Plaintext
+     * @param {number|string|null} key - Key
+     * @returns {string} Ciphertext
+     * @throws {Error} Jika type tidak dikenal
+     */
+    static encrypt(type, text, key) {
+        switch (type) {
+            case 'caesar':
+                return this.caesar(text, key);
+            case 'vigenere':
+                return this.vigenere(text, key);
+            case 'base64':
+                return this.base64Encode(text);
+            case 'xor':
+                return this.xorEncode(text, key);
+            case 'substitution':
+                return this.substitute(text, this.ALPHABET, key);
+            default:
+                throw new Error(t('errors.ciphers.unknown', { type }));
+        }
+    }
+
+    /**
+     * Buat puzzle dari spec mission file
+     * @param {{type: string|string[], plaintext: string, key?: *}} spec - Cipher spec
+     * @param {RandomStream} random - Random stream untuk keys yang tidak ditentukan
+     * @returns {{content: string, layers: Array<{type: string, key: *}>}} Ciphertext dan keys
+     */
+    static createPuzzle(spec, random = randomService.stream('ciphers')) {
+        const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+        const keys = Array.isArray(spec.key) ? spec.key : [spec.key];
+
+        let content = spec.plaintext;
+        const layers = types.map((type, i) => {
+            const fixed = keys[i] !== undefined && keys[i] !== null;
+            const key = fixed ? keys[i] : this.generateKey(type, random);
+            content = this.encrypt(type, content, key);
+            return { type, key };
+        });
+        return { content, layers };
+    }
+
+    /**
+     * Normalize plaintext untuk dibandingkan (case, whitespace)
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    static normalize(text) {
+        return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+}
@@ -5,6 +5,22 @@ import { SecurityUtils } from '../../utils/security.js';
 import { MiniGames } from './MiniGames.js';
 import { VisualEffects } from '../../utils/VisualEffects.js';
 import { BadgeSystem } from '../../core/BadgeSystem.js';
+import { delay } from '../../utils/performance.js';
+import { OutputStream } from './OutputStream.js';
+import { Markup } from './Markup.js';
+import { NetworkModel } from './NetworkModel.js';
+import { Ciphers } from './Ciphers.js';
+import { PasswordCracker } from './PasswordCracker.js';
+import { PacketCapture } from './PacketCapture.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { DOMUtils } from '../../utils/dom.js';
+import { RewardSystem } from '../../core/RewardSystem.js';
+import { RandomService } from '../../services/RandomService.js';
+import { TextEditor } from './TextEditor.js';
+import { TextTools } from './TextTools.js';
+import { ArgumentParser } from './ArgumentParser.js';
+import { MissionSystem } from '../Missions/MissionSystem.js';
+import { I18n, i18n, t } from '../../i18n/i18n.js';
 
 /**
  * CommandHandlers - Handler functions untuk semua terminal commands
@@ -16,6 +32,37 @@ export class CommandHandlers {
         // Track retry counts untuk commands
         this.commandRetries = new Map();
     }
+
+    /**
+     * Create default execution context yang menulis langsung ke terminal
+     * Dipakai saat handler dipanggil di luar PipelineExecutor
+     * @param {Object} flags - Parsed flag values
+     * @returns {Object} Context (stdin, stdout, stderr, flags, signal, interactive, privilege)
+     */
+    createContext(flags = {}) {
+        const stream = new OutputStream(
+            (text, type) => this.terminal.addLine(text, type),
+            (line) => this.terminal.refreshLine(line)
+        );
+        return {
+            stdin: null,
+            stdout: stream,
+            stderr: stream,
+            flags,
+            signal: null,
+            interactive: true,
+            privilege: null, // Diset sudo untuk satu invocation saja
+        };
+    }
+
+    /**
+     * Filesystem untuk invocation ini: lewat sudo, file access ikut ctx.privilege
+     * @param {Object} ctx - Execution context
+     * @returns {VirtualFileSystem} Filesystem (view) untuk handler
+     */
+    getFileSystem(ctx) {
+        return this.terminal.fileSystem.withPrivilege(ctx && ctx.privilege);
+    }
     
     /**
      * Calculate success rate untuk command dengan badge effects
@@ -40,6 +87,9 @@ export class CommandHandlers {
         if (command === 'decrypt' && badgeEffects.decryptSuccess) {
             successRate = Math.min(1.0, successRate * badgeEffects.decryptSuccess);
         }
+        if (command === 'bypass' && badgeEffects.bypassChance) {
+            successRate = Math.min(1.0, successRate * badgeEffects.bypassChance);
+        }
         
         return successRate;
     }
@@ -57,13 +107,13 @@ export class CommandHandlers {
     }
     
     /**
-     * Check if command should succeed
+     * Check if command should succeed (roll dari random stream commands)
      * @param {string} command - Command name
      * @returns {boolean} True jika berhasil
      */
     checkCommandSuccess(command) {
         const successRate = this.calculateSuccessRate(command);
-        return Math.random() < successRate;
+        return this.terminal.random.stream('commands').chance(successRate);
     }
     
     /**
@@ -83,363 +133,2403 @@ export class CommandHandlers {
     }
 
     /**
-     * Find and complete matching mission steps for a command
-     * Uses dynamic matching based on step text patterns
+     * Laporkan hasil command ke MissionSystem, yang mencocokkannya dengan step.when
+     * di missions.json (lihat MissionSystem.CONDITION_RULES). Event di-scope ke mission
+     * pemilik target: host, file yang di-seed mission, atau subnet (scan sweep).
      * @param {string} command - Command name (scan, decrypt, bruteforce, etc.)
+     * @param {Object} details - Detail event
+     * @param {string[]} details.args - Arguments yang relevan
+     * @param {Object|null} details.host - Target host
+     * @param {string|null} details.file - Target file (path relatif ke cwd)
+     * @param {string|null} details.artifact - Hasil command, misal 'password' atau 'root'
+     * @param {string|null} details.missionId - Mission pemilik target tanpa host atau file
      */
-    completeMatchingMissionSteps(command) {
-        const missions = this.state.get('missions') || [];
-        
-        // Define keyword patterns for each command
-        const commandPatterns = {
-            'scan': ['scan', 'locate', 'network', 'traffic', 'ports', 'firewall', 'monitor'],
-            'decrypt': ['decrypt', 'hash', 'encryption', 'crack', 'decode', 'analyze'],
-            'bruteforce': ['brute', 'force', 'attack', 'recover', 'password', 'crack']
-        };
-
-        const keywords = commandPatterns[command] || [];
-        if (keywords.length === 0) return;
+    reportMissionEvent(command, details = {}) {
+        const { args = [], host = null, file = null, artifact = null } = details;
+        const node = file ? this.terminal.fileSystem.getNode(file) : null;
+        const missionId =
+            (host && host.missionId) || (node && node.mission) || details.missionId || null;
 
-        // Find matching steps in active missions
-        missions.forEach(mission => {
-            if (mission.status !== 'active') return;
+        eventBus.emit('mission:command', {
+            command,
+            args,
+            host: host ? { hostname: host.hostname, ip: host.ip } : null,
+            file: file ? this.terminal.fileSystem.resolve(file) : null,
+            artifact,
+            missionId,
+        });
+    }
 
-            mission.steps.forEach(step => {
-                // Skip if already completed
-                if (step.completed) return;
+    /**
+     * Show help message (generated dari CommandRegistry)
+     * @param {string[]} args - Command arguments (optional command name)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    showHelp(args = [], ctx = this.createContext()) {
+        const registry = this.terminal.commandRegistry;
 
-                // Check if step text matches any keyword (case-insensitive)
-                const stepTextLower = step.text.toLowerCase();
-                const matches = keywords.some(keyword => 
-                    stepTextLower.includes(keyword.toLowerCase())
-                );
+        if (args.length > 0) {
+            const commandObj = this.getUnlockedCommand('help', args[0], ctx);
+            if (commandObj) {
+                ctx.stdout.write(registry.usage(commandObj), 'info');
+                ctx.stdout.write(`  ${registry.describe(commandObj)}`, 'text');
+            }
+            return;
+        }
 
-                if (matches) {
-                    // Emit event untuk mission step completion
-                    eventBus.emit('mission:step:complete', {
-                        missionId: mission.id,
-                        stepId: step.id,
-                    });
-                }
+        ctx.stdout.write(t('commands.help.available'), 'info');
+        registry.getGroupedCommands(this.state).forEach((group) => {
+            ctx.stdout.write(`${group.label}:`, 'info');
+            group.commands.forEach((commandObj) => {
+                const { name: command } = commandObj;
+                const name = Markup.pad(Markup.link(`man ${command}`, command), 12);
+                ctx.stdout.write(`  ${name}- ${registry.describe(commandObj)}`, 'text');
             });
         });
+        ctx.stdout.write(t('commands.help.hint'), 'info');
     }
 
     /**
-     * Show help message
+     * Show manual page untuk command
+     * @param {string[]} args - Command arguments (command name)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
      */
-    showHelp() {
-        const helpText = `
-Available commands:
-  help          - Show this help message
-  clear         - Clear terminal screen
-  scan          - Scan network for targets
-  bruteforce    - Brute force password attack
-  decrypt       - Decrypt encrypted files
-  ping [host]   - Ping a network host
-  missions      - Show available missions
-  logs          - Display system logs
-  whoami        - Show current user
-  date          - Show current date and time
-  echo [text]   - Echo text to terminal
-        `.trim();
+    man(args = [], ctx = this.createContext()) {
+        const commandObj = this.getUnlockedCommand('man', args[0], ctx);
+        if (!commandObj) return;
 
-        helpText.split('\n').forEach((line) => {
-            this.terminal.addLine(line);
-        });
+        const registry = this.terminal.commandRegistry;
+
+        const indent = (text) => `    ${text}`;
+
+        ctx.stdout.write(t('commands.man.name'), 'info');
+        const description = registry.describe(commandObj);
+        ctx.stdout.write(indent(`${commandObj.name} - ${description}`), 'text');
+        ctx.stdout.write(t('commands.man.synopsis'), 'info');
+        const { name, schema } = commandObj;
+        ctx.stdout.write(indent(ArgumentParser.synopsis(name, schema)), 'text');
+
+        const flags = Object.entries(commandObj.schema.flags);
+        if (flags.length > 0) {
+            ctx.stdout.write(t('commands.man.options'), 'info');
+            flags.forEach(([key, spec]) => {
+                const names = spec.short ? `-${spec.short}, --${key}` : `--${key}`;
+                const value = spec.type && spec.type !== 'boolean'
+                    ? ` <${spec.placeholder || spec.type}>`
+                    : '';
+                const synopsis = (names + value).padEnd(24);
+                const description = registry.describeFlag(commandObj, key);
+                ctx.stdout.write(indent(`${synopsis}${description}`), 'text');
+            });
+        }
+
+        if (commandObj.privilege) {
+            ctx.stdout.write(t('commands.man.privileges'), 'info');
+            const { privilege } = commandObj;
+            ctx.stdout.write(indent(t('commands.man.requires', { privilege })), 'text');
+        }
+
+        if (commandObj.examples.length > 0) {
+            ctx.stdout.write(t('commands.man.examples'), 'info');
+            commandObj.examples.forEach((example) => ctx.stdout.write(indent(example), 'text'));
+        }
+
+        const missions = this.state.get('missions') || [];
+        const related = commandObj.missions
+            .map((id) => missions.find((mission) => mission.id === id))
+            .filter(Boolean)
+            .map((mission) => MissionSystem.localize(mission));
+        if (related.length > 0) {
+            ctx.stdout.write(t('commands.man.relatedMissions'), 'info');
+            related.forEach((mission) => {
+                const status = t(`missions.status.${mission.status}`).toUpperCase();
+                ctx.stdout.write(indent(`[${status}] ${mission.title}`), 'text');
+            });
+        }
+    }
+
+    /**
+     * Lookup command yang sudah terbuka untuk help/man
+     * @param {string} caller - Command yang memanggil (untuk error message)
+     * @param {string} name - Command name yang dicari
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     * @returns {Object|null} Command object atau null
+     */
+    getUnlockedCommand(caller, name, ctx) {
+        const registry = this.terminal.commandRegistry;
+        const commandObj = name ? registry.get(name) : null;
+
+        if (!commandObj || !registry.isUnlocked(commandObj, this.state)) {
+            ctx.stderr.write(t('commands.man.noEntry', { caller, name }), 'error');
+            return null;
+        }
+        return commandObj;
     }
 
     /**
      * Clear terminal
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
      */
-    clearTerminal() {
+    clearTerminal(args, ctx = this.createContext()) {
         this.terminal.clear();
-        this.terminal.addLine('Terminal cleared ♡', 'success');
+        ctx.stdout.write(t('terminal.cleared'), 'success');
     }
 
     /**
-     * Scan network dengan typing challenge
+     * Scan network secara bertahap
+     * Tanpa argument: host discovery di subnet berikutnya (typing challenge)
+     * Dengan subnet (CIDR): host discovery di subnet tersebut
+     * Dengan host: port scan (open ports & services)
+     * @param {string[]} args - Command arguments (optional subnet atau host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
      */
-    async scanNetwork() {
+    async scanNetwork(args = [], ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const target = args[0];
+
+        if (target && !target.includes('/')) {
+            await this.scanPorts(target, ctx);
+            return;
+        }
+
+        const subnet = target
+            ? network.getReachableSubnets().find((s) => s.cidr === target)
+            : network.getNextSubnet();
+        if (!subnet) {
+            if (target) {
+                const params = { command: 'scan', target };
+                ctx.stderr.write(t('commands.common.unreachable', params), 'error');
+            } else {
+                ctx.stdout.write(t('commands.scan.noHosts'), 'info');
+                this.writeHiddenRoutes(ctx);
+            }
+            return;
+        }
+
+        if (ctx.interactive === false) {
+            const params = { command: 'scan', what: t('commands.scan.challengeName') };
+            ctx.stderr.write(t('commands.common.foreground', params), 'error');
+            ctx.stdout.write(t('commands.scan.foregroundHint'), 'info');
+            return;
+        }
+
         try {
             this.trackCommandUsage('scan');
-            
-            this.terminal.addLine('Scanning network...', 'info');
-            this.terminal.addLine('Quick scan challenge required!', 'info');
-            
-            // Apply badge effects untuk scan speed
-            const badgeEffects = BadgeSystem.applyBadgeEffects(this.state);
-            const scanSpeedMultiplier = badgeEffects.scanSpeed || 1.0;
-            
-            // Start typing challenge
-            const sequence = ['192.168.1.', '100', '101', '102'];
+
+            const { cidr, name } = subnet;
+            ctx.stdout.write(t('commands.scan.scanning', { cidr, name }), 'info');
+            ctx.stdout.write(t('commands.scan.challenge'), 'info');
+
+            // Sequence dari subnet prefix + octet terakhir setiap host
+            const hosts = network.getHosts(subnet);
+            const prefix = subnet.cidr.split('/')[0].replace(/\d+$/, '');
+            const sequence = [prefix, ...hosts.map((host) => host.ip.split('.').pop())];
             const result = await MiniGames.startTypingChallenge(sequence);
-        
-        if (result.success) {
-            this.terminal.addLine('Scan successful!', 'success');
-            this.terminal.addLine(`Scan speed: ${result.speed.toFixed(1)} chars/sec`, 'info');
-            this.terminal.addLine('Found 3 targets:', 'info');
-            this.terminal.addLine('  → 192.168.1.100 (Active)', 'text');
-            this.terminal.addLine('  → 192.168.1.101 (Active)', 'text');
-            this.terminal.addLine('  → 192.168.1.102 (Firewall Protected)', 'text');
-            this.terminal.addLine('Scan complete ✨', 'success');
-            this.terminal.addLog('Network scan completed', 'info');
-            
-            this.recordCommandAttempt('scan', true);
-            
-            // Complete matching mission steps dynamically
-            this.completeMatchingMissionSteps('scan');
-        } else {
-            this.terminal.addLine('Scan failed!', 'error');
-            if (result.reason === 'timeout') {
-                this.terminal.addLine('Scan timeout. Try again!', 'error');
+
+            if (result.success) {
+                ctx.stdout.write(t('commands.scan.success'), 'success');
+                const speed = result.speed.toFixed(1);
+                ctx.stdout.write(t('commands.scan.speed', { speed }), 'info');
+                ctx.stdout.write(t('commands.scan.found', { count: hosts.length }), 'info');
+                hosts.forEach((host) => {
+                    const status = network.isFirewalled(host)
+                        ? t('commands.scan.protected')
+                        : t('commands.scan.active');
+                    ctx.stdout.write(`  → ${host.ip} ${host.hostname} (${status})`, 'text');
+                });
+                network.discover(hosts.map((host) => host.ip));
+                this.writeHiddenRoutes(ctx);
+                ctx.stdout.write(t('commands.scan.complete'), 'success');
+                hosts.forEach((host) => this.raiseAlert(host, 'sweep', ctx));
+                this.terminal.addLog(t('commands.scan.log', { cidr }), 'info');
+
+                this.recordCommandAttempt('scan', true);
+                const { missionId } = subnet;
+                this.reportMissionEvent('scan', { args: [cidr], artifact: 'hosts', missionId });
             } else {
-                this.terminal.addLine('Scan cancelled.', 'warning');
+                ctx.stderr.write(t('commands.scan.failed'), 'error');
+                if (result.reason === 'timeout') {
+                    ctx.stderr.write(t('commands.scan.timeout'), 'error');
+                } else {
+                    ctx.stdout.write(t('commands.scan.cancelled'), 'warning');
+                }
+                ctx.stdout.write(t('commands.common.retry', { command: 'scan' }), 'info');
+                this.recordCommandAttempt('scan', false);
             }
-            this.terminal.addLine('Type "scan" again to retry', 'info');
-            this.recordCommandAttempt('scan', false);
-        }
         } catch (error) {
-            this.terminal.addLine('Scan error: Network scan failed unexpectedly', 'error');
-            this.terminal.addLine('Please try again or check your connection', 'info');
+            if (ctx.signal && ctx.signal.aborted) throw error;
+            ctx.stderr.write(t('commands.scan.error'), 'error');
+            ctx.stdout.write(t('commands.scan.errorHint'), 'info');
             this.recordCommandAttempt('scan', false);
             console.error('Scan network error:', error);
         }
     }
 
     /**
-     * Brute force attack dengan hack speed optimization
+     * Port scan satu host, ports ditampilkan satu per satu
+     * @param {string} address - IP atau hostname
+     * @param {Object} ctx - Execution context (stdout, stderr, signal)
      */
-    async bruteforce() {
-        try {
-            this.trackCommandUsage('bruteforce');
-            
-            this.terminal.addLine('Initializing brute force attack...', 'info');
-            this.terminal.addLine('Target: password.hash', 'text');
-            
-            // Check success rate
-            const success = this.checkCommandSuccess('bruteforce');
-            const retries = this.commandRetries.get('bruteforce') || 0;
-            
-            if (retries >= CONSTANTS.COMMAND.MAX_RETRIES) {
-                this.terminal.addLine('Brute force attack locked!', 'error');
-                this.terminal.addLine('Target has increased security. Try a different approach.', 'warning');
-                this.terminal.addLine('Hint: Try upgrading your tools or using a different method.', 'info');
-                return;
-            }
-            
-            // Show hack speed optimization mini-game
-            this.terminal.addLine('Optimize hack speed? (Click to optimize)', 'info');
-            const hackSpeed = await MiniGames.optimizeHackSpeed();
-        
-        const baseInterval = 800;
-        const speedMultiplier = hackSpeed;
-        const interval = baseInterval / speedMultiplier;
-        
-        this.terminal.addLine(`Hack speed: ${speedMultiplier.toFixed(2)}x`, 'info');
-        
-        const progress = [20, 45, 70, 90, 100];
-        let current = 0;
+    async scanPorts(address, ctx) {
+        const network = this.terminal.network;
+        const host = network.findHost(address);
+        if (!host) {
+            const params = { command: 'scan', target: address };
+            ctx.stderr.write(t('commands.common.hostNotFound', params), 'error');
+            return;
+        }
+        if (!network.isReachable(host)) {
+            const params = { command: 'scan', target: address };
+            ctx.stderr.write(t('commands.common.unreachable', params), 'error');
+            return;
+        }
+        if (this.isBanned('scan', host, ctx)) {
+            return;
+        }
 
-        const progressInterval = setInterval(() => {
-            if (current < progress.length) {
-                this.terminal.addLine(`Progress: ${progress[current]}%`, 'info');
-                current++;
-            } else {
-                clearInterval(progressInterval);
-                
-                // Check if attack succeeds
-                if (success) {
-                    this.terminal.addLine('ACCESS GRANTED ♡', 'success');
-                    this.terminal.addLine('Password recovered: ********', 'success');
-                    this.terminal.addLog('Brute force attack successful', 'success');
-                    eventBus.emit('toast:show', {
-                        message: 'Password recovered successfully!',
-                        type: 'success',
-                    });
-                    
-                    this.recordCommandAttempt('bruteforce', true);
-                    
-                    // Complete matching mission steps dynamically
-                    this.completeMatchingMissionSteps('bruteforce');
-                    
-                    // Auto-complete "Recover and verify password" step after successful bruteforce
-                    // This handles mission-01 step-4
-                    setTimeout(() => {
-                        const missions = this.state.get('missions') || [];
-                        const mission01 = missions.find(m => m.id === 'mission-01');
-                        if (mission01 && mission01.status === 'active') {
-                            const step4 = mission01.steps.find(s => s.id === 'step-4');
-                            if (step4 && !step4.completed) {
-                                // Check if step-3 is completed (bruteforce step)
-                                const step3 = mission01.steps.find(s => s.id === 'step-3');
-                                if (step3 && step3.completed) {
-                                    eventBus.emit('mission:step:complete', {
-                                        missionId: 'mission-01',
-                                        stepId: 'step-4',
-                                    });
-                                }
-                            }
-                        }
-                    }, 500);
-                } else {
-                    this.terminal.addLine('Brute force attack failed!', 'error');
-                    this.terminal.addLine('Target has increased security.', 'warning');
-                    this.terminal.addLine(`Retries: ${retries + 1}/${CONSTANTS.COMMAND.MAX_RETRIES}`, 'info');
-                    this.terminal.addLine('Type "bruteforce" again to retry', 'info');
-                    
-                    this.recordCommandAttempt('bruteforce', false);
-                }
-            }
-        }, interval);
-        } catch (error) {
-            this.terminal.addLine('Brute force error: Attack failed unexpectedly', 'error');
-            this.terminal.addLine('Please try again', 'info');
-            this.recordCommandAttempt('bruteforce', false);
-            console.error('Bruteforce error:', error);
+        this.trackCommandUsage('scan');
+        const { ip, hostname } = host;
+        ctx.stdout.write(t('commands.scan.ports', { ip, hostname }), 'info');
+
+        // Badge scan speed mempercepat port probing
+        const badgeEffects = BadgeSystem.applyBadgeEffects(this.state);
+        const probeDelay = CONSTANTS.NETWORK.PORT_PROBE_DELAY / (badgeEffects.scanSpeed || 1.0);
+
+        const column = (name) => t(`commands.scan.columns.${name}`);
+        const header = column('port').padEnd(10) + column('state').padEnd(10) + column('service');
+        ctx.stdout.write(header, 'info');
+        for (const port of network.getPorts(host)) {
+            await delay(probeDelay, ctx.signal);
+            const label = `${port.port}/tcp`.padEnd(10) + port.state.padEnd(10);
+            const version = port.version ? `  ${port.version}` : '';
+            ctx.stdout.write(`${label}${port.service}${version}`, 'text');
         }
+
+        network.discover([host.ip]);
+        ctx.stdout.write(t('commands.scan.portsComplete', { hostname }), 'success');
+        this.raiseAlert(host, 'scan', ctx);
+        this.recordCommandAttempt('scan', true);
+        this.reportMissionEvent('scan', { args: [address], host, artifact: 'ports' });
     }
 
     /**
-     * Decrypt file dengan failure states
-     * @param {string[]} args - Command arguments
+     * Tampilkan subnets yang hanya bisa dijangkau lewat gateway
+     * @param {Object} ctx - Execution context (stdout)
      */
-    decrypt(args = []) {
-        this.trackCommandUsage('decrypt');
-        
-        // Validate arguments
-        const validatedArgs = ValidationUtils.validateCommandArgs(args, {
-            maxLength: 1,
-            types: ['string'],
+    writeHiddenRoutes(ctx) {
+        this.terminal.network.getHiddenRoutes().forEach((subnet) => {
+            const { cidr, via } = subnet;
+            ctx.stdout.write(`  ↳ ${t('commands.scan.route', { cidr, via })}`, 'info');
         });
+    }
 
-        if (!validatedArgs && args.length > 0) {
-            this.terminal.addLine('Invalid file name', 'error');
-            return;
+    /**
+     * Resolve target host untuk hacking commands (harus sudah ditemukan dan reachable)
+     * @param {string} command - Command name untuk error message
+     * @param {string} address - IP atau hostname
+     * @param {Object} ctx - Execution context (stderr)
+     * @returns {Object|null} Host atau null jika tidak valid
+     */
+    resolveTarget(command, address, ctx) {
+        const network = this.terminal.network;
+        const host = network.findHost(address);
+        if (!host || !network.getKnownHosts().includes(host.ip)) {
+            const params = { command, target: address };
+            ctx.stderr.write(t('commands.common.unknownTarget', params), 'error');
+            return null;
+        }
+        if (!network.isReachable(host)) {
+            const params = { command, target: address };
+            ctx.stderr.write(t('commands.common.unreachable', params), 'error');
+            return null;
+        }
+        if (this.isBanned(command, host, ctx)) {
+            return null;
         }
+        return host;
+    }
 
-        const file = args[0] || 'archive.enc';
-        // Sanitize filename
-        const sanitizedFile = SecurityUtils.sanitizeInput(file);
-        this.terminal.addLine(`Decrypting ${sanitizedFile}...`, 'info');
-        
-        // Check success rate
-        const success = this.checkCommandSuccess('decrypt');
-        const retries = this.commandRetries.get('decrypt') || 0;
-
-        setTimeout(() => {
-            this.terminal.addLine('Analyzing encryption method...', 'text');
-            setTimeout(() => {
-                this.terminal.addLine('Cracking encryption layer 1...', 'text');
-                setTimeout(() => {
-                    if (success) {
-                        this.terminal.addLine('SYSTEM BYPASSED ✨', 'success');
-                        this.terminal.addLine('File decrypted successfully!', 'success');
-                        this.terminal.addLog(`Decryption successful: ${file}`, 'success');
-                        eventBus.emit('toast:show', {
-                            message: 'File decrypted!',
-                            type: 'success',
-                        });
-                        
-                        this.recordCommandAttempt('decrypt', true);
-                        
-                        // Complete matching mission steps dynamically
-                        this.completeMatchingMissionSteps('decrypt');
-                    } else {
-                        this.terminal.addLine('Decryption failed!', 'error');
-                        this.terminal.addLine('Encryption too strong. Try again or use a different method.', 'warning');
-                        this.terminal.addLine(`Retries: ${retries + 1}/${CONSTANTS.COMMAND.MAX_RETRIES}`, 'info');
-                        this.terminal.addLine('Type "decrypt" again to retry', 'info');
-                        
-                        this.recordCommandAttempt('decrypt', false);
-                    }
-                }, 1000);
-            }, 1000);
-        }, 500);
+    /**
+     * Check apakah IP player sedang di-ban oleh target (TraceMonitor)
+     * @param {string} command - Command name untuk error message
+     * @param {Object} host - Target host
+     * @param {Object} ctx - Execution context (stderr)
+     * @returns {boolean} True jika di-ban (error sudah ditulis)
+     */
+    isBanned(command, host, ctx) {
+        const remaining = this.terminal.trace.getBanRemaining(host);
+        if (remaining === 0) {
+            return false;
+        }
+        const seconds = Math.ceil(remaining / 1000);
+        const { hostname } = host;
+        ctx.stderr.write(t('commands.common.banned', { command, hostname, seconds }), 'error');
+        return true;
     }
 
     /**
-     * Ping host
-     * @param {string[]} args - Command arguments
+     * Tambah noise ke alert level target dan tampilkan respons yang terpicu.
+     * Dipanggil sebelum recordCommandAttempt supaya kegagalan berulang ikut dihitung
+     * @param {Object} host - Target host
+     * @param {string} action - Action name (lihat CONSTANTS.TRACE.NOISE)
+     * @param {Object} ctx - Execution context (stdout, stderr)
+     * @param {boolean} failed - Aksi gagal (lebih berisik)
      */
-    ping(args = []) {
-        // Validate hostname
-        let host = args[0] || 'localhost';
-        if (args.length > 0) {
-            const validated = ValidationUtils.validateString(args[0], {
-                maxLength: 255,
-                pattern: /^[a-zA-Z0-9.-]+$/,
-            });
-            if (!validated) {
-                this.terminal.addLine('Invalid hostname format', 'error');
-                return;
+    raiseAlert(host, action, ctx, failed = false) {
+        const repeats = this.commandRetries.get(action) || 0;
+        const { level, events } = this.terminal.trace.noise(host, action, { failed, repeats });
+        const { BAN_DURATION, TRACE_DURATION } = CONSTANTS.TRACE;
+        const { hostname } = host;
+
+        events.forEach((event) => {
+            if (event === 'honeypot-hit') {
+                ctx.stderr.write(t('commands.alert.honeypotHit', { hostname }), 'error');
+            } else if (event === 'honeypot') {
+                ctx.stdout.write(t('commands.alert.honeypot', { hostname, level }), 'warning');
+            } else if (event === 'ban') {
+                const seconds = BAN_DURATION / 1000;
+                ctx.stderr.write(t('commands.alert.ban', { hostname, seconds }), 'error');
+                this.terminal.addLog(t('commands.alert.banLog', { hostname }), 'warning');
+            } else if (event === 'trace') {
+                const seconds = TRACE_DURATION / 1000;
+                ctx.stderr.write(t('commands.alert.trace', { hostname, seconds }), 'error');
+                ctx.stdout.write(t('commands.alert.traceHint', { hostname }), 'info');
+                this.terminal.addLog(t('commands.alert.traceLog', { hostname }), 'error');
             }
-            host = validated;
+        });
+    }
+
+    /**
+     * Host mission pemilik file (target noise untuk bruteforce dan decrypt)
+     * @param {string} path - File path
+     * @returns {Object|null} Host atau null jika file bukan milik mission dengan network
+     */
+    getFileTarget(path) {
+        const node = this.terminal.fileSystem.getNode(path);
+        if (!node || !node.mission) {
+            return null;
+        }
+        const { hosts } = this.terminal.network.getTopology();
+        return hosts.find((host) => host.missionId === node.mission && !host.honeypot) || null;
+    }
+
+    /**
+     * Exploit vulnerable service untuk mendapatkan shell
+     * @param {string[]} args - Command arguments (target host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal)
+     */
+    async exploit(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = this.resolveTarget('exploit', args[0], ctx);
+        if (!host) return;
+
+        const ports = network.getPorts(host);
+        const port = ctx.flags.port
+            ? ports.find((p) => p.port === ctx.flags.port)
+            : ports.find((p) => p.vulnerability);
+        if (!port || !port.vulnerability) {
+            const where = ctx.flags.port
+                ? t('commands.exploit.port', { port: ctx.flags.port })
+                : host.hostname;
+            ctx.stderr.write(t('commands.exploit.noVulnerability', { where }), 'error');
+            return;
+        }
+        if (port.state !== 'open') {
+            ctx.stderr.write(t('commands.exploit.filtered', { port: port.port }), 'error');
+            ctx.stdout.write(t('commands.exploit.bypassHint', { ip: host.ip }), 'info');
+            return;
         }
-        this.terminal.addLine(`Pinging ${host}...`, 'info');
 
-        setTimeout(() => {
-            const time = Math.floor(Math.random() * 50) + 10;
-            this.terminal.addLine(`Reply from ${host}: time=${time}ms`, 'success');
-        }, 500);
+        this.trackCommandUsage('exploit');
+        const success = this.checkCommandSuccess('exploit');
+        const { vulnerability, service } = port;
+        const target = `${host.ip}:${port.port}`;
+        ctx.stdout.write(t('commands.exploit.launching', { vulnerability, target }), 'info');
+        await delay(600, ctx.signal);
+        ctx.stdout.write(t('commands.exploit.sending', { service }), 'text');
+        await delay(900, ctx.signal);
+
+        if (success) {
+            network.addBreach(host, 'shell');
+            const { hostname, ip } = host;
+            ctx.stdout.write(t('commands.exploit.success', { hostname }), 'success');
+            ctx.stdout.write(t('commands.exploit.connectHint', { ip }), 'info');
+            this.terminal.addLog(t('commands.exploit.log', { service, hostname }), 'success');
+            this.raiseAlert(host, 'exploit', ctx);
+            this.recordCommandAttempt('exploit', true);
+            this.reportMissionEvent('exploit', { host, artifact: 'shell' });
+        } else {
+            ctx.stderr.write(t('commands.exploit.failed'), 'error');
+            ctx.stdout.write(t('commands.common.retry', { command: 'exploit' }), 'info');
+            this.raiseAlert(host, 'exploit', ctx, true);
+            this.recordCommandAttempt('exploit', false);
+        }
     }
 
     /**
-     * Show missions
+     * Bypass firewall host (ICMP dan filtered ports terbuka)
+     * @param {string[]} args - Command arguments (target host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
      */
-    showMissions() {
-        const missions = this.state.get('missions') || [];
-        this.terminal.addLine('Available Missions:', 'info');
-        missions.forEach((mission) => {
-            const status = mission.status === 'active' ? 'ACTIVE' : 'LOCKED';
-            const progress = mission.progress || 0;
-            this.terminal.addLine(`  [${status}] ${mission.title} - ${progress}%`, 'text');
-        });
-        this.terminal.addLine('Type "missions" in sidebar to view details', 'info');
+    async bypass(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = this.resolveTarget('bypass', args[0], ctx);
+        if (!host) return;
+
+        const { hostname } = host;
+        if (!host.firewall) {
+            ctx.stderr.write(t('commands.bypass.noFirewall', { hostname }), 'error');
+            return;
+        }
+        if (!network.isFirewalled(host)) {
+            ctx.stdout.write(t('commands.bypass.already', { hostname }), 'info');
+            return;
+        }
+
+        this.trackCommandUsage('bypass');
+        const success = this.checkCommandSuccess('bypass');
+        ctx.stdout.write(t('commands.bypass.probing', { ip: host.ip }), 'info');
+        await delay(700, ctx.signal);
+        ctx.stdout.write(t('commands.bypass.fragmenting'), 'text');
+        await delay(900, ctx.signal);
+
+        if (!success) {
+            ctx.stderr.write(t('commands.bypass.failed'), 'error');
+            ctx.stdout.write(t('commands.common.retry', { command: 'bypass' }), 'info');
+            this.raiseAlert(host, 'bypass', ctx, true);
+            this.recordCommandAttempt('bypass', false);
+            return;
+        }
+
+        network.addBreach(host, 'firewall');
+        ctx.stdout.write(t('commands.bypass.success', { hostname }), 'success');
+        this.terminal.addLog(t('commands.bypass.log', { hostname }), 'success');
+        this.raiseAlert(host, 'bypass', ctx);
+        this.recordCommandAttempt('bypass', true);
+        this.reportMissionEvent('bypass', { host, artifact: 'firewall' });
+
+        const { BADGE_THRESHOLDS } = CONSTANTS.NETWORK;
+        if (network.countBreaches('firewall') >= BADGE_THRESHOLDS.firewall_master) {
+            BadgeSystem.unlockBadge('firewall_master', this.state);
+        }
     }
 
     /**
-     * Show logs
+     * Phishing campaign terhadap users di host, hasilnya credentials di ~/loot
+     * @param {string[]} args - Command arguments (target host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal)
      */
-    showLogs() {
-        const logs = this.state.get('logs') || [];
-        this.terminal.addLine('Recent System Logs:', 'info');
-        const recentLogs = logs.slice(-5);
-        recentLogs.forEach((log) => {
-            this.terminal.addLine(`  [${log.level}] ${log.message}`, 'text');
-        });
+    async phish(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = this.resolveTarget('phish', args[0], ctx);
+        if (!host) return;
+
+        const { hostname } = host;
+        const users = host.users || [];
+        if (users.length === 0) {
+            ctx.stderr.write(t('commands.phish.noMailboxes', { hostname }), 'error');
+            return;
+        }
+
+        const lure = ctx.flags.lure;
+        if (!CONSTANTS.NETWORK.PHISH_LURES.includes(lure)) {
+            const lures = CONSTANTS.NETWORK.PHISH_LURES.join(', ');
+            ctx.stderr.write(t('commands.phish.invalidLure', { lure, lures }), 'error');
+            return;
+        }
+
+        this.trackCommandUsage('phish');
+        ctx.stdout.write(t('commands.phish.sending', { lure, count: users.length }), 'info');
+        await delay(800, ctx.signal);
+        ctx.stdout.write(t('commands.phish.waiting'), 'text');
+        await delay(1200, ctx.signal);
+
+        // Lure yang cocok dengan kebiasaan user menaikkan peluang
+        const victim = users.find((user) => user.lure === lure);
+        const bonus = victim ? CONSTANTS.NETWORK.PHISH_LURE_BONUS : 0;
+        const successRate = Math.min(1.0, this.calculateSuccessRate('phish') + bonus);
+        const success = this.terminal.random.stream('commands').chance(successRate);
+        if (!success) {
+            ctx.stderr.write(t('commands.phish.failed'), 'error');
+            ctx.stdout.write(t('commands.phish.lureHint'), 'info');
+            this.raiseAlert(host, 'phish', ctx, true);
+            this.recordCommandAttempt('phish', false);
+            return;
+        }
+
+        const user = victim || users[0];
+        const secret = NetworkModel.getPassword(user);
+        const path = `~/loot/${hostname}.creds`;
+        try {
+            const fileSystem = this.getFileSystem(ctx);
+            fileSystem.makeDirectory('~/loot', { parents: true });
+            fileSystem.writeFile(path, `${user.name}:${secret}`);
+        } catch (error) {
+            ctx.stderr.write(`phish: ${path}: ${error.message}`, 'error');
+            return;
+        }
+
+        network.addBreach(host, 'credentials');
+        ctx.stdout.write(t('commands.phish.success', { email: user.email }), 'success');
+        ctx.stdout.write(t('commands.phish.saved', { path }), 'info');
+        this.terminal.addLog(t('commands.phish.log', { hostname }), 'success');
+        this.raiseAlert(host, 'phish', ctx);
+        this.recordCommandAttempt('phish', true);
+        this.reportMissionEvent('phish', { host, file: path, artifact: 'credentials' });
     }
 
     /**
-     * Show user info
+     * Intercept traffic host (man-in-the-middle), hasilnya disimpan di ~/captures
+     * @param {string[]} args - Command arguments (target host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal)
      */
-    whoami() {
-        const level = this.state.get('level') || 1;
-        const xp = this.state.get('xp') || 0;
-        const completedMissions = this.state.get('completedMissions') || 0;
+    async intercept(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = this.resolveTarget('intercept', args[0], ctx);
+        if (!host) return;
+
+        this.trackCommandUsage('intercept');
+        ctx.stdout.write(t('commands.intercept.poisoning', { ip: host.ip }), 'info');
+        await delay(600, ctx.signal);
+
+        if (!this.checkCommandSuccess('intercept')) {
+            ctx.stderr.write(t('commands.intercept.failed'), 'error');
+            ctx.stdout.write(t('commands.common.retry', { command: 'intercept' }), 'info');
+            this.raiseAlert(host, 'intercept', ctx, true);
+            this.recordCommandAttempt('intercept', false);
+            return;
+        }
+
+        const messages = network.getTraffic(host).slice(0, ctx.flags.count);
+        if (messages.length === 0) {
+            ctx.stdout.write(t('commands.intercept.empty', { hostname: host.hostname }), 'warning');
+            this.raiseAlert(host, 'intercept', ctx);
+            return;
+        }
+
+        const lines = [];
+        for (const message of messages) {
+            await delay(CONSTANTS.NETWORK.INTERCEPT_DELAY, ctx.signal);
+            const route = `${message.from} → ${message.to}:${message.port}`;
+            const line = `[${message.protocol}] ${route} ${message.payload}`;
+            lines.push(line);
+            ctx.stdout.write(line, 'text');
+        }
+
+        const path = `~/captures/${host.hostname}.log`;
+        try {
+            const fileSystem = this.getFileSystem(ctx);
+            fileSystem.makeDirectory('~/captures', { parents: true });
+            fileSystem.writeFile(path, lines.join('\n'), { append: true });
+        } catch (error) {
+            ctx.stderr.write(`intercept: ${path}: ${error.message}`, 'error');
+            return;
+        }
+
+        const total = (this.state.get('interceptedMessages') || 0) + lines.length;
+        this.state.set('interceptedMessages', total);
+        if (total >= CONSTANTS.NETWORK.BADGE_THRESHOLDS.interceptor_badge) {
+            BadgeSystem.unlockBadge('interceptor_badge', this.state);
+        }
 
-        this.terminal.addLine('soft-hacker', 'text');
-        this.terminal.addLine('Role: Elite Hacker', 'text');
-        this.terminal.addLine(`Level: ${level}`, 'text');
-        this.terminal.addLine(`XP: ${xp}`, 'text');
-        this.terminal.addLine(`Missions Completed: ${completedMissions}`, 'text');
+        const count = lines.length;
+        ctx.stdout.write(t('commands.intercept.success', { count, path }), 'success');
+        const log = t('commands.intercept.log', { count, hostname: host.hostname });
+        this.terminal.addLog(log, 'info');
+        this.raiseAlert(host, 'intercept', ctx);
+        this.recordCommandAttempt('intercept', true);
+        this.reportMissionEvent('intercept', { host, file: path, artifact: 'capture' });
     }
 
     /**
-     * Show date
+     * Capture packets dari traffic hosts yang sudah ditemukan dan bisa dijangkau.
+     * Capture terakhir disimpan di terminal untuk --packet (hex dump) dan --follow
+     * @param {string[]} args - Filter expression words
+     * @param {Object} ctx - Execution context (stdout, stderr, flags, signal)
      */
-    showDate() {
-        const now = new Date();
-        this.terminal.addLine(now.toLocaleString('id-ID'), 'text');
+    async sniff(args = [], ctx = this.createContext()) {
+        const { packet: packetNo, follow } = ctx.flags;
+        if (packetNo !== undefined || follow !== undefined) {
+            this.inspectCapture(ctx);
+            return;
+        }
+
+        const network = this.terminal.network;
+        const known = network.getKnownHosts();
+        const hosts = known
+            .map((ip) => network.findHost(ip))
+            .filter((host) => host && network.isReachable(host));
+        if (hosts.length === 0) {
+            ctx.stderr.write(t('commands.sniff.noHosts'), 'error');
+            return;
+        }
+
+        const findHost = (address) => network.findHost(address);
+        let filter;
+        try {
+            filter = PacketCapture.parseFilter(args.join(' '), findHost);
+        } catch (error) {
+            ctx.stderr.write(`sniff: ${error.message}`, 'error');
+            return;
+        }
+
+        this.trackCommandUsage('sniff');
+        const traffic = hosts.flatMap((host) => network.getTraffic(host));
+        const packets = PacketCapture.build(traffic, findHost)
+            .filter(filter)
+            .slice(0, ctx.flags.count);
+
+        const listening = args.length > 0
+            ? t('commands.sniff.listeningFilter', { filter: args.join(' ') })
+            : t('commands.sniff.listening');
+        ctx.stdout.write(listening, 'info');
+
+        for (const packet of packets) {
+            await delay(CONSTANTS.SNIFF.PACKET_DELAY, ctx.signal);
+            ctx.stdout.write(PacketCapture.summary(packet), 'text');
+            if (ctx.flags.hex) {
+                PacketCapture.hexdump(packet.bytes).forEach((line) => {
+                    ctx.stdout.write(`      ${line}`, 'text');
+                });
+            }
+        }
+
+        this.terminal.capture = packets;
+        if (packets.length === 0) {
+            ctx.stdout.write(t('commands.sniff.empty'), 'warning');
+            return;
+        }
+
+        const streams = new Set(packets.map((packet) => packet.stream)).size;
+        const count = packets.length;
+        ctx.stdout.write(t('commands.sniff.captured', { count, streams }), 'success');
+        ctx.stdout.write(t('commands.sniff.inspectHint'), 'info');
+        this.terminal.addLog(t('commands.sniff.log', { count }), 'info');
+        this.reportMissionEvent('sniff', { args, artifact: 'packets' });
+    }
+
+    /**
+     * Inspect capture terakhir: hex dump satu packet atau reassembled stream
+     * @param {Object} ctx - Execution context (stdout, stderr, flags)
+     */
+    inspectCapture(ctx) {
+        const capture = this.terminal.capture || [];
+        if (capture.length === 0) {
+            ctx.stderr.write(t('commands.sniff.noCapture'), 'error');
+            return;
+        }
+
+        if (ctx.flags.follow !== undefined) {
+            const stream = ctx.flags.follow;
+            const turns = PacketCapture.follow(capture, stream);
+            if (turns.length === 0) {
+                ctx.stderr.write(t('commands.sniff.noStream', { stream }), 'error');
+                return;
+            }
+            const [{ from, to }] = turns;
+            ctx.stdout.write(t('commands.sniff.following', { stream, from, to }), 'info');
+            turns.forEach((turn) => {
+                ctx.stdout.write(`>>> ${turn.from}`, 'info');
+                ctx.stdout.write(turn.text, 'text');
+            });
+            return;
+        }
+
+        const packet = capture.find((p) => p.no === ctx.flags.packet);
+        if (!packet) {
+            ctx.stderr.write(t('commands.sniff.noPacket', { packet: ctx.flags.packet }), 'error');
+            return;
+        }
+        const { no, stream } = packet;
+        const field = (label, value) => {
+            ctx.stdout.write(`  ${`${t(`commands.sniff.${label}`)}:`.padEnd(13)}${value}`, 'text');
+        };
+        ctx.stdout.write(t('commands.sniff.packet', { no, stream }), 'info');
+        field('source', `${packet.src}:${packet.sport}`);
+        field('destination', `${packet.dst}:${packet.dport}`);
+        field('protocol', `TCP/${packet.protocol}`);
+        field('seq', `${packet.seq}  ${t('commands.sniff.length')}: ${packet.bytes.length}`);
+        PacketCapture.hexdump(packet.bytes).forEach((line) => ctx.stdout.write(line, 'text'));
+    }
+
+    /**
+     * Brute force attack terhadap SHA-256 hashes (dictionary, mask atau hybrid)
+     * Durasi disimulasikan dari keyspace, hack speed mini-game mempercepatnya
+     * @param {string[]} args - Command arguments (target file, default password.hash)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal)
+     */
+    async bruteforce(args = [], ctx = this.createContext()) {
+        try {
+            const target = args[0] || 'password.hash';
+            if (!this.requireEncryptedFile('bruteforce', target, ctx)) {
+                return;
+            }
+
+            const hashes = PasswordCracker.parseHashes(this.getFileSystem(ctx).readFile(target));
+            if (hashes.length === 0) {
+                ctx.stderr.write(t('commands.bruteforce.noHashes', { target }), 'error');
+                return;
+            }
+
+            const attack = this.createAttack(ctx);
+            if (!attack) {
+                return;
+            }
+
+            this.trackCommandUsage('bruteforce');
+
+            ctx.stdout.write(t('commands.bruteforce.init'), 'info');
+            const count = hashes.length;
+            ctx.stdout.write(t('commands.bruteforce.target', { target, count }), 'text');
+            ctx.stdout.write(t('commands.bruteforce.mode', { mode: attack.mode }), 'text');
+            const keyspace = attack.keyspace.toLocaleString(i18n.getIntlLocale());
+            ctx.stdout.write(t('commands.bruteforce.keyspace', { keyspace }), 'text');
+
+            // Show hack speed optimization mini-game (background jobs pakai speed normal)
+            let hackSpeed = 1;
+            if (ctx.interactive !== false) {
+                ctx.stdout.write(t('commands.bruteforce.optimize'), 'info');
+                hackSpeed = await MiniGames.optimizeHackSpeed(
+                    this.terminal.random.stream('minigames')
+                );
+            }
+
+            const { HASH_RATE, PROGRESS_STEPS } = CONSTANTS.CRYPTO;
+            const duration = (attack.keyspace / HASH_RATE) * 1000 / hackSpeed;
+            const speed = hackSpeed.toFixed(2);
+            const seconds = (duration / 1000).toFixed(1);
+            ctx.stdout.write(t('commands.bruteforce.speed', { speed }), 'info');
+            ctx.stdout.write(t('commands.bruteforce.estimate', { seconds }), 'info');
+
+            const remaining = new Map(hashes.map(({ user, hash }) => [hash, user]));
+            const recovered = [];
+            const chunk = Math.ceil(attack.keyspace / PROGRESS_STEPS);
+            const progress = ctx.stdout.progress(t('commands.bruteforce.progress'));
+
+            for (let start = 0; start < attack.keyspace && remaining.size > 0; start += chunk) {
+                const end = Math.min(start + chunk, attack.keyspace);
+                const hashingStart = Date.now();
+                for (let i = start; i < end && remaining.size > 0; i++) {
+                    // Ctrl+C / kill langsung berlaku, tidak menunggu chunk selesai
+                    if (ctx.signal && ctx.signal.aborted) {
+                        throw ctx.signal.reason;
+                    }
+                    const candidate = attack.candidateAt(i);
+                    const hash = await PasswordCracker.sha256(candidate);
+                    if (remaining.has(hash)) {
+                        recovered.push({ user: remaining.get(hash), password: candidate });
+                        remaining.delete(hash);
+                    }
+                }
+
+                // Waktu hashing yang sebenarnya sudah termasuk dalam simulated duration
+                const budget = ((end - start) / attack.keyspace) * duration;
+                await delay(Math.max(0, budget - (Date.now() - hashingStart)), ctx.signal);
+                progress.update((end / attack.keyspace) * 100);
+            }
+
+            const owner = this.getFileTarget(target);
+            if (owner) {
+                this.raiseAlert(owner, 'bruteforce', ctx, recovered.length === 0);
+            }
+
+            if (recovered.length > 0) {
+                ctx.stdout.write(t('commands.bruteforce.granted'), 'success');
+                recovered.forEach(({ user, password }) => {
+                    const message = t('commands.bruteforce.recovered', { user, password });
+                    ctx.stdout.write(message, 'success');
+                });
+                const [first] = recovered;
+                const verify = Markup.link(`verify ${target} ${first.password}`, 'verify');
+                ctx.stdout.write(t('commands.bruteforce.submitHint', { verify, target }), 'info');
+                this.terminal.addLog(t('commands.bruteforce.log'), 'success');
+                eventBus.emit('toast:show', {
+                    message: t('commands.bruteforce.toast'),
+                    type: 'success',
+                });
+
+                this.recordCommandAttempt('bruteforce', true);
+                this.reportMissionEvent('bruteforce', { file: target, artifact: 'password' });
+            } else {
+                ctx.stderr.write(t('commands.bruteforce.failed'), 'error');
+                ctx.stdout.write(t('commands.bruteforce.exhausted'), 'warning');
+                ctx.stdout.write(t('commands.bruteforce.exhaustedHint'), 'info');
+
+                this.recordCommandAttempt('bruteforce', false);
+            }
+        } catch (error) {
+            if (ctx.signal && ctx.signal.aborted) throw error;
+            ctx.stderr.write(t('commands.bruteforce.error'), 'error');
+            ctx.stdout.write(t('commands.common.tryAgain'), 'info');
+            this.recordCommandAttempt('bruteforce', false);
+            console.error('Bruteforce error:', error);
+        }
+    }
+
+    /**
+     * Buat attack dari flags --wordlist dan --mask (default: starter wordlist)
+     * @param {Object} ctx - Execution context (stderr, flags)
+     * @returns {Object|null} Attack (mode, keyspace, candidateAt), null jika gagal
+     */
+    createAttack(ctx) {
+        const { wordlist, mask } = ctx.flags;
+        const name = wordlist || (mask ? null : PasswordCracker.STARTER_WORDLIST);
+        const list = name ? this.loadWordlist(name, ctx) : null;
+        if (name && !list) {
+            return null;
+        }
+
+        let attack;
+        try {
+            attack = PasswordCracker.createAttack({ words: list && list.words, mask });
+        } catch (error) {
+            ctx.stderr.write(`bruteforce: ${error.message}`, 'error');
+            return null;
+        }
+
+        const { MAX_KEYSPACE } = CONSTANTS.CRYPTO;
+        if (attack.keyspace > MAX_KEYSPACE) {
+            const size = attack.keyspace.toLocaleString(i18n.getIntlLocale());
+            ctx.stderr.write(t('commands.bruteforce.tooLarge', { size }), 'error');
+            ctx.stdout.write(t('commands.bruteforce.tooLargeHint'), 'info');
+            return null;
+        }
+
+        attack.mode = [list && `wordlist ${list.label}`, mask && `mask ${mask}`]
+            .filter(Boolean)
+            .join(' + ');
+        return attack;
+    }
+
+    /**
+     * Load wordlist dari file, atau dari inventory berdasarkan nama (pets, pets.lst)
+     * @param {string} name - File path atau wordlist name
+     * @param {Object} ctx - Execution context (stderr)
+     * @returns {{label: string, words: string[]}|null} Wordlist, null jika tidak ditemukan
+     */
+    loadWordlist(name, ctx) {
+        const fileSystem = this.terminal.fileSystem;
+        let words = null;
+
+        const node = fileSystem.getNode(name);
+        const itemId = PasswordCracker.findWordlist(name);
+        if (node && node.type !== 'dir') {
+            words = PasswordCracker.parseWordlist(node.content);
+        } else if (itemId) {
+            if (!PasswordCracker.getOwnedWordlists(this.state).includes(itemId)) {
+                ctx.stderr.write(t('commands.bruteforce.notOwned', { name }), 'error');
+                return null;
+            }
+            words = PasswordCracker.WORDLISTS[itemId].words;
+        } else {
+            const params = { command: 'bruteforce', path: name };
+            ctx.stderr.write(t('commands.common.noSuchFile', params), 'error');
+            return null;
+        }
+
+        if (words.length === 0) {
+            ctx.stderr.write(t('commands.bruteforce.emptyWordlist', { name }), 'error');
+            return null;
+        }
+        const label = node ? name : PasswordCracker.WORDLISTS[itemId].name;
+        return { label, words };
+    }
+
+    /**
+     * Verify recovered password terhadap hash file
+     * @param {string[]} args - Command arguments (hash file, password)
+     * @param {Object} ctx - Execution context (stdout, stderr)
+     */
+    async verifyPassword(args = [], ctx = this.createContext()) {
+        const [target, password] = args;
+        if (!this.requireEncryptedFile('verify', target, ctx)) {
+            return;
+        }
+
+        const hashes = PasswordCracker.parseHashes(this.getFileSystem(ctx).readFile(target));
+        const hash = await PasswordCracker.sha256(password);
+        const match = hashes.find((entry) => entry.hash === hash);
+
+        if (!match) {
+            ctx.stderr.write(t('commands.verify.mismatch', { target }), 'error');
+            return;
+        }
+
+        ctx.stdout.write(t('commands.verify.success', { user: match.user }), 'success');
+        this.terminal.addLog(t('commands.verify.log', { target }), 'success');
+        eventBus.emit('toast:show', {
+            message: t('commands.verify.toast'),
+            type: 'success',
+        });
+        this.reportMissionEvent('verify', { args, file: target });
+    }
+
+    /**
+     * Collect item (misal wordlist) dari file ke inventory
+     * @param {string[]} args - Command arguments (file)
+     * @param {Object} ctx - Execution context (stdout, stderr)
+     */
+    collect(args = [], ctx = this.createContext()) {
+        const [path] = args;
+        const node = this.terminal.fileSystem.getNode(path);
+        if (!node) {
+            const params = { command: 'collect', path };
+            ctx.stderr.write(t('commands.common.noSuchFile', params), 'error');
+            return;
+        }
+
+        const wordlist = PasswordCracker.WORDLISTS[node.item];
+        if (!wordlist) {
+            ctx.stderr.write(t('commands.collect.nothing', { path }), 'error');
+            return;
+        }
+
+        const { name } = wordlist;
+        if (!RewardSystem.unlockItem(node.item, this.state)) {
+            ctx.stdout.write(t('commands.collect.owned', { name }), 'info');
+            return;
+        }
+        ctx.stdout.write(t('commands.collect.success', { name }), 'success');
+        ctx.stdout.write(t('commands.collect.hint', { name }), 'info');
+        this.terminal.addLog(t('commands.collect.log', { name }), 'success');
+    }
+
+    /**
+     * Show inventory (wordlists dan unlocked items)
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    showInventory(args, ctx = this.createContext()) {
+        const rows = PasswordCracker.getOwnedWordlists(this.state).map((id) => {
+            const { name, words } = PasswordCracker.WORDLISTS[id];
+            const description = t(`commands.inventory.wordlists.${id}`);
+            const count = words.length;
+            return [name, 'wordlist', t('commands.inventory.words', { description, count })];
+        });
+
+        const rewards = Object.values(RewardSystem.MILESTONE_REWARDS);
+        RewardSystem.getUnlockedItems(this.state).forEach((id) => {
+            const reward = rewards.find((milestone) => milestone.item === id);
+            if (reward) {
+                rows.push([reward.name, 'item', RewardSystem.localize(reward).description]);
+            }
+        });
+
+        const headers = ['name', 'type', 'description'].map((column) =>
+            t(`commands.inventory.columns.${column}`)
+        );
+        ctx.stdout.write(t('commands.inventory.title'), 'info');
+        ctx.stdout.table(rows, { headers });
+    }
+
+    /**
+     * Decrypt cipher puzzle: tanpa candidate menampilkan analisa ciphertext,
+     * dengan candidate plaintext (--plaintext atau stdin) mencocokkan hasilnya
+     * @param {string[]} args - Command arguments (target file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal)
+     */
+    async decrypt(args = [], ctx = this.createContext()) {
+        // Sanitize filename
+        const file = SecurityUtils.sanitizeInput(args[0]);
+        if (!this.requireEncryptedFile('decrypt', file, ctx)) {
+            return;
+        }
+
+        const node = this.getFileSystem(ctx).getNode(file);
+        if (!node.cipher) {
+            ctx.stderr.write(t('commands.decrypt.oneWay', { file }), 'error');
+            ctx.stdout.write(t('commands.decrypt.bruteforceHint', { file }), 'info');
+            return;
+        }
+
+        this.trackCommandUsage('decrypt');
+        const candidate = ctx.flags.plaintext || (ctx.stdin || []).join('\n');
+
+        if (!candidate.trim()) {
+            ctx.stdout.write(t('commands.decrypt.analyzing', { file }), 'info');
+            await delay(500, ctx.signal);
+            const cipher = Ciphers.identify(node.content);
+            ctx.stdout.write(t('commands.decrypt.detected', { cipher }), 'text');
+            const layers = node.cipher.layers.length;
+            if (layers > 1) {
+                ctx.stdout.write(t('commands.decrypt.layers', { layers }), 'text');
+            }
+            ctx.stdout.write(t('commands.decrypt.tools'), 'info');
+            ctx.stdout.write(t('commands.decrypt.submitHint', { file }), 'info');
+            this.reportMissionEvent('decrypt', { file, artifact: 'analysis' });
+            return;
+        }
+
+        ctx.stdout.write(t('commands.decrypt.verifying', { file }), 'info');
+        await delay(500, ctx.signal);
+
+        if (Ciphers.normalize(candidate) === Ciphers.normalize(node.cipher.plaintext)) {
+            ctx.stdout.write(t('commands.decrypt.bypassed'), 'success');
+            ctx.stdout.write(t('commands.decrypt.success'), 'success');
+            this.terminal.addLog(t('commands.decrypt.log', { file }), 'success');
+            eventBus.emit('toast:show', {
+                message: t('commands.decrypt.toast'),
+                type: 'success',
+            });
+
+            this.recordCommandAttempt('decrypt', true);
+            this.reportMissionEvent('decrypt', { file, artifact: 'plaintext' });
+        } else {
+            const retries = this.commandRetries.get('decrypt') || 0;
+            const attempts = { count: retries + 1, max: CONSTANTS.COMMAND.MAX_RETRIES };
+            ctx.stderr.write(t('commands.decrypt.failed'), 'error');
+            ctx.stdout.write(t('commands.decrypt.mismatch'), 'warning');
+            ctx.stdout.write(t('commands.decrypt.retries', attempts), 'info');
+
+            const owner = this.getFileTarget(file);
+            if (owner) {
+                this.raiseAlert(owner, 'decrypt', ctx, true);
+            }
+            this.recordCommandAttempt('decrypt', false);
+        }
+    }
+
+    /**
+     * Baca input untuk text tools: dari file jika diberikan, selain itu dari stdin
+     * @param {string} command - Command name untuk error message
+     * @param {string|undefined} path - Optional file path
+     * @param {Object} ctx - Execution context (stdin, stderr)
+     * @returns {string|null} Text, atau null jika gagal (error sudah ditulis)
+     */
+    readInput(command, path, ctx) {
+        if (!path) {
+            return (ctx.stdin || []).join('\n');
+        }
+        try {
+            return this.getFileSystem(ctx).readFile(path);
+        } catch (error) {
+            ctx.stderr.write(`${command}: ${path}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Tulis multi-line text ke stdout
+     * @param {string} text - Text
+     * @param {Object} ctx - Execution context (stdout)
+     */
+    writeText(text, ctx) {
+        text.split('\n').forEach((line) => ctx.stdout.write(line, 'text'));
+    }
+
+    /**
+     * Letter frequency analysis
+     * @param {string[]} args - Command arguments (optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    frequency(args = [], ctx = this.createContext()) {
+        const text = this.readInput('freq', args[0], ctx);
+        if (text === null) return;
+
+        const frequencies = Ciphers.frequencies(text);
+        if (frequencies.length === 0) {
+            ctx.stderr.write(t('commands.freq.empty'), 'error');
+            return;
+        }
+
+        frequencies.forEach(({ letter, count, percent }) => {
+            const bar = '█'.repeat(Math.round(percent / 2));
+            const share = `${percent.toFixed(1).padStart(5)}%`;
+            ctx.stdout.write(`${letter}  ${String(count).padStart(4)}  ${share}  ${bar}`, 'text');
+        });
+        const ic = Ciphers.indexOfCoincidence(text).toFixed(3);
+        ctx.stdout.write(t('commands.freq.ic', { ic }), 'info');
+        ctx.stdout.write(t('commands.freq.order', { order: Ciphers.ENGLISH_ORDER }), 'info');
+    }
+
+    /**
+     * Caesar shift (--all menampilkan semua 25 kemungkinan)
+     * @param {string[]} args - Command arguments (shift, optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags)
+     */
+    shift(args = [], ctx = this.createContext()) {
+        const [amount, path] = ctx.flags.all ? [null, args[0]] : args;
+        if (!ctx.flags.all && !/^\d+$/.test(amount || '')) {
+            ctx.stderr.write(t('commands.shift.invalid'), 'error');
+            return;
+        }
+
+        const text = this.readInput('shift', path, ctx);
+        if (text === null) return;
+
+        if (ctx.flags.all) {
+            for (let n = 1; n < 26; n++) {
+                ctx.stdout.write(`${String(n).padStart(2)}: ${Ciphers.caesar(text, n)}`, 'text');
+            }
+            return;
+        }
+        this.writeText(Ciphers.caesar(text, Number(amount)), ctx);
+    }
+
+    /**
+     * XOR hex input dengan single-byte key (--brute mencoba semua key)
+     * @param {string[]} args - Command arguments (key, optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags)
+     */
+    xor(args = [], ctx = this.createContext()) {
+        const [keyArg, path] = ctx.flags.brute ? [null, args[0]] : args;
+        const key = Number(keyArg);
+        if (!ctx.flags.brute && (!keyArg || !Number.isInteger(key) || key < 0 || key > 255)) {
+            ctx.stderr.write(t('commands.xor.invalid'), 'error');
+            return;
+        }
+
+        const text = this.readInput('xor', path, ctx);
+        if (text === null) return;
+
+        try {
+            if (!ctx.flags.brute) {
+                this.writeText(Ciphers.xorDecode(text, key), ctx);
+                return;
+            }
+
+            const candidates = [];
+            for (let k = 1; k < 256; k++) {
+                const plaintext = Ciphers.xorDecode(text, k);
+                candidates.push({ key: k, plaintext, score: Ciphers.englishScore(plaintext) });
+            }
+            candidates
+                .filter((candidate) => candidate.score > -Infinity)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CONSTANTS.CRYPTO.XOR_BRUTE_RESULTS)
+                .forEach(({ key: k, plaintext }) => {
+                    const hex = `0x${k.toString(16).padStart(2, '0')}`;
+                    ctx.stdout.write(`${hex} (${String(k).padStart(3)}): ${plaintext}`, 'text');
+                });
+        } catch (error) {
+            ctx.stderr.write(`xor: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Base64 encode/decode
+     * @param {string[]} args - Command arguments (optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.decode)
+     */
+    base64(args = [], ctx = this.createContext()) {
+        const text = this.readInput('base64', args[0], ctx);
+        if (text === null) return;
+
+        try {
+            const output = ctx.flags.decode
+                ? Ciphers.base64Decode(text)
+                : Ciphers.base64Encode(text);
+            this.writeText(output, ctx);
+        } catch (error) {
+            ctx.stderr.write(`base64: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Vigenère encode/decode
+     * @param {string[]} args - Command arguments (key, optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.decode)
+     */
+    vigenere(args = [], ctx = this.createContext()) {
+        const text = this.readInput('vigenere', args[1], ctx);
+        if (text === null) return;
+
+        try {
+            this.writeText(Ciphers.vigenere(text, args[0], ctx.flags.decode), ctx);
+        } catch (error) {
+            ctx.stderr.write(`vigenere: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Substitution dengan mapping parsial (cipher=plain), huruf yang belum
+     * di-map ditampilkan uppercase supaya mudah dibedakan
+     * @param {string[]} args - Command arguments (mapping, optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    substitute(args = [], ctx = this.createContext()) {
+        const match = /^([a-z]+)=([a-z]+)$/i.exec(args[0]);
+        if (!match || match[1].length !== match[2].length) {
+            ctx.stderr.write(t('commands.subst.invalid'), 'error');
+            return;
+        }
+
+        const text = this.readInput('subst', args[1], ctx);
+        if (text === null) return;
+
+        const [, from, to] = match;
+        const mapped = new Set(from.toLowerCase());
+        const marked = text.toLowerCase().replace(/[a-z]/g, (char) =>
+            mapped.has(char) ? char : char.toUpperCase()
+        );
+        this.writeText(Ciphers.substitute(marked, from, to), ctx);
+    }
+
+    /**
+     * Check bahwa target file ada, terenkripsi dan boleh dibaca (privilege ikut ctx)
+     * @param {string} command - Command name untuk error message
+     * @param {string} path - Target file path
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, privilege)
+     * @returns {boolean} True jika file valid sebagai target
+     */
+    requireEncryptedFile(command, path, ctx = this.createContext()) {
+        const fileSystem = this.getFileSystem(ctx);
+        const node = fileSystem.getNode(path);
+        if (!node) {
+            ctx.stderr.write(t('commands.common.noSuchFile', { command, path }), 'error');
+            ctx.stderr.write(t('commands.common.lsHint'), 'info');
+            return false;
+        }
+        if (node.type === 'dir') {
+            ctx.stderr.write(t('commands.common.isDirectory', { command, path }), 'error');
+            return false;
+        }
+        try {
+            fileSystem.checkAccess(node);
+        } catch (error) {
+            ctx.stderr.write(`${command}: ${path}: ${error.message}`, 'error');
+            return false;
+        }
+        if (!node.encrypted) {
+            ctx.stderr.write(t('commands.common.notEncrypted', { command, path }), 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * List directory contents
+     * @param {string[]} args - Command arguments (paths)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    listFiles(args = [], ctx = this.createContext()) {
+        const fileSystem = this.getFileSystem(ctx);
+        const paths = args.length > 0 ? args : ['.'];
+
+        paths.forEach((path) => {
+            try {
+                const entries = fileSystem.list(path);
+                if (paths.length > 1) {
+                    ctx.stdout.write(`${path}:`, 'info');
+                }
+                entries.forEach((entry) => {
+                    if (entry.type === 'dir') {
+                        ctx.stdout.write(`${entry.name}/`, 'info');
+                    } else {
+                        ctx.stdout.write(entry.name, 'text');
+                    }
+                });
+            } catch (error) {
+                ctx.stderr.write(`ls: ${path}: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Change current directory
+     * @param {string[]} args - Command arguments (target path)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    changeDirectory(args = [], ctx = this.createContext()) {
+        try {
+            this.terminal.fileSystem.changeDirectory(args[0] || '~');
+            this.terminal.updatePrompt();
+        } catch (error) {
+            ctx.stderr.write(`cd: ${args[0]}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Print current working directory
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    printWorkingDirectory(args, ctx = this.createContext()) {
+        ctx.stdout.write(this.terminal.fileSystem.cwd, 'text');
+    }
+
+    /**
+     * Print file contents (atau stdin jika tanpa arguments)
+     * @param {string[]} args - Command arguments (file paths)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    catFiles(args = [], ctx = this.createContext()) {
+        // Tanpa arguments, teruskan stdin (misal: scan | cat)
+        if (args.length === 0) {
+            (ctx.stdin || []).forEach((line) => ctx.stdout.write(line, 'text'));
+            return;
+        }
+
+        args.forEach((path) => {
+            try {
+                const content = this.getFileSystem(ctx).readFile(path);
+                content.split('\n').forEach((line) => {
+                    ctx.stdout.write(line, 'text');
+                });
+            } catch (error) {
+                ctx.stderr.write(`cat: ${path}: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Edit file di editor overlay (file yang belum ada dibuat saat save)
+     * @param {string[]} args - Command arguments (file path)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
+     */
+    async editFile(args = [], ctx = this.createContext()) {
+        const [path] = args;
+        if (ctx.interactive === false) {
+            const params = { command: 'edit', what: t('commands.edit.editorName') };
+            ctx.stderr.write(t('commands.common.foreground', params), 'error');
+            return;
+        }
+
+        const fileSystem = this.getFileSystem(ctx);
+        let content = '';
+        if (fileSystem.exists(path)) {
+            try {
+                content = fileSystem.readFile(path);
+            } catch (error) {
+                ctx.stderr.write(`edit: ${path}: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        this.trackCommandUsage('edit');
+        const editor = new TextEditor(fileSystem, path, content);
+        const result = await editor.open(this.terminal.body.parentElement, ctx.signal);
+        this.terminal.focus();
+
+        if (result.saved) {
+            const key = result.lines === 1 ? 'commands.edit.savedLine' : 'commands.edit.saved';
+            ctx.stdout.write(t(key, { path, count: result.lines }), 'success');
+        }
+    }
+
+    /**
+     * Baca input untuk text utilities: setiap file terpisah, atau stdin jika tanpa files
+     * @param {string} command - Command name untuk error message
+     * @param {string[]} paths - File paths
+     * @param {Object} ctx - Execution context (stdin, stderr)
+     * @returns {Array<{name: string|null, lines: string[]}>} Sources yang bisa dibaca
+     *   (name null untuk stdin)
+     */
+    readSources(command, paths, ctx) {
+        if (paths.length === 0) {
+            return [{ name: null, lines: ctx.stdin || [] }];
+        }
+        return paths
+            .map((path) => {
+                const text = this.readInput(command, path, ctx);
+                return text === null ? null : { name: path, lines: TextTools.splitLines(text) };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Baca semua input text utilities sebagai satu daftar lines
+     * @param {string} command - Command name untuk error message
+     * @param {string[]} paths - File paths
+     * @param {Object} ctx - Execution context (stdin, stderr)
+     * @returns {string[]} Lines
+     */
+    readLines(command, paths, ctx) {
+        return this.readSources(command, paths, ctx).flatMap(({ lines }) => lines);
+    }
+
+    /**
+     * Cari lines yang cocok dengan pattern
+     * @param {string[]} args - Command arguments (pattern, optional files)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr,
+     *   flags.ignoreCase/invert/lineNumber/count/fixed)
+     */
+    grep(args = [], ctx = this.createContext()) {
+        const [pattern, ...paths] = args;
+        const { ignoreCase, invert, lineNumber, count, fixed } = ctx.flags || {};
+        let matcher;
+        try {
+            matcher = TextTools.createMatcher(pattern, { ignoreCase, fixed });
+        } catch (error) {
+            ctx.stderr.write(`grep: ${error.message}`, 'error');
+            return;
+        }
+
+        const sources = this.readSources('grep', paths, ctx);
+        const matched = [];
+        sources.forEach(({ name, lines }) => {
+            const matches = TextTools.grep(lines, pattern, { ignoreCase, invert, fixed });
+            const prefix = name && sources.length > 1 ? `${name}:` : '';
+            if (matches.length > 0) {
+                matched.push(name);
+            }
+
+            if (count) {
+                ctx.stdout.write(`${prefix}${matches.length}`, 'text');
+                return;
+            }
+            matches.forEach(({ number, line }) => {
+                const highlight = (match) => (match ? Markup.color('red', match) : match);
+                const text = invert ? line : line.replace(matcher, highlight);
+                ctx.stdout.write(`${prefix}${lineNumber ? `${number}:` : ''}${text}`, 'text');
+            });
+        });
+
+        if (matched.length > 0) {
+            this.trackCommandUsage('grep');
+        }
+        // Satu event per file, supaya step bisa menunjuk log tertentu
+        matched.forEach((name) => {
+            this.reportMissionEvent('grep', { args: [pattern], file: name, artifact: 'matches' });
+        });
+    }
+
+    /**
+     * Print lines pertama atau terakhir
+     * @param {string} command - head atau tail
+     * @param {string[]} args - Command arguments (optional files)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.lines)
+     */
+    sliceLines(command, args = [], ctx = this.createContext()) {
+        const count = ctx.flags && ctx.flags.lines !== undefined ? ctx.flags.lines : 10;
+        const sources = this.readSources(command, args, ctx);
+        sources.forEach(({ name, lines }, i) => {
+            if (sources.length > 1) {
+                if (i > 0) ctx.stdout.write('', 'text');
+                ctx.stdout.write(`==> ${name} <==`, 'text');
+            }
+            TextTools[command](lines, count).forEach((line) => ctx.stdout.write(line, 'text'));
+        });
+    }
+
+    /**
+     * Hitung lines, words dan characters
+     * @param {string[]} args - Command arguments (optional files)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.lines/words/chars)
+     */
+    wordCount(args = [], ctx = this.createContext()) {
+        const flags = ctx.flags || {};
+        const selected = ['lines', 'words', 'chars'].filter((key) => flags[key]);
+        const columns = selected.length > 0 ? selected : ['lines', 'words', 'chars'];
+        const write = (counts, name) => {
+            const numbers = columns.map((key) => String(counts[key]).padStart(7)).join(' ');
+            ctx.stdout.write(name ? `${numbers} ${name}` : numbers, 'text');
+        };
+
+        const sources = this.readSources('wc', args, ctx);
+        const totals = { lines: 0, words: 0, chars: 0 };
+        sources.forEach(({ name, lines }) => {
+            const counts = TextTools.wc(lines);
+            Object.keys(totals).forEach((key) => (totals[key] += counts[key]));
+            write(counts, name);
+        });
+        if (sources.length > 1) {
+            write(totals, 'total');
+        }
+    }
+
+    /**
+     * Urutkan lines
+     * @param {string[]} args - Command arguments (optional files)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr,
+     *   flags.numeric/reverse/unique)
+     */
+    sortLines(args = [], ctx = this.createContext()) {
+        const lines = this.readLines('sort', args, ctx);
+        TextTools.sort(lines, ctx.flags || {}).forEach((line) => ctx.stdout.write(line, 'text'));
+    }
+
+    /**
+     * Gabung lines sama yang berurutan
+     * @param {string[]} args - Command arguments (optional file)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr,
+     *   flags.count/repeated/ignoreCase)
+     */
+    uniqueLines(args = [], ctx = this.createContext()) {
+        const { count, repeated, ignoreCase } = ctx.flags || {};
+        const lines = this.readLines('uniq', args, ctx);
+        TextTools.uniq(lines, { duplicates: repeated, ignoreCase }).forEach((group) => {
+            const prefix = count ? `${String(group.count).padStart(7)} ` : '';
+            ctx.stdout.write(`${prefix}${group.line}`, 'text');
+        });
+    }
+
+    /**
+     * Ambil fields atau characters dari setiap line
+     * @param {string[]} args - Command arguments (optional files)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr,
+     *   flags.delimiter/fields/characters)
+     */
+    cutLines(args = [], ctx = this.createContext()) {
+        const lines = this.readLines('cut', args, ctx);
+        try {
+            TextTools.cut(lines, ctx.flags || {}).forEach((line) => ctx.stdout.write(line, 'text'));
+        } catch (error) {
+            ctx.stderr.write(`cut: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Create directories
+     * @param {string[]} args - Command arguments (directory paths)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.parents)
+     */
+    makeDirectory(args = [], ctx = this.createContext()) {
+        const parents = Boolean(ctx.flags && ctx.flags.parents);
+        args.forEach((path) => {
+            try {
+                this.getFileSystem(ctx).makeDirectory(path, { parents });
+            } catch (error) {
+                ctx.stderr.write(`mkdir: ${path}: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Remove files atau directories
+     * @param {string[]} args - Command arguments (paths)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.recursive/force)
+     */
+    removeFiles(args = [], ctx = this.createContext()) {
+        const { recursive = false, force = false } = ctx.flags || {};
+        args.forEach((path) => {
+            try {
+                const fileSystem = this.getFileSystem(ctx);
+                if (force && !fileSystem.exists(path)) return;
+                fileSystem.remove(path, { recursive });
+            } catch (error) {
+                ctx.stderr.write(`rm: ${path}: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Download file dari virtual filesystem ke komputer player
+     * @param {string[]} args - Command arguments (file path)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    downloadFile(args = [], ctx = this.createContext()) {
+        const [path] = args;
+        let content;
+        try {
+            content = this.getFileSystem(ctx).readFile(path);
+        } catch (error) {
+            ctx.stderr.write(`download: ${path}: ${error.message}`, 'error');
+            return;
+        }
+
+        const name = path.split('/').filter(Boolean).pop();
+        DOMUtils.downloadText(name, content);
+        const bytes = content.length;
+        ctx.stdout.write(t('commands.download.success', { name, bytes }), 'success');
+    }
+
+    /**
+     * Upload file dari komputer player ke virtual filesystem
+     * @param {string[]} args - Command arguments (optional target directory)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
+     */
+    async uploadFile(args = [], ctx = this.createContext()) {
+        const dir = args[0] || '.';
+        const fileSystem = this.getFileSystem(ctx);
+        if (!fileSystem.isDirectory(dir)) {
+            ctx.stderr.write(t('commands.upload.notDirectory', { dir }), 'error');
+            return;
+        }
+
+        ctx.stdout.write(t('commands.upload.choose'), 'info');
+        const file = await DOMUtils.pickFile({ signal: ctx.signal });
+        if (!file) {
+            ctx.stderr.write(t('commands.upload.cancelled'), 'error');
+            return;
+        }
+        const { MAX_IMPORT_SIZE } = CONSTANTS.RECORDING;
+        if (file.size > MAX_IMPORT_SIZE) {
+            const limit = `${MAX_IMPORT_SIZE / 1024} KB`;
+            ctx.stderr.write(t('commands.upload.tooLarge', { name: file.name, limit }), 'error');
+            return;
+        }
+
+        // Nama file dari luar tidak boleh membuat path baru
+        const name = SecurityUtils.sanitizeInput(file.name).replace(/[/\\]/g, '_');
+        const path = dir === '.' ? name : `${dir.replace(/\/+$/, '')}/${name}`;
+        try {
+            fileSystem.writeFile(path, await DOMUtils.readText(file));
+            ctx.stdout.write(t('commands.upload.success', { path, bytes: file.size }), 'success');
+        } catch (error) {
+            ctx.stderr.write(`upload: ${path}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Define atau tampilkan aliases
+     * @param {string[]} args - Command arguments (name=value atau name)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    alias(args = [], ctx = this.createContext()) {
+        const environment = this.terminal.environment;
+        const format = (name) =>
+            `alias ${name}='${environment.getAlias(name).replace(/'/g, "'\\''")}'`;
+
+        if (args.length === 0) {
+            Object.keys(environment.getAliases())
+                .sort()
+                .forEach((name) => ctx.stdout.write(format(name), 'text'));
+            return;
+        }
+
+        args.forEach((arg) => {
+            const index = arg.indexOf('=');
+            if (index === -1) {
+                if (environment.getAlias(arg.toLowerCase()) !== undefined) {
+                    ctx.stdout.write(format(arg.toLowerCase()), 'text');
+                } else {
+                    const params = { command: 'alias', name: arg };
+                    ctx.stderr.write(t('commands.common.notFound', params), 'error');
+                }
+                return;
+            }
+
+            try {
+                environment.setAlias(arg.slice(0, index), arg.slice(index + 1));
+            } catch (error) {
+                ctx.stderr.write(`alias: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Hapus aliases
+     * @param {string[]} args - Command arguments (alias names)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.all)
+     */
+    unalias(args = [], ctx = this.createContext()) {
+        const environment = this.terminal.environment;
+        const all = Boolean(ctx.flags && ctx.flags.all);
+        const names = all ? Object.keys(environment.getAliases()) : args;
+
+        if (!all && names.length === 0) {
+            ctx.stderr.write(t('commands.unalias.usage'), 'error');
+            return;
+        }
+
+        names.forEach((name) => {
+            if (!environment.removeAlias(name)) {
+                const params = { command: 'unalias', name };
+                ctx.stderr.write(t('commands.common.notFound', params), 'error');
+            }
+        });
+    }
+
+    /**
+     * Set environment variables (tanpa arguments sama dengan env)
+     * @param {string[]} args - Command arguments (NAME=value atau NAME)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    exportVariables(args = [], ctx = this.createContext()) {
+        const environment = this.terminal.environment;
+
+        if (args.length === 0) {
+            this.showEnvironment(args, ctx);
+            return;
+        }
+
+        args.forEach((arg) => {
+            const index = arg.indexOf('=');
+            const name = index === -1 ? arg : arg.slice(0, index);
+            const current = environment.getVariables()[name];
+            const value = index === -1 ? current || '' : arg.slice(index + 1);
+
+            try {
+                environment.setVariable(name, value);
+            } catch (error) {
+                ctx.stderr.write(`export: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Tampilkan semua environment variables
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    showEnvironment(args, ctx = this.createContext()) {
+        const variables = this.terminal.environment.getVariables();
+        Object.keys(variables)
+            .sort()
+            .forEach((name) => ctx.stdout.write(`${name}=${variables[name]}`, 'text'));
+    }
+
+    /**
+     * Hapus environment variables
+     * @param {string[]} args - Command arguments (variable names)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    unsetVariables(args = [], ctx = this.createContext()) {
+        args.forEach((name) => {
+            try {
+                this.terminal.environment.unsetVariable(name);
+            } catch (error) {
+                ctx.stderr.write(`unset: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Show command history dengan nomor (dipakai untuk !n)
+     * @param {string[]} args - Command arguments (optional jumlah entry terakhir)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags)
+     */
+    showHistory(args = [], ctx = this.createContext()) {
+        const history = this.terminal.history;
+        if (ctx.flags.clear) {
+            history.clear();
+            return;
+        }
+
+        if (args.length > 0 && !/^\d+$/.test(args[0])) {
+            ctx.stderr.write(t('commands.history.numeric', { arg: args[0] }), 'error');
+            return;
+        }
+        const count = args.length > 0 ? Number(args[0]) : Infinity;
+
+        const entries = history.getEntries();
+        const start = Math.max(0, entries.length - count);
+        entries.slice(start).forEach((line, i) => {
+            ctx.stdout.write(`${String(start + i + 1).padStart(5)}  ${line}`, 'text');
+        });
+    }
+
+    /**
+     * List background jobs
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    listJobs(args, ctx = this.createContext()) {
+        const jobManager = this.terminal.jobManager;
+        jobManager.list().forEach((job) => {
+            ctx.stdout.write(jobManager.formatJob(job), 'text');
+        });
+    }
+
+    /**
+     * Bawa background job ke foreground
+     * @param {string[]} args - Command arguments (job spec, default job terakhir)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
+     */
+    async foregroundJob(args = [], ctx = this.createContext()) {
+        const jobManager = this.terminal.jobManager;
+        const job = jobManager.resolve(args[0]);
+        if (!job) {
+            const params = { command: 'fg', job: args[0] || 'current' };
+            ctx.stderr.write(t('commands.common.noSuchJob', params), 'error');
+            return;
+        }
+
+        ctx.stdout.write(job.command, 'info');
+        await jobManager.bringToForeground(job, ctx.signal);
+    }
+
+    /**
+     * Kill background jobs
+     * @param {string[]} args - Command arguments (job specs, misal %1)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    killJobs(args = [], ctx = this.createContext()) {
+        const jobManager = this.terminal.jobManager;
+        args.forEach((spec) => {
+            const job = /^%?\d+$/.test(spec) ? jobManager.resolve(spec) : null;
+            if (!job) {
+                const params = { command: 'kill', job: spec };
+                ctx.stderr.write(t('commands.common.noSuchJob', params), 'error');
+                return;
+            }
+            jobManager.kill(job);
+        });
+    }
+
+    /**
+     * Record terminal session (input, output dan timings)
+     * @param {string[]} args - Command arguments (start [title], stop [file], status)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    recordSession(args = [], ctx = this.createContext()) {
+        const recorder = this.terminal.recorder;
+        const [action = 'start', ...rest] = args;
+
+        if (action === 'start') {
+            try {
+                recorder.start(rest.join(' '));
+            } catch (error) {
+                ctx.stderr.write(`record: ${error.message}`, 'error');
+                return;
+            }
+            ctx.stdout.write(t('commands.record.started'), 'success');
+            return;
+        }
+
+        if (action === 'status') {
+            if (!recorder.isRecording()) {
+                ctx.stdout.write(t('commands.record.idle'), 'info');
+                return;
+            }
+            const { title, events, duration } = recorder.snapshot();
+            const label = title ? ` "${title}"` : '';
+            const status = { label, events: events.length, duration: this.formatSeconds(duration) };
+            ctx.stdout.write(t('commands.record.status', status), 'info');
+            return;
+        }
+
+        if (action !== 'stop') {
+            ctx.stderr.write(t('commands.record.unknownAction', { action }), 'error');
+            return;
+        }
+        if (!recorder.isRecording()) {
+            ctx.stderr.write(t('commands.record.notRecording'), 'error');
+            return;
+        }
+
+        const { DIRECTORY, EXTENSION } = CONSTANTS.RECORDING;
+        const fileSystem = this.terminal.fileSystem;
+        const recording = recorder.snapshot();
+        const stamp = recording.started.slice(0, 19).replace(/:/g, '-');
+        const path = rest[0] || `${DIRECTORY}/session-${stamp}${EXTENSION}`;
+
+        // Recording baru dihentikan setelah berhasil disimpan
+        try {
+            if (!rest[0]) {
+                fileSystem.makeDirectory(DIRECTORY, { parents: true });
+            }
+            fileSystem.writeFile(path, SessionRecorder.serialize(recording));
+        } catch (error) {
+            ctx.stderr.write(`record: ${path}: ${error.message}`, 'error');
+            return;
+        }
+        recorder.stop();
+
+        const duration = this.formatSeconds(recording.duration);
+        const events = recording.events.length;
+        ctx.stdout.write(t('commands.record.saved', { events, duration, path }), 'success');
+        const link = Markup.link(`replay ${path}`, 'replay');
+        ctx.stdout.write(t('commands.record.playHint', { link, path }), 'info');
+    }
+
+    /**
+     * Replay recording di terminal
+     * @param {string[]} args - Command arguments (file path)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal,
+     *   flags.speed/commands)
+     */
+    async replaySession(args = [], ctx = this.createContext()) {
+        const [path] = args;
+        let recording;
+        try {
+            recording = SessionRecorder.parse(this.getFileSystem(ctx).readFile(path));
+        } catch (error) {
+            ctx.stderr.write(`replay: ${path}: ${error.message}`, 'error');
+            return;
+        }
+
+        // --commands: hanya command lines, misal untuk reproduce bug langkah demi langkah
+        if (ctx.flags.commands) {
+            SessionRecorder.getCommands(recording).forEach((command) => {
+                ctx.stdout.write(command, 'text');
+            });
+            return;
+        }
+
+        const { speed } = ctx.flags;
+        if (!(speed > 0)) {
+            ctx.stderr.write(t('commands.replay.invalidSpeed', { speed }), 'error');
+            return;
+        }
+
+        const title = recording.title ? `"${recording.title}"` : path;
+        const duration = this.formatSeconds(recording.duration / speed);
+        ctx.stdout.write(t('commands.replay.playing', { title, speed, duration }), 'info');
+        await SessionRecorder.replay(
+            recording,
+            {
+                write: (text, type) => ctx.stdout.write(text, type),
+                update: (line, text) => ctx.stdout.update(line, text),
+                clear: () => ctx.interactive && this.terminal.clear(),
+            },
+            { speed, signal: ctx.signal }
+        );
+        ctx.stdout.write(t('commands.replay.finished'), 'success');
+    }
+
+    /**
+     * Simpan seluruh scrollback terminal sebagai text file
+     * @param {string[]} args - Command arguments (optional file path)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.download)
+     */
+    saveTranscript(args = [], ctx = this.createContext()) {
+        const { TRANSCRIPT_DIRECTORY } = CONSTANTS.TERMINAL;
+        const fileSystem = this.terminal.fileSystem;
+        const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const path = args[0] || `${TRANSCRIPT_DIRECTORY}/transcript-${stamp}.txt`;
+        const transcript = this.terminal.getTranscript();
+
+        try {
+            if (!args[0]) {
+                fileSystem.makeDirectory(TRANSCRIPT_DIRECTORY, { parents: true });
+            }
+            fileSystem.writeFile(path, transcript);
+        } catch (error) {
+            ctx.stderr.write(`transcript: ${path}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (ctx.flags.download) {
+            DOMUtils.downloadText(path.split('/').pop(), transcript);
+        }
+        const lines = transcript ? transcript.split('\n').length : 0;
+        ctx.stdout.write(t('commands.transcript.saved', { lines, path }), 'success');
+    }
+
+    /**
+     * Format durasi untuk record/replay
+     * @param {number} ms - Durasi dalam milliseconds
+     * @returns {string} Misal 12.3s
+     */
+    formatSeconds(ms) {
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    /**
+     * Ping host di network model
+     * Host yang tidak ada, tidak reachable atau di balik firewall tidak membalas
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    async ping(args = [], ctx = this.createContext()) {
+        // Validate hostname
+        let address = args[0] || 'localhost';
+        if (args.length > 0) {
+            const validated = ValidationUtils.validateString(args[0], {
+                maxLength: 255,
+                pattern: /^[a-zA-Z0-9.-]+$/,
+            });
+            if (!validated) {
+                ctx.stderr.write(t('commands.ping.invalid'), 'error');
+                return;
+            }
+            address = validated;
+        }
+
+        if (address === 'localhost' || address === '127.0.0.1') {
+            ctx.stdout.write(t('commands.ping.pinging', { target: address }), 'info');
+            await delay(500, ctx.signal);
+            ctx.stdout.write(t('commands.ping.replyLocal'), 'success');
+            return;
+        }
+
+        const network = this.terminal.network;
+        const host = network.findHost(address);
+        if (!host && !/^[\d.]+$/.test(address)) {
+            ctx.stderr.write(t('commands.ping.unknown', { target: address }), 'error');
+            return;
+        }
+
+        const target = host ? `${host.hostname} [${host.ip}]` : address;
+        ctx.stdout.write(t('commands.ping.pinging', { target }), 'info');
+
+        if (!host || !network.isReachable(host)) {
+            await delay(CONSTANTS.NETWORK.PING_TIMEOUT, ctx.signal);
+            ctx.stderr.write(t('commands.ping.unreachable', { target: address }), 'error');
+            return;
+        }
+        if (network.isFirewalled(host)) {
+            await delay(CONSTANTS.NETWORK.PING_TIMEOUT, ctx.signal);
+            ctx.stderr.write(t('commands.ping.filtered'), 'error');
+            return;
+        }
+
+        await delay(500, ctx.signal);
+        const jitter = this.terminal.random.stream('network').int(CONSTANTS.NETWORK.PING_JITTER);
+        const time = host.latency + jitter;
+        ctx.stdout.write(t('commands.ping.reply', { ip: host.ip, time }), 'success');
+        this.reportMissionEvent('ping', { host });
+    }
+
+    /**
+     * Connect ke remote host, prompt berubah ke host tersebut
+     * @param {string[]} args - Command arguments (host)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
+     */
+    async connect(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const { user, password } = ctx.flags;
+        if (user && password === undefined) {
+            ctx.stderr.write(t('commands.connect.passwordRequired', { user }), 'error');
+            return;
+        }
+
+        const target = network.findHost(args[0]);
+        if (target && this.isBanned('connect', target, ctx)) {
+            return;
+        }
+
+        ctx.stdout.write(t('commands.connect.connecting', { target: args[0] }), 'info');
+        await delay(500, ctx.signal);
+
+        try {
+            const host = network.connect(args[0], user ? { user, password } : null);
+            const { name, privilege } = network.getIdentity();
+            const { hostname, ip } = host;
+            this.terminal.updatePrompt();
+            ctx.stdout.write(t('commands.connect.connected', { hostname, ip }), 'success');
+            ctx.stdout.write(t('commands.connect.identity', { name, privilege }), 'info');
+            this.terminal.addLog(t('commands.connect.log', { hostname, name }), 'info');
+            this.raiseAlert(host, 'connect', ctx);
+            this.reportMissionEvent('connect', { host, artifact: 'session' });
+        } catch (error) {
+            ctx.stderr.write(`connect: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Jalankan satu command sebagai root (di remote host butuh sudoer dan password)
+     * @param {string[]} args - Command dan arguments-nya
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal, privilege)
+     */
+    async sudo(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        try {
+            network.authorizeSudo(ctx.flags.password, ctx.privilege);
+        } catch (error) {
+            ctx.stderr.write(`sudo: ${error.message}`, 'error');
+            return;
+        }
+
+        // Root hanya untuk invocation ini, bukan session (misal sudo sniff & di background)
+        const elevated = { ...ctx, privilege: 'root' };
+        await this.terminal.pipelineExecutor.runCommand(args[0], args.slice(1), elevated);
+    }
+
+    /**
+     * Switch user di session ini (tanpa argument: root)
+     * @param {string[]} args - Command arguments (user)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, privilege)
+     */
+    su(args = [], ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const name = args[0] || 'root';
+        try {
+            const identity = network.switchUser(name, ctx.flags.password, ctx.privilege);
+            this.terminal.updatePrompt();
+            ctx.stdout.write(t('commands.su.switched', identity), 'success');
+            if (identity.privilege === 'root' && network.currentHost) {
+                const host = network.currentHost;
+                this.terminal.addLog(t('commands.su.log', { hostname: host.hostname }), 'success');
+                this.reportMissionEvent('su', { host, artifact: 'root' });
+            }
+        } catch (error) {
+            ctx.stderr.write(`su: ${error.message}`, 'error');
+            if (!network.currentHost && name === 'root') {
+                ctx.stdout.write(t('commands.su.hint'), 'info');
+            }
+        }
+    }
+
+    /**
+     * Privilege escalation exploit di host yang sedang di-connect
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, signal)
+     */
+    async escalate(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = network.currentHost;
+        if (!host) {
+            ctx.stderr.write(t('commands.escalate.notConnected'), 'error');
+            ctx.stdout.write(t('commands.escalate.connectHint'), 'info');
+            return;
+        }
+        const { hostname } = host;
+        if (network.hasPrivilege('root', ctx.privilege)) {
+            ctx.stdout.write(t('commands.escalate.already', { hostname }), 'info');
+            return;
+        }
+
+        const { escalation } = host;
+        if (!escalation) {
+            ctx.stderr.write(t('commands.escalate.noVector', { hostname }), 'error');
+            ctx.stdout.write(t('commands.escalate.credentialsHint'), 'info');
+            return;
+        }
+        const from = escalation.from || 'guest';
+        const { vulnerability } = escalation;
+        if (!network.hasPrivilege(from, ctx.privilege)) {
+            ctx.stderr.write(t('commands.escalate.needs', { vulnerability, from }), 'error');
+            return;
+        }
+
+        this.trackCommandUsage('escalate');
+        const success = this.checkCommandSuccess('escalate');
+        ctx.stdout.write(t('commands.escalate.exploiting', { vulnerability }), 'info');
+        await delay(800, ctx.signal);
+
+        if (!success) {
+            ctx.stderr.write(t('commands.escalate.failed'), 'error');
+            ctx.stdout.write(t('commands.common.retry', { command: 'escalate' }), 'info');
+            this.raiseAlert(host, 'escalate', ctx, true);
+            this.recordCommandAttempt('escalate', false);
+            return;
+        }
+
+        network.escalate();
+        this.terminal.updatePrompt();
+        ctx.stdout.write(t('commands.escalate.success', { hostname }), 'success');
+        this.terminal.addLog(t('commands.escalate.log', { hostname }), 'success');
+        this.raiseAlert(host, 'escalate', ctx);
+        this.recordCommandAttempt('escalate', true);
+        this.reportMissionEvent('escalate', { host, artifact: 'root' });
+    }
+
+    /**
+     * Disconnect dari remote host
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    disconnect(args, ctx = this.createContext()) {
+        const host = this.terminal.network.disconnect();
+        if (!host) {
+            ctx.stderr.write(t('commands.disconnect.notConnected'), 'error');
+            return;
+        }
+        this.terminal.updatePrompt();
+        ctx.stdout.write(t('commands.disconnect.closed', { hostname: host.hostname }), 'info');
+    }
+
+    /**
+     * Tampilkan alert level targets (ban, honeypot dan trace-back countdown)
+     * @param {string[]} args - Command arguments (optional host)
+     * @param {Object} ctx - Execution context (stdout, stderr)
+     */
+    showTrace(args = [], ctx = this.createContext()) {
+        const monitor = this.terminal.trace;
+        let alerts = monitor.getAlerts();
+        if (args[0]) {
+            const host = this.terminal.network.findHost(args[0]);
+            if (!host) {
+                const params = { command: 'trace', target: args[0] };
+                ctx.stderr.write(t('commands.common.hostNotFound', params), 'error');
+                return;
+            }
+            alerts = [{ host, alert: monitor.getAlert(host) }];
+        }
+        if (alerts.length === 0) {
+            ctx.stdout.write(t('commands.trace.none'), 'info');
+            return;
+        }
+
+        const { HONEYPOT_LEVEL, BAN_LEVEL } = CONSTANTS.TRACE;
+        const rows = alerts.map(({ host, alert }) => {
+            const status = [];
+            const trace = monitor.getTraceRemaining(host);
+            const ban = monitor.getBanRemaining(host);
+            if (trace !== null) {
+                const seconds = Math.ceil(trace / 1000);
+                status.push(Markup.color('red', t('commands.trace.tracing', { seconds })));
+            }
+            if (ban > 0) {
+                status.push(t('commands.trace.banned', { seconds: Math.ceil(ban / 1000) }));
+            }
+            if (alert.honeypot) status.push(t('commands.trace.honeypot'));
+
+            let meter = Markup.progressBar(alert.level, 10);
+            if (alert.level >= BAN_LEVEL) {
+                meter = Markup.color('red', meter);
+            } else if (alert.level >= HONEYPOT_LEVEL) {
+                meter = Markup.color('yellow', meter);
+            }
+            const watching = t('commands.trace.watching');
+            return [host.hostname, host.ip, meter, status.join(', ') || watching];
+        });
+        const headers = ['host', 'ip', 'alert', 'status'].map((column) =>
+            t(`commands.trace.columns.${column}`)
+        );
+        ctx.stdout.table(rows, { headers });
+    }
+
+    /**
+     * Hapus logs di target untuk menurunkan alert level (item stealth_mode)
+     * @param {string[]} args - Command arguments (target host)
+     * @param {Object} ctx - Execution context (stdout, stderr, signal)
+     */
+    async stealth(args, ctx = this.createContext()) {
+        const network = this.terminal.network;
+        const host = network.findHost(args[0]);
+        if (!host || !network.getKnownHosts().includes(host.ip)) {
+            const params = { command: 'stealth', target: args[0] };
+            ctx.stderr.write(t('commands.common.unknownTarget', params), 'error');
+            return;
+        }
+
+        const { hostname } = host;
+        this.trackCommandUsage('stealth');
+        ctx.stdout.write(t('commands.stealth.wiping', { hostname }), 'info');
+        await delay(600, ctx.signal);
+
+        try {
+            const { level, traceStopped } = this.terminal.trace.wipe(host);
+            ctx.stdout.write(t('commands.stealth.level', { hostname, level }), 'success');
+            if (traceStopped) {
+                ctx.stdout.write(t('commands.stealth.lost'), 'success');
+            }
+            this.terminal.addLog(t('commands.stealth.log', { hostname }), 'info');
+        } catch (error) {
+            ctx.stderr.write(`stealth: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show missions (atau detail satu mission)
+     * @param {string[]} args - Command arguments (optional mission id)
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    showMissions(args = [], ctx = this.createContext()) {
+        const missions = this.state.get('missions') || [];
+
+        if (args.length > 0) {
+            const found = missions.find((m) => m.id === args[0]);
+            if (!found) {
+                ctx.stderr.write(t('commands.missions.notFound', { id: args[0] }), 'error');
+                return;
+            }
+            const mission = MissionSystem.localize(found);
+            const status = t(`missions.status.${mission.status}`).toUpperCase();
+            ctx.stdout.write(`${mission.title} [${status}]`, 'info');
+            (mission.steps || []).forEach((step) => {
+                ctx.stdout.write(`  ${step.completed ? '✓' : '○'} ${step.text}`, 'text');
+            });
+            return;
+        }
+
+        ctx.stdout.write(t('commands.missions.available'), 'info');
+        missions.forEach((mission) => {
+            const active = mission.status === 'active';
+            const status = active
+                ? Markup.color('green', t('missions.status.active').toUpperCase())
+                : Markup.color('gray', t('missions.status.locked').toUpperCase());
+            const { title: label } = MissionSystem.localize(mission);
+            const title = Markup.link(`missions ${mission.id}`, label);
+            const progress = mission.progress || 0;
+            ctx.stdout.write(`  [${status}] ${title} - ${progress}%`, 'text');
+        });
+        ctx.stdout.write(t('commands.missions.hint'), 'info');
+    }
+
+    /**
+     * Show logs
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags.lines)
+     */
+    showLogs(args, ctx = this.createContext()) {
+        const logs = this.state.get('logs') || [];
+        const count = ctx.flags && ctx.flags.lines !== undefined ? ctx.flags.lines : 5;
+        ctx.stdout.write(t('commands.logs.title'), 'info');
+        const recentLogs = count > 0 ? logs.slice(-count) : [];
+        recentLogs.forEach((log) => {
+            ctx.stdout.write(`  [${log.level}] ${log.message}`, 'text');
+        });
+    }
+
+    /**
+     * Show user info
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    whoami(args, ctx = this.createContext()) {
+        const level = this.state.get('level') || 1;
+        const xp = this.state.get('xp') || 0;
+        const completedMissions = this.state.get('completedMissions') || 0;
+
+        const network = this.terminal.network;
+        const { name, privilege } = network.getIdentity(ctx.privilege);
+        const host = network.currentHost
+            ? network.currentHost.hostname
+            : CONSTANTS.NETWORK.LOCAL_HOSTNAME;
+
+        ctx.stdout.write(name, 'text');
+        ctx.stdout.write(t('commands.whoami.privilege', { privilege, host }), 'text');
+        ctx.stdout.write(t('commands.whoami.level', { level }), 'text');
+        ctx.stdout.write(t('commands.whoami.xp', { xp }), 'text');
+        ctx.stdout.write(t('commands.whoami.missions', { count: completedMissions }), 'text');
+    }
+
+    /**
+     * Show atau ganti random seed (seed yang sama menghasilkan outcomes yang sama)
+     * @param {string[]} args - Command arguments (seed)
+     * @param {Object} ctx - Execution context (stdout, stderr, flags)
+     */
+    seed(args = [], ctx = this.createContext()) {
+        const { random } = this.terminal;
+        if (args.length === 0 && !ctx.flags.new) {
+            ctx.stdout.write(t('commands.seed.current', { seed: random.getSeed() }), 'info');
+            ctx.stdout.write(t('commands.seed.hint'), 'text');
+            return;
+        }
+
+        const value = ctx.flags.new ? RandomService.createSeed() : args[0];
+        if (!RandomService.isValidSeed(value)) {
+            ctx.stderr.write(t('commands.seed.invalid', { value }), 'error');
+            ctx.stdout.write(t('commands.seed.rules'), 'info');
+            return;
+        }
+
+        random.setSeed(value);
+        this.state.set('randomSeed', value);
+        ctx.stdout.write(t('commands.seed.set', { value }), 'success');
+    }
+
+    /**
+     * Show date
+     * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
+     */
+    showDate(args, ctx = this.createContext()) {
+        const now = new Date();
+        ctx.stdout.write(now.toLocaleString(i18n.getIntlLocale()), 'text');
+    }
+
+    /**
+     * Show atau ganti bahasa UI; panels yang terbuka di-render ulang lewat i18n:locale:changed
+     * @param {string[]} args - Command arguments (locale code)
+     * @param {Object} ctx - Execution context (stdout, stderr)
+     */
+    setLanguage(args = [], ctx = this.createContext()) {
+        const current = i18n.getLocale();
+        if (args.length === 0) {
+            i18n.getLocales().forEach(({ code, name }) => {
+                const marker = code === current ? '*' : ' ';
+                const link = Markup.pad(Markup.link(`lang ${code}`, code), 4);
+                ctx.stdout.write(`${marker} ${link}${name}`, 'text');
+            });
+            ctx.stdout.write(t('commands.lang.hint'), 'info');
+            return;
+        }
+
+        try {
+            i18n.setLocale(args[0]);
+        } catch (error) {
+            ctx.stderr.write(t('commands.lang.unknown', { locale: args[0] }), 'error');
+            return;
+        }
+        const { name } = I18n.LOCALES[i18n.getLocale()];
+        ctx.stdout.write(t('commands.lang.set', { name }), 'success');
     }
 
     /**
      * Echo text
      * @param {string[]} args - Command arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr)
      */
-    echo(args = []) {
+    echo(args = [], ctx = this.createContext()) {
         const text = args.join(' ');
-        this.terminal.addLine(text, 'text');
+        ctx.stdout.write(text, 'text');
     }
 }
 
@@ -0,0 +1,154 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * CommandHistory - Command history di state (commandHistory, historyIndex)
+ *
+ * Mendukung history expansion ala bash sebelum command di-parse:
+ *   !!       command terakhir
+ *   !n       entry nomor n (sesuai output `history`)
+ *   !-n      entry ke-n dari belakang
+ *   !prefix  entry terakhir yang diawali prefix
+ * Tanda ! di dalam single quotes, setelah backslash, atau diikuti spasi tidak di-expand.
+ */
+export class CommandHistory {
+    // Karakter setelah ! yang tidak memulai history expansion
+    static NON_EVENT = /[\s=("]/;
+
+    constructor(stateManager) {
+        this.state = stateManager;
+    }
+
+    /**
+     * Get semua history entries (lama ke baru)
+     * @returns {string[]} Entries
+     */
+    getEntries() {
+        return this.state.get('commandHistory') || [];
+    }
+
+    /**
+     * Posisi navigasi (ArrowUp/ArrowDown), sama dengan jumlah entries jika di luar history
+     * @returns {number} Index
+     */
+    getIndex() {
+        const index = this.state.get('historyIndex');
+        return typeof index === 'number' && index >= 0 ? index : this.getEntries().length;
+    }
+
+    /**
+     * Set posisi navigasi
+     * @param {number} index - Index
+     */
+    setIndex(index) {
+        this.state.set('historyIndex', index);
+    }
+
+    /**
+     * Tambah command ke history dan reset posisi navigasi
+     * @param {string} line - Command line
+     */
+    add(line) {
+        const history = [...this.getEntries(), line];
+        if (history.length > CONSTANTS.TERMINAL.MAX_HISTORY) {
+            history.shift();
+        }
+        this.state.set('commandHistory', history);
+        this.state.set('historyIndex', history.length);
+    }
+
+    /**
+     * Hapus semua history
+     */
+    clear() {
+        this.state.set('commandHistory', []);
+        this.state.set('historyIndex', 0);
+    }
+
+    /**
+     * Expand history references (!!, !n, !-n, !prefix) di command line
+     * @param {string} line - Command line
+     * @returns {{line: string, expanded: boolean}} Hasil expansion
+     * @throws {Error} Jika event tidak ditemukan
+     */
+    expand(line) {
+        let result = '';
+        let expanded = false;
+        let quote = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quote) {
+                if (char === quote) quote = null;
+                result += char;
+                continue;
+            }
+            if (char === "'") {
+                quote = char;
+                result += char;
+                continue;
+            }
+            if (char === '\\' && line[i + 1] === '!') {
+                // Biarkan escape untuk ShellParser, ! tidak di-expand
+                result += line.slice(i, i + 2);
+                i++;
+                continue;
+            }
+            const next = line[i + 1];
+            if (char !== '!' || next === undefined || CommandHistory.NON_EVENT.test(next)) {
+                result += char;
+                continue;
+            }
+
+            const event = line.slice(i + 1).match(/^(!|-?\d+|[^\s|>&;'"]+)/)[0];
+            result += this.resolveEvent(event);
+            expanded = true;
+            i += event.length;
+        }
+
+        return { line: result, expanded };
+    }
+
+    /**
+     * Resolve satu event designator ke command line
+     * @param {string} event - Event tanpa ! di depan (misal "!", "3", "-2", "scan")
+     * @returns {string} Command line dari history
+     * @throws {Error} Jika event tidak ditemukan
+     */
+    resolveEvent(event) {
+        const history = this.getEntries();
+        let entry;
+
+        if (event === '!') {
+            entry = history[history.length - 1];
+        } else if (/^-\d+$/.test(event)) {
+            entry = history[history.length + Number(event)];
+        } else if (/^\d+$/.test(event)) {
+            entry = history[Number(event) - 1];
+        } else {
+            entry = [...history].reverse().find((line) => line.startsWith(event));
+        }
+
+        if (entry === undefined) {
+            throw new Error(t('errors.shell.eventNotFound', { event }));
+        }
+        return entry;
+    }
+
+    /**
+     * Reverse search: cari entry terbaru yang mengandung query, mulai dari index tertentu
+     * @param {string} query - Search query
+     * @param {number} from - Index awal pencarian (inclusive, mundur ke entry lama)
+     * @returns {number} Index entry yang cocok, -1 jika tidak ada
+     */
+    search(query, from = this.getEntries().length - 1) {
+        const history = this.getEntries();
+        for (let i = Math.min(from, history.length - 1); i >= 0; i--) {
+            if (history[i].includes(query)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+}
@@ -1,27 +1,255 @@
+import { ArgumentParser, ArgumentError } from './ArgumentParser.js';
+import { OutputStream } from './OutputStream.js';
+import { CONSTANTS } from '../../core/Constants.js';
+import { pluginSystem } from '../../core/PluginSystem.js';
+import { i18n, t } from '../../i18n/i18n.js';
+
 /**
  * CommandRegistry - Registry untuk semua terminal commands
  */
 export class CommandRegistry {
-    constructor() {
+    /**
+     * @param {PluginSystem} plugins - Sumber middleware hooks (default pluginSystem singleton)
+     */
+    constructor(plugins = pluginSystem) {
         this.commands = new Map();
+        this.plugins = plugins;
     }
 
     /**
      * Register command
      * @param {string} name - Command name
      * @param {Function} handler - Command handler function
-     * @param {Object} options - Command options (help, description, etc)
+     * @param {Object} options - Command options (help, description, args, flags, strict)
+     *   args/flags/strict adalah argument schema (lihat ArgumentParser),
+     *   tanpa schema command tidak menerima arguments.
+     *   Metadata untuk help/man: category, examples, missions (related mission ids),
+     *   unlock ({ level }, { mission } atau { item }) untuk command yang terkunci,
+     *   privilege (guest, user, root) yang dibutuhkan untuk menjalankan command
      */
     register(name, handler, options = {}) {
+        const schema = ArgumentParser.normalize(options);
         this.commands.set(name.toLowerCase(), {
             name: name.toLowerCase(),
             handler,
-            help: options.help || `Usage: ${name}`,
+            help: options.help || null,
             description: options.description || '',
-            validate: options.validate || (() => true),
+            schema,
+            category: options.category || 'core',
+            examples: options.examples || [],
+            missions: options.missions || [],
+            unlock: options.unlock || null,
+            privilege: options.privilege || null,
         });
     }
 
+    /**
+     * Jalankan command handler dengan middleware dari plugin hooks
+     *
+     *   command:before        ({ name, args, flags, ctx }) => invocation dengan args/flags
+     *                         baru, atau { ...invocation, cancel: 'reason' } untuk veto
+     *   command:after:<name>  ({ name, args, flags, ctx, output }) => { ..., output } dengan
+     *                         output lines ([{ text, type }]) yang sudah di-transform
+     *   command:after         ({ name, args, flags, ctx }) setelah setiap command selesai
+     *   command:error         ({ name, args, flags, ctx, error }) => { ..., handled: true }
+     *                         supaya error tidak diteruskan ke terminal
+     *
+     * Hook boleh mengembalikan sebagian field saja (lihat mergeInvocation). Args/flags yang
+     * di-rewrite divalidasi ulang terhadap schema. Output hanya di-buffer untuk command yang
+     * punya command:after:<name> hooks, command lain tetap streaming (progress bars, jobs).
+     * @param {Object} commandObj - Command object
+     * @param {string[]} args - Parsed positional arguments
+     * @param {Object} ctx - Execution context (stdin, stdout, stderr, flags, signal, interactive)
+     * @returns {Promise<boolean>} False jika command di-veto atau error-nya di-handle hook
+     * @throws {Error} Error dari handler yang tidak di-handle hook
+     */
+    async execute(commandObj, args, ctx) {
+        const { COMMAND_BEFORE, COMMAND_AFTER, COMMAND_ERROR } = CONSTANTS.HOOKS;
+        const { name, schema } = commandObj;
+        const original = { name, args, flags: ctx.flags, ctx };
+        const invocation = CommandRegistry.mergeInvocation(
+            original,
+            await this.plugins.executeHookAsync(COMMAND_BEFORE, original)
+        );
+        if (invocation.cancel) {
+            ctx.stderr.write(`${name}: ${invocation.cancel}`, 'error');
+            return false;
+        }
+        if (invocation.args !== args || invocation.flags !== ctx.flags) {
+            try {
+                ArgumentParser.validate(invocation.args, invocation.flags, schema);
+            } catch (error) {
+                if (!(error instanceof ArgumentError)) throw error;
+                ctx.stderr.write(`${name}: ${error.message}`, 'error');
+                return false;
+            }
+        }
+
+        const transformHook = `${COMMAND_AFTER}:${name}`;
+        const transform = this.plugins.hasHook(transformHook);
+        const stdout = transform ? new OutputStream() : ctx.stdout;
+        try {
+            await commandObj.handler(invocation.args, { ...ctx, flags: invocation.flags, stdout });
+        } catch (error) {
+            // Cancel (Ctrl+C, kill) bukan error command
+            if (ctx.signal && ctx.signal.aborted) throw error;
+            const failure = { ...invocation, error };
+            const result = CommandRegistry.mergeInvocation(
+                failure,
+                await this.plugins.executeHookAsync(COMMAND_ERROR, failure)
+            );
+            if (!result.handled) throw error;
+            return false;
+        }
+
+        if (transform) {
+            const output = stdout.getLines().map(({ text, type }) => ({ text, type }));
+            const result = CommandRegistry.mergeInvocation(
+                { ...invocation, output },
+                await this.plugins.executeHookAsync(transformHook, { ...invocation, output })
+            );
+            // Hook yang tidak mengembalikan output lines tidak boleh menghilangkan output
+            const lines = Array.isArray(result.output) ? result.output : output;
+            lines.forEach(({ text, type }) => ctx.stdout.write(text, type));
+        }
+        await this.plugins.executeHookAsync(COMMAND_AFTER, invocation);
+        return true;
+    }
+
+    /**
+     * Gabungkan hasil hook dengan invocation asal
+     * Hook boleh mengembalikan sebagian field saja, hasil yang bukan object (null, string)
+     * diabaikan. name dan ctx tidak bisa diganti hook.
+     * @param {Object} invocation - Invocation yang diberikan ke hook
+     * @param {*} result - Hasil hook
+     * @returns {Object} Invocation gabungan
+     */
+    static mergeInvocation(invocation, result) {
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            return invocation;
+        }
+        return { ...invocation, ...result, name: invocation.name, ctx: invocation.ctx };
+    }
+
+    /**
+     * Check if command sudah terbuka untuk player
+     * @param {Object} commandObj - Command object
+     * @param {Object} state - State manager
+     * @returns {boolean} True jika command bisa dipakai
+     */
+    isUnlocked(commandObj, state) {
+        const unlock = commandObj.unlock;
+        if (!unlock) return true;
+
+        if (unlock.level && (state.get('level') || 1) < unlock.level) {
+            return false;
+        }
+        if (unlock.item && !(state.get('unlockedItems') || []).includes(unlock.item)) {
+            return false;
+        }
+        if (unlock.mission) {
+            const missions = state.get('missions') || [];
+            const mission = missions.find((m) => m.id === unlock.mission);
+            if (!mission || mission.status !== CONSTANTS.MISSION.STATUS.COMPLETED) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Describe unlock requirement untuk ditampilkan ke user
+     * @param {Object} commandObj - Command object
+     * @returns {string} Requirement text
+     */
+    describeUnlock(commandObj) {
+        const unlock = commandObj.unlock || {};
+        const requirements = [];
+        if (unlock.level) requirements.push(t('commands.unlock.level', { level: unlock.level }));
+        if (unlock.mission) {
+            requirements.push(t('commands.unlock.mission', { mission: unlock.mission }));
+        }
+        if (unlock.item) requirements.push(t('commands.unlock.item', { item: unlock.item }));
+        return requirements.join(t('commands.unlock.separator'));
+    }
+
+    /**
+     * Usage command di locale aktif, atau help yang diberikan saat register
+     * @param {Object} commandObj - Command object
+     * @returns {string} Usage string
+     */
+    usage(commandObj) {
+        return commandObj.help || ArgumentParser.usage(commandObj.name, commandObj.schema);
+    }
+
+    /**
+     * Description command di locale aktif (commands.<name>.description),
+     * fallback ke description saat register
+     * @param {Object} commandObj - Command object
+     * @returns {string} Description
+     */
+    describe(commandObj) {
+        const key = `commands.${commandObj.name}.description`;
+        return i18n.has(key) ? t(key) : commandObj.description;
+    }
+
+    /**
+     * Description flag di locale aktif (commands.<name>.flags.<flag>),
+     * fallback ke description di schema
+     * @param {Object} commandObj - Command object
+     * @param {string} flag - Flag key
+     * @returns {string} Description (kosong jika tidak ada)
+     */
+    describeFlag(commandObj, flag) {
+        const key = `commands.${commandObj.name}.flags.${flag}`;
+        const spec = commandObj.schema.flags[flag] || {};
+        return i18n.has(key) ? t(key) : spec.description || '';
+    }
+
+    /**
+     * Get commands yang sudah terbuka, dikelompokkan per kategori
+     * @param {Object} state - State manager
+     * @returns {Array<{category: string, label: string, commands: Object[]}>} Groups
+     */
+    getGroupedCommands(state) {
+        const categories = CONSTANTS.COMMAND.CATEGORIES;
+        const groups = new Map();
+
+        this.commands.forEach((commandObj) => {
+            if (!this.isUnlocked(commandObj, state)) return;
+            if (!groups.has(commandObj.category)) {
+                groups.set(commandObj.category, []);
+            }
+            groups.get(commandObj.category).push(commandObj);
+        });
+
+        const order = Object.keys(categories);
+        return Array.from(groups.keys())
+            .sort((a, b) => {
+                const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+                const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+                return indexA - indexB;
+            })
+            .map((category) => ({
+                category,
+                label: i18n.has(`commands.categories.${category}`)
+                    ? t(`commands.categories.${category}`)
+                    : categories[category] || category,
+                commands: groups.get(category),
+            }));
+    }
+
+    /**
+     * Parse raw arguments untuk command berdasarkan schema-nya
+     * @param {Object} commandObj - Command object dari get()
+     * @param {string[]} argv - Raw arguments
+     * @returns {{args: string[], flags: Object}} Parsed arguments
+     * @throws {ArgumentError} Jika arguments tidak sesuai schema
+     */
+    parseArgs(commandObj, argv) {
+        return ArgumentParser.parse(argv, commandObj.schema);
+    }
+
     /**
      * Get command handler
      * @param {string} name - Command name
@@ -42,10 +270,13 @@ export class CommandRegistry {
 
     /**
      * Get all command names
+     * @param {Object} state - Optional state manager, jika ada hanya command yang terbuka
      * @returns {string[]} Array of command names
      */
-    getAllNames() {
-        return Array.from(this.commands.keys());
+    getAllNames(state = null) {
+        const names = Array.from(this.commands.keys());
+        if (!state) return names;
+        return names.filter((name) => this.isUnlocked(this.commands.get(name), state));
     }
 
     /**
@@ -0,0 +1,480 @@
+import { StorageService } from '../../services/StorageService.js';
+import { CONSTANTS } from '../../core/Constants.js';
+import { Ciphers } from './Ciphers.js';
+import { PasswordCracker } from './PasswordCracker.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * VirtualFileSystem - In-memory filesystem untuk terminal
+ * Tree disimpan sebagai plain object supaya bisa di-persist lewat StorageService
+ *
+ * Node format:
+ *   { type: 'dir', children: { [name]: node } }
+ *   { type: 'file', content: string, modified: string, ...metadata }
+ * Node dengan metadata privilege (misal 'root') hanya bisa dibaca/ditulis jika
+ * access(privilege, elevated) mengizinkan (diset Terminal berdasarkan user session,
+ * elevated dari view withPrivilege untuk command yang berjalan lewat sudo).
+ */
+export class VirtualFileSystem {
+    /**
+     * @param {Object} options - Options
+     * @param {VirtualFileSystem} options.shared - Filesystem yang tree-nya dipakai bersama
+     *   (terminal session lain), hanya cwd yang terpisah
+     */
+    constructor(options = {}) {
+        const { shared = null } = options;
+        this.access = null; // (privilege, elevated) => boolean, null berarti tanpa pembatasan
+        this.privilege = null; // Privilege tambahan view ini (lihat withPrivilege)
+        if (shared) {
+            this.owner = shared.owner || shared;
+            this.root = shared.root;
+            this.cwd = shared.cwd;
+            this.seededMissions = shared.seededMissions;
+            return;
+        }
+
+        this.owner = null;
+        const saved = StorageService.getFileSystem();
+        this.root = saved ? saved.root : VirtualFileSystem.createDefaultTree();
+        this.cwd = saved ? saved.cwd : CONSTANTS.FILESYSTEM.HOME;
+        this.seededMissions = saved ? saved.seededMissions || [] : [];
+
+        // Pastikan cwd masih valid (misal directory sudah dihapus)
+        if (!this.isDirectory(this.cwd)) {
+            this.cwd = CONSTANTS.FILESYSTEM.HOME;
+        }
+    }
+
+    /**
+     * Create default directory tree
+     * @returns {Object} Root directory node
+     */
+    static createDefaultTree() {
+        const now = new Date().toISOString();
+        return {
+            type: 'dir',
+            children: {
+                etc: {
+                    type: 'dir',
+                    children: {
+                        hostname: { type: 'file', content: 'terminal', modified: now },
+                        shadow: {
+                            type: 'file',
+                            content: [
+                                'root:$6$pastel$Qm9vdFBhc3N3b3JkSXNTZWNyZXQ:19700:0:99999:7:::',
+                                `${CONSTANTS.FILESYSTEM.USER}:!:19700:0:99999:7:::`,
+                            ].join('\n'),
+                            modified: now,
+                            privilege: 'root',
+                        },
+                    },
+                },
+                home: {
+                    type: 'dir',
+                    children: {
+                        [CONSTANTS.FILESYSTEM.USER]: {
+                            type: 'dir',
+                            children: {
+                                'readme.txt': {
+                                    type: 'file',
+                                    content: [
+                                        'Welcome home, soft-hacker ♡',
+                                        'Mission files appear here when a mission becomes available.',
+                                    ].join('\n'),
+                                    modified: now,
+                                },
+                            },
+                        },
+                    },
+                },
+                tmp: { type: 'dir', children: {} },
+            },
+        };
+    }
+
+    /**
+     * Resolve path menjadi absolute path yang sudah dinormalisasi
+     * @param {string} path - Absolute, relative, atau path dengan ~
+     * @returns {string} Absolute path
+     */
+    resolve(path = '') {
+        const home = CONSTANTS.FILESYSTEM.HOME;
+        let raw = path || '.';
+
+        if (raw === '~' || raw.startsWith('~/')) {
+            raw = home + raw.slice(1);
+        }
+        if (!raw.startsWith('/')) {
+            raw = `${this.cwd}/${raw}`;
+        }
+
+        const parts = [];
+        raw.split('/').forEach((part) => {
+            if (part === '' || part === '.') return;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+
+        return `/${parts.join('/')}`;
+    }
+
+    /**
+     * Format absolute path untuk ditampilkan (home diganti ~)
+     * @param {string} path - Absolute path
+     * @returns {string} Display path
+     */
+    displayPath(path = this.cwd) {
+        const home = CONSTANTS.FILESYSTEM.HOME;
+        if (path === home) return '~';
+        if (path.startsWith(`${home}/`)) return `~${path.slice(home.length)}`;
+        return path;
+    }
+
+    /**
+     * Entry di directory node. Hanya own properties, supaya nama seperti 'constructor'
+     * tidak resolve ke Object.prototype
+     * @param {Object} dir - Directory node
+     * @param {string} name - Entry name
+     * @returns {Object|null} Child node atau null jika tidak ada
+     */
+    static getChild(dir, name) {
+        if (!dir || dir.type !== 'dir') {
+            return null;
+        }
+        const { children } = dir;
+        return Object.prototype.hasOwnProperty.call(children, name) ? children[name] : null;
+    }
+
+    /**
+     * Tolak nama entry yang tidak bisa disimpan di plain object children
+     * @param {string} name - Entry name
+     * @throws {Error} Jika nama adalah '__proto__'
+     */
+    static assertValidName(name) {
+        if (name === '__proto__') {
+            throw new Error(t('errors.fileSystem.invalidName'));
+        }
+    }
+
+    /**
+     * Get node untuk path
+     * @param {string} path - Path
+     * @returns {Object|null} Node atau null jika tidak ada
+     */
+    getNode(path) {
+        const absolute = this.resolve(path);
+        let node = this.root;
+
+        for (const part of absolute.split('/').filter(Boolean)) {
+            node = VirtualFileSystem.getChild(node, part);
+            if (!node) {
+                return null;
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Split path menjadi parent node dan nama entry
+     * @param {string} path - Path
+     * @returns {{parent: Object|null, name: string, absolute: string}} Parent info
+     */
+    getParent(path) {
+        const absolute = this.resolve(path);
+        const index = absolute.lastIndexOf('/');
+        const parentPath = absolute.slice(0, index) || '/';
+        return {
+            parent: this.getNode(parentPath),
+            name: absolute.slice(index + 1),
+            absolute,
+        };
+    }
+
+    /**
+     * Check if path exists
+     * @param {string} path - Path
+     * @returns {boolean} True jika ada
+     */
+    exists(path) {
+        return this.getNode(path) !== null;
+    }
+
+    /**
+     * Check if path adalah directory
+     * @param {string} path - Path
+     * @returns {boolean} True jika directory
+     */
+    isDirectory(path) {
+        const node = this.getNode(path);
+        return node !== null && node.type === 'dir';
+    }
+
+    /**
+     * Check if path adalah file
+     * @param {string} path - Path
+     * @returns {boolean} True jika file
+     */
+    isFile(path) {
+        const node = this.getNode(path);
+        return node !== null && node.type === 'file';
+    }
+
+    /**
+     * Check apakah session boleh mengakses node
+     * @param {Object} node - File atau directory node
+     * @throws {Error} Jika node butuh privilege yang tidak dimiliki
+     */
+    checkAccess(node) {
+        if (!node || !node.privilege || !this.access) return;
+        if (!this.access(node.privilege, this.privilege)) {
+            throw new Error(t('errors.fileSystem.permissionDenied'));
+        }
+    }
+
+    /**
+     * View filesystem ini untuk satu invocation dengan privilege lain (sudo)
+     * Tree dan cwd tetap dibaca dari filesystem ini, session tidak ikut naik.
+     * @param {string|null} privilege - Privilege invocation, null berarti filesystem ini
+     * @returns {VirtualFileSystem} View dengan privilege tersebut
+     */
+    withPrivilege(privilege) {
+        if (!privilege) return this;
+        return Object.create(this, { privilege: { value: privilege } });
+    }
+
+    /**
+     * List directory entries
+     * @param {string} path - Directory path
+     * @returns {Array<{name: string, type: string}>} Sorted entries
+     * @throws {Error} Jika path tidak ada atau bukan directory
+     */
+    list(path = '.') {
+        const node = this.getNode(path);
+        if (!node) {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+        this.checkAccess(node);
+        if (node.type !== 'dir') {
+            return [{ name: this.resolve(path).split('/').pop(), type: 'file' }];
+        }
+
+        return Object.keys(node.children)
+            .sort()
+            .map((name) => ({ name, type: node.children[name].type }));
+    }
+
+    /**
+     * Change current working directory
+     * @param {string} path - Target directory (default: home)
+     * @returns {string} New cwd
+     * @throws {Error} Jika path tidak ada atau bukan directory
+     */
+    changeDirectory(path = '~') {
+        const node = this.getNode(path);
+        if (!node) {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+        if (node.type !== 'dir') {
+            throw new Error(t('errors.fileSystem.notDirectory'));
+        }
+        this.checkAccess(node);
+
+        this.cwd = this.resolve(path);
+        this.save();
+        return this.cwd;
+    }
+
+    /**
+     * Read file content
+     * @param {string} path - File path
+     * @returns {string} File content
+     * @throws {Error} Jika file tidak ada atau path adalah directory
+     */
+    readFile(path) {
+        const node = this.getNode(path);
+        if (!node) {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+        if (node.type === 'dir') {
+            throw new Error(t('errors.fileSystem.isDirectory'));
+        }
+        this.checkAccess(node);
+        return node.content;
+    }
+
+    /**
+     * Write file (create atau overwrite)
+     * @param {string} path - File path
+     * @param {string} content - File content
+     * @param {Object} options - Options (append, metadata)
+     * @throws {Error} Jika parent directory tidak ada atau path adalah directory
+     */
+    writeFile(path, content, options = {}) {
+        const { parent, name } = this.getParent(path);
+        if (!parent || parent.type !== 'dir') {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+
+        VirtualFileSystem.assertValidName(name);
+        const existing = VirtualFileSystem.getChild(parent, name);
+        if (existing && existing.type === 'dir') {
+            throw new Error(t('errors.fileSystem.isDirectory'));
+        }
+        this.checkAccess(parent);
+        this.checkAccess(existing);
+
+        const previous = existing && options.append ? existing.content : '';
+        parent.children[name] = {
+            ...(existing || {}),
+            ...(options.metadata || {}),
+            type: 'file',
+            content: previous ? `${previous}\n${content}` : content,
+            modified: new Date().toISOString(),
+        };
+        this.save();
+    }
+
+    /**
+     * Create directory
+     * @param {string} path - Directory path
+     * @param {Object} options - Options (parents: buat parent directories juga)
+     * @throws {Error} Jika path sudah ada atau parent tidak ada
+     */
+    makeDirectory(path, options = {}) {
+        const absolute = this.resolve(path);
+
+        if (options.parents) {
+            let node = this.root;
+            for (const part of absolute.split('/').filter(Boolean)) {
+                VirtualFileSystem.assertValidName(part);
+                if (!VirtualFileSystem.getChild(node, part)) {
+                    node.children[part] = { type: 'dir', children: {} };
+                } else if (node.children[part].type !== 'dir') {
+                    throw new Error(t('errors.fileSystem.notDirectory'));
+                }
+                node = node.children[part];
+            }
+            this.save();
+            return;
+        }
+
+        const { parent, name } = this.getParent(absolute);
+        if (!parent || parent.type !== 'dir') {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+        VirtualFileSystem.assertValidName(name);
+        if (VirtualFileSystem.getChild(parent, name)) {
+            throw new Error(t('errors.fileSystem.exists'));
+        }
+
+        parent.children[name] = { type: 'dir', children: {} };
+        this.save();
+    }
+
+    /**
+     * Remove file atau directory
+     * @param {string} path - Path
+     * @param {Object} options - Options (recursive: hapus directory beserta isinya)
+     * @throws {Error} Jika path tidak ada, root, atau directory tanpa recursive
+     */
+    remove(path, options = {}) {
+        const { parent, name, absolute } = this.getParent(path);
+        const node = VirtualFileSystem.getChild(parent, name);
+
+        if (!node) {
+            throw new Error(t('errors.fileSystem.notFound'));
+        }
+        if (absolute === '/' || this.cwd === absolute || this.cwd.startsWith(`${absolute}/`)) {
+            throw new Error(t('errors.fileSystem.busy'));
+        }
+        if (node.type === 'dir' && !options.recursive) {
+            throw new Error(t('errors.fileSystem.isDirectory'));
+        }
+        this.checkAccess(node);
+
+        delete parent.children[name];
+        this.save();
+    }
+
+    /**
+     * Seed files dari mission data (sekali per mission)
+     * Path relatif terhadap home directory. File dengan `cipher` spec
+     * ({ type, plaintext, key? }) di-encrypt dengan key yang di-generate per mission,
+     * file dengan `item` wordlist berisi kata-kata dari wordlist tersebut (bisa di-collect)
+     * @param {Object} mission - Mission object dengan optional files array
+     * @returns {boolean} True jika ada files yang di-seed
+     */
+    seedMission(mission) {
+        if (!mission || !Array.isArray(mission.files) || this.seededMissions.includes(mission.id)) {
+            return false;
+        }
+
+        mission.files.forEach((file) => {
+            const { path, content: text = '', cipher, ...metadata } = file;
+            let content = text;
+
+            // Cipher puzzle: ciphertext di-generate saat seeding, plaintext & keys di metadata
+            if (cipher) {
+                const puzzle = Ciphers.createPuzzle(cipher);
+                content = puzzle.content;
+                metadata.encrypted = true;
+                metadata.cipher = { layers: puzzle.layers, plaintext: cipher.plaintext };
+            }
+            const wordlist = PasswordCracker.WORDLISTS[metadata.item];
+            if (wordlist && !text) {
+                content = wordlist.words.join('\n');
+            }
+
+            const absolute = path.startsWith('/')
+                ? this.resolve(path)
+                : `${CONSTANTS.FILESYSTEM.HOME}/${path}`;
+            const parentPath = absolute.slice(0, absolute.lastIndexOf('/')) || '/';
+
+            this.makeDirectory(parentPath, { parents: true });
+            if (!this.exists(absolute)) {
+                this.writeFile(absolute, content, {
+                    metadata: { ...metadata, mission: mission.id },
+                });
+            }
+        });
+
+        this.seededMissions.push(mission.id);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Serialize filesystem
+     * @returns {Object} Serializable filesystem data
+     */
+    toJSON() {
+        return {
+            root: this.root,
+            cwd: this.cwd,
+            seededMissions: this.seededMissions,
+        };
+    }
+
+    /**
+     * Persist filesystem ke storage (fork disimpan lewat owner, dengan cwd milik owner)
+     */
+    save() {
+        if (this.owner) {
+            this.owner.save();
+            return;
+        }
+        StorageService.saveFileSystem(this.toJSON());
+    }
+
+    /**
+     * Buat filesystem untuk terminal session lain: tree sama, cwd sendiri
+     * @returns {VirtualFileSystem} Forked filesystem
+     */
+    fork() {
+        return new VirtualFileSystem({ shared: this });
+    }
+}
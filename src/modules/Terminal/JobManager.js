@@ -0,0 +1,218 @@
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * JobManager - Job control untuk terminal (foreground/background jobs)
+ * Setiap command line berjalan sebagai job dengan AbortController sendiri,
+ * signal-nya diteruskan ke handlers supaya bisa dibatalkan (Ctrl+C, kill)
+ *
+ * Output background job di-buffer dan ditampilkan saat job selesai atau di-fg,
+ * supaya tidak bercampur dengan output command lain
+ */
+export class JobManager {
+    /**
+     * Job status, label-nya di i18n (commands.jobs.status.<status>)
+     */
+    static STATUS = {
+        RUNNING: 'running',
+        DONE: 'done',
+        TERMINATED: 'terminated',
+        FAILED: 'failed',
+    };
+
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.foreground = null;
+    }
+
+    /**
+     * Jalankan command line sebagai job
+     * @param {string} command - Command line (untuk ditampilkan di jobs)
+     * @param {Function} runner - async ({signal, sink, interactive}) => void
+     * @param {Object} options - Options (background)
+     * @returns {Promise<Object>} Job object (resolve setelah selesai jika foreground)
+     */
+    async start(command, runner, options = {}) {
+        const background = Boolean(options.background);
+        const job = {
+            id: background ? this.nextId++ : null,
+            command,
+            status: JobManager.STATUS.RUNNING,
+            controller: new AbortController(),
+            background,
+            buffer: [],
+            promise: null,
+            error: null,
+        };
+
+        const sink = (text, type) => {
+            if (!job.background) {
+                return this.terminal.addLine(text, type);
+            }
+            const line = { text, type };
+            job.buffer.push(line);
+            return line;
+        };
+
+        job.promise = Promise.resolve()
+            .then(() => runner({ signal: job.controller.signal, sink, interactive: !background }))
+            .then(() => {
+                if (job.status === JobManager.STATUS.RUNNING) {
+                    job.status = job.controller.signal.aborted
+                        ? JobManager.STATUS.TERMINATED
+                        : JobManager.STATUS.DONE;
+                }
+            })
+            .catch((error) => {
+                if (job.controller.signal.aborted) {
+                    job.status = JobManager.STATUS.TERMINATED;
+                    return;
+                }
+                job.status = JobManager.STATUS.FAILED;
+                job.error = error;
+                // Foreground error di-handle caller lewat wait()
+                if (job.background) {
+                    sink(t('terminal.executionError', { error: error.message }), 'error');
+                }
+            })
+            .finally(() => this.finish(job));
+
+        if (background) {
+            this.jobs.set(job.id, job);
+            this.terminal.addLine(`[${job.id}] ${command}`, 'info');
+            return job;
+        }
+
+        this.foreground = job;
+        await this.wait(job);
+        return job;
+    }
+
+    /**
+     * Tunggu job selesai, error dari handler di-throw ulang ke caller
+     * @param {Object} job - Job object
+     * @returns {Promise<void>}
+     * @throws {Error} Error dari command jika job gagal
+     */
+    async wait(job) {
+        await job.promise;
+        if (job.error) {
+            throw job.error;
+        }
+    }
+
+    /**
+     * Cleanup setelah job selesai
+     * @param {Object} job - Job object
+     */
+    finish(job) {
+        if (this.foreground === job) {
+            this.foreground = null;
+        }
+
+        // Background job: tampilkan notifikasi dan output yang di-buffer
+        if (job.background && this.jobs.has(job.id)) {
+            const type = job.status === JobManager.STATUS.DONE ? 'success' : 'info';
+            this.jobs.delete(job.id);
+            this.terminal.addLine(this.formatJob(job), type);
+            this.flushBuffer(job);
+        }
+    }
+
+    /**
+     * Tulis output job yang di-buffer ke terminal
+     * @param {Object} job - Job object
+     */
+    flushBuffer(job) {
+        job.buffer.forEach((line) => this.terminal.addLine(line.text, line.type));
+        job.buffer = [];
+    }
+
+    /**
+     * Format job untuk ditampilkan (seperti output bash jobs)
+     * @param {Object} job - Job object
+     * @returns {string} Formatted job line
+     */
+    formatJob(job) {
+        const suffix = job.status === JobManager.STATUS.RUNNING ? ' &' : '';
+        const status = t(`commands.jobs.status.${job.status}`);
+        return `[${job.id}]  ${status.padEnd(12)}${job.command}${suffix}`;
+    }
+
+    /**
+     * Get background jobs yang masih berjalan
+     * @returns {Object[]} Jobs urut berdasarkan id
+     */
+    list() {
+        return Array.from(this.jobs.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Resolve job spec (%n, n, atau kosong = job terakhir)
+     * @param {string} spec - Job spec
+     * @returns {Object|null} Job atau null jika tidak ada
+     */
+    resolve(spec) {
+        if (!spec) {
+            const jobs = this.list();
+            return jobs[jobs.length - 1] || null;
+        }
+        const id = Number(String(spec).replace(/^%/, ''));
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Kill background job
+     * @param {Object} job - Job object
+     */
+    kill(job) {
+        job.controller.abort();
+    }
+
+    /**
+     * Pindahkan background job ke foreground dan tunggu sampai selesai
+     * @param {Object} job - Job object
+     * @param {AbortSignal} signal - Signal dari command fg (Ctrl+C diteruskan ke job)
+     * @returns {Promise<void>}
+     */
+    async bringToForeground(job, signal = null) {
+        // Job keluar dari daftar background, notifikasi Done tidak perlu
+        this.jobs.delete(job.id);
+        job.background = false;
+        this.flushBuffer(job);
+
+        const onAbort = () => job.controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            await this.wait(job);
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Abort foreground job (Ctrl+C)
+     * @returns {boolean} True jika ada job yang dibatalkan
+     */
+    interrupt() {
+        if (!this.foreground) {
+            return false;
+        }
+        this.foreground.controller.abort();
+        return true;
+    }
+
+    /**
+     * Abort semua jobs (dipanggil saat terminal di-destroy)
+     */
+    abortAll() {
+        if (this.foreground) {
+            this.foreground.controller.abort();
+        }
+        this.jobs.forEach((job) => job.controller.abort());
+    }
+}
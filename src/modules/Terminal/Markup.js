@@ -0,0 +1,271 @@
+import { SecurityUtils } from '../../utils/security.js';
+
+/**
+ * Markup - Rich terminal output dengan escape sequences ala ANSI
+ *
+ *   ESC[<codes>m         SGR: 0 reset, 1 bold, 2 dim, 4 underline, 22/24/39 reset attribute,
+ *                        30-37 / 90-97 warna foreground
+ *   ESC]8;;cmd:<key>:<cmd>BEL  Link yang menjalankan command saat di-klik (OSC 8, URI
+ *                        kosong menutup). key adalah LINK_KEY sesi ini: hanya link dari
+ *                        Markup.link yang bisa di-klik, link di text dari luar (file, packet
+ *                        payloads, recording import) dirender sebagai text biasa.
+ *
+ * Handlers membuat markup lewat helpers (color, bold, link, table, progressBar).
+ * Text tetap plain string sehingga bisa di-pipe: strip() membuang semua sequences,
+ * toHtml() merender segments dengan setiap text di-escape via SecurityUtils.
+ */
+export class Markup {
+    static ESC = '\x1b';
+    static BEL = '\x07';
+    static LINK_KEY = Markup.createLinkKey();
+    // Dibuat dari ESC/BEL supaya regex literal tidak berisi control characters
+    static SEQUENCE = new RegExp(
+        `${Markup.ESC}\\[([\\d;]*)m|${Markup.ESC}\\]8;;([^${Markup.BEL}]*)${Markup.BEL}`,
+        'g'
+    );
+
+    // SGR color codes -> nama warna (class ansi-<nama>)
+    static COLORS = {
+        30: 'black',
+        31: 'red',
+        32: 'green',
+        33: 'yellow',
+        34: 'blue',
+        35: 'magenta',
+        36: 'cyan',
+        37: 'white',
+        90: 'gray',
+    };
+
+    /**
+     * Key random untuk link yang dibuat sesi ini (lihat link dan parse)
+     * @returns {string} Key (base36)
+     */
+    static createLinkKey() {
+        return Array.from(crypto.getRandomValues(new Uint32Array(2)))
+            .map((value) => value.toString(36))
+            .join('');
+    }
+
+    /**
+     * Warnai text
+     * @param {string} name - Nama warna (lihat COLORS)
+     * @param {string} text - Text
+     * @returns {string} Text dengan SGR sequence
+     * @throws {Error} Jika warna tidak dikenal
+     */
+    static color(name, text) {
+        const code = Object.keys(this.COLORS).find((key) => this.COLORS[key] === name);
+        if (!code) {
+            throw new Error(`unknown color '${name}'`);
+        }
+        return `${this.ESC}[${code}m${text}${this.ESC}[39m`;
+    }
+
+    /**
+     * Bold text
+     * @param {string} text - Text
+     * @returns {string} Text dengan SGR sequence
+     */
+    static bold(text) {
+        return `${this.ESC}[1m${text}${this.ESC}[22m`;
+    }
+
+    /**
+     * Link yang menjalankan command saat di-klik
+     * @param {string} command - Command line
+     * @param {string} label - Text yang ditampilkan (default command)
+     * @returns {string} Text dengan OSC 8 sequence
+     */
+    static link(command, label = command) {
+        const line = SecurityUtils.sanitizeInput(command).replace(/\s+/g, ' ');
+        const uri = `cmd:${this.LINK_KEY}:${line}`;
+        return `${this.ESC}]8;;${uri}${this.BEL}${label}${this.ESC}]8;;${this.BEL}`;
+    }
+
+    /**
+     * Buang semua escape sequences
+     * @param {string} text - Text dengan markup
+     * @returns {string} Plain text
+     */
+    static strip(text) {
+        return String(text).replace(this.SEQUENCE, '');
+    }
+
+    /**
+     * Panjang text yang terlihat (tanpa escape sequences)
+     * @param {string} text - Text dengan markup
+     * @returns {number} Visible length
+     */
+    static visibleLength(text) {
+        return this.strip(text).length;
+    }
+
+    /**
+     * Pad text berdasarkan visible length
+     * @param {string} text - Text dengan markup
+     * @param {number} width - Target width
+     * @param {string} align - left atau right
+     * @returns {string} Padded text
+     */
+    static pad(text, width, align = 'left') {
+        const padding = ' '.repeat(Math.max(0, width - this.visibleLength(text)));
+        return align === 'right' ? padding + text : text + padding;
+    }
+
+    /**
+     * Parse text menjadi segments dengan style (command hanya dari link dengan LINK_KEY)
+     * @param {string} text - Text dengan markup
+     * @returns {Array<{text: string, classes: string[], command: string|null}>} Segments
+     */
+    static parse(text) {
+        const segments = [];
+        const style = { bold: false, dim: false, underline: false, color: null, command: null };
+        const push = (value) => {
+            if (!value) return;
+            const classes = [];
+            if (style.color) classes.push(`ansi-${style.color}`);
+            if (style.bold) classes.push('ansi-bold');
+            if (style.dim) classes.push('ansi-dim');
+            if (style.underline) classes.push('ansi-underline');
+            segments.push({ text: value, classes, command: style.command });
+        };
+
+        const source = String(text);
+        const trusted = `cmd:${this.LINK_KEY}:`;
+        let last = 0;
+        source.replace(this.SEQUENCE, (match, codes, uri, offset) => {
+            push(source.slice(last, offset));
+            last = offset + match.length;
+
+            if (uri !== undefined) {
+                style.command = uri.startsWith(trusted) ? uri.slice(trusted.length) : null;
+                return match;
+            }
+            (codes || '0').split(';').forEach((value) => {
+                const code = Number(value);
+                if (code === 0) {
+                    Object.assign(style, { bold: false, dim: false, underline: false, color: null });
+                } else if (code === 1) {
+                    style.bold = true;
+                } else if (code === 2) {
+                    style.dim = true;
+                } else if (code === 4) {
+                    style.underline = true;
+                } else if (code === 22) {
+                    Object.assign(style, { bold: false, dim: false });
+                } else if (code === 24) {
+                    style.underline = false;
+                } else if (code === 39) {
+                    style.color = null;
+                } else if (this.COLORS[code]) {
+                    style.color = this.COLORS[code];
+                } else if (code >= 91 && code <= 97) {
+                    // Bright colors dirender sama dengan warna normal
+                    style.color = this.COLORS[code - 60];
+                }
+            });
+            return match;
+        });
+        push(source.slice(last));
+
+        return segments;
+    }
+
+    /**
+     * Render markup ke HTML (setiap text dan attribute di-escape via SecurityUtils)
+     * @param {string} text - Text dengan markup
+     * @param {Array<{start: number, end: number, className: string}>} highlights - Ranges
+     *   pada visible text yang dibungkus <mark> (misal hasil search)
+     * @returns {string} HTML string
+     */
+    static toHtml(text, highlights = []) {
+        let offset = 0;
+        return this.parse(text)
+            .map(({ text: value, classes, command }) => {
+                const escaped = this.highlight(value, offset, highlights);
+                offset += value.length;
+                if (command) {
+                    const className = ['terminal-link', ...classes].join(' ');
+                    const data = SecurityUtils.escapeHtml(command);
+                    return `<a class="${className}" data-command="${data}">${escaped}</a>`;
+                }
+                if (classes.length > 0) {
+                    return `<span class="${classes.join(' ')}">${escaped}</span>`;
+                }
+                return escaped;
+            })
+            .join('');
+    }
+
+    /**
+     * Escape satu segment dan bungkus bagian yang di-highlight dengan <mark>
+     * @param {string} value - Segment text
+     * @param {number} offset - Posisi segment di visible text
+     * @param {Array<{start: number, end: number, className: string}>} highlights - Ranges
+     * @returns {string} HTML string
+     */
+    static highlight(value, offset, highlights) {
+        let html = '';
+        let position = 0;
+        highlights
+            .filter(({ start, end }) => start < offset + value.length && end > offset)
+            .sort((a, b) => a.start - b.start)
+            .forEach(({ start, end, className }) => {
+                const from = Math.max(position, start - offset);
+                const to = Math.min(value.length, end - offset);
+                if (to <= from) return;
+                const marked = SecurityUtils.escapeHtml(value.slice(from, to));
+                html += SecurityUtils.escapeHtml(value.slice(position, from));
+                html += `<mark class="${className}">${marked}</mark>`;
+                position = to;
+            });
+        return html + SecurityUtils.escapeHtml(value.slice(position));
+    }
+
+    /**
+     * Format rows menjadi tabel dengan kolom rata
+     * @param {Array<Array<string|number>>} rows - Rows (cells boleh berisi markup)
+     * @param {Object} options - Options
+     * @param {string[]} options.headers - Optional header row (dicetak bold)
+     * @param {string[]} options.align - Alignment per kolom (left/right)
+     * @returns {string[]} Lines
+     */
+    static table(rows, options = {}) {
+        const { headers = null, align = [] } = options;
+        const all = (headers ? [headers, ...rows] : rows).map((row) => row.map(String));
+        const widths = [];
+        all.forEach((row) => {
+            row.forEach((cell, i) => {
+                widths[i] = Math.max(widths[i] || 0, this.visibleLength(cell));
+            });
+        });
+
+        const format = (row) =>
+            row
+                .map((cell, i) => {
+                    const isLast = i === row.length - 1 && align[i] !== 'right';
+                    return isLast ? cell : this.pad(cell, widths[i], align[i]);
+                })
+                .join('  ');
+
+        const lines = rows.map((row) => format(row.map(String)));
+        if (headers) {
+            lines.unshift(this.bold(format(headers)));
+        }
+        return lines;
+    }
+
+    /**
+     * Progress bar text
+     * @param {number} percent - Progress 0-100
+     * @param {number} width - Jumlah karakter bar
+     * @returns {string} Progress bar, misal [█████░░░░░]  50%
+     */
+    static progressBar(percent, width = 20) {
+        const clamped = Math.max(0, Math.min(100, percent));
+        const filled = Math.round((clamped / 100) * width);
+        const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+        return `[${bar}] ${String(Math.round(clamped)).padStart(3)}%`;
+    }
+}
@@ -5,6 +5,8 @@
 
 import { DOMUtils } from '../../utils/dom.js';
 import { eventBus } from '../../core/EventBus.js';
+import { randomService } from '../../services/RandomService.js';
+import { t } from '../../i18n/i18n.js';
 
 /**
  * MiniGames class untuk menangani semua mini-games
@@ -44,7 +46,7 @@ export class MiniGames {
             `;
             
             const title = document.createElement('h2');
-            title.textContent = '⚡ Quick Scan Challenge ⚡';
+            title.textContent = t('miniGames.scan.title');
             title.style.cssText = `
                 color: #9A7BB3;
                 margin-bottom: 30px;
@@ -52,7 +54,7 @@ export class MiniGames {
             `;
             
             const instruction = document.createElement('p');
-            instruction.textContent = 'Type the sequence quickly and accurately:';
+            instruction.textContent = t('miniGames.scan.instruction');
             instruction.style.cssText = `
                 margin-bottom: 20px;
                 color: #E4C8F7;
@@ -113,7 +115,9 @@ export class MiniGames {
             const updateTimer = () => {
                 const elapsed = Date.now() - startTime;
                 const remaining = Math.max(0, timeLimit - elapsed);
-                timerDiv.textContent = `Time: ${(remaining / 1000).toFixed(1)}s`;
+                timerDiv.textContent = t('miniGames.scan.time', {
+                    seconds: (remaining / 1000).toFixed(1),
+                });
                 
                 if (remaining <= 0) {
                     clearInterval(timerInterval);
@@ -188,9 +192,13 @@ export class MiniGames {
     /**
      * Optimize hack speed untuk bruteforce command
      * Player bisa click untuk "hack faster" dengan timing challenge
+     * @param {RandomStream} random - Random stream untuk posisi green zone
      * @returns {Promise<number>} Speed multiplier (0.5 - 2.0)
      */
-    static async optimizeHackSpeed() {
+    static async optimizeHackSpeed(random = randomService.stream('minigames')) {
+        // Green zone selebar 15%, posisinya berubah setiap challenge
+        const zoneStart = 50 + random.int(36);
+        const zoneEnd = zoneStart + 15;
         return new Promise((resolve) => {
             // Create overlay dengan progress bar
             const overlay = document.createElement('div');
@@ -218,14 +226,14 @@ export class MiniGames {
             `;
             
             const title = document.createElement('h2');
-            title.textContent = '⚡ Optimize Hack Speed ⚡';
+            title.textContent = t('miniGames.speed.title');
             title.style.cssText = `
                 color: #9A7BB3;
                 margin-bottom: 20px;
             `;
             
             const instruction = document.createElement('p');
-            instruction.textContent = 'Click when the bar reaches the green zone!';
+            instruction.textContent = t('miniGames.speed.instruction');
             instruction.style.cssText = `
                 margin-bottom: 30px;
                 color: #E4C8F7;
@@ -255,7 +263,7 @@ export class MiniGames {
             const greenZone = document.createElement('div');
             greenZone.style.cssText = `
                 position: absolute;
-                left: 70%;
+                left: ${zoneStart}%;
                 width: 15%;
                 height: 100%;
                 background: rgba(107, 203, 119, 0.3);
@@ -288,8 +296,8 @@ export class MiniGames {
                 
                 progressBar.style.width = `${progress}%`;
                 
-                // Check if in green zone (70-85%)
-                if (progress >= 70 && progress <= 85) {
+                // Check if in green zone
+                if (progress >= zoneStart && progress <= zoneEnd) {
                     progressBar.style.background = 'linear-gradient(90deg, #FF6B9D 0%, #9A7BB3 50%, #6BCB77 100%)';
                 } else {
                     progressBar.style.background = 'linear-gradient(90deg, #FF6B9D 0%, #9A7BB3 100%)';
@@ -304,18 +312,20 @@ export class MiniGames {
                 cancelAnimationFrame(animationId);
                 
                 // Calculate speed multiplier based on accuracy
-                if (progress >= 70 && progress <= 85) {
+                if (progress >= zoneStart && progress <= zoneEnd) {
                     // Perfect hit
-                    const center = 77.5;
+                    const center = zoneStart + 7.5;
                     const distance = Math.abs(progress - center);
                     const accuracy = 1 - (distance / 7.5);
                     speed = 1.0 + (accuracy * 1.0); // 1.0 - 2.0
-                    resultDiv.textContent = `Perfect! Speed: ${speed.toFixed(2)}x`;
+                    resultDiv.textContent = t('miniGames.speed.perfect', {
+                        speed: speed.toFixed(2),
+                    });
                     resultDiv.style.color = '#6BCB77';
                 } else {
                     // Miss
                     speed = 0.5 + (progress / 100) * 0.5; // 0.5 - 1.0
-                    resultDiv.textContent = `Miss! Speed: ${speed.toFixed(2)}x`;
+                    resultDiv.textContent = t('miniGames.speed.miss', { speed: speed.toFixed(2) });
                     resultDiv.style.color = '#FF6B9D';
                 }
                 
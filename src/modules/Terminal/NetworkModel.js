@@ -0,0 +1,554 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * NetworkModel - Simulated network topology di balik scan, ping dan connect
+ *
+ * Topology berasal dari field `network` setiap mission yang sudah terbuka:
+ *   {
+ *     subnets: [{ cidr: '10.0.0.0/24', name: 'internal', via: '172.16.0.1' }],
+ *     hosts: [{
+ *       ip, hostname, latency, firewall,
+ *       ports: [{ port, service, version, state, vulnerability }],
+ *       users: [{ name, email, lure, password, privilege, sudo }], // phish, connect, su
+ *       rootPassword, // su root (tanpa rootPassword root hanya lewat sudo/escalate)
+ *       escalation: { vulnerability, from }, // privilege escalation exploit (escalate)
+ *       traffic: [{ from, to, port, protocol, payload }], // target intercept
+ *     }],
+ *   }
+ * Subnet dengan `via` hanya bisa dijangkau setelah connect ke gateway tersebut
+ * (atau ke host lain di subnet itu). Host dengan firewall men-drop ICMP (ping timeout).
+ * Mission tanpa network (misal procedural missions) mendapat topology yang
+ * di-generate deterministik dari mission id.
+ *
+ * Host yang sudah ditemukan scan disimpan di state (knownHosts), hasil exploit/bypass/phish
+ * di state breaches ({ ip: { shell, firewall, credentials, root } }), sedangkan host yang
+ * sedang di-connect adalah milik satu terminal session (currentHost).
+ * Target dengan alert tinggi (state alerts, lihat TraceMonitor) mendapat honeypot host tambahan.
+ *
+ * Privileges (CONSTANTS.PRIVILEGE.LEVELS: guest < user < root) juga milik session:
+ * di mesin sendiri player adalah user biasa dengan sudo tanpa password, di remote host
+ * privilege berasal dari account login (guest tanpa credentials), su, sudo atau escalate.
+ */
+export class NetworkModel {
+    // Services yang menyediakan remote shell untuk connect
+    static SHELL_SERVICES = ['ssh', 'telnet'];
+
+    constructor(stateManager) {
+        this.state = stateManager;
+        this.currentHost = null;
+        this.currentUser = null; // Account di currentHost ({ name, privilege, sudo, password })
+        this.localRoot = false; // su root di mesin sendiri
+        this.generated = new Map(); // Cache generated networks per mission id
+    }
+
+    /**
+     * Get topology gabungan dari semua mission yang tidak locked
+     * @returns {{subnets: Object[], hosts: Object[]}} Network topology
+     */
+    getTopology() {
+        const subnets = [];
+        const hosts = [];
+
+        (this.state.get('missions') || []).forEach((mission) => {
+            if (mission.status === CONSTANTS.MISSION.STATUS.LOCKED) return;
+
+            const network = mission.network || this.generateNetwork(mission.id);
+            network.subnets.forEach((subnet) => {
+                if (!subnets.some((s) => s.cidr === subnet.cidr)) {
+                    subnets.push({ ...subnet, missionId: mission.id });
+                }
+            });
+            network.hosts.forEach((host) => {
+                if (!hosts.some((h) => h.ip === host.ip)) {
+                    hosts.push({ ports: [], latency: 20, ...host, missionId: mission.id });
+                }
+            });
+        });
+
+        // Target dengan alert tinggi memasang honeypot di subnet-nya (TraceMonitor)
+        const alerts = this.state.get('alerts') || {};
+        hosts
+            .filter((host) => alerts[host.ip] && alerts[host.ip].honeypot)
+            .map((host) => NetworkModel.createHoneypot(host))
+            .forEach((decoy) => {
+                if (!hosts.some((h) => h.ip === decoy.ip)) {
+                    hosts.push(decoy);
+                }
+            });
+
+        return { subnets, hosts };
+    }
+
+    /**
+     * Decoy host yang terlihat seperti target mudah (dipasang saat alert tinggi)
+     * @param {Object} host - Host yang memasang honeypot
+     * @returns {Object} Honeypot host (di subnet yang sama, mission yang sama)
+     */
+    static createHoneypot(host) {
+        const prefix = host.ip.replace(/\d+$/, '');
+        return {
+            ip: `${prefix}${200 + (NetworkModel.hash(host.ip) % 50)}`,
+            hostname: `${host.hostname}-backup`,
+            latency: host.latency,
+            honeypot: true,
+            ports: [
+                { port: 22, service: 'ssh', version: 'OpenSSH 7.2' },
+                {
+                    port: 8080,
+                    service: 'http',
+                    version: 'Backup console (debug mode)',
+                    vulnerability: 'Unauthenticated debug console (BKP-2016-1)',
+                },
+            ],
+            users: [{ name: 'backup', email: `backup@${host.hostname}`, lure: 'reset' }],
+            missionId: host.missionId,
+        };
+    }
+
+    /**
+     * Generate topology sederhana untuk mission tanpa network data
+     * @param {string} missionId - Mission id (dipakai sebagai seed)
+     * @returns {{subnets: Object[], hosts: Object[]}} Network topology
+     */
+    generateNetwork(missionId) {
+        if (this.generated.has(missionId)) {
+            return this.generated.get(missionId);
+        }
+
+        const seed = NetworkModel.hash(missionId);
+        const prefix = `10.${20 + (seed % 200)}.${(seed >>> 8) % 256}`;
+        const services = [
+            { port: 22, service: 'ssh' },
+            { port: 80, service: 'http', vulnerability: 'Outdated CMS plugin (GEN-80)' },
+            { port: 3306, service: 'mysql' },
+        ];
+        const count = 2 + (seed % 2);
+        const hosts = Array.from({ length: count }, (_, i) => ({
+            ip: `${prefix}.${10 + i * 7 + ((seed >>> (i + 2)) % 5)}`,
+            hostname: `node-${(seed >>> (i * 3)) % 100}`,
+            latency: 10 + ((seed >>> i) % 40),
+            firewall: i === count - 1,
+            ports: services.slice(0, 1 + ((seed >>> (i + 4)) % services.length)),
+        }));
+
+        const network = { subnets: [{ cidr: `${prefix}.0/24`, name: 'target-net' }], hosts };
+        this.generated.set(missionId, network);
+        return network;
+    }
+
+    /**
+     * Simple string hash (FNV-1a, 32-bit unsigned)
+     * @param {string} text - Input
+     * @returns {number} Hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Check apakah IP berada di subnet (CIDR)
+     * @param {string} ip - IPv4 address
+     * @param {string} cidr - Subnet, misal 192.168.1.0/24
+     * @returns {boolean} True jika IP ada di subnet
+     */
+    static inSubnet(ip, cidr) {
+        const [base, bits] = cidr.split('/');
+        const toNumber = (address) =>
+            address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+        const size = 2 ** (32 - Number(bits));
+        return Math.floor(toNumber(ip) / size) === Math.floor(toNumber(base) / size);
+    }
+
+    /**
+     * Find host berdasarkan IP atau hostname
+     * @param {string} address - IP atau hostname
+     * @returns {Object|null} Host
+     */
+    findHost(address) {
+        const key = String(address).toLowerCase();
+        const { hosts } = this.getTopology();
+        return hosts.find((host) => host.ip === key || host.hostname === key) || null;
+    }
+
+    /**
+     * Get subnet tempat sebuah IP berada
+     * @param {string} ip - IPv4 address
+     * @returns {Object|null} Subnet
+     */
+    getSubnet(ip) {
+        const { subnets } = this.getTopology();
+        return subnets.find((subnet) => NetworkModel.inSubnet(ip, subnet.cidr)) || null;
+    }
+
+    /**
+     * Check apakah subnet bisa dijangkau dari posisi saat ini
+     * @param {Object} subnet - Subnet
+     * @returns {boolean} True jika reachable
+     */
+    isSubnetReachable(subnet) {
+        if (!subnet.via) return true;
+        if (!this.currentHost) return false;
+        const { ip } = this.currentHost;
+        return ip === subnet.via || NetworkModel.inSubnet(ip, subnet.cidr);
+    }
+
+    /**
+     * Check apakah host bisa dijangkau dari posisi saat ini
+     * @param {Object} host - Host
+     * @returns {boolean} True jika reachable
+     */
+    isReachable(host) {
+        const subnet = this.getSubnet(host.ip);
+        return Boolean(subnet) && this.isSubnetReachable(subnet);
+    }
+
+    /**
+     * Subnets yang bisa di-scan dari posisi saat ini
+     * @returns {Object[]} Subnets
+     */
+    getReachableSubnets() {
+        return this.getTopology().subnets.filter((subnet) => this.isSubnetReachable(subnet));
+    }
+
+    /**
+     * Hosts di dalam subnet
+     * @param {Object} subnet - Subnet
+     * @returns {Object[]} Hosts
+     */
+    getHosts(subnet) {
+        const { hosts } = this.getTopology();
+        return hosts.filter((host) => NetworkModel.inSubnet(host.ip, subnet.cidr));
+    }
+
+    /**
+     * Subnet berikutnya yang belum selesai di-scan (scan tanpa argument)
+     * @returns {Object|null} Subnet, atau null jika semua subnet reachable sudah ditemukan
+     */
+    getNextSubnet() {
+        const known = this.getKnownHosts();
+        return (
+            this.getReachableSubnets().find((subnet) =>
+                this.getHosts(subnet).some((host) => !known.includes(host.ip))
+            ) || null
+        );
+    }
+
+    /**
+     * Subnet yang hanya reachable lewat gateway (untuk petunjuk pivot)
+     * @returns {Object[]} Subnets yang belum reachable
+     */
+    getHiddenRoutes() {
+        return this.getTopology().subnets.filter((subnet) => !this.isSubnetReachable(subnet));
+    }
+
+    /**
+     * Get hosts yang sudah ditemukan
+     * @returns {string[]} IP addresses
+     */
+    getKnownHosts() {
+        return this.state.get('knownHosts') || [];
+    }
+
+    /**
+     * Tandai hosts sebagai ditemukan
+     * @param {string[]} ips - IP addresses
+     */
+    discover(ips) {
+        const known = this.getKnownHosts();
+        const merged = [...new Set([...known, ...ips])];
+        if (merged.length !== known.length) {
+            this.state.set('knownHosts', merged);
+        }
+    }
+
+    /**
+     * Ports dari host (state default: open, filtered jadi open setelah firewall di-bypass)
+     * @param {Object} host - Host
+     * @returns {Object[]} Ports urut berdasarkan nomor port
+     */
+    getPorts(host) {
+        const bypassed = this.getBreach(host).firewall;
+        return host.ports
+            .map((port) => ({ ...port, state: bypassed ? 'open' : port.state || 'open' }))
+            .sort((a, b) => a.port - b.port);
+    }
+
+    /**
+     * Check apakah firewall host masih aktif (belum di-bypass)
+     * @param {Object} host - Host
+     * @returns {boolean} True jika firewall aktif
+     */
+    isFirewalled(host) {
+        return Boolean(host.firewall) && !this.getBreach(host).firewall;
+    }
+
+    /**
+     * Get breach flags sebuah host
+     * @param {Object} host - Host
+     * @returns {Object} Flags (shell, firewall, credentials)
+     */
+    getBreach(host) {
+        return (this.state.get('breaches') || {})[host.ip] || {};
+    }
+
+    /**
+     * Tandai host sebagai berhasil ditembus
+     * @param {Object} host - Host
+     * @param {string} kind - shell, firewall atau credentials
+     */
+    addBreach(host, kind) {
+        const breaches = this.state.get('breaches') || {};
+        this.state.set('breaches', {
+            ...breaches,
+            [host.ip]: { ...this.getBreach(host), [kind]: true },
+        });
+    }
+
+    /**
+     * Hapus breaches hosts (misal setelah player ter-trace dan target menambal celahnya)
+     * @param {string[]} ips - Host IPs
+     */
+    removeBreaches(ips) {
+        const breaches = { ...(this.state.get('breaches') || {}) };
+        ips.forEach((ip) => delete breaches[ip]);
+        this.state.set('breaches', breaches);
+    }
+
+    /**
+     * Jumlah host dengan breach tertentu (misal firewall yang sudah di-bypass)
+     * @param {string} kind - shell, firewall atau credentials
+     * @returns {number} Count
+     */
+    countBreaches(kind) {
+        const breaches = Object.values(this.state.get('breaches') || {});
+        return breaches.filter((breach) => breach[kind]).length;
+    }
+
+    /**
+     * Traffic yang lewat host (untuk intercept), generated jika tidak ada di data
+     * @param {Object} host - Host
+     * @returns {Object[]} Messages ({ from, to, port, protocol, payload })
+     */
+    getTraffic(host) {
+        if (host.traffic) {
+            return host.traffic;
+        }
+        const port = this.getPorts(host)[0] || { port: 80, service: 'http' };
+        return ['HELLO', `AUTH ${host.hostname}`, 'PING'].map((payload) => ({
+            from: host.ip,
+            to: this.getSubnet(host.ip).cidr.replace(/\d+\/\d+$/, '1'),
+            port: port.port,
+            protocol: port.service,
+            payload,
+        }));
+    }
+
+    /**
+     * Connect ke remote host (butuh remote shell service yang open atau hasil exploit)
+     * Tanpa credentials session login sebagai guest.
+     * @param {string} address - IP atau hostname
+     * @param {{user: string, password: string}|null} credentials - Optional login
+     * @returns {Object} Host yang di-connect
+     * @throws {Error} Jika host tidak ada, tidak reachable, menolak koneksi atau login gagal
+     */
+    connect(address, credentials = null) {
+        const host = this.findHost(address);
+        if (!host) {
+            throw new Error(t('errors.network.unknownHost', { address }));
+        }
+        if (!this.isReachable(host)) {
+            throw new Error(t('errors.network.unreachable', { address }));
+        }
+
+        // Exploit memberikan shell walaupun host tidak punya remote shell service
+        const shell = this.getPorts(host).find(
+            (port) => port.state === 'open' && NetworkModel.SHELL_SERVICES.includes(port.service)
+        );
+        if (!shell && !this.getBreach(host).shell) {
+            throw new Error(t('errors.network.refused', { address }));
+        }
+
+        const guest = CONSTANTS.PRIVILEGE.GUEST_ACCOUNT;
+        this.currentUser = credentials
+            ? this.authenticate(host, credentials.user, credentials.password)
+            : this.getAccounts(host).find((account) => account.name === guest);
+        this.currentHost = host;
+        this.discover([host.ip]);
+        return host;
+    }
+
+    /**
+     * Disconnect dari remote host
+     * @returns {Object|null} Host sebelumnya
+     */
+    disconnect() {
+        const host = this.currentHost;
+        this.currentHost = null;
+        this.currentUser = null;
+        return host;
+    }
+
+    /**
+     * Password sebuah account (user tanpa password mendapat session token dari phishing)
+     * @param {Object} user - User dari host data
+     * @returns {string} Password
+     */
+    static getPassword(user) {
+        return user.password || `session-${NetworkModel.hash(user.email || user.name).toString(16)}`;
+    }
+
+    /**
+     * Check apakah privilege memenuhi requirement
+     * @param {string} privilege - Privilege saat ini
+     * @param {string|null} required - Privilege yang dibutuhkan
+     * @returns {boolean} True jika cukup
+     */
+    static allows(privilege, required) {
+        if (!required) return true;
+        const { LEVELS } = CONSTANTS.PRIVILEGE;
+        return LEVELS.indexOf(privilege) >= LEVELS.indexOf(required);
+    }
+
+    /**
+     * Accounts di host (users dari data, root dan guest)
+     * @param {Object} host - Host
+     * @returns {Object[]} Accounts ({ name, password, privilege, sudo })
+     */
+    getAccounts(host) {
+        const users = (host.users || []).map((user) => ({
+            name: user.name,
+            password: NetworkModel.getPassword(user),
+            privilege: user.privilege || 'user',
+            sudo: Boolean(user.sudo),
+        }));
+        return [
+            ...users,
+            { name: 'root', password: host.rootPassword || null, privilege: 'root', sudo: true },
+            {
+                name: CONSTANTS.PRIVILEGE.GUEST_ACCOUNT,
+                password: null,
+                privilege: 'guest',
+                sudo: false,
+            },
+        ];
+    }
+
+    /**
+     * Login ke account di host
+     * @param {Object} host - Host
+     * @param {string} name - Account name
+     * @param {string} password - Password
+     * @returns {Object} Account
+     * @throws {Error} Jika account tidak ada atau password salah
+     */
+    authenticate(host, name, password) {
+        const account = this.getAccounts(host).find((a) => a.name === name);
+        if (!account || !account.password || account.password !== password) {
+            throw new Error(t('errors.network.authentication'));
+        }
+        return account;
+    }
+
+    /**
+     * Identity session saat ini
+     * sudo tidak mengubah session: privilege-nya hanya dibawa invocation itu (ctx.privilege)
+     * @param {string|null} elevated - Privilege invocation yang berjalan lewat sudo
+     * @returns {{name: string, privilege: string}} User name dan privilege
+     */
+    getIdentity(elevated = null) {
+        if (elevated === 'root' || (!this.currentHost && this.localRoot)) {
+            return { name: 'root', privilege: 'root' };
+        }
+        if (!this.currentHost) {
+            return { name: CONSTANTS.FILESYSTEM.USER, privilege: CONSTANTS.PRIVILEGE.LOCAL };
+        }
+        const { name, privilege } = this.currentUser || {
+            name: CONSTANTS.PRIVILEGE.GUEST_ACCOUNT,
+            privilege: 'guest',
+        };
+        return { name, privilege };
+    }
+
+    /**
+     * Check apakah session punya privilege tertentu
+     * @param {string|null} required - Privilege yang dibutuhkan
+     * @param {string|null} elevated - Privilege invocation yang berjalan lewat sudo
+     * @returns {boolean} True jika cukup
+     */
+    hasPrivilege(required, elevated = null) {
+        return NetworkModel.allows(this.getIdentity(elevated).privilege, required);
+    }
+
+    /**
+     * Switch user di host saat ini (atau root di mesin sendiri)
+     * Dari root tidak perlu password, seperti su biasa.
+     * @param {string} name - Account name
+     * @param {string} password - Password
+     * @param {string|null} elevated - Privilege invocation (sudo su)
+     * @returns {{name: string, privilege: string}} Identity baru
+     * @throws {Error} Jika authentication gagal
+     */
+    switchUser(name, password, elevated = null) {
+        const isRoot = this.hasPrivilege('root', elevated);
+        if (!this.currentHost) {
+            // Mesin sendiri hanya punya player dan root (root password tidak diketahui)
+            if (name === CONSTANTS.FILESYSTEM.USER) {
+                this.localRoot = false;
+            } else if (name === 'root' && isRoot) {
+                this.localRoot = true;
+            } else {
+                throw new Error(t('errors.network.authentication'));
+            }
+            return this.getIdentity();
+        }
+
+        const account = isRoot
+            ? this.getAccounts(this.currentHost).find((a) => a.name === name)
+            : this.authenticate(this.currentHost, name, password);
+        if (!account) {
+            throw new Error(t('errors.network.noUser', { name }));
+        }
+        this.currentUser = account;
+        if (account.privilege === 'root') {
+            this.addBreach(this.currentHost, 'root');
+        }
+        return this.getIdentity();
+    }
+
+    /**
+     * Check apakah user saat ini boleh sudo (di mesin sendiri tanpa password)
+     * @param {string} password - Password user saat ini
+     * @param {string|null} elevated - Privilege invocation (sudo di dalam sudo)
+     * @throws {Error} Jika user bukan sudoer atau password salah
+     */
+    authorizeSudo(password, elevated = null) {
+        if (!this.currentHost || this.hasPrivilege('root', elevated)) return;
+
+        const { name, sudo } = this.currentUser || { name: CONSTANTS.PRIVILEGE.GUEST_ACCOUNT };
+        if (!sudo) {
+            throw new Error(t('errors.network.notSudoer', { name }));
+        }
+        if (password === undefined) {
+            throw new Error(t('errors.network.passwordRequired', { name }));
+        }
+        if (this.currentUser.password !== password) {
+            throw new Error(t('errors.network.incorrectPassword'));
+        }
+    }
+
+    /**
+     * Naikkan session ke root lewat escalation exploit host saat ini
+     * @returns {{name: string, privilege: string}} Identity baru
+     */
+    escalate() {
+        this.currentUser = this.getAccounts(this.currentHost).find((a) => a.name === 'root');
+        this.addBreach(this.currentHost, 'root');
+        return this.getIdentity();
+    }
+}
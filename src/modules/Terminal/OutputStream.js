@@ -0,0 +1,88 @@
+import { Markup } from './Markup.js';
+
+/**
+ * OutputStream - Stream output untuk command handlers
+ * Dengan sink: setiap line langsung diteruskan (misal ke terminal)
+ * Tanpa sink: lines di-buffer untuk pipe atau redirection
+ *
+ * write() mengembalikan handle line yang bisa ditulis ulang dengan update()
+ * (dipakai progress bar supaya tidak menulis line baru setiap update).
+ */
+export class OutputStream {
+    /**
+     * @param {Function|null} sink - (text, type) => handle, default buffer
+     * @param {Function|null} refresh - (handle) => void, render ulang line setelah update
+     */
+    constructor(sink = null, refresh = null) {
+        this.sink = sink;
+        this.refresh = refresh;
+        this.lines = [];
+    }
+
+    /**
+     * Write satu line ke stream
+     * @param {string} text - Line text (boleh berisi Markup)
+     * @param {string} type - Line type (text, info, success, error, warning)
+     * @returns {Object} Line handle ({ text, type })
+     */
+    write(text, type = 'text') {
+        const line = { text: String(text), type };
+        if (this.sink) {
+            return this.sink(line.text, line.type) || line;
+        }
+        this.lines.push(line);
+        return line;
+    }
+
+    /**
+     * Tulis ulang line yang sudah di-write
+     * @param {Object} line - Handle dari write()
+     * @param {string} text - Text baru
+     */
+    update(line, text) {
+        line.text = String(text);
+        if (this.refresh) {
+            this.refresh(line);
+        }
+    }
+
+    /**
+     * Write tabel dengan kolom rata
+     * @param {Array<Array<string|number>>} rows - Rows
+     * @param {Object} options - Options untuk Markup.table (headers, align)
+     * @param {string} type - Line type
+     */
+    table(rows, options = {}, type = 'text') {
+        Markup.table(rows, options).forEach((line) => this.write(line, type));
+    }
+
+    /**
+     * Progress bar yang menulis ulang satu line
+     * @param {string} label - Label di depan bar
+     * @returns {{update: Function, done: Function}} Progress controller
+     */
+    progress(label) {
+        const render = (percent) => `${label} ${Markup.progressBar(percent)}`;
+        const line = this.write(render(0), 'info');
+        return {
+            update: (percent) => this.update(line, render(percent)),
+            done: (text = render(100)) => this.update(line, text),
+        };
+    }
+
+    /**
+     * Get buffered lines
+     * @returns {Array<{text: string, type: string}>} Buffered lines
+     */
+    getLines() {
+        return this.lines;
+    }
+
+    /**
+     * Get buffered output sebagai plain text
+     * @returns {string} Lines dipisah newline
+     */
+    getText() {
+        return this.lines.map((line) => line.text).join('\n');
+    }
+}
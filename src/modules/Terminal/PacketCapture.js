@@ -0,0 +1,274 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { NetworkModel } from './NetworkModel.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * PacketCapture - Simulated packets untuk sniff (dari traffic di NetworkModel)
+ *
+ * Setiap traffic message menjadi TCP segments (payload dipecah per SEGMENT_SIZE bytes)
+ * dalam stream berdasarkan pasangan endpoint. Packets dari stream berbeda saling
+ * bercampur, follow() menyusun kembali payload per stream.
+ *
+ * Filter expressions (mirip tcpdump):
+ *   host <addr>, src <addr>, dst <addr>, net <cidr>,
+ *   port <n>, src port <n>, dst port <n>, stream <n>,
+ *   <protocol> (tcp, xmpp, https, ...), contains <text>
+ *   digabung dengan and/&&, or/||, not/! dan tanda kurung
+ */
+export class PacketCapture {
+    /**
+     * Buat packets dari traffic messages
+     * @param {Object[]} messages - Traffic ({ from, to, port, protocol, payload })
+     * @param {Function} findHost - Lookup host berdasarkan IP (untuk menentukan server)
+     * @returns {Object[]} Packets (no, time, src, sport, dst, dport, protocol, seq, bytes,
+     *   payload, stream)
+     */
+    static build(messages, findHost = () => null) {
+        const { SEGMENT_SIZE, EPHEMERAL_PORT } = CONSTANTS.SNIFF;
+        const streams = new Map();
+        const packets = [];
+
+        messages.forEach((message) => {
+            // Server adalah endpoint yang menyediakan port tersebut
+            const target = findHost(message.to);
+            const toServer =
+                !findHost(message.from) ||
+                Boolean(target && (target.ports || []).some((p) => p.port === message.port));
+            const server = toServer ? message.to : message.from;
+            const client = toServer ? message.from : message.to;
+            const clientPort =
+                EPHEMERAL_PORT + (NetworkModel.hash(`${client}>${server}:${message.port}`) % 16000);
+
+            const key = `${client}:${clientPort}-${server}:${message.port}`;
+            if (!streams.has(key)) {
+                streams.set(key, { id: streams.size + 1, seq: { client: 0, server: 0 }, sent: 0 });
+            }
+            const stream = streams.get(key);
+            const direction = toServer ? 'client' : 'server';
+            const bytes = new TextEncoder().encode(message.payload);
+
+            for (let offset = 0; offset < bytes.length; offset += SEGMENT_SIZE) {
+                const segment = bytes.slice(offset, offset + SEGMENT_SIZE);
+                packets.push({
+                    src: toServer ? client : server,
+                    sport: toServer ? clientPort : message.port,
+                    dst: toServer ? server : client,
+                    dport: toServer ? message.port : clientPort,
+                    protocol: message.protocol,
+                    seq: stream.seq[direction],
+                    bytes: segment,
+                    payload: new TextDecoder().decode(segment),
+                    stream: stream.id,
+                    // Stream berbeda dimulai pada offset waktu berbeda, sehingga saling bercampur
+                    time: stream.id * 0.013 + stream.sent * 0.041,
+                });
+                stream.seq[direction] += segment.length;
+                stream.sent++;
+            }
+        });
+
+        return packets
+            .sort((a, b) => a.time - b.time)
+            .map((packet, i) => ({ ...packet, no: i + 1 }));
+    }
+
+    /**
+     * Parse filter expression menjadi predicate
+     * @param {string} expression - Filter expression
+     * @param {Function} findHost - Lookup host berdasarkan hostname
+     * @returns {Function} Predicate (packet) => boolean
+     * @throws {Error} Jika expression tidak valid
+     */
+    static parseFilter(expression, findHost = () => null) {
+        const tokens = expression.match(/\(|\)|&&|\|\||!|[^\s()!]+/g) || [];
+        if (tokens.length === 0) {
+            return () => true;
+        }
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const fail = (message) => {
+            throw new Error(t('errors.capture.filter', { message }));
+        };
+        const expect = (label) => {
+            const token = next();
+            if (token === undefined) fail(t('errors.capture.missing', { label }));
+            return token;
+        };
+        const address = (label) => {
+            const value = expect(label);
+            const host = findHost(value);
+            return host ? host.ip : value;
+        };
+        const portNumber = () => {
+            const value = expect('port number');
+            if (!/^\d+$/.test(value)) fail(t('errors.capture.port', { port: value }));
+            return Number(value);
+        };
+
+        const primary = () => {
+            const token = expect('expression');
+            const lower = token.toLowerCase();
+
+            if (token === '(') {
+                const inner = or();
+                if (next() !== ')') fail(t('errors.capture.missing', { label: "')'" }));
+                return inner;
+            }
+            if (lower === 'src' || lower === 'dst') {
+                const field = lower;
+                if (peek() === 'port') {
+                    next();
+                    const port = portNumber();
+                    return (p) => (field === 'src' ? p.sport : p.dport) === port;
+                }
+                if (peek() === 'host') next();
+                const ip = address('address');
+                return (p) => p[field] === ip;
+            }
+            if (lower === 'host') {
+                const ip = address('address');
+                return (p) => p.src === ip || p.dst === ip;
+            }
+            if (lower === 'net') {
+                const cidr = expect('network');
+                if (!/^\d+\.\d+\.\d+\.\d+\/\d+$/.test(cidr)) {
+                    fail(t('errors.capture.network', { network: cidr }));
+                }
+                return (p) =>
+                    NetworkModel.inSubnet(p.src, cidr) || NetworkModel.inSubnet(p.dst, cidr);
+            }
+            if (lower === 'port') {
+                const port = portNumber();
+                return (p) => p.sport === port || p.dport === port;
+            }
+            if (lower === 'stream') {
+                const id = Number(expect('stream number'));
+                return (p) => p.stream === id;
+            }
+            if (lower === 'contains') {
+                const text = expect('text').replace(/^["']|["']$/g, '');
+                return (p) => p.payload.includes(text);
+            }
+            if (lower === 'tcp') {
+                return () => true;
+            }
+            if (/^[a-z][a-z0-9-]*$/.test(lower) && !['and', 'or', 'not'].includes(lower)) {
+                return (p) => p.protocol === lower;
+            }
+            return fail(t('errors.capture.syntax', { token }));
+        };
+        const not = () => {
+            if (peek() === 'not' || peek() === '!') {
+                next();
+                const inner = not();
+                return (p) => !inner(p);
+            }
+            return primary();
+        };
+        const and = () => {
+            let left = not();
+            while (peek() === 'and' || peek() === '&&') {
+                next();
+                const [a, b] = [left, not()];
+                left = (p) => a(p) && b(p);
+            }
+            return left;
+        };
+        const or = () => {
+            let left = and();
+            while (peek() === 'or' || peek() === '||') {
+                next();
+                const [a, b] = [left, and()];
+                left = (p) => a(p) || b(p);
+            }
+            return left;
+        };
+
+        const predicate = or();
+        if (position < tokens.length) {
+            fail(t('errors.capture.syntax', { token: peek() }));
+        }
+        return predicate;
+    }
+
+    /**
+     * Satu baris ringkasan packet
+     * @param {Object} packet - Packet
+     * @returns {string} Summary
+     */
+    static summary(packet) {
+        const route = `${packet.src}:${packet.sport} → ${packet.dst}:${packet.dport}`;
+        const preview = this.printable(packet.payload).slice(0, CONSTANTS.SNIFF.PREVIEW_LENGTH);
+        return [
+            String(packet.no).padStart(3),
+            packet.time.toFixed(3).padStart(7),
+            route,
+            packet.protocol,
+            `len=${packet.bytes.length}`,
+            `stream ${packet.stream}`,
+            preview,
+        ].join('  ');
+    }
+
+    /**
+     * Hex/ASCII dump (16 bytes per baris)
+     * @param {Uint8Array} bytes - Data
+     * @returns {string[]} Dump lines
+     */
+    static hexdump(bytes) {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const row = Array.from(bytes.slice(offset, offset + 16));
+            const hex = row.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+            const ascii = row
+                .map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.'))
+                .join('');
+            lines.push(`${offset.toString(16).padStart(4, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Reassemble payload sebuah stream (urut berdasarkan seq, dikelompokkan per arah)
+     * @param {Object[]} packets - Captured packets
+     * @param {number} stream - Stream id
+     * @returns {Array<{from: string, to: string, text: string}>} Conversation turns
+     */
+    static follow(packets, stream) {
+        const turns = [];
+        packets
+            .filter((packet) => packet.stream === stream)
+            .forEach((packet) => {
+                const from = `${packet.src}:${packet.sport}`;
+                const last = turns[turns.length - 1];
+                if (last && last.from === from) {
+                    last.segments.push(packet);
+                } else {
+                    turns.push({ from, to: `${packet.dst}:${packet.dport}`, segments: [packet] });
+                }
+            });
+
+        return turns.map(({ from, to, segments }) => {
+            const sorted = [...segments].sort((a, b) => a.seq - b.seq);
+            const length = sorted.reduce((total, packet) => total + packet.bytes.length, 0);
+            const bytes = new Uint8Array(length);
+            let offset = 0;
+            sorted.forEach((packet) => {
+                bytes.set(packet.bytes, offset);
+                offset += packet.bytes.length;
+            });
+            return { from, to, text: new TextDecoder().decode(bytes) };
+        });
+    }
+
+    /**
+     * Ganti karakter non-printable dengan titik
+     * @param {string} text - Text
+     * @returns {string} Printable text
+     */
+    static printable(text) {
+        return text.replace(/[^\x20-\x7E]/g, '.');
+    }
+}
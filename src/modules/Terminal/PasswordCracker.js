@@ -0,0 +1,187 @@
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * PasswordCracker - Dictionary dan mask attacks terhadap SHA-256 hashes (SubtleCrypto)
+ *
+ * Hash file berisi satu target per baris: `user:sha256hex`.
+ * Candidates berasal dari:
+ *   --wordlist <file>   setiap kata di wordlist
+ *   --mask ?l?l?d?d     semua kombinasi mask (?l lower, ?u upper, ?d digit, ?s symbol, ?a semua,
+ *                       ?? untuk tanda tanya, karakter lain literal)
+ *   keduanya            setiap kata + setiap kombinasi mask (hybrid)
+ *
+ * Wordlists adalah inventory items (state unlockedItems); wordlist_common selalu dimiliki.
+ */
+export class PasswordCracker {
+    static CHARSETS = {
+        l: 'abcdefghijklmnopqrstuvwxyz',
+        u: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        d: '0123456789',
+        s: '!@#$%^&*-_.?',
+    };
+
+    // Wordlist items (id = inventory item id, name = nama file di inventory)
+    // Description ada di i18n: commands.inventory.wordlists.<id>
+    static WORDLISTS = {
+        wordlist_common: {
+            name: 'common.lst',
+            words: [
+                '123456', 'password', 'qwerty', 'letmein', 'admin', 'welcome', 'iloveyou',
+                'monkey', 'dragon', 'sunshine', 'princess', 'football', 'master', 'hello123',
+            ],
+        },
+        wordlist_pets: {
+            name: 'pets.lst',
+            words: [
+                'bella', 'coco', 'daisy', 'ginger', 'kitty', 'lucky', 'luna', 'max', 'milo',
+                'mochi', 'nala', 'oreo', 'peach', 'pepper', 'simba', 'snowy', 'tiger', 'toby',
+            ],
+        },
+        wordlist_kawaii: {
+            name: 'kawaii.lst',
+            words: [
+                'bunny', 'cupcake', 'honey', 'macaron', 'pastel', 'pudding', 'ribbon', 'sakura',
+                'sparkle', 'sprinkle', 'strawberry', 'sugar', 'sweetie', 'usagi',
+            ],
+        },
+    };
+
+    static STARTER_WORDLIST = 'wordlist_common';
+
+    /**
+     * Parse mask menjadi daftar charset per posisi
+     * @param {string} mask - Mask, misal ?l?l?d?d
+     * @returns {string[]} Charset untuk setiap posisi
+     * @throws {Error} Jika mask berisi placeholder yang tidak dikenal
+     */
+    static parseMask(mask) {
+        const charsets = [];
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i] !== '?') {
+                charsets.push(mask[i]);
+                continue;
+            }
+
+            const token = mask[++i];
+            if (token === '?') {
+                charsets.push('?');
+            } else if (token === 'a') {
+                charsets.push(Object.values(this.CHARSETS).join(''));
+            } else if (this.CHARSETS[token]) {
+                charsets.push(this.CHARSETS[token]);
+            } else {
+                throw new Error(t('errors.cracker.mask', { token: token || '' }));
+            }
+        }
+        return charsets;
+    }
+
+    /**
+     * Jumlah kombinasi mask
+     * @param {string[]} charsets - Hasil parseMask
+     * @returns {number} Keyspace
+     */
+    static maskKeyspace(charsets) {
+        return charsets.reduce((total, charset) => total * charset.length, 1);
+    }
+
+    /**
+     * Kombinasi mask ke-index (posisi terakhir berubah paling cepat)
+     * @param {string[]} charsets - Hasil parseMask
+     * @param {number} index - Index 0..keyspace-1
+     * @returns {string} Candidate
+     */
+    static maskCandidate(charsets, index) {
+        let rest = index;
+        let candidate = '';
+        for (let i = charsets.length - 1; i >= 0; i--) {
+            const charset = charsets[i];
+            candidate = charset[rest % charset.length] + candidate;
+            rest = Math.floor(rest / charset.length);
+        }
+        return candidate;
+    }
+
+    /**
+     * Buat attack: keyspace dan generator candidate
+     * @param {{words?: string[], mask?: string}} options - Wordlist words dan/atau mask
+     * @returns {{keyspace: number, candidateAt: Function}} Attack
+     * @throws {Error} Jika mask tidak valid
+     */
+    static createAttack({ words = null, mask = null }) {
+        const charsets = mask ? this.parseMask(mask) : [];
+        const combinations = this.maskKeyspace(charsets);
+        const base = words || [''];
+
+        return {
+            keyspace: base.length * combinations,
+            candidateAt: (index) =>
+                base[Math.floor(index / combinations)] +
+                this.maskCandidate(charsets, index % combinations),
+        };
+    }
+
+    /**
+     * Parse isi hash file
+     * @param {string} content - Isi file (user:hash per baris)
+     * @returns {Array<{user: string, hash: string}>} Targets
+     */
+    static parseHashes(content) {
+        return String(content)
+            .split('\n')
+            .map((line) => line.trim().match(/^([^:\s]+):([0-9a-f]{64})$/i))
+            .filter(Boolean)
+            .map(([, user, hash]) => ({ user, hash: hash.toLowerCase() }));
+    }
+
+    /**
+     * Parse isi wordlist file (satu kata per baris, # untuk komentar)
+     * @param {string} content - Isi file
+     * @returns {string[]} Words
+     */
+    static parseWordlist(content) {
+        return String(content)
+            .split('\n')
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith('#'));
+    }
+
+    /**
+     * SHA-256 hex digest
+     * @param {string} text - Input
+     * @returns {Promise<string>} Hex digest
+     */
+    static async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map((byte) => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Wordlist items yang dimiliki player
+     * @param {Object} stateManager - State manager
+     * @returns {string[]} Item ids
+     */
+    static getOwnedWordlists(stateManager) {
+        const items = stateManager.get('unlockedItems') || [];
+        return Object.keys(this.WORDLISTS).filter(
+            (id) => id === this.STARTER_WORDLIST || items.includes(id)
+        );
+    }
+
+    /**
+     * Find wordlist item berdasarkan id, nama file atau nama pendek (pets, pets.lst)
+     * @param {string} name - Nama wordlist
+     * @returns {string|null} Item id
+     */
+    static findWordlist(name) {
+        const key = String(name).toLowerCase();
+        return (
+            Object.keys(this.WORDLISTS).find((id) => {
+                const fileName = this.WORDLISTS[id].name;
+                return id === key || fileName === key || fileName === `${key}.lst`;
+            }) || null
+        );
+    }
+}
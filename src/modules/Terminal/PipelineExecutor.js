@@ -0,0 +1,139 @@
+import { OutputStream } from './OutputStream.js';
+import { ArgumentError } from './ArgumentParser.js';
+import { Markup } from './Markup.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * PipelineExecutor - Menjalankan pipeline hasil ShellParser
+ * Output setiap stage menjadi stdin stage berikutnya, output stage terakhir
+ * ditampilkan di terminal atau ditulis ke file (redirection)
+ */
+export class PipelineExecutor {
+    constructor(terminal) {
+        this.terminal = terminal;
+    }
+
+    /**
+     * Create stream yang langsung menulis ke terminal (atau sink job)
+     * @param {Function} sink - Optional sink (text, type), default terminal.addLine
+     * @returns {OutputStream} Terminal-bound stream
+     */
+    createTerminalStream(sink = null) {
+        return new OutputStream(
+            sink || ((text, type) => this.terminal.addLine(text, type)),
+            (line) => this.terminal.refreshLine(line)
+        );
+    }
+
+    /**
+     * Execute pipeline
+     * @param {{stages: Array, redirect: Object|null}} pipeline - Parsed pipeline
+     * @param {Object} options - Job options (signal, sink, interactive) dari JobManager
+     * @returns {Promise<boolean>} True jika semua stages berhasil dijalankan
+     */
+    async execute(pipeline, options = {}) {
+        const { stages, redirect } = pipeline;
+        const { signal = null, sink = null, interactive = true } = options;
+        const stderr = this.createTerminalStream(sink);
+        let stdin = null;
+
+        for (let i = 0; i < stages.length; i++) {
+            if (signal && signal.aborted) {
+                return false;
+            }
+
+            const stage = stages[i];
+            const isLast = i === stages.length - 1;
+            const stdout = isLast && !redirect
+                ? this.createTerminalStream(sink)
+                : new OutputStream();
+            const completed = await this.runCommand(stage.name, stage.args, {
+                stdin,
+                stdout,
+                stderr,
+                signal,
+                interactive,
+            });
+            if (!completed) {
+                return false;
+            }
+            // Markup hanya untuk tampilan, stage berikutnya dan file menerima plain text
+            stdin = stdout.getLines().map((line) => Markup.strip(line.text));
+        }
+
+        if (signal && signal.aborted) {
+            return false;
+        }
+
+        if (redirect) {
+            return this.writeRedirect(redirect, stdin || [], stderr);
+        }
+
+        return true;
+    }
+
+    /**
+     * Jalankan satu command: lookup, unlock & privilege check, parse arguments, lalu
+     * handler lewat registry (supaya plugin middleware ikut berjalan). Dipakai juga sudo.
+     * @param {string} name - Command name
+     * @param {string[]} argv - Raw arguments
+     * @param {Object} ctx - Execution context tanpa flags (stdin, stdout, stderr, signal,
+     *   interactive, privilege dari sudo)
+     * @returns {Promise<boolean>} True jika command berjalan sampai selesai
+     */
+    async runCommand(name, argv, ctx) {
+        const registry = this.terminal.commandRegistry;
+        const { stderr } = ctx;
+        const commandObj = registry.get(name);
+
+        if (!commandObj) {
+            stderr.write(t('terminal.commandNotFound', { command: name }), 'error');
+            return false;
+        }
+
+        if (!registry.isUnlocked(commandObj, this.terminal.state)) {
+            const requirement = registry.describeUnlock(commandObj);
+            stderr.write(t('terminal.locked', { command: name, requirement }), 'error');
+            return false;
+        }
+
+        if (!this.terminal.network.hasPrivilege(commandObj.privilege, ctx.privilege)) {
+            const { privilege } = commandObj;
+            stderr.write(t('terminal.permissionDenied', { command: name, privilege }), 'error');
+            stderr.write(t('terminal.sudoHint', { command: name }), 'info');
+            return false;
+        }
+
+        // Parse arguments berdasarkan schema command
+        let parsed;
+        try {
+            parsed = registry.parseArgs(commandObj, argv);
+        } catch (error) {
+            if (!(error instanceof ArgumentError)) throw error;
+            stderr.write(`${name}: ${error.message}`, 'error');
+            stderr.write(registry.usage(commandObj), 'info');
+            return false;
+        }
+
+        return registry.execute(commandObj, parsed.args, { ...ctx, flags: parsed.flags });
+    }
+
+    /**
+     * Tulis output pipeline ke file
+     * @param {{target: string, append: boolean}} redirect - Redirect info
+     * @param {string[]} lines - Output lines
+     * @param {OutputStream} stderr - Stream untuk error
+     * @returns {boolean} True jika berhasil
+     */
+    writeRedirect(redirect, lines, stderr) {
+        try {
+            this.terminal.fileSystem.writeFile(redirect.target, lines.join('\n'), {
+                append: redirect.append,
+            });
+            return true;
+        } catch (error) {
+            stderr.write(`${redirect.target}: ${error.message}`, 'error');
+            return false;
+        }
+    }
+}
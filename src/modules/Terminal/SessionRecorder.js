@@ -0,0 +1,212 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { delay } from '../../utils/performance.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * SessionRecorder - Record terminal session (input, output, timings) dan replay
+ *
+ * Format recording (JSON):
+ *   {
+ *     version: 1, title, started, duration,
+ *     events: [[wait, kind, ...data]],
+ *   }
+ * `wait` adalah jarak (ms) dari event sebelumnya. Kinds:
+ *   ['i', command]      command line yang diketik user
+ *   ['o', text, type]   line output (text boleh berisi Markup)
+ *   ['u', index, text]  line output ke-index ditulis ulang (misal progress bar)
+ *   ['c']               terminal di-clear
+ */
+export class SessionRecorder {
+    static VERSION = 1;
+    static KINDS = ['i', 'o', 'u', 'c'];
+
+    constructor() {
+        this.session = null;
+    }
+
+    /**
+     * Check apakah sedang recording
+     * @returns {boolean} True jika recording aktif
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * Mulai recording baru
+     * @param {string} title - Judul recording
+     * @throws {Error} Jika recording sudah berjalan
+     */
+    start(title = '') {
+        if (this.session) {
+            throw new Error(t('errors.recorder.recording'));
+        }
+        const now = Date.now();
+        this.session = {
+            title,
+            started: now,
+            last: now,
+            events: [],
+            lines: new WeakMap(), // Line record -> index output event
+            outputs: 0,
+        };
+    }
+
+    /**
+     * Recording sejauh ini, tanpa menghentikan recording
+     * @returns {Object} Recording (lihat format di atas)
+     * @throws {Error} Jika tidak sedang recording
+     */
+    snapshot() {
+        if (!this.session) {
+            throw new Error(t('errors.recorder.notRecording'));
+        }
+        const { title, started, last, events } = this.session;
+        return {
+            version: SessionRecorder.VERSION,
+            title,
+            started: new Date(started).toISOString(),
+            duration: last - started,
+            events: [...events],
+        };
+    }
+
+    /**
+     * Selesai recording
+     * @returns {Object} Recording (lihat format di atas)
+     * @throws {Error} Jika tidak sedang recording
+     */
+    stop() {
+        const recording = this.snapshot();
+        this.session = null;
+        return recording;
+    }
+
+    /**
+     * Tambah event ke recording aktif
+     * @param {string} kind - Event kind
+     * @param {...*} data - Event data
+     */
+    push(kind, ...data) {
+        const session = this.session;
+        if (!session || session.events.length >= CONSTANTS.RECORDING.MAX_EVENTS) return;
+
+        const now = Date.now();
+        session.events.push([now - session.last, kind, ...data]);
+        session.last = now;
+    }
+
+    /**
+     * Record command line dari user
+     * @param {string} command - Command line
+     */
+    input(command) {
+        this.push('i', command);
+    }
+
+    /**
+     * Record line output
+     * @param {Object} record - Line record dari Terminal.addLine
+     */
+    output(record) {
+        if (!this.session) return;
+        this.session.lines.set(record, this.session.outputs++);
+        this.push('o', record.text, record.type);
+    }
+
+    /**
+     * Record line yang ditulis ulang (hanya line yang di-output selama recording)
+     * @param {Object} record - Line record dari Terminal.addLine
+     */
+    update(record) {
+        if (!this.session || !this.session.lines.has(record)) return;
+        this.push('u', this.session.lines.get(record), record.text);
+    }
+
+    /**
+     * Record clear terminal
+     */
+    clear() {
+        this.push('c');
+    }
+
+    /**
+     * Serialize recording ke JSON
+     * @param {Object} recording - Recording
+     * @returns {string} JSON string
+     */
+    static serialize(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * Parse dan validasi recording
+     * @param {string} text - JSON string
+     * @returns {Object} Recording
+     * @throws {Error} Jika text bukan recording yang valid
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            throw new Error(t('errors.recorder.invalid'));
+        }
+
+        if (!recording || !Array.isArray(recording.events)) {
+            throw new Error(t('errors.recorder.invalid'));
+        }
+        if (recording.version !== this.VERSION) {
+            throw new Error(t('errors.recorder.version', { version: recording.version }));
+        }
+        const valid = recording.events.every(
+            (event) =>
+                Array.isArray(event) &&
+                typeof event[0] === 'number' &&
+                this.KINDS.includes(event[1])
+        );
+        if (!valid) {
+            throw new Error(t('errors.recorder.events'));
+        }
+        return recording;
+    }
+
+    /**
+     * Command lines yang diketik selama recording
+     * @param {Object} recording - Recording
+     * @returns {string[]} Commands
+     */
+    static getCommands(recording) {
+        return recording.events.filter(([, kind]) => kind === 'i').map(([, , command]) => command);
+    }
+
+    /**
+     * Replay output recording dengan timing asli
+     * @param {Object} recording - Recording
+     * @param {Object} target - { write(text, type) => handle, update(handle, text), clear() }
+     * @param {Object} options - Options
+     * @param {number} options.speed - Kecepatan (2 = dua kali lebih cepat)
+     * @param {AbortSignal} options.signal - Signal untuk membatalkan replay
+     * @returns {Promise<void>}
+     */
+    static async replay(recording, target, options = {}) {
+        const { speed = 1, signal = null } = options;
+        const lines = [];
+
+        for (const [wait, kind, ...data] of recording.events) {
+            // Jeda panjang (user sedang berpikir) dipotong supaya replay tetap enak ditonton
+            const pause = Math.min(wait, CONSTANTS.RECORDING.MAX_IDLE) / speed;
+            if (pause > 0) {
+                await delay(pause, signal);
+            }
+
+            if (kind === 'o') {
+                lines.push(target.write(data[0], data[1]));
+            } else if (kind === 'u' && lines[data[0]]) {
+                target.update(lines[data[0]], data[1]);
+            } else if (kind === 'c') {
+                target.clear();
+            }
+        }
+    }
+}
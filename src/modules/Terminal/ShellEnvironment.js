@@ -0,0 +1,157 @@
+import { ShellParser } from './ShellParser.js';
+import { CONSTANTS } from '../../core/Constants.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * ShellEnvironment - Aliases dan environment variables untuk terminal
+ * Disimpan di state (aliases, env) supaya ikut ter-persist bersama game state
+ */
+export class ShellEnvironment {
+    static NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    static ALIAS_PATTERN = /^[a-z0-9_][a-z0-9_.-]*$/;
+
+    constructor(stateManager, fileSystem) {
+        this.state = stateManager;
+        this.fileSystem = fileSystem;
+    }
+
+    /**
+     * Built-in variables yang dihitung dari terminal state (read-only)
+     * @returns {Object} Built-in variables
+     */
+    getBuiltins() {
+        return {
+            USER: CONSTANTS.FILESYSTEM.USER,
+            HOME: CONSTANTS.FILESYSTEM.HOME,
+            PWD: this.fileSystem.cwd,
+            SHELL: '/bin/softsh',
+        };
+    }
+
+    /**
+     * Get semua variables (built-in + user defined)
+     * @returns {Object} Variables
+     */
+    getVariables() {
+        return { ...(this.state.get('env') || {}), ...this.getBuiltins() };
+    }
+
+    /**
+     * Set environment variable
+     * @param {string} name - Variable name
+     * @param {string} value - Variable value
+     * @throws {Error} Jika nama tidak valid atau variable read-only
+     */
+    setVariable(name, value) {
+        this.assertWritable(name);
+        this.state.set('env', { ...(this.state.get('env') || {}), [name]: String(value) });
+    }
+
+    /**
+     * Hapus environment variable
+     * @param {string} name - Variable name
+     * @throws {Error} Jika variable read-only
+     */
+    unsetVariable(name) {
+        this.assertWritable(name);
+        const env = { ...(this.state.get('env') || {}) };
+        delete env[name];
+        this.state.set('env', env);
+    }
+
+    /**
+     * Pastikan variable boleh diubah
+     * @param {string} name - Variable name
+     * @throws {Error} Jika nama tidak valid atau built-in
+     */
+    assertWritable(name) {
+        if (!ShellEnvironment.NAME_PATTERN.test(name)) {
+            throw new Error(t('errors.shell.invalidIdentifier', { name }));
+        }
+        if (Object.prototype.hasOwnProperty.call(this.getBuiltins(), name)) {
+            throw new Error(t('errors.shell.readonly', { name }));
+        }
+    }
+
+    /**
+     * Get semua aliases
+     * @returns {Object} Map alias name -> command line
+     */
+    getAliases() {
+        return { ...(this.state.get('aliases') || {}) };
+    }
+
+    /**
+     * Get satu alias (own properties saja, 'constructor' bukan alias)
+     * @param {string} name - Alias name (lowercase)
+     * @returns {string|undefined} Command line atau undefined jika tidak ada
+     */
+    getAlias(name) {
+        const aliases = this.getAliases();
+        return Object.prototype.hasOwnProperty.call(aliases, name) ? aliases[name] : undefined;
+    }
+
+    /**
+     * Define alias
+     * @param {string} name - Alias name
+     * @param {string} value - Command line
+     * @throws {Error} Jika nama tidak valid atau value mengandung redirection / &
+     */
+    setAlias(name, value) {
+        const key = name.toLowerCase();
+        if (!ShellEnvironment.ALIAS_PATTERN.test(key)) {
+            throw new Error(t('errors.shell.invalidAlias', { name }));
+        }
+
+        const pipeline = ShellParser.parse(value);
+        if (pipeline.redirect || pipeline.background) {
+            throw new Error(t('errors.shell.aliasOperators'));
+        }
+        if (pipeline.stages.length === 0) {
+            throw new Error(t('errors.shell.emptyAlias', { name }));
+        }
+
+        this.state.set('aliases', { ...this.getAliases(), [key]: value });
+    }
+
+    /**
+     * Hapus alias
+     * @param {string} name - Alias name
+     * @returns {boolean} True jika alias ada dan dihapus
+     */
+    removeAlias(name) {
+        const key = name.toLowerCase();
+        if (this.getAlias(key) === undefined) {
+            return false;
+        }
+        const aliases = this.getAliases();
+        delete aliases[key];
+        this.state.set('aliases', aliases);
+        return true;
+    }
+
+    /**
+     * Expand aliases di setiap pipeline stage
+     * Alias yang sedang di-expand tidak di-expand lagi (alias ls='ls -a' aman)
+     * @param {Array<{name: string, args: string[]}>} stages - Pipeline stages
+     * @param {Set<string>} expanding - Aliases yang sedang di-expand
+     * @returns {Array<{name: string, args: string[]}>} Expanded stages
+     */
+    expandAliases(stages, expanding = new Set()) {
+        return stages.flatMap((stage) => {
+            const value = this.getAlias(stage.name);
+            if (value === undefined || expanding.has(stage.name)) {
+                return [stage];
+            }
+
+            const nested = new Set(expanding).add(stage.name);
+            const expanded = this.expandAliases(
+                ShellParser.parse(value, this.getVariables()).stages,
+                nested
+            );
+            const last = expanded[expanded.length - 1];
+            expanded[expanded.length - 1] = { ...last, args: [...last.args, ...stage.args] };
+            return expanded;
+        });
+    }
+}
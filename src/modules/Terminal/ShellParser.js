@@ -0,0 +1,200 @@
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * ShellParser - Parse command line menjadi pipeline
+ * Mendukung pipe (|), output redirection (> dan >>), background job (& di akhir),
+ * quoting, escapes dan variable expansion ($VAR / ${VAR}, tidak di dalam single quotes)
+ */
+export class ShellParser {
+    static OPERATORS = ['|', '>', '>>', '&'];
+
+    // Karakter yang bisa di-escape dengan backslash di dalam double quotes
+    static DOUBLE_QUOTE_ESCAPES = ['"', '\\', '$', '`'];
+
+    /**
+     * Tokenize command line menjadi words dan operators
+     * Mendukung single quotes (literal), double quotes dan backslash escapes,
+     * operator di dalam quotes dianggap bagian dari word
+     * @param {string} input - Command line
+     * @param {Object} variables - Variables untuk $VAR expansion (default: tanpa expansion)
+     * @returns {Array<{type: string, value: string}>} Tokens (type: word | op)
+     * @throws {Error} Jika ada quote yang tidak ditutup
+     */
+    static tokenize(input, variables = null) {
+        const tokens = [];
+        let current = '';
+        // Track word terpisah dari current supaya "" tetap menghasilkan empty word
+        let inWord = false;
+        let quote = null;
+
+        const pushWord = () => {
+            if (inWord) {
+                tokens.push({ type: 'word', value: current });
+                current = '';
+                inWord = false;
+            }
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quote === "'") {
+                if (char === "'") {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '$' && variables) {
+                const expansion = this.readVariable(input, i, variables);
+                current += expansion.value;
+                inWord = inWord || quote !== null || expansion.value !== '';
+                i = expansion.end;
+            } else if (quote === '"') {
+                if (char === '"') {
+                    quote = null;
+                } else if (char === '\\' && this.DOUBLE_QUOTE_ESCAPES.includes(input[i + 1])) {
+                    current += input[i + 1];
+                    i++;
+                } else {
+                    current += char;
+                }
+            } else if (char === '\\') {
+                if (i + 1 < input.length) {
+                    current += input[i + 1];
+                    i++;
+                }
+                inWord = true;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+                inWord = true;
+            } else if (/\s/.test(char)) {
+                pushWord();
+            } else if (char === '|' || char === '&') {
+                pushWord();
+                tokens.push({ type: 'op', value: char });
+            } else if (char === '>') {
+                pushWord();
+                if (input[i + 1] === '>') {
+                    tokens.push({ type: 'op', value: '>>' });
+                    i++;
+                } else {
+                    tokens.push({ type: 'op', value: '>' });
+                }
+            } else {
+                current += char;
+                inWord = true;
+            }
+        }
+
+        if (quote) {
+            throw new Error(t('errors.shell.unexpectedEof', { quote }));
+        }
+        pushWord();
+
+        return tokens;
+    }
+
+    /**
+     * Baca variable reference yang dimulai di posisi $
+     * @param {string} input - Command line
+     * @param {number} start - Index karakter $
+     * @param {Object} variables - Variable values
+     * @returns {{value: string, end: number}} Expanded value dan index karakter terakhir
+     * @throws {Error} Jika ${ tidak ditutup
+     */
+    static readVariable(input, start, variables) {
+        let name;
+        let end;
+
+        if (input[start + 1] === '{') {
+            const close = input.indexOf('}', start + 2);
+            if (close === -1) {
+                throw new Error(t('errors.shell.badSubstitution'));
+            }
+            name = input.slice(start + 2, close);
+            end = close;
+        } else {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(start + 1));
+            if (!match) {
+                // $ tanpa nama variable dianggap literal
+                return { value: '$', end: start };
+            }
+            name = match[0];
+            end = start + name.length;
+        }
+
+        const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : '';
+        return { value: String(value), end };
+    }
+
+    /**
+     * Parse command line menjadi pipeline
+     * @param {string} input - Command line
+     * @param {Object} variables - Variables untuk $VAR expansion
+     * @returns {{stages: Array, redirect: Object|null, background: boolean}} Pipeline
+     * @throws {Error} Jika syntax tidak valid
+     */
+    static parse(input, variables = null) {
+        const tokens = this.tokenize(input, variables);
+        const stages = [];
+        let redirect = null;
+        let background = false;
+        let words = [];
+
+        // & hanya valid sebagai token terakhir
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === 'op' && last.value === '&') {
+            background = true;
+            tokens.pop();
+            if (tokens.length === 0) {
+                throw new Error(t('errors.shell.unexpectedToken', { token: '&' }));
+            }
+        }
+
+        const pushStage = (operator) => {
+            if (words.length === 0) {
+                throw new Error(t('errors.shell.unexpectedToken', { token: operator }));
+            }
+            const [name, ...args] = words;
+            stages.push({ name: name.toLowerCase(), args });
+            words = [];
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'word') {
+                if (redirect) {
+                    throw new Error(t('errors.shell.unexpectedToken', { token: token.value }));
+                }
+                words.push(token.value);
+            } else if (token.value === '&') {
+                throw new Error(t('errors.shell.unexpectedToken', { token: '&' }));
+            } else if (token.value === '|') {
+                if (redirect) {
+                    throw new Error(t('errors.shell.unexpectedToken', { token: '|' }));
+                }
+                pushStage('|');
+            } else {
+                const target = tokens[i + 1];
+                if (!target || target.type !== 'word') {
+                    throw new Error(t('errors.shell.unexpectedToken', { token: 'newline' }));
+                }
+                pushStage(token.value);
+                redirect = {
+                    append: token.value === '>>',
+                    target: target.value,
+                };
+                i++;
+            }
+        }
+
+        if (words.length > 0) {
+            pushStage('newline');
+        } else if (!redirect && stages.length > 0) {
+            throw new Error(t('errors.shell.unexpectedToken', { token: 'newline' }));
+        }
+
+        return { stages, redirect, background };
+    }
+}
@@ -0,0 +1,308 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { I18n } from '../../i18n/i18n.js';
+import { PasswordCracker } from './PasswordCracker.js';
+
+/**
+ * TabCompleter - Context-aware tab completion untuk terminal
+ *
+ * Candidates ditentukan dari posisi kata yang sedang diketik:
+ * - kata pertama sebuah stage: command names + aliases
+ * - setelah > atau >>: file paths
+ * - diawali -: flags dari schema command
+ * - mengandung $: environment variables
+ * - argument lain: provider dari schema (args[i].complete)
+ *
+ * Tab berulang tanpa mengetik akan cycling melalui candidates.
+ */
+export class TabCompleter {
+    // Karakter yang memisahkan kata di command line
+    static WORD_BREAK = /[\s|>&]/;
+
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.cycle = null;
+        this.providers = {
+            commands: () => this.getCommandNames(),
+            files: (word) => this.getPaths(word, false),
+            dirs: (word) => this.getPaths(word, true),
+            hosts: () => this.terminal.state.get('knownHosts') || [],
+            missions: () => (this.terminal.state.get('missions') || []).map((m) => m.id),
+            aliases: () => Object.keys(this.terminal.environment.getAliases()),
+            variables: () => Object.keys(this.terminal.environment.getVariables()),
+            jobs: () => this.terminal.jobManager.list().map((job) => `%${job.id}`),
+            wordlists: (word) => [
+                ...this.getPaths(word, false),
+                ...PasswordCracker.getOwnedWordlists(this.terminal.state).map(
+                    (id) => PasswordCracker.WORDLISTS[id].name
+                ),
+            ],
+            locales: () => Object.keys(I18n.LOCALES),
+        };
+    }
+
+    /**
+     * Reset cycling state (dipanggil saat user mengetik)
+     */
+    reset() {
+        this.cycle = null;
+    }
+
+    /**
+     * Complete input line
+     * @param {string} line - Current input value
+     * @returns {{value: string, candidates: string[]}} Nilai input baru dan candidates
+     *   (candidates hanya diisi saat ada lebih dari satu kemungkinan yang perlu ditampilkan)
+     */
+    complete(line) {
+        // Tab berulang: cycling ke candidate berikutnya
+        if (this.cycle && this.cycle.value === line) {
+            const { prefix, candidates } = this.cycle;
+            this.cycle.index = (this.cycle.index + 1) % candidates.length;
+            this.cycle.value = prefix + candidates[this.cycle.index];
+            return { value: this.cycle.value, candidates: [] };
+        }
+        this.cycle = null;
+
+        const context = this.getContext(line);
+        const matches = this.getCandidates(context);
+        const candidates = this.rank(context.word, matches, context.matchFrom);
+        const prefix = line.slice(0, line.length - context.word.length);
+
+        if (candidates.length === 0) {
+            return { value: line, candidates: [] };
+        }
+        if (candidates.length === 1) {
+            const [candidate] = candidates;
+            const suffix = candidate.endsWith('/') ? '' : ' ';
+            return { value: prefix + candidate + suffix, candidates: [] };
+        }
+
+        // Lengkapi sampai common prefix, Tab berikutnya mulai cycling
+        const common = this.commonPrefix(candidates);
+        const value = prefix + (common.length > context.word.length ? common : context.word);
+        this.cycle = { prefix, candidates, index: -1, value };
+        return { value, candidates };
+    }
+
+    /**
+     * Analisa posisi kata terakhir di command line
+     * @param {string} line - Input line
+     * @returns {Object} Context (word, command, previous words, afterRedirect, matchFrom)
+     */
+    getContext(line) {
+        let start = line.length;
+        while (start > 0 && !TabCompleter.WORD_BREAK.test(line[start - 1])) {
+            start--;
+        }
+        const word = line.slice(start);
+        const before = line.slice(0, start);
+
+        const afterRedirect = />>?\s*$/.test(before);
+        const stageText = before.split(/[|&]/).pop();
+        const words = stageText.split(/\s+/).filter(Boolean);
+
+        // Path completion dicocokkan dari nama setelah / terakhir
+        const matchFrom = word.lastIndexOf('/') + 1;
+
+        return { word, words, afterRedirect, matchFrom };
+    }
+
+    /**
+     * Get candidates berdasarkan context
+     * @param {Object} context - Context dari getContext
+     * @returns {string[]} Candidates (belum difilter)
+     */
+    getCandidates(context) {
+        const { word, words, afterRedirect } = context;
+
+        if (afterRedirect) {
+            return this.providers.files(word);
+        }
+        if (word.includes('$')) {
+            const index = word.lastIndexOf('$');
+            context.matchFrom = index + 1;
+            return this.providers.variables().map((name) => `${word.slice(0, index)}$${name}`);
+        }
+        if (words.length === 0) {
+            return this.providers.commands();
+        }
+
+        const commandObj = this.resolveCommand(words[0]);
+        if (!commandObj) {
+            return [];
+        }
+        if (word.startsWith('-')) {
+            return Object.keys(commandObj.schema.flags).map((key) => `--${key}`);
+        }
+
+        // Value untuk flag non-boolean (misal --wordlist <file>)
+        const previous = words[words.length - 1];
+        const flagSpec = words.length > 1 ? this.findFlagSpec(commandObj, previous) : null;
+        const spec = flagSpec && this.takesValue(flagSpec, previous)
+            ? flagSpec
+            : this.getPositionalSpec(commandObj, words.slice(1));
+        const provider = spec && spec.complete ? this.providers[spec.complete] : null;
+        return provider ? provider(word) : [];
+    }
+
+    /**
+     * Resolve command object dari nama (alias di-resolve ke command pertamanya)
+     * @param {string} name - Command atau alias name
+     * @returns {Object|null} Command object
+     */
+    resolveCommand(name) {
+        const registry = this.terminal.commandRegistry;
+        const alias = this.terminal.environment.getAlias(name.toLowerCase());
+        const commandName = alias ? alias.trim().split(/\s+/)[0] : name;
+        return registry.get(commandName);
+    }
+
+    /**
+     * Get positional spec untuk argument yang sedang diketik
+     * @param {Object} commandObj - Command object
+     * @param {string[]} previous - Arguments sebelum kata saat ini
+     * @returns {Object|null} Positional spec
+     */
+    getPositionalSpec(commandObj, previous) {
+        const { args } = commandObj.schema;
+        let index = 0;
+
+        for (let i = 0; i < previous.length; i++) {
+            const arg = previous[i];
+            if (!arg.startsWith('-')) {
+                index++;
+            } else if (this.takesValue(this.findFlagSpec(commandObj, arg), arg)) {
+                // Lewati value dari flag non-boolean (--wordlist file)
+                i++;
+            }
+        }
+
+        if (index < args.length) {
+            return args[index];
+        }
+        const last = args[args.length - 1];
+        return last && last.variadic ? last : null;
+    }
+
+    /**
+     * Find flag spec dari argument (--name, --name=value atau -n)
+     * @param {Object} commandObj - Command object
+     * @param {string} arg - Argument
+     * @returns {Object|null} Flag spec
+     */
+    findFlagSpec(commandObj, arg) {
+        if (!arg || !arg.startsWith('-')) return null;
+        const flags = commandObj.schema.flags;
+        const key = arg.replace(/^-+/, '').split('=')[0];
+        if (arg.startsWith('--')) {
+            return Object.prototype.hasOwnProperty.call(flags, key) ? flags[key] : null;
+        }
+        return Object.values(flags).find((flag) => flag.short === key) || null;
+    }
+
+    /**
+     * Check if flag argument masih menunggu value di kata berikutnya
+     * @param {Object|null} spec - Flag spec
+     * @param {string} arg - Flag argument
+     * @returns {boolean} True jika kata berikutnya adalah value flag
+     */
+    takesValue(spec, arg) {
+        return Boolean(spec && spec.type && spec.type !== 'boolean' && !arg.includes('='));
+    }
+
+    /**
+     * Command names yang terbuka + aliases
+     * @returns {string[]} Names
+     */
+    getCommandNames() {
+        const names = [
+            ...this.terminal.commandRegistry.getAllNames(this.terminal.state),
+            ...this.providers.aliases(),
+        ];
+        return [...new Set(names)];
+    }
+
+    /**
+     * File path candidates relatif terhadap kata yang diketik
+     * @param {string} word - Kata saat ini (misal "cutechat/RE")
+     * @param {boolean} dirsOnly - Hanya directories
+     * @returns {string[]} Path candidates (directory diakhiri /)
+     */
+    getPaths(word, dirsOnly) {
+        const dir = word.slice(0, word.lastIndexOf('/') + 1);
+        try {
+            return this.terminal.fileSystem
+                .list(dir || '.')
+                .filter((entry) => !dirsOnly || entry.type === 'dir')
+                .map((entry) => `${dir}${entry.name}${entry.type === 'dir' ? '/' : ''}`);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Filter dan urutkan candidates: prefix match dulu, fuzzy match jika tidak ada
+     * @param {string} word - Kata yang diketik
+     * @param {string[]} candidates - Candidates
+     * @param {number} matchFrom - Index di word/candidate mulai pencocokan
+     * @returns {string[]} Candidates yang cocok
+     */
+    rank(word, candidates, matchFrom = 0) {
+        const unique = [...new Set(candidates)];
+        const base = word.slice(0, matchFrom);
+        const query = word.slice(matchFrom).toLowerCase();
+        const scoped = unique.filter((candidate) => candidate.startsWith(base));
+
+        const prefixed = scoped.filter((candidate) =>
+            candidate.slice(matchFrom).toLowerCase().startsWith(query)
+        );
+        if (prefixed.length > 0 || query === '') {
+            return prefixed.sort();
+        }
+
+        return scoped
+            .map((candidate) => ({
+                candidate,
+                score: TabCompleter.fuzzyScore(query, candidate.slice(matchFrom).toLowerCase()),
+            }))
+            .filter((match) => match.score >= 0)
+            .sort((a, b) => a.score - b.score || a.candidate.localeCompare(b.candidate))
+            .slice(0, CONSTANTS.TERMINAL.MAX_COMPLETIONS)
+            .map((match) => match.candidate);
+    }
+
+    /**
+     * Fuzzy score: semua karakter query harus muncul berurutan di target
+     * @param {string} query - Query (lowercase)
+     * @param {string} target - Target (lowercase)
+     * @returns {number} Jumlah karakter yang dilewati (lebih kecil lebih baik), -1 jika tidak cocok
+     */
+    static fuzzyScore(query, target) {
+        let position = 0;
+        let gaps = 0;
+        for (const char of query) {
+            const found = target.indexOf(char, position);
+            if (found === -1) {
+                return -1;
+            }
+            gaps += found - position;
+            position = found + 1;
+        }
+        return gaps;
+    }
+
+    /**
+     * Longest common prefix dari candidates
+     * @param {string[]} candidates - Candidates
+     * @returns {string} Common prefix
+     */
+    commonPrefix(candidates) {
+        return candidates.reduce((prefix, candidate) => {
+            let i = 0;
+            while (i < prefix.length && prefix[i] === candidate[i]) {
+                i++;
+            }
+            return prefix.slice(0, i);
+        });
+    }
+}
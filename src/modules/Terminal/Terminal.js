@@ -1,31 +1,90 @@
 import { CommandRegistry } from './CommandRegistry.js';
 import { CommandHandlers } from './CommandHandlers.js';
+import { VirtualFileSystem } from './FileSystem.js';
+import { ShellEnvironment } from './ShellEnvironment.js';
+import { ShellParser } from './ShellParser.js';
+import { PipelineExecutor } from './PipelineExecutor.js';
+import { JobManager } from './JobManager.js';
+import { TabCompleter } from './TabCompleter.js';
+import { CommandHistory } from './CommandHistory.js';
+import { NetworkModel } from './NetworkModel.js';
+import { TraceMonitor } from './TraceMonitor.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { TerminalSearch } from './TerminalSearch.js';
+import { Markup } from './Markup.js';
+import { MissionSystem } from '../Missions/MissionSystem.js';
 import { SecurityUtils } from '../../utils/security.js';
 import { ValidationUtils } from '../../utils/validation.js';
 import { DOMUtils } from '../../utils/dom.js';
 import { DOMCache } from '../../utils/dom.js';
 import { batchDOMUpdates } from '../../utils/performance.js';
+import { VirtualScroll } from '../../utils/virtualScroll.js';
 import { CONSTANTS } from '../../core/Constants.js';
 import { eventBus } from '../../core/EventBus.js';
 import { ErrorHandler } from '../../core/ErrorHandler.js';
+import { randomService } from '../../services/RandomService.js';
+import { t } from '../../i18n/i18n.js';
 
 /**
  * Terminal class untuk menangani command execution
  */
 export class Terminal {
-    constructor(stateManager) {
+    // Warna default per line type (markup di dalam line bisa override)
+    static LINE_COLORS = {
+        error: '#FF6B9D',
+        success: '#6BCB77',
+        info: '#9A7BB3',
+    };
+
+    /**
+     * @param {StateManager} stateManager - Game state
+     * @param {Object} options - Options untuk session tambahan (TerminalTabs)
+     * @param {HTMLElement} options.body - Output element (default #terminalBody)
+     * @param {HTMLElement} options.input - Input element (default #terminalInput)
+     * @param {HTMLElement} options.prompt - Prompt element di input container
+     * @param {VirtualFileSystem} options.fileSystem - Filesystem (fork untuk cwd sendiri)
+     * @param {StateManager} options.historyState - State untuk history session ini
+     * @param {RandomService} options.random - RNG (default randomService singleton)
+     */
+    constructor(stateManager, options = {}) {
         this.state = stateManager;
         this.domCache = new DOMCache();
-        this.body = this.domCache.get('#terminalBody');
-        this.input = this.domCache.get('#terminalInput');
+        this.body = options.body || this.domCache.get('#terminalBody');
+        this.input = options.input || this.domCache.get('#terminalInput');
+        this.promptElement =
+            options.prompt || this.domCache.get('.terminal-input-container .terminal-prompt');
+        this.fileSystem = options.fileSystem || new VirtualFileSystem();
+        this.environment = new ShellEnvironment(stateManager, this.fileSystem);
         this.commandRegistry = new CommandRegistry();
         this.commandHandlers = new CommandHandlers(this, stateManager);
+        this.pipelineExecutor = new PipelineExecutor(this);
+        this.jobManager = new JobManager(this);
+        this.completer = new TabCompleter(this);
+        this.history = new CommandHistory(options.historyState || stateManager);
+        this.network = new NetworkModel(stateManager);
+        // Alert level targets, countdown warnings ditulis ke session ini
+        this.trace = new TraceMonitor(stateManager, this.network, {
+            onWarning: (host, remaining) => this.writeTraceWarning(host, remaining),
+            onTraced: (host, mission) => this.handleTraced(host, mission),
+        });
+        this.random = options.random || randomService; // Seedable RNG (streams per system)
+        // File dengan privilege metadata mengikuti user session ini (su, sudo)
+        this.fileSystem.access = (privilege, elevated) => {
+            return this.network.hasPrivilege(privilege, elevated);
+        };
+        this.capture = []; // Packets dari sniff terakhir (--packet, --follow)
+        this.recorder = new SessionRecorder(); // Session recording (record, replay)
+        this.reverseSearch = null; // State Ctrl+R (query, index, original input)
         this.pendingLines = []; // Batch lines untuk performance
+        this.scrollback = []; // Semua lines, hanya yang terlihat dirender (VirtualScroll)
+        this.scroller = null;
+        this.search = new TerminalSearch(this); // Ctrl+F
         this.batchRendererInterval = null; // Store interval ID untuk cleanup
 
         this.init();
         this.registerCommands();
         this.startBatchRenderer();
+        this.trace.resume();
     }
 
     /**
@@ -40,48 +99,594 @@ export class Terminal {
         // Bind handlers untuk bisa di-remove saat cleanup
         this.boundHandleKeyDown = (e) => this.handleKeyDown(e);
         this.boundHandleInput = () => this.handleInput();
+        this.boundHandleLinkClick = (e) => this.handleLinkClick(e);
 
         this.input.addEventListener('keydown', this.boundHandleKeyDown);
         this.input.addEventListener('input', this.boundHandleInput);
+        this.body.addEventListener('click', this.boundHandleLinkClick);
         this.input.focus();
+
+        const { LINE_HEIGHT, SCROLL_OVERSCAN, VIEWPORT_HEIGHT } = CONSTANTS.TERMINAL;
+        this.scroller = new VirtualScroll(this.body, this.scrollback, {
+            itemHeight: LINE_HEIGHT,
+            overscan: SCROLL_OVERSCAN,
+            viewportHeight: VIEWPORT_HEIGHT,
+        });
+        this.scroller.renderItem = (record, index) => this.renderLine(record, index);
+
+        // Seed mission files ke filesystem setiap kali missions berubah
+        this.seedMissionFiles(this.state.get('missions'));
+        this.unsubscribeMissions = this.state.subscribe('missions', (missions) => {
+            this.seedMissionFiles(missions);
+        });
+
+        this.updatePrompt();
+    }
+
+    /**
+     * Seed files dari missions yang sudah available ke filesystem
+     * @param {Array} missions - Missions array
+     */
+    seedMissionFiles(missions = []) {
+        (missions || []).forEach((mission) => {
+            if (mission.status !== CONSTANTS.MISSION.STATUS.LOCKED) {
+                this.fileSystem.seedMission(mission);
+            }
+        });
+    }
+
+    /**
+     * Get prompt string berdasarkan user, host (lokal atau hasil connect) dan current directory
+     * @returns {string} Prompt string
+     */
+    getPrompt() {
+        const host = this.network.currentHost
+            ? this.network.currentHost.hostname
+            : CONSTANTS.NETWORK.LOCAL_HOSTNAME;
+        const { name, privilege } = this.network.getIdentity();
+        const symbol = privilege === 'root' ? '#' : '$';
+        return `${name}@${host}:${this.fileSystem.displayPath()}${symbol}`;
+    }
+
+    /**
+     * Update prompt di input container
+     */
+    updatePrompt() {
+        if (this.promptElement) {
+            this.promptElement.textContent = this.getPrompt();
+        }
+        eventBus.emit('terminal:prompt', { terminal: this });
     }
 
     /**
      * Register all commands
+     * Descriptions command dan flag ada di i18n (commands.<name>.description,
+     * commands.<name>.flags.<flag>), lihat CommandRegistry.describe
      */
     registerCommands() {
-        this.commandRegistry.register('help', () => this.commandHandlers.showHelp(), {
-            description: 'Show available commands',
+        const handlers = this.commandHandlers;
+
+        this.commandRegistry.register('help', (args, ctx) => handlers.showHelp(args, ctx), {
+            category: 'core',
+            args: [{ name: 'command', complete: 'commands' }],
+            examples: ['help', 'help scan'],
+        });
+        this.commandRegistry.register('man', (args, ctx) => handlers.man(args, ctx), {
+            category: 'core',
+            args: [{ name: 'command', required: true, complete: 'commands' }],
+            examples: ['man bruteforce'],
+        });
+        this.commandRegistry.register('clear', (args, ctx) => handlers.clearTerminal(args, ctx), {
+            category: 'core',
+        });
+        this.commandRegistry.register('scan', (args, ctx) => handlers.scanNetwork(args, ctx), {
+            category: 'network',
+            args: [{ name: 'target', complete: 'hosts' }],
+            examples: ['scan', 'scan 192.168.1.100', 'scan > targets.txt'],
+            missions: ['mission-01', 'mission-02', 'mission-04'],
+        });
+        this.commandRegistry.register('bruteforce', (args, ctx) => handlers.bruteforce(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'file', complete: 'files' }],
+            flags: {
+                wordlist: {
+                    short: 'w',
+                    type: 'string',
+                    placeholder: 'file',
+                    complete: 'wordlists',
+                },
+                mask: {
+                    short: 'm',
+                    type: 'string',
+                    placeholder: 'mask',
+                },
+            },
+            examples: [
+                'bruteforce password.hash',
+                'bruteforce password.hash --mask ?d?d?d?d',
+                'bruteforce password.hash --wordlist pets.lst --mask ?d?d',
+            ],
+            missions: ['mission-01'],
+        });
+        this.commandRegistry.register('verify', (args, ctx) => handlers.verifyPassword(args, ctx), {
+            category: 'hacking',
+            args: [
+                { name: 'file', required: true, complete: 'files' },
+                { name: 'password', required: true },
+            ],
+            examples: ['verify password.hash hunter2'],
+            missions: ['mission-01'],
+        });
+        this.commandRegistry.register('collect', (args, ctx) => handlers.collect(args, ctx), {
+            category: 'progress',
+            args: [{ name: 'file', required: true, complete: 'files' }],
+            examples: ['collect cache/pets.lst'],
+        });
+        this.commandRegistry.register(
+            'inventory',
+            (args, ctx) => handlers.showInventory(args, ctx),
+            { category: 'progress' }
+        );
+        this.commandRegistry.register('decrypt', (args, ctx) => handlers.decrypt(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'file', required: true, complete: 'files' }],
+            flags: {
+                plaintext: {
+                    type: 'string',
+                    placeholder: 'text',
+                },
+            },
+            examples: [
+                'decrypt cutechat/messages.enc',
+                'base64 -d hint.b64 | decrypt hint.b64',
+                "decrypt archive.enc --plaintext 'my recovered text'",
+            ],
+            missions: ['mission-01', 'mission-02', 'mission-03', 'mission-04', 'mission-05'],
+        });
+        this.commandRegistry.register('freq', (args, ctx) => handlers.frequency(args, ctx), {
+            category: 'crypto',
+            args: [{ name: 'file', complete: 'files' }],
+            examples: ['freq firewall.enc', 'cat firewall.enc | freq'],
+        });
+        this.commandRegistry.register('shift', (args, ctx) => handlers.shift(args, ctx), {
+            category: 'crypto',
+            args: [
+                { name: 'n' },
+                { name: 'file', complete: 'files' },
+            ],
+            flags: {
+                all: { short: 'a', type: 'boolean' },
+            },
+            examples: ['shift 3 notes.txt', 'base64 -d archive.enc | shift --all'],
+        });
+        this.commandRegistry.register('xor', (args, ctx) => handlers.xor(args, ctx), {
+            category: 'crypto',
+            args: [
+                { name: 'key' },
+                { name: 'file', complete: 'files' },
+            ],
+            flags: {
+                brute: { short: 'b', type: 'boolean' },
+            },
+            examples: ['xor --brute cutechat/messages.enc', 'xor 0x2a cutechat/messages.enc'],
+        });
+        this.commandRegistry.register('base64', (args, ctx) => handlers.base64(args, ctx), {
+            category: 'crypto',
+            args: [{ name: 'file', complete: 'files' }],
+            flags: {
+                decode: { short: 'd', type: 'boolean' },
+            },
+            examples: ['base64 -d hint.b64', 'echo hello | base64'],
+        });
+        this.commandRegistry.register('vigenere', (args, ctx) => handlers.vigenere(args, ctx), {
+            category: 'crypto',
+            args: [
+                { name: 'key', required: true },
+                { name: 'file', complete: 'files' },
+            ],
+            flags: {
+                decode: { short: 'd', type: 'boolean' },
+            },
+            examples: ['vigenere -d sensor soc/alert.enc'],
+        });
+        this.commandRegistry.register('subst', (args, ctx) => handlers.substitute(args, ctx), {
+            category: 'crypto',
+            args: [
+                { name: 'mapping', required: true },
+                { name: 'file', complete: 'files' },
+            ],
+            examples: ['subst xqa=eth firewall.enc'],
+        });
+        this.commandRegistry.register('exploit', (args, ctx) => handlers.exploit(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            flags: {
+                port: { short: 'p', type: 'number' },
+            },
+            examples: ['exploit 192.168.7.20', 'exploit fw-v31 --port 443'],
+            missions: ['mission-02', 'mission-04'],
+        });
+        this.commandRegistry.register('bypass', (args, ctx) => handlers.bypass(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            examples: ['bypass 172.16.0.1'],
+            missions: ['mission-04'],
+        });
+        this.commandRegistry.register('phish', (args, ctx) => handlers.phish(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            flags: {
+                lure: {
+                    short: 'l',
+                    type: 'string',
+                    default: 'reset',
+                    placeholder: 'reset|invoice|prize',
+                },
+            },
+            examples: ['phish admin-pc', 'phish bunny-phone --lure prize'],
+            missions: ['mission-01'],
+        });
+        this.commandRegistry.register('intercept', (args, ctx) => handlers.intercept(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            flags: {
+                count: {
+                    short: 'c',
+                    type: 'number',
+                    min: 1,
+                    placeholder: 'n',
+                },
+            },
+            examples: ['intercept chat-relay', 'intercept 192.168.7.20 -c 2 &'],
+            missions: ['mission-02'],
+        });
+        this.commandRegistry.register('ping', (args, ctx) => handlers.ping(args, ctx), {
+            category: 'network',
+            args: [{ name: 'host', complete: 'hosts' }],
+            examples: ['ping 192.168.1.100'],
+        });
+        this.commandRegistry.register('sniff', (args, ctx) => handlers.sniff(args, ctx), {
+            category: 'network',
+            args: [{ name: 'expression', variadic: true }],
+            flags: {
+                count: {
+                    short: 'c',
+                    type: 'number',
+                    min: 1,
+                    placeholder: 'n',
+                },
+                hex: { short: 'x', type: 'boolean' },
+                packet: {
+                    short: 'p',
+                    type: 'number',
+                    placeholder: 'n',
+                },
+                follow: {
+                    short: 'f',
+                    type: 'number',
+                    placeholder: 'stream',
+                },
+            },
+            examples: [
+                'sudo sniff',
+                'sudo sniff host chat-relay and port 5222',
+                'sudo sniff -x not https',
+                'sudo sniff --follow 1',
+            ],
+            missions: ['mission-02'],
+            privilege: 'root',
+        });
+        this.commandRegistry.register('connect', (args, ctx) => handlers.connect(args, ctx), {
+            category: 'network',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            flags: {
+                user: { short: 'u', type: 'string' },
+                password: { short: 'p', type: 'string' },
+            },
+            examples: ['connect 192.168.1.100', 'connect admin-pc -u admin -p <password>'],
+        });
+        this.commandRegistry.register('sudo', (args, ctx) => handlers.sudo(args, ctx), {
+            category: 'shell',
+            args: [
+                { name: 'command', required: true, complete: 'commands' },
+                { name: 'args', variadic: true },
+            ],
+            flags: {
+                password: {
+                    short: 'p',
+                    type: 'string',
+                },
+            },
+            optionsFirst: true,
+            examples: ['sudo sniff', 'sudo cat /etc/shadow', 'sudo -p <password> su'],
+        });
+        this.commandRegistry.register('su', (args, ctx) => handlers.su(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'user' }],
+            flags: {
+                password: { short: 'p', type: 'string' },
+            },
+            examples: ['su root -p <password>', 'sudo su', 'su soft-hacker'],
+        });
+        this.commandRegistry.register('escalate', (args, ctx) => handlers.escalate(args, ctx), {
+            category: 'hacking',
+            examples: ['connect vault', 'escalate'],
+            missions: ['mission-04'],
         });
-        this.commandRegistry.register('clear', () => this.commandHandlers.clearTerminal(), {
-            description: 'Clear terminal screen',
+        this.commandRegistry.register('disconnect', (args, ctx) => handlers.disconnect(args, ctx), {
+            category: 'network',
+            examples: ['disconnect'],
         });
-        this.commandRegistry.register('scan', () => this.commandHandlers.scanNetwork(), {
-            description: 'Scan network for targets',
+        this.commandRegistry.register('trace', (args, ctx) => handlers.showTrace(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', complete: 'hosts' }],
+            examples: ['trace', 'trace fw-v31'],
         });
-        this.commandRegistry.register('bruteforce', () => this.commandHandlers.bruteforce(), {
-            description: 'Brute force password attack',
+        this.commandRegistry.register('stealth', (args, ctx) => handlers.stealth(args, ctx), {
+            category: 'hacking',
+            args: [{ name: 'host', required: true, complete: 'hosts' }],
+            examples: ['stealth fw-v31'],
+            unlock: { item: 'stealth_mode' },
         });
-        this.commandRegistry.register('decrypt', (args) => this.commandHandlers.decrypt(args), {
-            description: 'Decrypt encrypted files',
+        this.commandRegistry.register('missions', (args, ctx) => handlers.showMissions(args, ctx), {
+            category: 'progress',
+            args: [{ name: 'mission', complete: 'missions' }],
+            examples: ['missions', 'missions mission-01'],
         });
-        this.commandRegistry.register('ping', (args) => this.commandHandlers.ping(args), {
-            description: 'Ping a network host',
+        this.commandRegistry.register('logs', (args, ctx) => handlers.showLogs(args, ctx), {
+            category: 'progress',
+            flags: {
+                lines: {
+                    short: 'n',
+                    type: 'number',
+                    default: 5,
+                    placeholder: 'n',
+                },
+            },
+            examples: ['logs', 'logs -n 50 | grep -i error'],
         });
-        this.commandRegistry.register('missions', () => this.commandHandlers.showMissions(), {
-            description: 'Show available missions',
+        this.commandRegistry.register('whoami', (args, ctx) => handlers.whoami(args, ctx), {
+            category: 'progress',
         });
-        this.commandRegistry.register('logs', () => this.commandHandlers.showLogs(), {
-            description: 'Display system logs',
+        this.commandRegistry.register('seed', (args, ctx) => handlers.seed(args, ctx), {
+            category: 'progress',
+            args: [{ name: 'seed' }],
+            flags: {
+                new: { short: 'n' },
+            },
+            examples: ['seed', 'seed pastel-42', 'seed --new'],
         });
-        this.commandRegistry.register('whoami', () => this.commandHandlers.whoami(), {
-            description: 'Show current user info',
+        this.commandRegistry.register('date', (args, ctx) => handlers.showDate(args, ctx), {
+            category: 'core',
         });
-        this.commandRegistry.register('date', () => this.commandHandlers.showDate(), {
-            description: 'Show current date and time',
+        this.commandRegistry.register('lang', (args, ctx) => handlers.setLanguage(args, ctx), {
+            category: 'core',
+            args: [{ name: 'locale', complete: 'locales' }],
+            examples: ['lang', 'lang id'],
         });
-        this.commandRegistry.register('echo', (args) => this.commandHandlers.echo(args), {
-            description: 'Echo text to terminal',
+        this.commandRegistry.register('echo', (args, ctx) => handlers.echo(args, ctx), {
+            category: 'core',
+            args: [{ name: 'text', variadic: true }],
+            strict: false,
+            examples: ['echo "hello  world"', 'echo note >> notes.txt'],
+        });
+        this.commandRegistry.register('alias', (args, ctx) => handlers.alias(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'name=value', variadic: true }],
+            examples: ["alias ll='ls -a'", "alias home='cd ~'"],
+        });
+        this.commandRegistry.register('unalias', (args, ctx) => handlers.unalias(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'name', variadic: true, complete: 'aliases' }],
+            flags: {
+                all: { short: 'a' },
+            },
+        });
+        this.commandRegistry.register(
+            'export',
+            (args, ctx) => handlers.exportVariables(args, ctx),
+            {
+                category: 'shell',
+                args: [{ name: 'NAME=value', variadic: true }],
+                examples: ['export TARGET=192.168.1.100', 'ping $TARGET'],
+            }
+        );
+        this.commandRegistry.register('env', (args, ctx) => handlers.showEnvironment(args, ctx), {
+            category: 'shell',
+        });
+        this.commandRegistry.register('unset', (args, ctx) => handlers.unsetVariables(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'NAME', required: true, variadic: true, complete: 'variables' }],
+        });
+        this.commandRegistry.register('history', (args, ctx) => handlers.showHistory(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'count' }],
+            flags: {
+                clear: { short: 'c' },
+            },
+            examples: ['history', 'history 5', '!!', '!3', '!scan'],
+        });
+        this.commandRegistry.register('jobs', (args, ctx) => handlers.listJobs(args, ctx), {
+            category: 'shell',
+            examples: ['bruteforce &', 'jobs'],
+        });
+        this.commandRegistry.register('fg', (args, ctx) => handlers.foregroundJob(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'job', complete: 'jobs' }],
+            examples: ['fg', 'fg %1'],
+        });
+        this.commandRegistry.register('kill', (args, ctx) => handlers.killJobs(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'job', required: true, variadic: true, complete: 'jobs' }],
+            examples: ['kill %1'],
+        });
+        this.commandRegistry.register('record', (args, ctx) => handlers.recordSession(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'action' }, { name: 'name', variadic: true, complete: 'files' }],
+            examples: ['record start bruteforce walkthrough', 'record status', 'record stop'],
+        });
+        this.commandRegistry.register('replay', (args, ctx) => handlers.replaySession(args, ctx), {
+            category: 'shell',
+            args: [{ name: 'file', required: true, complete: 'files' }],
+            flags: {
+                speed: {
+                    short: 's',
+                    type: 'number',
+                    default: 1,
+                    placeholder: 'n',
+                },
+                commands: { short: 'c' },
+            },
+            examples: ['replay walkthrough.rec', 'replay walkthrough.rec -s 4'],
+        });
+        this.commandRegistry.register(
+            'transcript',
+            (args, ctx) => handlers.saveTranscript(args, ctx),
+            {
+                category: 'shell',
+                args: [{ name: 'file', complete: 'files' }],
+                flags: {
+                    download: { short: 'd' },
+                },
+                examples: ['transcript', 'transcript session.txt', 'transcript -d'],
+            }
+        );
+        this.commandRegistry.register('ls', (args, ctx) => handlers.listFiles(args, ctx), {
+            category: 'files',
+            args: [{ name: 'path', variadic: true, complete: 'files' }],
+        });
+        this.commandRegistry.register('cd', (args, ctx) => handlers.changeDirectory(args, ctx), {
+            category: 'files',
+            args: [{ name: 'path', complete: 'dirs' }],
+        });
+        this.commandRegistry.register(
+            'pwd',
+            (args, ctx) => handlers.printWorkingDirectory(args, ctx),
+            { category: 'files' }
+        );
+        this.commandRegistry.register('cat', (args, ctx) => handlers.catFiles(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', variadic: true, complete: 'files' }],
+            examples: ['cat notes.txt', 'pwd | cat'],
+        });
+        this.commandRegistry.register('edit', (args, ctx) => handlers.editFile(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', required: true, complete: 'files' }],
+            examples: ['edit readme.txt', 'edit notes.md'],
+        });
+        this.commandRegistry.register('grep', (args, ctx) => handlers.grep(args, ctx), {
+            category: 'files',
+            args: [
+                { name: 'pattern', required: true },
+                { name: 'file', variadic: true, complete: 'files' },
+            ],
+            flags: {
+                ignoreCase: { short: 'i' },
+                invert: { short: 'v' },
+                lineNumber: { short: 'n' },
+                count: { short: 'c' },
+                fixed: { short: 'F' },
+            },
+            examples: ['grep -c 401 soc/access.log', 'logs -n 50 | grep -i error'],
+        });
+        ['head', 'tail'].forEach((command) => {
+            const handler = (args, ctx) => handlers.sliceLines(command, args, ctx);
+            this.commandRegistry.register(command, handler, {
+                category: 'files',
+                args: [{ name: 'file', variadic: true, complete: 'files' }],
+                flags: {
+                    lines: {
+                        short: 'n',
+                        type: 'number',
+                        default: 10,
+                        placeholder: 'n',
+                    },
+                },
+                examples: [`${command} -n 5 readme.txt`, `history | ${command} -n 3`],
+            });
+        });
+        this.commandRegistry.register('wc', (args, ctx) => handlers.wordCount(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', variadic: true, complete: 'files' }],
+            flags: {
+                lines: { short: 'l' },
+                words: { short: 'w' },
+                chars: { short: 'c' },
+            },
+            examples: ['wc readme.txt', 'ls | wc -l'],
+        });
+        this.commandRegistry.register('sort', (args, ctx) => handlers.sortLines(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', variadic: true, complete: 'files' }],
+            flags: {
+                numeric: { short: 'n' },
+                reverse: { short: 'r' },
+                unique: { short: 'u' },
+            },
+            examples: [
+                'sort names.txt',
+                'cut -d " " -f 2 soc/access.log | sort | uniq -c | sort -rn',
+            ],
+        });
+        this.commandRegistry.register('uniq', (args, ctx) => handlers.uniqueLines(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', complete: 'files' }],
+            flags: {
+                count: { short: 'c' },
+                repeated: { short: 'd' },
+                ignoreCase: { short: 'i' },
+            },
+            examples: ['sort names.txt | uniq', 'sort ips.txt | uniq -c'],
+        });
+        this.commandRegistry.register('cut', (args, ctx) => handlers.cutLines(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', variadic: true, complete: 'files' }],
+            flags: {
+                delimiter: {
+                    short: 'd',
+                    type: 'string',
+                    default: '\t',
+                    placeholder: 'delim',
+                },
+                fields: {
+                    short: 'f',
+                    type: 'string',
+                    placeholder: 'list',
+                },
+                characters: {
+                    short: 'c',
+                    type: 'string',
+                    placeholder: 'list',
+                },
+            },
+            examples: ['cut -d " " -f 2 soc/access.log', 'history | cut -c 1-20'],
+        });
+        this.commandRegistry.register('mkdir', (args, ctx) => handlers.makeDirectory(args, ctx), {
+            category: 'files',
+            args: [{ name: 'dir', required: true, variadic: true, complete: 'dirs' }],
+            flags: {
+                parents: { short: 'p' },
+            },
+            examples: ['mkdir loot', 'mkdir -p loot/keys'],
+        });
+        this.commandRegistry.register('rm', (args, ctx) => handlers.removeFiles(args, ctx), {
+            category: 'files',
+            args: [{ name: 'path', required: true, variadic: true, complete: 'files' }],
+            flags: {
+                recursive: { short: 'r' },
+                force: { short: 'f' },
+            },
+            examples: ['rm notes.txt', 'rm -rf loot'],
+        });
+        this.commandRegistry.register('download', (args, ctx) => handlers.downloadFile(args, ctx), {
+            category: 'files',
+            args: [{ name: 'file', required: true, complete: 'files' }],
+            examples: ['download notes.txt', 'download ~/recordings/walkthrough.rec'],
+        });
+        this.commandRegistry.register('upload', (args, ctx) => handlers.uploadFile(args, ctx), {
+            category: 'files',
+            args: [{ name: 'dir', complete: 'dirs' }],
+            examples: ['upload', 'upload ~/recordings'],
         });
     }
 
@@ -90,6 +695,10 @@ export class Terminal {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyDown(e) {
+        if (this.reverseSearch && this.handleSearchKey(e)) {
+            return;
+        }
+
         if (e.key === 'Enter') {
             this.executeCommand();
         } else if (e.key === 'ArrowUp') {
@@ -101,13 +710,136 @@ export class Terminal {
         } else if (e.key === 'Tab') {
             e.preventDefault();
             this.autocomplete();
+        } else if (e.key === 'c' && e.ctrlKey) {
+            // Biarkan copy jalan jika ada teks yang diselect
+            if (this.input.selectionStart !== this.input.selectionEnd) return;
+            e.preventDefault();
+            this.interrupt();
+        } else if (e.key === 'r' && e.ctrlKey) {
+            e.preventDefault();
+            this.startReverseSearch();
+        } else if (e.key === 'f' && e.ctrlKey) {
+            e.preventDefault();
+            this.search.open();
+        } else if (e.key === 's' && e.ctrlKey) {
+            e.preventDefault();
+            // Save transcript langsung sebagai download
+            const ctx = this.commandHandlers.createContext({ download: true });
+            this.commandHandlers.saveTranscript([], ctx);
         }
     }
 
+    /**
+     * Mulai reverse search (Ctrl+R), query ditampilkan inline di prompt
+     */
+    startReverseSearch() {
+        this.reverseSearch = {
+            query: '',
+            index: this.history.getEntries().length,
+            original: this.input.value,
+            failed: false,
+        };
+        this.renderReverseSearch();
+    }
+
+    /**
+     * Handle keydown selama reverse search
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True jika key sudah di-handle (tidak diteruskan ke handleKeyDown)
+     */
+    handleSearchKey(e) {
+        const search = this.reverseSearch;
+
+        if (e.ctrlKey && e.key === 'r') {
+            // Ctrl+R lagi: cari match yang lebih lama
+            e.preventDefault();
+            this.updateReverseSearch(search.query, search.index - 1);
+            return true;
+        }
+        if (e.key === 'Escape' || (e.ctrlKey && (e.key === 'g' || e.key === 'c'))) {
+            e.preventDefault();
+            this.endReverseSearch(true);
+            return true;
+        }
+        if (e.key === 'Backspace') {
+            e.preventDefault();
+            this.updateReverseSearch(search.query.slice(0, -1));
+            return true;
+        }
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.updateReverseSearch(search.query + e.key, search.index);
+            return true;
+        }
+
+        // Key lain (Enter, arrows, Tab): terima match lalu proses seperti biasa
+        this.endReverseSearch(false);
+        return false;
+    }
+
+    /**
+     * Update query reverse search dan cari match
+     * @param {string} query - Search query
+     * @param {number} from - Index awal pencarian (default: entry terbaru)
+     */
+    updateReverseSearch(query, from = this.history.getEntries().length - 1) {
+        const search = this.reverseSearch;
+        const index = this.history.search(query, from);
+
+        search.query = query;
+        search.failed = index === -1;
+        if (!search.failed) {
+            search.index = index;
+            this.input.value = this.history.getEntries()[index];
+        }
+        this.renderReverseSearch();
+    }
+
+    /**
+     * Render status reverse search di prompt
+     */
+    renderReverseSearch() {
+        const { query, failed } = this.reverseSearch;
+        if (this.promptElement) {
+            const label = t(failed ? 'terminal.reverseSearchFailed' : 'terminal.reverseSearch');
+            this.promptElement.textContent = `(${label})\`${query}':`;
+        }
+    }
+
+    /**
+     * Akhiri reverse search
+     * @param {boolean} restore - Kembalikan input sebelum search (batal)
+     */
+    endReverseSearch(restore) {
+        if (restore) {
+            this.input.value = this.reverseSearch.original;
+        }
+        this.reverseSearch = null;
+        this.updatePrompt();
+    }
+
+    /**
+     * Ctrl+C: abort foreground job atau batalkan input yang sedang diketik
+     */
+    interrupt() {
+        if (this.jobManager.interrupt()) {
+            this.addLine('^C', 'info');
+            return;
+        }
+
+        this.addLine(`${this.getPrompt()} ${this.input.value}^C`, 'prompt');
+        this.input.value = '';
+    }
+
     /**
      * Handle input events
      */
     handleInput() {
+        this.completer.reset();
+        if (this.reverseSearch) {
+            this.endReverseSearch(false);
+        }
+
         const suggestion = this.body.querySelector('.terminal-suggestion');
         if (suggestion) {
             suggestion.remove();
@@ -115,60 +847,63 @@ export class Terminal {
     }
 
     /**
-     * Execute command
+     * Execute command line (mendukung pipe dan redirection)
+     * @returns {Promise<void>}
      */
-    executeCommand() {
+    async executeCommand() {
         const command = this.input.value.trim();
         if (!command) return;
 
+        // Satu foreground job sekaligus supaya output tidak bercampur
+        if (this.jobManager.foreground) {
+            this.addLine(t('terminal.busy'), 'info');
+            return;
+        }
+
+        // Clear input sebelum eksekusi supaya user bisa langsung mengetik lagi
+        this.input.value = '';
+
         try {
             // Sanitize input
-            const sanitized = SecurityUtils.sanitizeInput(command);
+            let sanitized = SecurityUtils.sanitizeInput(command);
+            this.recorder.input(sanitized);
 
-            // Validate command
-            const allowedCommands = this.commandRegistry.getAllNames();
-            if (!SecurityUtils.validateCommand(sanitized, allowedCommands)) {
-                this.addLine('Invalid command format', 'error');
+            // Display command
+            this.addLine(`${this.getPrompt()} ${sanitized}`, 'prompt');
+
+            // History expansion (!!, !n, !prefix), hasil expansion ditampilkan seperti bash
+            try {
+                const expansion = this.history.expand(sanitized);
+                if (expansion.expanded) {
+                    sanitized = expansion.line;
+                    this.addLine(sanitized, 'text');
+                }
+            } catch (error) {
+                this.addLine(error.message, 'error');
                 return;
             }
 
             // Add to history
-            const history = this.state.get('commandHistory') || [];
-            history.push(sanitized);
-            if (history.length > CONSTANTS.TERMINAL.MAX_HISTORY) {
-                history.shift();
-            }
-            this.state.set('commandHistory', history);
-            this.state.set('historyIndex', history.length);
-
-            // Display command
-            this.addLine(`soft-hacker@terminal:~$ ${sanitized}`, 'prompt');
-
-            // Execute
-            const [cmd, ...args] = sanitized.split(' ');
-            const commandObj = this.commandRegistry.get(cmd.toLowerCase());
-
-            if (commandObj) {
-                // Validate command arguments jika ada schema
-                if (commandObj.validate && !commandObj.validate(args)) {
-                    this.addLine(`Invalid arguments for command: ${cmd}`, 'error');
-                    this.addLine(`Usage: ${commandObj.help}`, 'info');
-                    return;
-                }
+            this.history.add(sanitized);
 
-                commandObj.handler(args);
-            } else {
-                this.addLine(
-                    `Command not found: ${cmd}. Type 'help' for available commands.`,
-                    'error'
-                );
+            let pipeline;
+            try {
+                pipeline = ShellParser.parse(sanitized, this.environment.getVariables());
+                pipeline.stages = this.environment.expandAliases(pipeline.stages);
+            } catch (error) {
+                this.addLine(t('terminal.syntaxError', { error: error.message }), 'error');
+                return;
             }
+
+            const jobCommand = pipeline.background ? sanitized.replace(/\s*&$/, '') : sanitized;
+            await this.jobManager.start(
+                jobCommand,
+                (options) => this.pipelineExecutor.execute(pipeline, options),
+                { background: pipeline.background }
+            );
         } catch (error) {
             ErrorHandler.handle(error, 'Terminal.executeCommand');
-            this.addLine(`Error executing command: ${error.message}`, 'error');
-        } finally {
-            // Clear input
-            this.input.value = '';
+            this.addLine(t('terminal.executionError', { error: error.message }), 'error');
         }
     }
 
@@ -177,37 +912,35 @@ export class Terminal {
      * @param {number} direction - Direction (-1 for up, 1 for down)
      */
     navigateHistory(direction) {
-        const history = this.state.get('commandHistory') || [];
+        const history = this.history.getEntries();
         if (history.length === 0) return;
 
-        let historyIndex = this.state.get('historyIndex') || history.length;
-        historyIndex += direction;
+        let historyIndex = this.history.getIndex() + direction;
 
         if (historyIndex < 0) {
             historyIndex = 0;
         } else if (historyIndex >= history.length) {
             historyIndex = history.length;
             this.input.value = '';
-            this.state.set('historyIndex', historyIndex);
+            this.history.setIndex(historyIndex);
             return;
         }
 
         this.input.value = history[historyIndex];
-        this.state.set('historyIndex', historyIndex);
+        this.history.setIndex(historyIndex);
     }
 
     /**
-     * Autocomplete command
+     * Autocomplete kata terakhir di input (Tab)
+     * Tab berulang cycling melalui candidates
      */
     autocomplete() {
-        const input = this.input.value.trim();
-        const commands = this.commandRegistry.getAllNames();
-        const matches = commands.filter((cmd) => cmd.startsWith(input.toLowerCase()));
+        const result = this.completer.complete(this.input.value);
+        this.input.value = result.value;
 
-        if (matches.length === 1) {
-            this.input.value = matches[0];
-        } else if (matches.length > 1) {
-            this.addLine(`Possible completions: ${matches.join(', ')}`, 'info');
+        if (result.candidates.length > 0) {
+            const candidates = result.candidates.join(', ');
+            this.addLine(t('terminal.completions', { candidates }), 'info');
         }
     }
 
@@ -243,83 +976,78 @@ export class Terminal {
     flushPendingLines() {
         if (this.pendingLines.length === 0) return;
 
-        const fragment = document.createDocumentFragment();
-        this.pendingLines.forEach((lineData) => {
-            const line = this.createLineElement(lineData.text, lineData.type);
-            fragment.appendChild(line);
-        });
+        // Auto-scroll hanya jika user tidak sedang membaca scrollback di atas
+        const follow = !this.scroller || this.scroller.isAtBottom();
+        this.scrollback.push(...this.pendingLines);
+        this.pendingLines = [];
 
-        if (this.body) {
-            this.body.appendChild(fragment);
-            
-            // Limit terminal history untuk prevent memory leak
-            this.limitTerminalHistory();
-            
-            this.scrollToBottom();
+        if (this.search.isOpen()) {
+            this.search.find();
         }
+        if (this.scroller) {
+            this.scroller.updateItems(this.scrollback);
+            if (follow) {
+                this.scrollToBottom();
+            }
+        }
+    }
 
-        this.pendingLines = [];
+    /**
+     * Render ulang lines yang terlihat (misal setelah tab terlihat lagi atau search berubah)
+     */
+    refreshScrollback() {
+        if (this.scroller) {
+            this.scroller.calculateVisibleRange();
+            this.scroller.render();
+        }
     }
 
     /**
-     * Limit terminal history untuk prevent memory leak
-     * Remove old lines jika melebihi MAX_LINES
+     * Render satu scrollback line untuk VirtualScroll
+     * @param {Object} record - Line record
+     * @param {number} index - Index di scrollback
+     * @returns {HTMLElement} Line element
      */
-    limitTerminalHistory() {
-        if (!this.body) return;
+    renderLine(record, index) {
+        const line = this.createLineElement(
+            record.text,
+            record.type,
+            this.search.getHighlights(index)
+        );
+        record.element = line;
+        return line;
+    }
 
-        const maxLines = CONSTANTS.TERMINAL.MAX_LINES;
-        const lines = this.body.querySelectorAll('.terminal-line');
-        
-        if (lines.length > maxLines) {
-            // Remove oldest lines (keep last maxLines)
-            const linesToRemove = lines.length - maxLines;
-            for (let i = 0; i < linesToRemove; i++) {
-                lines[i].remove();
-            }
-        }
+    /**
+     * Scrollback sebagai plain text (untuk save transcript)
+     * @returns {string} Semua lines tanpa markup
+     */
+    getTranscript() {
+        this.flushPendingLines();
+        return this.scrollback.map((record) => Markup.strip(record.text)).join('\n');
     }
 
     /**
-     * Create line element
+     * Create line element (text boleh berisi Markup: warna, bold, links)
      * @param {string} text - Text content
      * @param {string} type - Line type
+     * @param {Array} highlights - Search highlight ranges (lihat Markup.toHtml)
      * @returns {HTMLElement} Line element
      */
-    createLineElement(text, type = 'text') {
+    createLineElement(text, type = 'text', highlights = []) {
         const line = DOMUtils.createElement('div', { className: 'terminal-line' });
-
-        if (type === 'prompt') {
-            const span = DOMUtils.createElement('span', { className: 'terminal-prompt' });
-            span.textContent = SecurityUtils.escapeHtml(text);
-            line.appendChild(span);
-        } else if (type === 'error') {
-            const span = DOMUtils.createElement('span', {
-                className: 'terminal-text',
-                style: 'color: #FF6B9D;',
-            });
-            span.textContent = SecurityUtils.escapeHtml(text);
-            line.appendChild(span);
-        } else if (type === 'success') {
-            const span = DOMUtils.createElement('span', {
-                className: 'terminal-text',
-                style: 'color: #6BCB77;',
-            });
-            span.textContent = SecurityUtils.escapeHtml(text);
-            line.appendChild(span);
-        } else if (type === 'info') {
-            const span = DOMUtils.createElement('span', {
-                className: 'terminal-text',
-                style: 'color: #9A7BB3;',
-            });
-            span.textContent = SecurityUtils.escapeHtml(text);
-            line.appendChild(span);
-        } else {
-            const span = DOMUtils.createElement('span', { className: 'terminal-text' });
-            span.textContent = SecurityUtils.escapeHtml(text);
-            line.appendChild(span);
+        const attributes = {
+            className: type === 'prompt' ? 'terminal-prompt' : 'terminal-text',
+        };
+        if (Terminal.LINE_COLORS[type]) {
+            attributes.style = `color: ${Terminal.LINE_COLORS[type]};`;
         }
 
+        // Markup.toHtml meng-escape setiap text segment via SecurityUtils
+        const span = DOMUtils.createElement('span', attributes);
+        span.innerHTML = Markup.toHtml(text, highlights);
+        line.appendChild(span);
+
         return line;
     }
 
@@ -327,49 +1055,124 @@ export class Terminal {
      * Add line to terminal (batched untuk performance)
      * @param {string} text - Text to add
      * @param {string} type - Line type (prompt, error, success, info, text)
+     * @returns {Object|null} Line record ({ text, type, element }) untuk refreshLine
      */
     addLine(text, type = 'text') {
-        if (!this.body) return;
+        if (!this.body) return null;
 
         // Add to pending batch
-        this.pendingLines.push({ text, type });
+        const record = { text, type, element: null };
+        this.pendingLines.push(record);
+        this.recorder.output(record);
 
         // Flush immediately jika terlalu banyak pending
         if (this.pendingLines.length > 10) {
             this.flushPendingLines();
         }
+        return record;
+    }
+
+    /**
+     * Render ulang line yang text-nya berubah (misal progress bar)
+     * Line yang masih pending atau di luar viewport memakai text terbaru saat dirender
+     * @param {Object} record - Line record dari addLine
+     */
+    refreshLine(record) {
+        if (!record) return;
+        this.recorder.update(record);
+        if (record.element && record.element.isConnected) {
+            this.scroller.render();
+        }
+    }
+
+    /**
+     * Jalankan command dari link yang di-klik
+     * @param {MouseEvent} e - Click event
+     */
+    handleLinkClick(e) {
+        const link = e.target.closest('.terminal-link');
+        if (!link) return;
+
+        e.preventDefault();
+        if (this.jobManager.foreground) {
+            this.addLine(t('terminal.busy'), 'info');
+            return;
+        }
+        this.input.value = link.dataset.command;
+        this.executeCommand();
     }
 
     /**
      * Clear terminal
      */
     clear() {
-        if (this.body) {
-            DOMUtils.clearChildren(this.body);
-        }
-        // Clear pending lines juga
+        // Array yang sama tetap dipakai VirtualScroll
+        this.scrollback.length = 0;
         this.pendingLines = [];
+        if (this.search.isOpen()) {
+            this.search.find();
+        }
+        if (this.scroller) {
+            this.scroller.updateItems(this.scrollback);
+        }
+        this.recorder.clear();
     }
 
     /**
      * Cleanup - dipanggil saat terminal di-destroy
      */
     destroy() {
+        this.jobManager.abortAll();
         this.stopBatchRenderer();
         this.pendingLines = [];
         // Remove event listeners jika ada
         if (this.input && this.boundHandleKeyDown && this.boundHandleInput) {
             this.input.removeEventListener('keydown', this.boundHandleKeyDown);
             this.input.removeEventListener('input', this.boundHandleInput);
+            this.body.removeEventListener('click', this.boundHandleLinkClick);
+        }
+        if (this.unsubscribeMissions) {
+            this.unsubscribeMissions();
+        }
+        if (this.scroller) {
+            this.scroller.destroy();
+        }
+        this.trace.dispose();
+    }
+
+    /**
+     * Countdown warning selama trace-back berjalan
+     * @param {Object} host - Host yang men-trace
+     * @param {number} remaining - Sisa waktu (ms)
+     */
+    writeTraceWarning(host, remaining) {
+        const seconds = Math.ceil(remaining / 1000);
+        const warning = t('terminal.traceWarning', { hostname: host.hostname, seconds });
+        this.addLine(`⚠ ${warning}`, 'error');
+    }
+
+    /**
+     * Trace-back selesai: mission gagal dan koneksi ke mission network terputus
+     * @param {Object} host - Host yang men-trace
+     * @param {Object|null} mission - Mission yang gagal
+     */
+    handleTraced(host, mission) {
+        const { hostname } = host;
+        this.addLine(t('terminal.traced', { hostname }), 'error');
+        if (mission) {
+            const { title } = MissionSystem.localize(mission);
+            this.addLine(t('missions.failed', { title }), 'error');
         }
+        this.updatePrompt();
+        this.addLog(t('terminal.tracedLog', { hostname }), 'error');
     }
 
     /**
      * Scroll to bottom
      */
     scrollToBottom() {
-        if (this.body) {
-            DOMUtils.scrollToBottom(this.body);
+        if (this.scroller) {
+            this.scroller.scrollToBottom();
         }
     }
 
@@ -0,0 +1,201 @@
+import { Markup } from './Markup.js';
+import { DOMUtils } from '../../utils/dom.js';
+
+/**
+ * TerminalSearch - Search di scrollback terminal (Ctrl+F)
+ *
+ * Search bar muncul di atas output. Matches dicari case-insensitive pada visible text
+ * (tanpa markup) di seluruh scrollback dan di-highlight saat line dirender.
+ *   Enter / Shift+Enter   match berikutnya / sebelumnya
+ *   Escape                tutup search
+ * Match pertama yang dipilih adalah yang paling baru (paling bawah).
+ */
+export class TerminalSearch {
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.bar = null;
+        this.query = '';
+        this.matches = []; // [{ index, start, end }] urut dari atas ke bawah
+        this.byLine = new Map(); // Line index -> match positions di this.matches
+        this.current = -1;
+    }
+
+    /**
+     * Check apakah search bar terbuka
+     * @returns {boolean} True jika terbuka
+     */
+    isOpen() {
+        return this.bar !== null;
+    }
+
+    /**
+     * Buka search bar (atau focus jika sudah terbuka)
+     */
+    open() {
+        if (!this.bar) {
+            this.createBar();
+            this.terminal.body.before(this.bar);
+        }
+        this.field.focus();
+        this.field.select();
+    }
+
+    /**
+     * Buat search bar elements
+     */
+    createBar() {
+        this.bar = DOMUtils.createElement('div', { className: 'terminal-search', role: 'search' });
+        this.field = DOMUtils.createElement('input', {
+            type: 'text',
+            className: 'terminal-search-input',
+            placeholder: 'Search scrollback...',
+            'aria-label': 'Search terminal output',
+        });
+        this.count = DOMUtils.createElement('span', {
+            className: 'terminal-search-count',
+            'aria-live': 'polite',
+        });
+        const buttons = [
+            { action: 'previous', label: '↑', title: 'Previous match (Shift+Enter)' },
+            { action: 'next', label: '↓', title: 'Next match (Enter)' },
+            { action: 'close', label: '×', title: 'Close search (Escape)' },
+        ].map(({ action, label, title }) =>
+            DOMUtils.createElement(
+                'button',
+                { className: 'terminal-action', 'data-action': action, title, 'aria-label': title },
+                label
+            )
+        );
+        DOMUtils.appendChildren(this.bar, [this.field, this.count, ...buttons]);
+
+        this.field.addEventListener('input', () => this.update(this.field.value));
+        this.field.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.bar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'close') {
+                this.close();
+            } else {
+                this.next(button.dataset.action === 'next' ? 1 : -1);
+            }
+        });
+        this.renderCount();
+    }
+
+    /**
+     * Keyboard di search field
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.next(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Tutup search bar dan hapus highlights
+     */
+    close() {
+        if (!this.bar) return;
+        this.bar.remove();
+        this.bar = null;
+        this.query = '';
+        this.find();
+        this.terminal.refreshScrollback();
+        this.terminal.focus();
+    }
+
+    /**
+     * Ganti query, pilih match paling baru
+     * @param {string} query - Search text
+     */
+    update(query) {
+        this.query = query;
+        this.find();
+        this.current = this.matches.length - 1;
+        this.reveal();
+    }
+
+    /**
+     * Cari semua matches di scrollback (dipanggil ulang saat ada output baru)
+     */
+    find() {
+        const selected = this.matches[this.current];
+        this.matches = [];
+        this.byLine = new Map();
+
+        const query = this.query.toLowerCase();
+        if (query) {
+            this.terminal.scrollback.forEach((record, index) => {
+                const text = Markup.strip(record.text).toLowerCase();
+                for (let start = text.indexOf(query); start !== -1; ) {
+                    if (!this.byLine.has(index)) this.byLine.set(index, []);
+                    this.byLine.get(index).push(this.matches.length);
+                    this.matches.push({ index, start, end: start + query.length });
+                    start = text.indexOf(query, start + query.length);
+                }
+            });
+        }
+
+        // Pertahankan match yang sedang dipilih (output baru hanya menambah di bawah)
+        this.current = selected
+            ? this.matches.findIndex((m) => m.index === selected.index && m.start === selected.start)
+            : -1;
+        this.renderCount();
+    }
+
+    /**
+     * Pindah ke match berikutnya / sebelumnya (wrap around)
+     * @param {number} direction - 1 berikutnya, -1 sebelumnya
+     */
+    next(direction = 1) {
+        const total = this.matches.length;
+        if (total === 0) return;
+        this.current = (this.current + direction + total) % total;
+        this.reveal();
+    }
+
+    /**
+     * Scroll ke match yang dipilih dan render ulang highlights
+     */
+    reveal() {
+        this.renderCount();
+        const match = this.matches[this.current];
+        if (match) {
+            this.terminal.scroller.scrollToIndex(match.index);
+        } else {
+            this.terminal.refreshScrollback();
+        }
+    }
+
+    /**
+     * Update label jumlah matches
+     */
+    renderCount() {
+        if (!this.count) return;
+        if (!this.query) {
+            this.count.textContent = '';
+        } else if (this.matches.length === 0) {
+            this.count.textContent = 'No matches';
+        } else {
+            this.count.textContent = `${this.current + 1}/${this.matches.length}`;
+        }
+    }
+
+    /**
+     * Highlight ranges untuk satu line (dipakai Terminal saat render)
+     * @param {number} index - Line index di scrollback
+     * @returns {Array<{start: number, end: number, className: string}>} Ranges
+     */
+    getHighlights(index) {
+        return (this.byLine.get(index) || []).map((position) => ({
+            start: this.matches[position].start,
+            end: this.matches[position].end,
+            className: position === this.current ? 'terminal-match current' : 'terminal-match',
+        }));
+    }
+}
@@ -0,0 +1,394 @@
+import { Terminal } from './Terminal.js';
+import { StateManager } from '../../core/StateManager.js';
+import { DOMUtils } from '../../utils/dom.js';
+import { CONSTANTS } from '../../core/Constants.js';
+import { eventBus } from '../../core/EventBus.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * TerminalTabs - Beberapa terminal sessions dalam tabs dan split panes
+ *
+ * Setiap pane adalah Terminal sendiri dengan history, cwd (fork filesystem),
+ * connected host dan jobs masing-masing. Game state (missions, xp, knownHosts,
+ * environment variables) tetap dipakai bersama. Session pertama memakai
+ * #terminalBody/#terminalInput yang sudah ada di HTML.
+ *
+ * Shortcuts (di input terminal):
+ *   Alt+T      tab baru          Alt+D      split pane
+ *   Alt+W      tutup pane        Alt+1..9   pindah ke tab n
+ *   Alt+[ / ]  tab sebelumnya / berikutnya
+ */
+export class TerminalTabs {
+    constructor(stateManager, container = document.querySelector('.terminal-container')) {
+        this.state = stateManager;
+        this.container = container;
+        this.tabs = []; // [{ id, panes: [{ id, terminal, element }] }]
+        this.activeTab = null;
+        this.activePane = null;
+        this.nextId = 1;
+
+        this.init();
+    }
+
+    /**
+     * Bangun tab bar dan pane pertama dari terminal yang sudah ada di HTML
+     */
+    init() {
+        const primary = new Terminal(this.state);
+        const pane = { id: this.nextId++, terminal: primary, element: null };
+
+        if (this.container && primary.body) {
+            this.panesElement = DOMUtils.createElement('div', { className: 'terminal-panes' });
+            pane.element = DOMUtils.createElement('div', {
+                className: 'terminal-pane',
+                'data-session': pane.id,
+            });
+            const inputContainer = primary.input.closest('.terminal-input-container');
+            primary.body.before(this.panesElement);
+            this.panesElement.appendChild(pane.element);
+            DOMUtils.appendChildren(pane.element, [primary.body, inputContainer]);
+            this.createToolbar();
+            primary.addLine(t('terminal.welcome'), 'info');
+            primary.addLine(t('terminal.help'), 'info');
+        }
+
+        this.boundHandleKeyDown = (e) => this.handleKeyDown(e);
+        this.boundHandleFocus = (e) => this.handleFocus(e);
+        if (this.container) {
+            this.container.addEventListener('keydown', this.boundHandleKeyDown);
+            this.container.addEventListener('focusin', this.boundHandleFocus);
+        }
+        this.unsubscribePrompt = eventBus.on('terminal:prompt', () => this.render());
+
+        const tab = { id: pane.id, panes: [pane] };
+        this.tabs.push(tab);
+        this.activate(tab, pane);
+    }
+
+    /**
+     * Tab bar dan tombol new tab / split / close di terminal header
+     */
+    createToolbar() {
+        const header = this.container.querySelector('.terminal-header');
+        this.tabList = DOMUtils.createElement('div', {
+            className: 'terminal-tabs',
+            role: 'tablist',
+            'aria-label': t('terminal.tabs'),
+            'data-i18n-aria-label': 'terminal.tabs',
+        });
+        const actions = DOMUtils.createElement('div', { className: 'terminal-actions' });
+        [
+            { action: 'new-tab', label: '+', key: 'terminal.newTab' },
+            { action: 'split', label: '⫼', key: 'terminal.split' },
+            { action: 'close', label: '×', key: 'terminal.close' },
+        ].forEach(({ action, label, key }) => {
+            const button = DOMUtils.createElement(
+                'button',
+                {
+                    className: 'terminal-action',
+                    'data-action': action,
+                    title: t(key),
+                    'aria-label': t(key),
+                    'data-i18n-title': key,
+                    'data-i18n-aria-label': key,
+                },
+                label
+            );
+            actions.appendChild(button);
+        });
+
+        this.boundHandleClick = (e) => this.handleClick(e);
+        header.addEventListener('click', this.boundHandleClick);
+        DOMUtils.appendChildren(header, [this.tabList, actions]);
+    }
+
+    /**
+     * Buat pane baru (Terminal dengan filesystem fork dan history sendiri)
+     * @returns {Object} Pane ({ id, terminal, element })
+     */
+    createPane() {
+        const id = this.nextId++;
+        const element = DOMUtils.createElement('div', {
+            className: 'terminal-pane',
+            'data-session': id,
+        });
+        const body = DOMUtils.createElement('div', {
+            className: 'terminal-body',
+            role: 'log',
+            'aria-label': t('terminal.output', { id }),
+            'aria-live': 'polite',
+        });
+        const inputContainer = DOMUtils.createElement('div', {
+            className: 'terminal-input-container',
+        });
+        const prompt = DOMUtils.createElement('span', {
+            className: 'terminal-prompt',
+            'aria-hidden': 'true',
+        });
+        const input = DOMUtils.createElement('input', {
+            type: 'text',
+            className: 'terminal-input',
+            autocomplete: 'off',
+            spellcheck: 'false',
+            'aria-label': t('terminal.input', { id }),
+            placeholder: t('terminal.placeholder'),
+            'data-i18n-placeholder': 'terminal.placeholder',
+        });
+        const cursor = DOMUtils.createElement(
+            'span',
+            { className: 'terminal-cursor', 'aria-hidden': 'true' },
+            '█'
+        );
+        DOMUtils.appendChildren(inputContainer, [prompt, input, cursor]);
+        DOMUtils.appendChildren(element, [body, inputContainer]);
+        this.panesElement.appendChild(element);
+
+        // History session baru dimulai dari history yang sudah ada (seperti shell baru)
+        const source = this.getActive();
+        const entries = [...source.history.getEntries()];
+        const terminal = new Terminal(this.state, {
+            body,
+            input,
+            prompt,
+            fileSystem: source.fileSystem.fork(),
+            historyState: new StateManager({
+                commandHistory: entries,
+                historyIndex: entries.length,
+            }),
+        });
+        terminal.addLine(t('terminal.session', { id }), 'info');
+
+        return { id, terminal, element };
+    }
+
+    /**
+     * Buka tab baru
+     * @returns {Object|null} Tab, null jika sudah MAX_TABS
+     */
+    newTab() {
+        if (!this.panesElement || this.tabs.length >= CONSTANTS.TERMINAL.MAX_TABS) {
+            return null;
+        }
+        const pane = this.createPane();
+        const tab = { id: pane.id, panes: [pane] };
+        this.tabs.push(tab);
+        this.activate(tab, pane);
+        return tab;
+    }
+
+    /**
+     * Split tab aktif menjadi pane berdampingan
+     * @returns {Object|null} Pane baru, null jika tab sudah MAX_PANES
+     */
+    split() {
+        const tab = this.activeTab;
+        if (!this.panesElement || tab.panes.length >= CONSTANTS.TERMINAL.MAX_PANES) {
+            return null;
+        }
+        const pane = this.createPane();
+        tab.panes.push(pane);
+        this.activate(tab, pane);
+        return pane;
+    }
+
+    /**
+     * Tutup pane (jobs di session tersebut dihentikan); pane terakhir tidak bisa ditutup
+     * @param {Object} pane - Pane (default pane aktif)
+     * @returns {boolean} True jika pane ditutup
+     */
+    closePane(pane = this.activePane) {
+        const tab = this.tabs.find((t) => t.panes.includes(pane));
+        if (!tab || (this.tabs.length === 1 && tab.panes.length === 1)) {
+            return false;
+        }
+
+        pane.terminal.destroy();
+        pane.element.remove();
+        tab.panes = tab.panes.filter((p) => p !== pane);
+
+        if (tab.panes.length > 0) {
+            this.activate(tab, tab.panes[tab.panes.length - 1]);
+        } else {
+            const index = this.tabs.indexOf(tab);
+            this.tabs.splice(index, 1);
+            const next = this.tabs[Math.min(index, this.tabs.length - 1)];
+            this.activate(next, next.panes[0]);
+        }
+        return true;
+    }
+
+    /**
+     * Tampilkan tab dan focus pane
+     * @param {Object} tab - Tab
+     * @param {Object} pane - Pane di tab tersebut (default pane pertama)
+     */
+    activate(tab, pane = tab.panes[0]) {
+        this.activeTab = tab;
+        this.activePane = pane;
+        this.tabs.forEach((t) => {
+            t.panes.forEach((p) => {
+                if (!p.element) return;
+                p.element.hidden = t !== tab;
+                p.element.classList.toggle('active', p === pane);
+            });
+        });
+        if (this.panesElement) {
+            this.panesElement.classList.toggle('split', tab.panes.length > 1);
+        }
+        this.render();
+        // Pane yang tadinya hidden belum punya ukuran saat output terakhir dirender
+        tab.panes.forEach((p) => p.terminal.refreshScrollback());
+        pane.terminal.focus();
+    }
+
+    /**
+     * Pindah tab relatif terhadap tab aktif
+     * @param {number} offset - -1 sebelumnya, 1 berikutnya
+     */
+    cycle(offset) {
+        const index = this.tabs.indexOf(this.activeTab);
+        const next = this.tabs[(index + offset + this.tabs.length) % this.tabs.length];
+        this.activate(next);
+    }
+
+    /**
+     * Render tab bar (label: host dan cwd pane aktif di tab) dan judul terminal
+     */
+    render() {
+        if (!this.tabList) return;
+
+        DOMUtils.clearChildren(this.tabList);
+        this.tabs.forEach((tab, i) => {
+            const pane = tab === this.activeTab ? this.activePane : tab.panes[0];
+            const active = tab === this.activeTab;
+            const button = DOMUtils.createElement(
+                'button',
+                {
+                    className: active ? 'terminal-tab active' : 'terminal-tab',
+                    role: 'tab',
+                    'aria-selected': String(active),
+                    'data-tab': tab.id,
+                },
+                `${i + 1}: ${this.getLabel(pane.terminal)}`
+            );
+            this.tabList.appendChild(button);
+        });
+
+        const title = this.container.querySelector('.terminal-title');
+        if (title) {
+            title.textContent = this.getActive().getPrompt().replace(/\$$/, '');
+        }
+    }
+
+    /**
+     * Label singkat session: host:cwd
+     * @param {Terminal} terminal - Terminal
+     * @returns {string} Label
+     */
+    getLabel(terminal) {
+        return terminal.getPrompt().replace(/^[^@]*@|\$$/g, '');
+    }
+
+    /**
+     * Click di terminal header (tabs dan action buttons)
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const tabButton = e.target.closest('.terminal-tab');
+        if (tabButton) {
+            const tab = this.tabs.find((t) => String(t.id) === tabButton.dataset.tab);
+            if (tab) this.activate(tab);
+            return;
+        }
+
+        const action = e.target.closest('.terminal-action');
+        if (!action) return;
+        if (action.dataset.action === 'new-tab') {
+            this.newTab();
+        } else if (action.dataset.action === 'split') {
+            this.split();
+        } else if (action.dataset.action === 'close') {
+            this.closePane();
+        }
+    }
+
+    /**
+     * Keyboard shortcuts untuk tabs dan panes
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (!e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 't') {
+            this.newTab();
+        } else if (key === 'd') {
+            this.split();
+        } else if (key === 'w') {
+            this.closePane();
+        } else if (key === '[' || key === ']') {
+            this.cycle(key === '[' ? -1 : 1);
+        } else if (/^[1-9]$/.test(key) && this.tabs[Number(key) - 1]) {
+            this.activate(this.tabs[Number(key) - 1]);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Pane yang di-click atau di-focus menjadi pane aktif
+     * @param {FocusEvent} e - Focus event
+     */
+    handleFocus(e) {
+        const element = e.target.closest('.terminal-pane');
+        const pane = this.activeTab.panes.find((p) => p.element === element);
+        if (pane && pane !== this.activePane) {
+            this.activePane = pane;
+            this.activeTab.panes.forEach((p) => p.element.classList.toggle('active', p === pane));
+            this.render();
+        }
+    }
+
+    /**
+     * Terminal di pane aktif
+     * @returns {Terminal} Active terminal
+     */
+    getActive() {
+        return this.activePane.terminal;
+    }
+
+    /**
+     * Semua terminal sessions
+     * @returns {Terminal[]} Terminals
+     */
+    getTerminals() {
+        return this.tabs.flatMap((tab) => tab.panes.map((pane) => pane.terminal));
+    }
+
+    /**
+     * Focus input pane aktif
+     */
+    focus() {
+        this.getActive().focus();
+    }
+
+    /**
+     * Cleanup semua sessions dan listeners
+     */
+    destroy() {
+        this.getTerminals().forEach((terminal) => terminal.destroy());
+        if (this.container) {
+            this.container.removeEventListener('keydown', this.boundHandleKeyDown);
+            this.container.removeEventListener('focusin', this.boundHandleFocus);
+            const header = this.container.querySelector('.terminal-header');
+            if (header && this.boundHandleClick) {
+                header.removeEventListener('click', this.boundHandleClick);
+            }
+        }
+        if (this.unsubscribePrompt) {
+            this.unsubscribePrompt();
+        }
+    }
+}
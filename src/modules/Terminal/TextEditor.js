@@ -0,0 +1,615 @@
+import { Markup } from './Markup.js';
+import { DOMUtils } from '../../utils/dom.js';
+import { CONSTANTS } from '../../core/Constants.js';
+
+/**
+ * TextEditor - Editor ala nano untuk files di virtual filesystem (command edit)
+ *
+ * Buffer adalah array of lines dengan cursor { row, col }. Overlay menutupi terminal pane
+ * dan merender CONSTANTS.EDITOR.ROWS lines di sekitar cursor, dengan syntax colouring
+ * lewat Markup berdasarkan extension file (lihat SYNTAX).
+ *   Arrows, Home/End, PageUp/PageDown   gerak cursor
+ *   Ctrl+O / Ctrl+S    save              Ctrl+X   exit (tanya dulu jika ada perubahan)
+ *   Ctrl+W             search            Ctrl+K / Ctrl+U   cut / paste line
+ *   Ctrl+C             posisi cursor     Ctrl+G   help
+ */
+export class TextEditor {
+    // Extension -> language
+    static LANGUAGES = {
+        sh: 'shell',
+        bash: 'shell',
+        conf: 'config',
+        cfg: 'config',
+        ini: 'config',
+        rules: 'config',
+        json: 'json',
+        md: 'markdown',
+    };
+
+    // Rules per language: [sticky pattern, warna Markup], dicoba berurutan di setiap posisi
+    static SYNTAX = {
+        shell: [
+            [/#.*/y, 'gray'],
+            [/"(?:[^"\\]|\\.)*"?|'[^']*'?/y, 'green'],
+            [/\$\{?\w+\}?/y, 'cyan'],
+            [/\b(?:if|then|elif|else|fi|for|in|do|done|while|case|esac|function)\b/y, 'magenta'],
+            [/\b(?:echo|export|alias|unset|cd|cat|grep|scan|connect|exploit|sudo)\b/y, 'blue'],
+        ],
+        config: [
+            [/[#;].*/y, 'gray'],
+            [/(?<=^\s*)[\w.-]+(?=\s*[=:])/y, 'blue'],
+            [/\b(?:allow|deny|drop|accept|reject|from|to|on|off|true|false|yes|no)\b/y, 'magenta'],
+            [/\b\d+(?:[./]\d+)*\b/y, 'yellow'],
+            [/"[^"]*"?/y, 'green'],
+        ],
+        json: [
+            [/"(?:[^"\\]|\\.)*"(?=\s*:)/y, 'blue'],
+            [/"(?:[^"\\]|\\.)*"?/y, 'green'],
+            [/\b(?:true|false|null)\b/y, 'magenta'],
+            [/-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/iy, 'yellow'],
+        ],
+        markdown: [
+            [/(?<=^\s*)#{1,6}\s.*/y, 'magenta'],
+            [/(?<=^\s*)(?:[-*+]|\d+\.)\s/y, 'yellow'],
+            [/`[^`]*`?/y, 'cyan'],
+            [/\*\*[^*]+\*\*|__[^_]+__/y, 'blue'],
+        ],
+    };
+
+    static SHORTCUTS = [
+        ['^O', 'Save'],
+        ['^X', 'Exit'],
+        ['^W', 'Search'],
+        ['^K', 'Cut'],
+        ['^U', 'Paste'],
+        ['^G', 'Help'],
+    ];
+
+    /**
+     * @param {VirtualFileSystem} fileSystem - Filesystem untuk save
+     * @param {string} path - File path (file baru dibuat saat save)
+     * @param {string} content - Isi awal buffer
+     */
+    constructor(fileSystem, path, content = '') {
+        this.fileSystem = fileSystem;
+        this.path = path;
+        this.language = TextEditor.getLanguage(path);
+        this.lines = String(content).split('\n');
+        this.cursor = { row: 0, col: 0 };
+        this.goal = 0; // Kolom yang dipertahankan saat gerak naik/turun
+        this.top = 0; // Line pertama yang terlihat
+        this.dirty = false;
+        this.clipboard = [];
+        this.cutting = false; // Ctrl+K berturut-turut menambah ke clipboard
+        this.query = '';
+        this.match = null; // { row, start, end } hasil search terakhir
+        this.mode = 'edit'; // edit, search, confirm
+        this.message = '';
+        this.element = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Language berdasarkan extension file
+     * @param {string} path - File path
+     * @returns {string|null} Language (key SYNTAX) atau null untuk plain text
+     */
+    static getLanguage(path) {
+        const name = String(path).split('/').pop();
+        const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return this.LANGUAGES[extension] || null;
+    }
+
+    /**
+     * Syntax colouring satu line
+     * @param {string} line - Line text
+     * @param {string|null} language - Language
+     * @returns {string} Line dengan Markup sequences
+     */
+    static highlight(line, language) {
+        const rules = this.SYNTAX[language];
+        if (!rules) return line;
+
+        let result = '';
+        let position = 0;
+        while (position < line.length) {
+            let token = null;
+            for (const [pattern, color] of rules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(line);
+                if (match && match[0]) {
+                    token = Markup.color(color, match[0]);
+                    position += match[0].length;
+                    break;
+                }
+            }
+            if (!token) {
+                token = line[position];
+                position++;
+            }
+            result += token;
+        }
+        return result;
+    }
+
+    /**
+     * Isi buffer
+     * @returns {string} Content
+     */
+    getContent() {
+        return this.lines.join('\n');
+    }
+
+    /**
+     * Line yang sedang diedit
+     * @returns {string} Line text
+     */
+    currentLine() {
+        return this.lines[this.cursor.row];
+    }
+
+    /**
+     * Pindahkan cursor ke posisi (dibatasi ke isi buffer)
+     * @param {number} row - Line index
+     * @param {number} col - Column
+     * @param {boolean} keepGoal - Pertahankan goal column (gerak vertikal)
+     */
+    setCursor(row, col, keepGoal = false) {
+        const maxRow = this.lines.length - 1;
+        this.cursor.row = Math.max(0, Math.min(maxRow, row));
+        this.cursor.col = Math.max(0, Math.min(this.currentLine().length, col));
+        if (!keepGoal) {
+            this.goal = this.cursor.col;
+        }
+    }
+
+    /**
+     * Insert text di cursor (boleh multi-line, misal paste)
+     * @param {string} text - Text
+     */
+    insert(text) {
+        const { row, col } = this.cursor;
+        const line = this.currentLine();
+        const parts = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const last = parts.length - 1;
+
+        parts[0] = line.slice(0, col) + parts[0];
+        const endCol = parts[last].length;
+        parts[last] += line.slice(col);
+        this.lines.splice(row, 1, ...parts);
+        this.setCursor(row + last, endCol);
+        this.changed();
+    }
+
+    /**
+     * Hapus karakter sebelum cursor (gabung dengan line sebelumnya di awal line)
+     */
+    backspace() {
+        const { row, col } = this.cursor;
+        if (col > 0) {
+            const line = this.currentLine();
+            this.lines[row] = line.slice(0, col - 1) + line.slice(col);
+            this.setCursor(row, col - 1);
+        } else if (row > 0) {
+            const previous = this.lines[row - 1];
+            this.lines.splice(row - 1, 2, previous + this.currentLine());
+            this.setCursor(row - 1, previous.length);
+        } else {
+            return;
+        }
+        this.changed();
+    }
+
+    /**
+     * Hapus karakter di cursor (gabung dengan line berikutnya di akhir line)
+     */
+    deleteForward() {
+        const { row, col } = this.cursor;
+        const line = this.currentLine();
+        if (col < line.length) {
+            this.lines[row] = line.slice(0, col) + line.slice(col + 1);
+        } else if (row < this.lines.length - 1) {
+            this.lines.splice(row, 2, line + this.lines[row + 1]);
+        } else {
+            return;
+        }
+        this.changed();
+    }
+
+    /**
+     * Gerak cursor satu karakter (pindah line di ujung) atau beberapa line
+     * @param {string} direction - left, right, up, down
+     * @param {number} count - Jumlah line untuk up/down (PageUp/PageDown)
+     */
+    move(direction, count = 1) {
+        const { row, col } = this.cursor;
+        if (direction === 'left') {
+            if (col > 0) this.setCursor(row, col - 1);
+            else if (row > 0) this.setCursor(row - 1, this.lines[row - 1].length);
+        } else if (direction === 'right') {
+            if (col < this.currentLine().length) this.setCursor(row, col + 1);
+            else if (row < this.lines.length - 1) this.setCursor(row + 1, 0);
+        } else {
+            const delta = direction === 'up' ? -count : count;
+            this.setCursor(row + delta, this.goal, true);
+        }
+    }
+
+    /**
+     * Cut line di cursor ke clipboard (Ctrl+K berturut-turut menambah lines)
+     */
+    cutLine() {
+        const [line] = this.lines.splice(this.cursor.row, 1);
+        this.clipboard = this.cutting ? [...this.clipboard, line] : [line];
+        if (this.lines.length === 0) {
+            this.lines = [''];
+        }
+        this.setCursor(this.cursor.row, 0);
+        this.changed();
+        this.cutting = true;
+    }
+
+    /**
+     * Paste lines dari clipboard di atas line cursor
+     * @returns {boolean} False jika clipboard kosong
+     */
+    paste() {
+        if (this.clipboard.length === 0) {
+            return false;
+        }
+        const { row } = this.cursor;
+        this.lines.splice(row, 0, ...this.clipboard);
+        this.setCursor(row + this.clipboard.length, 0);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Cari query (case-insensitive) setelah cursor, kembali ke awal jika sampai akhir
+     * @param {string} query - Search text
+     * @returns {boolean} True jika ketemu (cursor dipindah ke match)
+     */
+    find(query) {
+        this.query = query;
+        this.match = null;
+        const needle = query.toLowerCase();
+        if (!needle) return false;
+
+        const { row, col } = this.cursor;
+        const total = this.lines.length;
+        for (let i = 0; i <= total; i++) {
+            const index = (row + i) % total;
+            const text = this.lines[index].toLowerCase();
+            const from = i === 0 ? col + 1 : 0;
+            const start = i === total ? text.indexOf(needle) : text.indexOf(needle, from);
+            if (start !== -1 && (i < total || start <= col)) {
+                this.setCursor(index, start);
+                this.match = { row: index, start, end: start + needle.length };
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Simpan buffer ke file
+     * @returns {number} Jumlah lines yang ditulis
+     * @throws {Error} Jika file tidak bisa ditulis (parent tidak ada, permission)
+     */
+    save() {
+        this.fileSystem.writeFile(this.path, this.getContent());
+        this.dirty = false;
+        return this.lines.length;
+    }
+
+    /**
+     * Tandai buffer berubah
+     */
+    changed() {
+        this.dirty = true;
+        this.cutting = false;
+        this.match = null;
+    }
+
+    /**
+     * Buka overlay editor di container (terminal pane)
+     * @param {HTMLElement} container - Element yang ditutupi overlay
+     * @param {AbortSignal} signal - Optional, abort menutup editor tanpa save
+     * @returns {Promise<{saved: boolean, lines: number}>} Resolve saat editor ditutup
+     */
+    open(container, signal = null) {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.saved = false;
+            this.createElement();
+            container.appendChild(this.element);
+            this.render();
+            this.element.focus();
+
+            if (signal) {
+                signal.addEventListener('abort', () => this.close(), { once: true });
+            }
+        });
+    }
+
+    /**
+     * Buat overlay elements
+     */
+    createElement() {
+        this.element = DOMUtils.createElement('div', {
+            className: 'text-editor',
+            role: 'dialog',
+            'aria-label': `Editing ${this.path}`,
+            tabindex: '0',
+        });
+        this.header = DOMUtils.createElement('div', { className: 'text-editor-header' });
+        this.view = DOMUtils.createElement('div', { className: 'text-editor-view' });
+        this.status = DOMUtils.createElement('div', {
+            className: 'text-editor-status',
+            'aria-live': 'polite',
+        });
+        this.shortcuts = DOMUtils.createElement('div', { className: 'text-editor-shortcuts' });
+        TextEditor.SHORTCUTS.forEach(([key, label]) => {
+            const item = DOMUtils.createElement('span', {}, ` ${label}`);
+            item.prepend(DOMUtils.createElement('kbd', {}, key));
+            this.shortcuts.appendChild(item);
+        });
+        DOMUtils.appendChildren(this.element, [
+            this.header,
+            this.view,
+            this.status,
+            this.shortcuts,
+        ]);
+
+        this.element.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.element.addEventListener('paste', (e) => {
+            if (this.mode !== 'edit') return;
+            e.preventDefault();
+            this.insert(e.clipboardData.getData('text'));
+            this.render();
+        });
+    }
+
+    /**
+     * Keyboard handling (semua keys berhenti di editor supaya tidak sampai ke terminal)
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        e.stopPropagation();
+        if (this.mode === 'search') {
+            this.handleSearchKey(e);
+            return;
+        }
+
+        const handled =
+            this.mode === 'confirm' ? this.handleConfirmKey(e) : this.handleEditKey(e);
+        if (handled) {
+            e.preventDefault();
+            if (this.element) this.render();
+        }
+    }
+
+    /**
+     * Keys di mode edit
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True jika key dipakai editor
+     */
+    handleEditKey(e) {
+        const { ROWS, TAB_SIZE } = CONSTANTS.EDITOR;
+        const wasCutting = this.cutting;
+        this.message = '';
+        this.cutting = false;
+
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'o' || key === 's') {
+                this.write();
+            } else if (key === 'x') {
+                this.exit();
+            } else if (key === 'w') {
+                this.startSearch();
+            } else if (key === 'k') {
+                this.cutting = wasCutting;
+                this.cutLine();
+            } else if (key === 'u') {
+                if (!this.paste()) this.message = 'Cutbuffer is empty';
+            } else if (key === 'c') {
+                const { row, col } = this.cursor;
+                this.message = `line ${row + 1}/${this.lines.length}, col ${col + 1}`;
+            } else if (key === 'g') {
+                this.message = 'Type to edit. ^O save, ^X exit, ^W search (Enter repeats), ' +
+                    '^K cut line, ^U paste, ^C cursor position';
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        const keys = {
+            ArrowLeft: () => this.move('left'),
+            ArrowRight: () => this.move('right'),
+            ArrowUp: () => this.move('up'),
+            ArrowDown: () => this.move('down'),
+            PageUp: () => this.move('up', ROWS),
+            PageDown: () => this.move('down', ROWS),
+            Home: () => this.setCursor(this.cursor.row, 0),
+            End: () => this.setCursor(this.cursor.row, this.currentLine().length),
+            Enter: () => this.insert('\n'),
+            Backspace: () => this.backspace(),
+            Delete: () => this.deleteForward(),
+            Tab: () => this.insert(' '.repeat(TAB_SIZE)),
+        };
+        if (keys[e.key]) {
+            keys[e.key]();
+            return true;
+        }
+        if (e.key.length === 1 && !e.altKey) {
+            this.insert(e.key);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Keys saat ditanya save sebelum exit (Y/N, Ctrl+C atau Escape batal)
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True jika key dipakai editor
+     */
+    handleConfirmKey(e) {
+        const key = e.key.toLowerCase();
+        if (key === 'y') {
+            if (this.write()) this.close();
+        } else if (key === 'n') {
+            this.close();
+        } else if (key === 'escape' || (e.ctrlKey && key === 'c')) {
+            this.mode = 'edit';
+            this.message = 'Cancelled';
+        }
+        return true;
+    }
+
+    /**
+     * Keys di search prompt
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleSearchKey(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const query = this.searchField.value || this.query;
+            this.mode = 'edit';
+            this.message = this.find(query) ? '' : `"${query}" not found`;
+            this.render();
+            this.element.focus();
+        } else if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'c')) {
+            e.preventDefault();
+            this.mode = 'edit';
+            this.message = 'Cancelled';
+            this.render();
+            this.element.focus();
+        }
+    }
+
+    /**
+     * Tampilkan search prompt di status bar
+     */
+    startSearch() {
+        this.mode = 'search';
+        this.message = '';
+    }
+
+    /**
+     * Save dan tampilkan hasilnya di status bar
+     * @returns {boolean} True jika berhasil
+     */
+    write() {
+        try {
+            const count = this.save();
+            this.saved = true;
+            this.message = `Wrote ${count} line${count === 1 ? '' : 's'}`;
+            return true;
+        } catch (error) {
+            this.mode = 'edit';
+            this.message = `Error writing ${this.path}: ${error.message}`;
+            return false;
+        }
+    }
+
+    /**
+     * Exit: tanya dulu jika buffer berubah
+     */
+    exit() {
+        if (this.dirty) {
+            this.mode = 'confirm';
+            return;
+        }
+        this.close();
+    }
+
+    /**
+     * Tutup overlay dan resolve promise dari open()
+     */
+    close() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+        this.resolve({ saved: this.saved, lines: this.lines.length });
+    }
+
+    /**
+     * Render header, visible lines, cursor dan status bar
+     */
+    render() {
+        const { ROWS, TAB_SIZE } = CONSTANTS.EDITOR;
+        const tab = ' '.repeat(TAB_SIZE);
+        const { row, col } = this.cursor;
+
+        // Scroll supaya cursor selalu terlihat
+        if (row < this.top) this.top = row;
+        if (row >= this.top + ROWS) this.top = row - ROWS + 1;
+
+        const language = this.language ? `  (${this.language})` : '';
+        const modified = this.dirty ? '  [Modified]' : '';
+        this.header.textContent = `edit  ${this.path}${language}${modified}`;
+
+        const gutter = String(this.lines.length).length;
+        DOMUtils.clearChildren(this.view);
+        this.lines.slice(this.top, this.top + ROWS).forEach((line, offset) => {
+            const index = this.top + offset;
+            const element = DOMUtils.createElement('div', { className: 'text-editor-line' });
+            const number = DOMUtils.createElement(
+                'span',
+                { className: 'text-editor-gutter' },
+                String(index + 1).padStart(gutter)
+            );
+            const text = DOMUtils.createElement('span', { className: 'text-editor-text' });
+
+            const highlights = [];
+            if (this.match && this.match.row === index) {
+                const start = line.slice(0, this.match.start).replace(/\t/g, tab).length;
+                const end = line.slice(0, this.match.end).replace(/\t/g, tab).length;
+                highlights.push({ start, end, className: 'terminal-match current' });
+            }
+            const expanded = line.replace(/\t/g, tab);
+            text.innerHTML = Markup.toHtml(TextEditor.highlight(expanded, this.language), highlights);
+
+            if (index === row) {
+                element.classList.add('current');
+                const column = line.slice(0, col).replace(/\t/g, tab).length;
+                const cursor = DOMUtils.createElement('span', {
+                    className: 'text-editor-cursor',
+                    style: `left: ${column}ch`,
+                    'aria-hidden': 'true',
+                });
+                text.appendChild(cursor);
+            }
+            DOMUtils.appendChildren(element, [number, text]);
+            this.view.appendChild(element);
+        });
+
+        this.renderStatus();
+    }
+
+    /**
+     * Render status bar (message, search prompt atau konfirmasi save)
+     */
+    renderStatus() {
+        DOMUtils.clearChildren(this.status);
+        this.status.classList.toggle('prompt', this.mode !== 'edit');
+
+        if (this.mode === 'search') {
+            const placeholder = this.query ? ` [${this.query}]` : '';
+            this.searchField = DOMUtils.createElement('input', {
+                type: 'text',
+                className: 'text-editor-search',
+                'aria-label': 'Search',
+            });
+            this.status.textContent = `Search${placeholder}: `;
+            this.status.appendChild(this.searchField);
+            this.searchField.focus();
+        } else if (this.mode === 'confirm') {
+            this.status.textContent = 'Save modified buffer? (Y)es, (N)o, ^C Cancel';
+        } else {
+            this.status.textContent = this.message;
+        }
+    }
+}
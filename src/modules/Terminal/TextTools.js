@@ -0,0 +1,199 @@
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * TextTools - Text utilities ala coreutils untuk files dan piped output
+ *
+ * Semua functions bekerja pada array of lines sehingga handlers bisa membaca dari
+ * file atau stdin dengan cara yang sama:
+ *   grep          filter lines dengan regex (ignore case, invert, fixed string)
+ *   head / tail   n lines pertama / terakhir
+ *   wc            jumlah lines, words dan characters
+ *   sort          urutkan (numeric, reverse, unique)
+ *   uniq          gabung lines sama yang berurutan (dengan jumlahnya)
+ *   cut           ambil fields (per delimiter) atau characters, list seperti 1,3-5,7-
+ */
+export class TextTools {
+    /**
+     * Split text menjadi lines (trailing newline tidak menghasilkan line kosong)
+     * @param {string} text - Text
+     * @returns {string[]} Lines
+     */
+    static splitLines(text) {
+        if (!text) return [];
+        const lines = String(text).split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Buat RegExp untuk grep
+     * @param {string} pattern - Regex, atau literal string jika options.fixed
+     * @param {Object} options - Options
+     * @param {boolean} options.ignoreCase - Case-insensitive
+     * @param {boolean} options.fixed - Pattern adalah literal string
+     * @returns {RegExp} Global RegExp
+     * @throws {Error} Jika pattern bukan regex yang valid
+     */
+    static createMatcher(pattern, options = {}) {
+        const { ignoreCase = false, fixed = false } = options;
+        const source = fixed ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+        try {
+            return new RegExp(source, ignoreCase ? 'gi' : 'g');
+        } catch (error) {
+            throw new Error(t('errors.text.pattern', { pattern }));
+        }
+    }
+
+    /**
+     * Filter lines yang cocok dengan pattern
+     * @param {string[]} lines - Input lines
+     * @param {string} pattern - Pattern (lihat createMatcher)
+     * @param {Object} options - Options createMatcher, plus invert (lines yang tidak cocok)
+     * @returns {Array<{number: number, line: string}>} Lines yang lolos (number mulai 1)
+     * @throws {Error} Jika pattern tidak valid
+     */
+    static grep(lines, pattern, options = {}) {
+        const matcher = this.createMatcher(pattern, options);
+        return lines
+            .map((line, index) => ({ number: index + 1, line }))
+            .filter(({ line }) => {
+                matcher.lastIndex = 0;
+                return matcher.test(line) !== Boolean(options.invert);
+            });
+    }
+
+    /**
+     * Lines pertama
+     * @param {string[]} lines - Input lines
+     * @param {number} count - Jumlah lines
+     * @returns {string[]} Lines
+     */
+    static head(lines, count = 10) {
+        return lines.slice(0, Math.max(0, count));
+    }
+
+    /**
+     * Lines terakhir
+     * @param {string[]} lines - Input lines
+     * @param {number} count - Jumlah lines
+     * @returns {string[]} Lines
+     */
+    static tail(lines, count = 10) {
+        return count > 0 ? lines.slice(-count) : [];
+    }
+
+    /**
+     * Hitung lines, words dan characters (setiap line dihitung dengan newline-nya)
+     * @param {string[]} lines - Input lines
+     * @returns {{lines: number, words: number, chars: number}} Counts
+     */
+    static wc(lines) {
+        return lines.reduce(
+            (counts, line) => ({
+                lines: counts.lines + 1,
+                words: counts.words + line.split(/\s+/).filter(Boolean).length,
+                chars: counts.chars + line.length + 1,
+            }),
+            { lines: 0, words: 0, chars: 0 }
+        );
+    }
+
+    /**
+     * Urutkan lines
+     * @param {string[]} lines - Input lines
+     * @param {Object} options - Options
+     * @param {boolean} options.numeric - Bandingkan angka di awal line (non-angka = 0)
+     * @param {boolean} options.reverse - Urutan terbalik
+     * @param {boolean} options.unique - Buang lines yang sama
+     * @returns {string[]} Sorted lines
+     */
+    static sort(lines, options = {}) {
+        const { numeric = false, reverse = false, unique = false } = options;
+        const number = (line) => parseFloat(line) || 0;
+        const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const compare = numeric
+            ? (a, b) => number(a) - number(b) || compareText(a, b)
+            : compareText;
+
+        const sorted = [...lines].sort((a, b) => (reverse ? compare(b, a) : compare(a, b)));
+        return unique ? sorted.filter((line, i) => i === 0 || line !== sorted[i - 1]) : sorted;
+    }
+
+    /**
+     * Gabung lines sama yang berurutan
+     * @param {string[]} lines - Input lines
+     * @param {Object} options - Options
+     * @param {boolean} options.duplicates - Hanya lines yang muncul lebih dari sekali
+     * @param {boolean} options.ignoreCase - Bandingkan tanpa case
+     * @returns {Array<{line: string, count: number}>} Groups
+     */
+    static uniq(lines, options = {}) {
+        const { duplicates = false, ignoreCase = false } = options;
+        const key = (line) => (ignoreCase ? line.toLowerCase() : line);
+        const groups = [];
+        lines.forEach((line) => {
+            const last = groups[groups.length - 1];
+            if (last && key(last.line) === key(line)) {
+                last.count++;
+            } else {
+                groups.push({ line, count: 1 });
+            }
+        });
+        return duplicates ? groups.filter(({ count }) => count > 1) : groups;
+    }
+
+    /**
+     * Parse list untuk cut, misal "1,3-5,7-" (posisi mulai 1)
+     * @param {string} list - List
+     * @returns {Array<{from: number, to: number}>} Ranges (to Infinity untuk "n-")
+     * @throws {Error} Jika list tidak valid
+     */
+    static parseList(list) {
+        return String(list)
+            .split(',')
+            .map((part) => {
+                const match = part.trim().match(/^(\d*)(-?)(\d*)$/);
+                if (!match || (!match[1] && !match[3])) {
+                    throw new Error(t('errors.text.list', { list }));
+                }
+                const from = match[1] ? Number(match[1]) : 1;
+                const to = match[2] ? (match[3] ? Number(match[3]) : Infinity) : from;
+                if (from < 1 || to < from) {
+                    throw new Error(t('errors.text.range', { range: part }));
+                }
+                return { from, to };
+            });
+    }
+
+    /**
+     * Ambil fields atau characters dari setiap line
+     * @param {string[]} lines - Input lines
+     * @param {Object} options - Options (fields atau characters wajib ada)
+     * @param {string} options.fields - Field list (lihat parseList)
+     * @param {string} options.characters - Character list
+     * @param {string} options.delimiter - Field delimiter (default tab)
+     * @returns {string[]} Lines (line tanpa delimiter dikembalikan utuh, seperti cut)
+     * @throws {Error} Jika list tidak ada atau tidak valid
+     */
+    static cut(lines, options = {}) {
+        const { fields, characters, delimiter = '\t' } = options;
+        if (!fields && !characters) {
+            throw new Error(t('errors.text.cutList'));
+        }
+        const ranges = this.parseList(fields || characters);
+        const selected = (items) =>
+            items.filter((item, i) => ranges.some(({ from, to }) => i + 1 >= from && i + 1 <= to));
+
+        return lines.map((line) => {
+            if (characters) {
+                return selected(Array.from(line)).join('');
+            }
+            if (!line.includes(delimiter)) {
+                return line;
+            }
+            return selected(line.split(delimiter)).join(delimiter);
+        });
+    }
+}
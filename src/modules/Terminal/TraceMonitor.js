@@ -0,0 +1,298 @@
+import { CONSTANTS } from '../../core/Constants.js';
+import { eventBus } from '../../core/EventBus.js';
+import { RewardSystem } from '../../core/RewardSystem.js';
+import { t } from '../../i18n/i18n.js';
+
+/**
+ * TraceMonitor - Alert level per target yang naik karena commands yang berisik
+ *
+ * Setiap aksi terhadap host (scan, exploit, bruteforce, decrypt yang gagal, ...) menambah
+ * noise ke alert level host tersebut (CONSTANTS.TRACE.NOISE). Aksi yang gagal dan aksi yang
+ * diulang lebih berisik. Saat alert melewati threshold, target merespons:
+ *   HONEYPOT_LEVEL  decoy host muncul di subnet target (menyentuhnya langsung memicu trace)
+ *   BAN_LEVEL       IP player di-ban sementara (BAN_DURATION)
+ *   TRACE_LEVEL     trace-back countdown, mission target gagal jika countdown habis
+ * Alert turun perlahan (DECAY_PER_MINUTE) selama tidak ada trace, atau lewat stealth tools
+ * (item stealth_mode: noise berkurang dan stealth <host> menghapus logs).
+ *
+ * Alerts disimpan di state (alerts: { ip: { level, updated, bannedUntil, honeypot,
+ * traceDeadline, wiped } }) sehingga dipakai bersama oleh semua terminal sessions.
+ */
+export class TraceMonitor {
+    /**
+     * @param {StateManager} stateManager - Game state
+     * @param {NetworkModel} network - Network session (host lookup, disconnect saat traced)
+     * @param {Object} callbacks - Output ke terminal
+     * @param {Function} callbacks.onWarning - (host, remainingMs) selama trace berjalan
+     * @param {Function} callbacks.onTraced - (host, mission) saat countdown habis
+     */
+    constructor(stateManager, network, callbacks = {}) {
+        this.state = stateManager;
+        this.network = network;
+        this.onWarning = callbacks.onWarning || (() => {});
+        this.onTraced = callbacks.onTraced || (() => {});
+        this.timers = new Map(); // ip -> interval id untuk countdown di session ini
+    }
+
+    /**
+     * Get alert entry host (level sudah dikurangi decay)
+     * @param {Object} host - Host
+     * @param {number} now - Timestamp (ms)
+     * @returns {{level: number, bannedUntil: number, honeypot: boolean,
+     *   traceDeadline: number|null, wiped: number}} Alert
+     */
+    getAlert(host, now = Date.now()) {
+        const alert = (this.state.get('alerts') || {})[host.ip] || {};
+        const { DECAY_PER_MINUTE } = CONSTANTS.TRACE;
+        const elapsed = Math.max(0, now - (alert.updated || now)) / 60000;
+        const decay = alert.traceDeadline ? 0 : elapsed * DECAY_PER_MINUTE;
+
+        return {
+            level: Math.max(0, Math.round((alert.level || 0) - decay)),
+            bannedUntil: alert.bannedUntil || 0,
+            honeypot: Boolean(alert.honeypot),
+            traceDeadline: alert.traceDeadline || null,
+            wiped: alert.wiped || 0,
+        };
+    }
+
+    /**
+     * Simpan alert entry host
+     * @param {Object} host - Host
+     * @param {Object} alert - Alert (hasil getAlert yang sudah diubah)
+     * @param {number} now - Timestamp (ms)
+     */
+    setAlert(host, alert, now = Date.now()) {
+        const alerts = { ...(this.state.get('alerts') || {}) };
+        alerts[host.ip] = { ...alert, updated: now };
+        this.state.set('alerts', alerts);
+    }
+
+    /**
+     * Tambah noise ke alert level host dan jalankan respons yang baru terpicu
+     * @param {Object} host - Target host
+     * @param {string} action - Action name (key di CONSTANTS.TRACE.NOISE)
+     * @param {Object} options - Options
+     * @param {boolean} options.failed - Aksi gagal (FAILURE_MULTIPLIER)
+     * @param {number} options.repeats - Berapa kali aksi ini sudah gagal berturut-turut
+     * @param {number} now - Timestamp (ms)
+     * @returns {{level: number, noise: number, events: string[]}} Level baru dan respons
+     *   yang terpicu (honeypot, ban, trace, honeypot-hit)
+     */
+    noise(host, action, options = {}, now = Date.now()) {
+        const { NOISE, FAILURE_MULTIPLIER, REPEAT_MULTIPLIER, STEALTH_NOISE, MAX_LEVEL } =
+            CONSTANTS.TRACE;
+        const { failed = false, repeats = 0 } = options;
+        const alert = this.getAlert(host, now);
+        const events = [];
+
+        let noise = (NOISE[action] || 0) * (failed ? FAILURE_MULTIPLIER : 1);
+        noise *= 1 + repeats * REPEAT_MULTIPLIER;
+        if (RewardSystem.getUnlockedItems(this.state).includes('stealth_mode')) {
+            noise *= STEALTH_NOISE;
+        }
+        noise = Math.round(noise);
+        if (host.honeypot) {
+            noise = MAX_LEVEL;
+            events.push('honeypot-hit');
+        }
+        if (noise === 0) {
+            return { level: alert.level, noise, events };
+        }
+
+        const previous = alert.level;
+        alert.level = Math.min(MAX_LEVEL, previous + noise);
+        events.push(...this.respond(host, alert, previous, now));
+        this.setAlert(host, alert, now);
+        return { level: alert.level, noise, events };
+    }
+
+    /**
+     * Respons target untuk threshold yang baru dilewati
+     * @param {Object} host - Host
+     * @param {Object} alert - Alert (diubah langsung)
+     * @param {number} previous - Level sebelum noise
+     * @param {number} now - Timestamp (ms)
+     * @returns {string[]} Respons yang terpicu
+     */
+    respond(host, alert, previous, now) {
+        const { HONEYPOT_LEVEL, BAN_LEVEL, TRACE_LEVEL, BAN_DURATION } = CONSTANTS.TRACE;
+        const crossed = (threshold) => previous < threshold && alert.level >= threshold;
+        const events = [];
+
+        if (crossed(HONEYPOT_LEVEL) && !alert.honeypot && !host.honeypot) {
+            alert.honeypot = true;
+            events.push('honeypot');
+        }
+        if (crossed(BAN_LEVEL) || (alert.level >= BAN_LEVEL && alert.bannedUntil <= now)) {
+            alert.bannedUntil = now + BAN_DURATION;
+            events.push('ban');
+        }
+        if (alert.level >= TRACE_LEVEL && !alert.traceDeadline) {
+            alert.traceDeadline = now + CONSTANTS.TRACE.TRACE_DURATION;
+            this.schedule(host);
+            events.push('trace');
+        }
+        return events;
+    }
+
+    /**
+     * Sisa waktu ban
+     * @param {Object} host - Host
+     * @param {number} now - Timestamp (ms)
+     * @returns {number} Milliseconds (0 jika tidak di-ban)
+     */
+    getBanRemaining(host, now = Date.now()) {
+        return Math.max(0, this.getAlert(host, now).bannedUntil - now);
+    }
+
+    /**
+     * Sisa waktu trace-back
+     * @param {Object} host - Host
+     * @param {number} now - Timestamp (ms)
+     * @returns {number|null} Milliseconds, null jika tidak ada trace
+     */
+    getTraceRemaining(host, now = Date.now()) {
+        const { traceDeadline } = this.getAlert(host, now);
+        return traceDeadline ? Math.max(0, traceDeadline - now) : null;
+    }
+
+    /**
+     * Hapus logs di target (stealth): alert turun, trace berhenti jika di bawah TRACE_LEVEL
+     * @param {Object} host - Host
+     * @param {number} now - Timestamp (ms)
+     * @returns {{level: number, traceStopped: boolean}} Hasil
+     * @throws {Error} Jika stealth masih cooldown untuk host ini
+     */
+    wipe(host, now = Date.now()) {
+        const { STEALTH_WIPE, STEALTH_COOLDOWN, TRACE_LEVEL } = CONSTANTS.TRACE;
+        const alert = this.getAlert(host, now);
+        const cooldown = alert.wiped + STEALTH_COOLDOWN - now;
+        if (alert.wiped && cooldown > 0) {
+            const seconds = Math.ceil(cooldown / 1000);
+            throw new Error(t('commands.stealth.cooldown', { hostname: host.hostname, seconds }));
+        }
+
+        alert.level = Math.max(0, alert.level - STEALTH_WIPE);
+        alert.wiped = now;
+        const traceStopped = Boolean(alert.traceDeadline) && alert.level < TRACE_LEVEL;
+        if (traceStopped) {
+            alert.traceDeadline = null;
+            this.cancel(host.ip);
+        }
+        this.setAlert(host, alert, now);
+        return { level: alert.level, traceStopped };
+    }
+
+    /**
+     * Hosts dengan alert (untuk trace command)
+     * @param {number} now - Timestamp (ms)
+     * @returns {Array<{host: Object, alert: Object}>} Alerts, tertinggi dulu
+     */
+    getAlerts(now = Date.now()) {
+        return Object.keys(this.state.get('alerts') || {})
+            .map((ip) => this.network.findHost(ip))
+            .filter(Boolean)
+            .map((host) => ({ host, alert: this.getAlert(host, now) }))
+            .filter(({ alert }) => alert.level > 0 || alert.traceDeadline)
+            .sort((a, b) => b.alert.level - a.alert.level);
+    }
+
+    /**
+     * Jadwalkan countdown warnings dan check saat trace selesai
+     * @param {Object} host - Host
+     */
+    schedule(host) {
+        if (this.timers.has(host.ip)) return;
+
+        const { TRACE_WARNING_INTERVAL } = CONSTANTS.TRACE;
+        const timer = setInterval(() => {
+            const remaining = this.getTraceRemaining(host);
+            if (remaining === null) {
+                this.cancel(host.ip);
+            } else if (remaining > 0) {
+                this.onWarning(host, remaining);
+            } else {
+                this.check();
+            }
+        }, TRACE_WARNING_INTERVAL);
+        this.timers.set(host.ip, timer);
+    }
+
+    /**
+     * Lanjutkan countdown untuk traces yang tersimpan di state (misal setelah reload)
+     */
+    resume() {
+        Object.keys(this.state.get('alerts') || {}).forEach((ip) => {
+            const host = this.network.findHost(ip);
+            if (host && this.getAlert(host).traceDeadline) {
+                this.schedule(host);
+            }
+        });
+        this.check();
+    }
+
+    /**
+     * Selesaikan traces yang countdown-nya sudah habis
+     * @param {number} now - Timestamp (ms)
+     * @returns {Object[]} Hosts yang berhasil men-trace player
+     */
+    check(now = Date.now()) {
+        const traced = [];
+        Object.keys(this.state.get('alerts') || {}).forEach((ip) => {
+            const host = this.network.findHost(ip);
+            const remaining = host ? this.getTraceRemaining(host, now) : null;
+            if (remaining === 0) {
+                this.trace(host);
+                traced.push(host);
+            }
+        });
+        return traced;
+    }
+
+    /**
+     * Trace-back selesai: mission target gagal, alerts dan breaches mission di-reset
+     * @param {Object} host - Host yang men-trace player
+     */
+    trace(host) {
+        const ips = this.network
+            .getTopology()
+            .hosts.filter((h) => h.missionId === host.missionId)
+            .map((h) => h.ip);
+        ips.forEach((ip) => this.cancel(ip));
+
+        const alerts = { ...(this.state.get('alerts') || {}) };
+        ips.forEach((ip) => delete alerts[ip]);
+        this.state.set('alerts', alerts);
+        this.network.removeBreaches(ips);
+        if (this.network.currentHost && ips.includes(this.network.currentHost.ip)) {
+            this.network.disconnect();
+        }
+
+        const mission = (this.state.get('missions') || []).find((m) => m.id === host.missionId);
+        eventBus.emit('mission:fail', {
+            missionId: host.missionId,
+            reason: t('commands.trace.reason', { hostname: host.hostname }),
+        });
+        this.onTraced(host, mission || null);
+    }
+
+    /**
+     * Stop countdown timer host di session ini
+     * @param {string} ip - Host IP
+     */
+    cancel(ip) {
+        if (this.timers.has(ip)) {
+            clearInterval(this.timers.get(ip));
+            this.timers.delete(ip);
+        }
+    }
+
+    /**
+     * Stop semua timers (terminal cleanup)
+     */
+    dispose() {
+        this.timers.forEach((timer) => clearInterval(timer));
+        this.timers.clear();
+    }
+}
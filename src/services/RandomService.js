@@ -0,0 +1,159 @@
+/**
+ * RandomService - Seedable random number generator dengan named streams
+ *
+ * Semua hasil acak game (success rolls, ping jitter, cipher keys, procedural missions,
+ * mini-games) berasal dari satu seed. Setiap system mengambil angka dari stream sendiri
+ * (misal stream('commands')), sehingga urutan angka sebuah system tidak bergeser saat
+ * system lain ikut mengambil angka acak. Seed yang sama menghasilkan run yang sama.
+ *
+ *   randomService.setSeed('pastel-42');
+ *   const roll = randomService.stream('commands').next(); // 0 <= roll < 1
+ */
+export class RandomStream {
+    /**
+     * @param {number} seed - 32-bit seed
+     */
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Angka acak berikutnya (mulberry32)
+     * @returns {number} Float 0 <= n < 1
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let value = this.state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer acak
+     * @param {number} max - Batas atas (exclusive)
+     * @returns {number} Integer 0 <= n < max
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pilih satu item acak
+     * @param {Array} items - Items
+     * @returns {*} Item (undefined jika array kosong)
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    /**
+     * Roll dengan peluang tertentu
+     * @param {number} probability - Peluang berhasil 0-1
+     * @returns {boolean} True jika roll berhasil
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Shuffle copy dari array (Fisher-Yates)
+     * @param {Array} items - Items
+     * @returns {Array} Items dengan urutan acak
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * String acak [a-z0-9] (untuk ids)
+     * @param {number} length - Panjang string
+     * @returns {string} Random id
+     */
+    id(length = 8) {
+        return Array.from({ length }, () => this.int(36).toString(36)).join('');
+    }
+}
+
+export class RandomService {
+    static SEED_PATTERN = /^[\w-]{1,32}$/;
+
+    /**
+     * @param {string} seed - Seed awal (default seed baru yang acak)
+     */
+    constructor(seed = RandomService.createSeed()) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+
+    /**
+     * Buat seed baru dari crypto random source
+     * @returns {string} Seed (base36)
+     */
+    static createSeed() {
+        const [value] = crypto.getRandomValues(new Uint32Array(1));
+        return value.toString(36);
+    }
+
+    /**
+     * Check apakah seed valid untuk di-share (huruf, angka, _ dan -)
+     * @param {string} seed - Seed
+     * @returns {boolean} True jika valid
+     */
+    static isValidSeed(seed) {
+        return typeof seed === 'string' && this.SEED_PATTERN.test(seed);
+    }
+
+    /**
+     * String hash (FNV-1a, 32-bit unsigned)
+     * @param {string} text - Input
+     * @returns {number} Hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get seed saat ini
+     * @returns {string} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Ganti seed, semua streams dimulai ulang dari awal
+     * @param {string|number} seed - Seed
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.streams.forEach((stream, name) => {
+            stream.state = RandomService.hash(`${this.seed}:${name}`);
+        });
+    }
+
+    /**
+     * Get named stream (stream yang sama dikembalikan untuk nama yang sama)
+     * @param {string} name - Nama stream, misal commands, network, ciphers, missions
+     * @returns {RandomStream} Stream
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(RandomService.hash(`${this.seed}:${name}`)));
+        }
+        return this.streams.get(name);
+    }
+}
+
+// Export singleton instance
+export const randomService = new RandomService();
@@ -74,6 +74,7 @@ export class StorageService {
             animations: true,
             autosave: true,
             fontSize: 14,
+            locale: 'en',
         };
 
         const saved = this.get(CONSTANTS.STORAGE.SETTINGS_KEY, null);
@@ -121,6 +122,31 @@ export class StorageService {
         return this.set(CONSTANTS.STORAGE.STATE_KEY, state);
     }
 
+    /**
+     * Get virtual filesystem dari storage
+     * @returns {Object|null} Filesystem data atau null
+     */
+    static getFileSystem() {
+        const fileSystem = this.get(CONSTANTS.STORAGE.FILESYSTEM_KEY, null);
+        if (fileSystem && ValidationUtils.validateFileSystem(fileSystem)) {
+            return fileSystem;
+        }
+        return null;
+    }
+
+    /**
+     * Save virtual filesystem ke storage
+     * @param {Object} fileSystem - Filesystem data (root, cwd, seededMissions)
+     * @returns {boolean} True jika berhasil disimpan
+     */
+    static saveFileSystem(fileSystem) {
+        if (!ValidationUtils.validateFileSystem(fileSystem)) {
+            console.warn('Invalid filesystem object, not saving');
+            return false;
+        }
+        return this.set(CONSTANTS.STORAGE.FILESYSTEM_KEY, fileSystem);
+    }
+
     /**
      * Check if welcome screen sudah pernah dilihat
      * @returns {boolean} True jika sudah dilihat
@@ -75,6 +75,70 @@ export class DOMUtils {
             element.scrollTop = element.scrollHeight;
         }
     }
+
+    /**
+     * Download text sebagai file
+     * @param {string} filename - Nama file
+     * @param {string} text - Isi file
+     * @param {string} type - MIME type
+     */
+    static downloadText(filename, text, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Buka file picker dan tunggu user memilih file
+     * @param {Object} options - Options
+     * @param {string} options.accept - Accept attribute (misal .rec,.txt)
+     * @param {AbortSignal} options.signal - Signal untuk membatalkan
+     * @returns {Promise<File|null>} File yang dipilih, null jika dibatalkan user
+     */
+    static pickFile(options = {}) {
+        const { accept = '', signal = null } = options;
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+
+            const onAbort = () => reject(signal.reason);
+            const finish = (file) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(file);
+            };
+            input.addEventListener('change', () => finish(input.files[0] || null), {
+                once: true,
+            });
+            input.addEventListener('cancel', () => finish(null), { once: true });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            input.click();
+        });
+    }
+
+    /**
+     * Baca isi file sebagai text
+     * @param {File} file - File dari pickFile
+     * @returns {Promise<string>} Isi file
+     */
+    static readText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
 }
 
 /**
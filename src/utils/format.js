@@ -1,3 +1,5 @@
+import { i18n, t } from '../i18n/i18n.js';
+
 /**
  * Formatting utilities
  */
@@ -14,19 +16,19 @@ export class FormatUtils {
         const hours = Math.floor(diff / 3600000);
         const days = Math.floor(diff / 86400000);
 
-        if (minutes < 1) return 'Just now';
-        if (minutes < 60) return `${minutes}m ago`;
-        if (hours < 24) return `${hours}h ago`;
-        return `${days}d ago`;
+        if (minutes < 1) return t('common.timeAgo.now');
+        if (minutes < 60) return t('common.timeAgo.minutes', { count: minutes });
+        if (hours < 24) return t('common.timeAgo.hours', { count: hours });
+        return t('common.timeAgo.days', { count: days });
     }
 
     /**
      * Format date ke locale string
      * @param {Date|string} date - Date object atau ISO string
-     * @param {string} locale - Locale (default: 'id-ID')
+     * @param {string} locale - Locale (default: Intl locale dari locale aktif)
      * @returns {string} Formatted date string
      */
-    static formatDate(date, locale = 'id-ID') {
+    static formatDate(date, locale = i18n.getIntlLocale()) {
         const dateObj = typeof date === 'string' ? new Date(date) : date;
         return dateObj.toLocaleString(locale);
     }
@@ -34,10 +36,11 @@ export class FormatUtils {
     /**
      * Format number dengan thousand separator
      * @param {number} num - Number
+     * @param {string} locale - Locale (default: Intl locale dari locale aktif)
      * @returns {string} Formatted number string
      */
-    static formatNumber(num) {
-        return num.toLocaleString('id-ID');
+    static formatNumber(num, locale = i18n.getIntlLocale()) {
+        return num.toLocaleString(locale);
     }
 
     /**
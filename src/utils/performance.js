@@ -67,6 +67,34 @@ export function cancelAnimation(id) {
     }
 }
 
+/**
+ * Promise-based delay untuk async flows (pengganti nested setTimeout)
+ * @param {number} ms - Delay dalam milliseconds
+ * @param {AbortSignal} signal - Optional signal untuk membatalkan delay
+ * @returns {Promise<void>} Promise yang resolve setelah delay, reject jika signal aborted
+ */
+export function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(signal.reason);
+        };
+        const timeoutId = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
 /**
  * Batch DOM updates untuk performance
  * @param {Function} updateFn - Function yang melakukan DOM updates
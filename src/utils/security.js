@@ -19,6 +19,9 @@ export class SecurityUtils {
      * @returns {string} Escaped text
      */
     static escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
         const map = {
             '&': '&amp;',
             '<': '&lt;',
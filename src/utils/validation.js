@@ -1,3 +1,5 @@
+import { CONSTANTS } from '../core/Constants.js';
+
 /**
  * Validation utilities untuk data validation
  */
@@ -35,11 +37,28 @@ export class ValidationUtils {
             if (!step.id || !step.text || typeof step.completed !== 'boolean') {
                 return false;
             }
+            if ('when' in step && !this.validateStepCondition(step.when)) {
+                return false;
+            }
         }
 
         return true;
     }
 
+    /**
+     * Validate completion condition dari mission step
+     * @param {Object} condition - step.when, misal { command: 'scan', host: 'vault' }
+     * @returns {boolean} True jika object non-empty dengan keys yang dikenal
+     */
+    static validateStepCondition(condition) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return false;
+        }
+        const keys = Object.keys(condition);
+        const known = CONSTANTS.MISSION.STEP_CONDITIONS;
+        return keys.length > 0 && keys.every((key) => known.includes(key));
+    }
+
     /**
      * Validate missions array
      * @param {Array} missions - Missions array
@@ -63,7 +82,7 @@ export class ValidationUtils {
             return false;
         }
 
-        const validKeys = ['sound', 'animations', 'autosave', 'fontSize'];
+        const validKeys = ['sound', 'animations', 'autosave', 'fontSize', 'locale'];
         const settingsKeys = Object.keys(settings);
 
         // Check if all keys are valid
@@ -86,6 +105,9 @@ export class ValidationUtils {
         if ('fontSize' in settings && typeof settings.fontSize !== 'number') {
             return false;
         }
+        if ('locale' in settings && typeof settings.locale !== 'string') {
+            return false;
+        }
 
         return true;
     }
@@ -118,6 +140,66 @@ export class ValidationUtils {
             return false;
         }
 
+        // Validate shell aliases dan env jika ada (map name -> string)
+        for (const field of ['aliases', 'env']) {
+            if (field in state && !this.validateStringMap(state[field])) {
+                return false;
+            }
+        }
+
+        // Validate network progress jika ada
+        if ('knownHosts' in state && !Array.isArray(state.knownHosts)) {
+            return false;
+        }
+        for (const field of ['breaches', 'alerts']) {
+            const value = state[field];
+            if (field in state && (!value || typeof value !== 'object' || Array.isArray(value))) {
+                return false;
+            }
+        }
+        if ('interceptedMessages' in state && typeof state.interceptedMessages !== 'number') {
+            return false;
+        }
+        if ('unlockedItems' in state && !Array.isArray(state.unlockedItems)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate plain object dengan string values
+     * @param {Object} map - Object yang ingin divalidasi
+     * @returns {boolean} True jika valid
+     */
+    static validateStringMap(map) {
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+            return false;
+        }
+        return Object.values(map).every((value) => typeof value === 'string');
+    }
+
+    /**
+     * Validate virtual filesystem data
+     * @param {Object} fileSystem - Filesystem data
+     * @returns {boolean} True jika valid
+     */
+    static validateFileSystem(fileSystem) {
+        if (!fileSystem || typeof fileSystem !== 'object') {
+            return false;
+        }
+
+        const { root, cwd } = fileSystem;
+        if (!root || root.type !== 'dir' || typeof root.children !== 'object') {
+            return false;
+        }
+        if (typeof cwd !== 'string' || !cwd.startsWith('/')) {
+            return false;
+        }
+        if (fileSystem.seededMissions && !Array.isArray(fileSystem.seededMissions)) {
+            return false;
+        }
+
         return true;
     }
 
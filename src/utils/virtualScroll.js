@@ -11,6 +11,8 @@ export class VirtualScroll {
         this.items = items;
         this.itemHeight = options.itemHeight || 50;
         this.overscan = options.overscan || 5; // Render extra items untuk smooth scrolling
+        // Tinggi viewport saat container belum ter-layout (misal tab yang hidden)
+        this.viewportHeight = options.viewportHeight || 0;
         this.startIndex = 0;
         this.endIndex = 0;
         this.scrollTop = 0;
@@ -45,8 +47,9 @@ export class VirtualScroll {
         DOMUtils.clearChildren(this.container);
         this.container.appendChild(this.wrapper);
 
-        // Setup scroll listener
-        this.container.addEventListener('scroll', this.handleScroll.bind(this), {
+        // Setup scroll listener (bound supaya bisa di-remove saat destroy)
+        this.boundHandleScroll = () => this.handleScroll();
+        this.container.addEventListener('scroll', this.boundHandleScroll, {
             passive: true,
         });
 
@@ -61,7 +64,7 @@ export class VirtualScroll {
     calculateVisibleRange() {
         if (!this.container) return;
 
-        const containerHeight = this.container.clientHeight;
+        const containerHeight = this.container.clientHeight || this.viewportHeight;
         this.scrollTop = this.container.scrollTop;
 
         this.startIndex = Math.max(
@@ -160,6 +163,16 @@ export class VirtualScroll {
         this.scrollToIndex(this.items.length - 1);
     }
 
+    /**
+     * Check apakah viewport berada di (dekat) bagian bawah
+     * @returns {boolean} True jika item terakhir terlihat
+     */
+    isAtBottom() {
+        if (!this.container) return true;
+        const { scrollHeight, scrollTop, clientHeight } = this.container;
+        return scrollHeight - scrollTop <= clientHeight + this.itemHeight;
+    }
+
     /**
      * Destroy virtual scroll
      */
@@ -168,7 +181,7 @@ export class VirtualScroll {
             cancelAnimationFrame(this.animationFrameId);
         }
         if (this.container) {
-            this.container.removeEventListener('scroll', this.handleScroll);
+            this.container.removeEventListener('scroll', this.boundHandleScroll);
         }
     }
 }
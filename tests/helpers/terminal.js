@@ -0,0 +1,54 @@
+import { beforeEach, afterEach, vi } from 'vitest';
+import { Terminal } from '../../src/modules/Terminal/Terminal.js';
+import { StateManager } from '../../src/core/StateManager.js';
+
+/**
+ * Terminal baru per test untuk command tests (DOM, StateManager dan Terminal)
+ * Dipanggil di dalam describe, hooks-nya hanya berlaku untuk describe tersebut.
+ * @returns {Object} Session (terminal, state, body, input, run, output),
+ *   properties diisi ulang sebelum setiap test
+ */
+export function useTerminal() {
+    const session = {
+        terminal: null,
+        state: null,
+        body: null,
+        input: null,
+        // Jalankan satu command line seperti user menekan Enter
+        run: async (line) => {
+            session.input.value = line;
+            await session.terminal.executeCommand();
+        },
+        // Text yang sudah dirender ke terminal body
+        output: () => {
+            session.terminal.flushPendingLines();
+            return session.body.textContent;
+        },
+        // Lines yang dirender (VirtualScroll hanya merender yang terlihat)
+        lines: () => session.body.querySelectorAll('.terminal-line'),
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div id="terminalBody"></div>
+            <input id="terminalInput" />
+        `;
+
+        session.body = document.getElementById('terminalBody');
+        session.input = document.getElementById('terminalInput');
+        session.state = new StateManager({
+            commandHistory: [],
+            historyIndex: 0,
+            logs: [],
+        });
+        session.terminal = new Terminal(session.state);
+    });
+
+    afterEach(() => {
+        session.terminal.destroy();
+        vi.clearAllTimers();
+    });
+
+    return session;
+}
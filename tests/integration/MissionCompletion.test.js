@@ -1,164 +1,193 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { CommandHandlers } from '../../src/modules/Terminal/CommandHandlers.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Terminal } from '../../src/modules/Terminal/Terminal.js';
+import { MiniGames } from '../../src/modules/Terminal/MiniGames.js';
 import { MissionSystem } from '../../src/modules/Missions/MissionSystem.js';
 import { StateManager } from '../../src/core/StateManager.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
 import { eventBus } from '../../src/core/EventBus.js';
-
-// Mock Terminal
-class MockTerminal {
-    constructor() {
-        this.lines = [];
-    }
-    
-    addLine(text, type = 'text') {
-        this.lines.push({ text, type });
-    }
-    
-    clear() {
-        this.lines = [];
-    }
-    
-    addLog(message, level) {
-        this.logs = this.logs || [];
-        this.logs.push({ message, level });
-    }
-}
+import missionsData from '../../data/missions.json';
 
 describe('Mission Completion Integration', () => {
     let stateManager;
     let missionSystem;
-    let commandHandlers;
-    let mockTerminal;
-    
-    beforeEach(() => {
+    let terminal;
+
+    const run = async (line) => {
+        document.getElementById('terminalInput').value = line;
+        await terminal.executeCommand();
+    };
+    const missionOf = (missionId) => stateManager.get('missions').find((m) => m.id === missionId);
+    const stepsOf = (missionId) => missionOf(missionId).steps.map((s) => s.completed);
+
+    beforeEach(async () => {
+        // Listeners dari test sebelumnya memegang StateManager lama
+        eventBus.clear('mission:command');
+        eventBus.clear('mission:step:complete');
+        eventBus.clear('mission:fail');
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div id="terminalBody"></div>
+            <input id="terminalInput" />
+        `;
+
+        // Missions yang di-ship (bukan fixture), progress dimulai dari awal
+        const missions = JSON.parse(JSON.stringify(missionsData));
+        missions.forEach((mission) => mission.steps.forEach((step) => {
+            step.completed = false;
+        }));
+        vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => missions })));
         stateManager = new StateManager({
-            missions: [
-                {
-                    id: 'mission-01',
-                    title: 'Recover Lost Password',
-                    status: 'active',
-                    progress: 0,
-                    steps: [
-                        { id: 'step-1', text: 'Scan for password files in the system', completed: false },
-                        { id: 'step-2', text: 'Decrypt the password hash', completed: false },
-                        { id: 'step-3', text: 'Run brute force attack', completed: false },
-                        { id: 'step-4', text: 'Recover and verify password', completed: false },
-                    ],
-                    reward: '50 XP + Hacker Badge'
-                }
-            ],
+            missions: [],
+            commandHistory: [],
+            historyIndex: 0,
+            logs: [],
             xp: 0,
             level: 1,
             completedMissions: 0
         });
-        
-        mockTerminal = new MockTerminal();
+
         missionSystem = new MissionSystem(stateManager);
-        commandHandlers = new CommandHandlers(mockTerminal, stateManager);
+        await missionSystem.loadMissions();
+        terminal = new Terminal(stateManager);
+        vi.spyOn(MiniGames, 'startTypingChallenge').mockResolvedValue({ success: true, speed: 4 });
     });
-    
-    it('should complete mission step when command matches', () => {
-        const missions = stateManager.get('missions');
-        expect(missions[0].steps[0].completed).toBe(false);
-        
-        // Simulate scan command completing step-1
-        const emitSpy = vi.spyOn(eventBus, 'emit');
-        commandHandlers.completeMatchingMissionSteps('scan');
-        
-        // Verify event was emitted
-        expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-            missionId: 'mission-01',
-            stepId: 'step-1'
-        });
+
+    afterEach(() => {
+        terminal.destroy();
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
     });
-    
-    it('should update mission progress when steps are completed', () => {
-        const missions = stateManager.get('missions');
-        const mission = missions[0];
-        
-        // Complete step-1
-        eventBus.emit('mission:step:complete', {
-            missionId: 'mission-01',
-            stepId: 'step-1'
-        });
-        
-        // MissionSystem should handle this and update progress
-        const updatedMissions = stateManager.get('missions');
-        const updatedMission = updatedMissions.find(m => m.id === 'mission-01');
-        
-        // Progress should be updated (1/4 = 25%)
-        expect(updatedMission.progress).toBe(25);
-        expect(updatedMission.steps[0].completed).toBe(true);
+
+    it('should advance only the mission that owns the scanned subnet', async () => {
+        // mission-01 dan mission-02 sama-sama punya step { command: 'scan' }
+        expect(missionOf('mission-01').steps[0].when).toEqual({ command: 'scan' });
+        expect(missionOf('mission-02').steps[0].when).toEqual({ command: 'scan' });
+
+        await run('scan 192.168.1.0/24');
+
+        expect(stepsOf('mission-01')).toEqual([true, false, false, false]);
+        expect(stepsOf('mission-02')).toEqual([false, false, false, false]);
+        expect(missionOf('mission-01').progress).toBe(25);
     });
-    
-    it('should complete mission when all steps are done', () => {
-        const missions = stateManager.get('missions');
-        const mission = missions[0];
-        
-        // Complete all steps
-        mission.steps.forEach((step, index) => {
-            eventBus.emit('mission:step:complete', {
-                missionId: 'mission-01',
-                stepId: step.id
-            });
+
+    it('should complete a step when the declared file is decrypted', async () => {
+        await run('decrypt archive.enc');
+        expect(stepsOf('mission-01')[1]).toBe(false);
+
+        // Analysis saja belum menghasilkan plaintext
+        await run('decrypt hint.b64');
+        expect(stepsOf('mission-01')[1]).toBe(false);
+
+        await run('base64 -d hint.b64 | decrypt hint.b64');
+        expect(stepsOf('mission-01')).toEqual([false, true, false, false]);
+        expect(stepsOf('mission-03')).toEqual([false, true, false, false]);
+    });
+
+    it('should respect step ordering', () => {
+        const { commandHandlers } = terminal;
+
+        commandHandlers.reportMissionEvent('verify', { file: 'password.hash' });
+        expect(stepsOf('mission-01')[3]).toBe(false);
+
+        commandHandlers.reportMissionEvent('bruteforce', { file: 'password.hash', artifact: 'password' });
+        commandHandlers.reportMissionEvent('verify', { file: 'password.hash' });
+        expect(stepsOf('mission-01')).toEqual([false, false, true, true]);
+    });
+
+    it('should match target host by hostname or IP', () => {
+        const { commandHandlers, network } = terminal;
+
+        commandHandlers.reportMissionEvent('escalate', {
+            host: network.findHost('fw-v31'),
+            artifact: 'root',
         });
-        
-        const updatedMissions = stateManager.get('missions');
-        const updatedMission = updatedMissions.find(m => m.id === 'mission-01');
-        
-        // All steps should be completed
-        expect(updatedMission.steps.every(s => s.completed)).toBe(true);
-        expect(updatedMission.progress).toBe(100);
+        expect(stepsOf('mission-04')).toEqual([false, false, false, false, false]);
+
+        const vault = network.findHost('10.0.0.5');
+        commandHandlers.reportMissionEvent('su', { host: vault, artifact: 'root' });
+        expect(stepsOf('mission-04')).toEqual([false, false, false, false, true]);
     });
-    
+
+    it('should fall back to all active missions for events without a target', () => {
+        terminal.commandHandlers.reportMissionEvent('sniff', { artifact: 'packets' });
+
+        expect(stepsOf('mission-02')).toEqual([false, true, false, false]);
+        expect(stepsOf('mission-01')).toEqual([false, false, false, false]);
+    });
+
+    it('should clear failed steps when a failed mission is retried', async () => {
+        const failedOf = (missionId) => missionOf(missionId).steps.map((s) => Boolean(s.failed));
+
+        await run('scan 192.168.1.0/24');
+        eventBus.emit('mission:fail', { missionId: 'mission-01', reason: 'traced' });
+        expect(stepsOf('mission-01')).toEqual([false, false, false, false]);
+        expect(failedOf('mission-01')).toEqual([true, true, true, true]);
+
+        await run('scan 192.168.1.0/24');
+        expect(stepsOf('mission-01')).toEqual([true, false, false, false]);
+        expect(failedOf('mission-01')).toEqual([false, true, true, true]);
+
+        missionSystem.startMission(missionOf('mission-01'));
+        expect(failedOf('mission-01')).toEqual([false, false, false, false]);
+        expect(missionOf('mission-01').retries).toBe(1);
+    });
+
     it('should not complete step twice', () => {
-        const missions = stateManager.get('missions');
-        const mission = missions[0];
-        
-        // Complete step-1 twice
         eventBus.emit('mission:step:complete', {
             missionId: 'mission-01',
             stepId: 'step-1'
         });
-        
-        const firstProgress = stateManager.get('missions')[0].progress;
-        
+
+        const firstProgress = missionOf('mission-01').progress;
+
         eventBus.emit('mission:step:complete', {
             missionId: 'mission-01',
             stepId: 'step-1'
         });
-        
-        const secondProgress = stateManager.get('missions')[0].progress;
-        
+
         // Progress should not change
-        expect(firstProgress).toBe(secondProgress);
+        expect(missionOf('mission-01').progress).toBe(firstProgress);
     });
-    
-    it('should handle multiple commands completing different steps', () => {
-        const emitSpy = vi.spyOn(eventBus, 'emit');
-        
-        // Scan should complete step-1
-        commandHandlers.completeMatchingMissionSteps('scan');
-        
-        // Decrypt should complete step-2
-        commandHandlers.completeMatchingMissionSteps('decrypt');
-        
-        // Bruteforce should complete step-3
-        commandHandlers.completeMatchingMissionSteps('bruteforce');
-        
-        // Verify all events were emitted
-        expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-            missionId: 'mission-01',
-            stepId: 'step-1'
-        });
-        expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-            missionId: 'mission-01',
-            stepId: 'step-2'
-        });
-        expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-            missionId: 'mission-01',
-            stepId: 'step-3'
+
+    it('should ignore locked missions', () => {
+        expect(missionOf('mission-05').status).toBe(CONSTANTS.MISSION.STATUS.LOCKED);
+
+        eventBus.emit('mission:command', {
+            command: 'scan',
+            host: { hostname: 'ids-sensor', ip: '10.13.37.7' },
+            missionId: 'mission-05',
         });
+
+        expect(stepsOf('mission-05')).toEqual([false, false, false, false]);
     });
 });
 
+describe('MissionSystem.matchesCondition', () => {
+    const mission = {
+        steps: [
+            { id: 'step-1', completed: true },
+            { id: 'step-2', completed: false },
+        ],
+    };
+    const event = {
+        command: 'bruteforce',
+        args: ['password.hash'],
+        host: { hostname: 'admin-pc', ip: '192.168.1.100' },
+        file: `${CONSTANTS.FILESYSTEM.HOME}/password.hash`,
+        artifact: 'password',
+    };
+    const matches = (condition) => MissionSystem.matchesCondition(condition, event, mission);
+
+    it('should match every declared key', () => {
+        expect(matches({ command: 'bruteforce', file: 'password.hash', artifact: 'password' })).toBe(true);
+        expect(matches({ command: ['decrypt', 'bruteforce'], args: ['password.hash'] })).toBe(true);
+        expect(matches({ host: '192.168.1.100', after: ['step-1'] })).toBe(true);
+    });
+
+    it('should reject a mismatch on any key', () => {
+        expect(matches({ command: 'bruteforce', file: 'hint.b64' })).toBe(false);
+        expect(matches({ command: 'bruteforce', host: 'vault' })).toBe(false);
+        expect(matches({ command: 'bruteforce', after: ['step-2'] })).toBe(false);
+        expect(matches({ keyword: 'crack' })).toBe(false);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { ArgumentParser, ArgumentError } from '../../src/modules/Terminal/ArgumentParser.js';
+
+describe('ArgumentParser', () => {
+    const schema = {
+        args: [{ name: 'target', required: true }, { name: 'extra' }],
+        flags: {
+            verbose: { short: 'v' },
+            force: { short: 'f' },
+            wordlist: { short: 'w', type: 'string', placeholder: 'file' },
+            threads: { type: 'number', default: 1 },
+        },
+    };
+
+    describe('parse', () => {
+        it('should separate positionals from flags', () => {
+            const parsed = ArgumentParser.parse(['hash.txt', '-v'], schema);
+
+            expect(parsed.args).toEqual(['hash.txt']);
+            expect(parsed.flags).toEqual({ verbose: true, force: false, threads: 1 });
+        });
+
+        it('should parse long flags with inline and separate values', () => {
+            const parsed = ArgumentParser.parse(
+                ['--wordlist=rockyou.txt', '--threads', '4', 'hash.txt'],
+                schema
+            );
+
+            expect(parsed.flags.wordlist).toBe('rockyou.txt');
+            expect(parsed.flags.threads).toBe(4);
+            expect(parsed.args).toEqual(['hash.txt']);
+        });
+
+        it('should parse combined short flags', () => {
+            const parsed = ArgumentParser.parse(['-vfw', 'list.txt', 'hash.txt'], schema);
+
+            expect(parsed.flags.verbose).toBe(true);
+            expect(parsed.flags.force).toBe(true);
+            expect(parsed.flags.wordlist).toBe('list.txt');
+        });
+
+        it('should treat everything after -- as positional', () => {
+            const parsed = ArgumentParser.parse(['--', '-v'], schema);
+
+            expect(parsed.args).toEqual(['-v']);
+            expect(parsed.flags.verbose).toBe(false);
+        });
+
+        it('should reject invalid arguments', () => {
+            expect(() => ArgumentParser.parse([], schema)).toThrow('missing target operand');
+            expect(() => ArgumentParser.parse(['a', 'b', 'c'], schema)).toThrow('too many');
+            expect(() => ArgumentParser.parse(['a', '--nope'], schema)).toThrow(ArgumentError);
+            expect(() => ArgumentParser.parse(['a', '-x'], schema)).toThrow("invalid option -- 'x'");
+            expect(() => ArgumentParser.parse(['a', '--wordlist'], schema)).toThrow('requires');
+            expect(() => ArgumentParser.parse(['a', '--threads=x'], schema)).toThrow('number');
+            expect(() => ArgumentParser.parse(['a', '--verbose=1'], schema)).toThrow();
+        });
+
+        it('should reject numbers below the flag minimum', () => {
+            const limited = { flags: { count: { short: 'c', type: 'number', min: 1 } } };
+
+            expect(ArgumentParser.parse(['-c', '1'], limited).flags.count).toBe(1);
+            expect(() => ArgumentParser.parse(['-c', '0'], limited)).toThrow(
+                "option '--count' must be at least 1, got 0"
+            );
+            expect(() => ArgumentParser.parse(['--count=-2'], limited)).toThrow('at least 1');
+            expect(() => ArgumentParser.validate([], { count: 0 }, limited)).toThrow('at least 1');
+        });
+
+        it('should keep unknown options as positionals when not strict', () => {
+            const parsed = ArgumentParser.parse(['-n', '--hi', 'there'], {
+                args: [{ name: 'text', variadic: true }],
+                strict: false,
+            });
+
+            expect(parsed.args).toEqual(['-n', '--hi', 'there']);
+        });
+
+        it('should stop parsing options at the first positional when optionsFirst', () => {
+            const parsed = ArgumentParser.parse(['-p', 'secret', 'sniff', '-p', '1'], {
+                args: [{ name: 'command', required: true, variadic: true }],
+                flags: { password: { short: 'p', type: 'string' } },
+                optionsFirst: true,
+            });
+
+            expect(parsed.flags.password).toBe('secret');
+            expect(parsed.args).toEqual(['sniff', '-p', '1']);
+        });
+    });
+
+    describe('usage', () => {
+        it('should generate usage from schema', () => {
+            expect(ArgumentParser.usage('crack', schema)).toBe(
+                'Usage: crack [-fv] [-w <file>] [--threads <number>] <target> [extra]'
+            );
+            expect(ArgumentParser.usage('clear')).toBe('Usage: clear');
+        });
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Ciphers } from '../../src/modules/Terminal/Ciphers.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('Ciphers', () => {
+    const plaintext = 'Meet me at the pastel cafe at noon, bring the sticker pack';
+
+    describe('Round Trips', () => {
+        it('should shift letters and keep case and punctuation', () => {
+            expect(Ciphers.caesar('Hello, World!', 3)).toBe('Khoor, Zruog!');
+            expect(Ciphers.caesar(Ciphers.caesar(plaintext, 11), -11)).toBe(plaintext);
+        });
+
+        it('should encode and decode vigenere', () => {
+            expect(Ciphers.vigenere('attack at dawn', 'lemon')).toBe('lxfopv ef rnhr');
+            expect(Ciphers.vigenere('lxfopv ef rnhr', 'lemon', true)).toBe('attack at dawn');
+            expect(() => Ciphers.vigenere('abc', '123')).toThrow('key must contain letters');
+        });
+
+        it('should encode and decode base64', () => {
+            expect(Ciphers.base64Encode('kawaii ✨')).toBe('a2F3YWlpIOKcqA==');
+            expect(Ciphers.base64Decode('a2F3YWlpIOKcqA==')).toBe('kawaii ✨');
+            expect(() => Ciphers.base64Decode('%%%')).toThrow('invalid base64 input');
+        });
+
+        it('should xor to hex and back', () => {
+            expect(Ciphers.xorEncode('hi', 1)).toBe('6968');
+            expect(Ciphers.xorDecode('69 68', 1)).toBe('hi');
+            expect(() => Ciphers.xorDecode('xyz', 1)).toThrow('input is not hex encoded');
+        });
+
+        it('should apply a substitution alphabet', () => {
+            const key = 'qwertyuiopasdfghjklzxcvbnm';
+            const ciphertext = Ciphers.substitute(plaintext, Ciphers.ALPHABET, key);
+
+            expect(ciphertext.startsWith('Dttz')).toBe(true);
+            expect(Ciphers.substitute(ciphertext, key, Ciphers.ALPHABET)).toBe(plaintext);
+        });
+    });
+
+    describe('Analysis', () => {
+        it('should count letter frequencies', () => {
+            const [top] = Ciphers.frequencies('eeE tt a!');
+
+            expect(top).toEqual({ letter: 'e', count: 3, percent: 50 });
+            expect(Ciphers.frequencies('123')).toEqual([]);
+        });
+
+        it('should identify encodings and cipher families', () => {
+            expect(Ciphers.identify(Ciphers.xorEncode(plaintext, 42))).toContain('hex');
+            expect(Ciphers.identify(Ciphers.base64Encode(plaintext))).toContain('base64');
+            expect(Ciphers.identify(Ciphers.caesar(plaintext, 5))).toContain('monoalphabetic');
+            expect(Ciphers.identify(Ciphers.vigenere(plaintext, 'sprinkle'))).toContain(
+                'polyalphabetic'
+            );
+        });
+
+        it('should score English text above garbage', () => {
+            const english = Ciphers.englishScore(plaintext);
+
+            expect(english).toBeGreaterThan(Ciphers.englishScore('qzxj vkwq'));
+            expect(Ciphers.englishScore('\u0001\u0002')).toBe(-Infinity);
+        });
+    });
+
+    describe('Puzzles', () => {
+        it('should encrypt layers in order with fixed keys', () => {
+            const puzzle = Ciphers.createPuzzle({
+                type: ['caesar', 'base64'],
+                key: [1, null],
+                plaintext: 'abc',
+            });
+
+            expect(puzzle.content).toBe(Ciphers.base64Encode('bcd'));
+            expect(puzzle.layers).toEqual([
+                { type: 'caesar', key: 1 },
+                { type: 'base64', key: null },
+            ]);
+        });
+
+        it('should generate keys that decrypt back to the plaintext', () => {
+            const puzzle = Ciphers.createPuzzle({ type: 'substitution', plaintext });
+            const [{ key }] = puzzle.layers;
+
+            expect(key).toHaveLength(26);
+            expect(Ciphers.substitute(puzzle.content, key, Ciphers.ALPHABET)).toBe(plaintext);
+        });
+
+        it('should normalize case and whitespace before comparing', () => {
+            expect(Ciphers.normalize('  Meet  ME\n')).toBe('meet me');
+        });
+    });
+});
+
+describe('Crypto Tools', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-01',
+                status: 'active',
+                steps: [{ id: 'step-3', text: 'Decrypt the hint', completed: false }],
+                files: [
+                    { path: 'hint.b64', cipher: { type: 'base64', plaintext: 'pet name' } },
+                    {
+                        path: 'chat.enc',
+                        cipher: { type: 'xor', key: 42, plaintext: 'meet at noon' },
+                    },
+                    { path: 'password.hash', content: 'admin:ab12', encrypted: true },
+                ],
+            },
+        ]);
+    });
+
+    it('should analyze the ciphertext when no plaintext is submitted', async () => {
+        await run('decrypt chat.enc');
+
+        expect(output()).toContain('Detected: hex encoded bytes (try xor)');
+    });
+
+    it('should decrypt when the recovered plaintext is piped in', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+        await run('base64 -d hint.b64 | decrypt hint.b64');
+
+        expect(output()).toContain('File decrypted successfully!');
+        expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+            command: 'decrypt',
+            file: `${CONSTANTS.FILESYSTEM.HOME}/hint.b64`,
+            artifact: 'plaintext',
+        }));
+        emitSpy.mockRestore();
+    });
+
+    it('should reject a wrong plaintext', async () => {
+        await run("decrypt hint.b64 --plaintext 'wrong guess'");
+
+        expect(output()).toContain('Decryption failed!');
+        expect(output()).toContain('Retries: 1/3');
+    });
+
+    it('should send one-way hashes to bruteforce', async () => {
+        await run('decrypt password.hash');
+
+        expect(output()).toContain('decrypt: password.hash: one-way hash, cannot be decrypted');
+    });
+
+    it('should brute force single-byte xor keys', async () => {
+        await run('xor --brute chat.enc');
+        expect(output()).toContain('0x2a ( 42): meet at noon');
+
+        await run('xor 0x2a chat.enc > plain.txt');
+        expect(session.terminal.fileSystem.readFile('plain.txt')).toBe('meet at noon');
+    });
+
+    it('should shift, substitute and count letters from stdin', async () => {
+        await run('echo khoor | shift 23 > shifted.txt');
+        await run('echo khoor | subst kh=he');
+        await run('echo aab | freq');
+
+        expect(session.terminal.fileSystem.readFile('shifted.txt')).toBe('hello');
+        expect(output()).toContain('heOOR');
+        expect(output()).toMatch(/a\s+2\s+66\.7%/);
+    });
+
+    it('should round trip vigenere through a pipeline', async () => {
+        await run('echo attack | vigenere lemon | vigenere -d lemon > out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('attack');
+    });
+});
@@ -1,11 +1,16 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { CommandHandlers } from '../../src/modules/Terminal/CommandHandlers.js';
+import { CommandRegistry } from '../../src/modules/Terminal/CommandRegistry.js';
 import { eventBus } from '../../src/core/EventBus.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { VirtualFileSystem } from '../../src/modules/Terminal/FileSystem.js';
+import { useTerminal } from '../helpers/terminal.js';
 
 // Mock Terminal
 class MockTerminal {
     constructor() {
         this.lines = [];
+        this.fileSystem = new VirtualFileSystem();
     }
     
     addLine(text, type = 'text') {
@@ -68,88 +73,36 @@ describe('CommandHandlers', () => {
         eventBus.off('mission:step:complete');
     });
     
-    describe('completeMatchingMissionSteps', () => {
-        it('should complete matching mission steps for scan command', () => {
+    describe('reportMissionEvent', () => {
+        it('should emit mission:command with host summary and resolved file', () => {
             const emitSpy = vi.spyOn(eventBus, 'emit');
-            
-            commandHandlers.completeMatchingMissionSteps('scan');
-            
-            // Should emit event for mission-02 step-1 (contains "Locate" and "network")
-            expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-                missionId: 'mission-02',
-                stepId: 'step-1'
-            });
-        });
-        
-        it('should complete matching mission steps for decrypt command', () => {
-            const emitSpy = vi.spyOn(eventBus, 'emit');
-            
-            commandHandlers.completeMatchingMissionSteps('decrypt');
-            
-            // Should emit event for mission-01 step-2 (contains "Decrypt" and "hash")
-            expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-                missionId: 'mission-01',
-                stepId: 'step-2'
-            });
-        });
-        
-        it('should complete matching mission steps for bruteforce command', () => {
-            const emitSpy = vi.spyOn(eventBus, 'emit');
-            
-            commandHandlers.completeMatchingMissionSteps('bruteforce');
-            
-            // Should emit event for mission-01 step-3 (contains "brute", "force", "attack")
-            expect(emitSpy).toHaveBeenCalledWith('mission:step:complete', {
-                missionId: 'mission-01',
-                stepId: 'step-3'
-            });
-        });
-        
-        it('should not complete already completed steps', () => {
-            mockStateManager.get = vi.fn((key) => {
-                if (key === 'missions') {
-                    return [{
-                        id: 'mission-01',
-                        status: 'active',
-                        steps: [
-                            { id: 'step-1', text: 'Scan for password files', completed: true },
-                        ]
-                    }];
-                }
-                return null;
+            const host = { hostname: 'vault', ip: '10.0.0.5', ports: [] };
+
+            commandHandlers.reportMissionEvent('exploit', { host, file: 'loot/creds.txt' });
+
+            expect(emitSpy).toHaveBeenCalledWith('mission:command', {
+                command: 'exploit',
+                args: [],
+                host: { hostname: 'vault', ip: '10.0.0.5' },
+                file: `${CONSTANTS.FILESYSTEM.HOME}/loot/creds.txt`,
+                artifact: null,
+                missionId: null,
             });
-            
-            const emitSpy = vi.spyOn(eventBus, 'emit');
-            
-            commandHandlers.completeMatchingMissionSteps('scan');
-            
-            // Should not emit for already completed step
-            expect(emitSpy).not.toHaveBeenCalled();
         });
-        
-        it('should not complete steps for locked missions', () => {
-            mockStateManager.get = vi.fn((key) => {
-                if (key === 'missions') {
-                    return [{
-                        id: 'mission-01',
-                        status: 'locked',
-                        steps: [
-                            { id: 'step-1', text: 'Scan for password files', completed: false },
-                        ]
-                    }];
-                }
-                return null;
-            });
-            
+
+        it('should scope events to the mission that owns the target host', () => {
             const emitSpy = vi.spyOn(eventBus, 'emit');
-            
-            commandHandlers.completeMatchingMissionSteps('scan');
-            
-            // Should not emit for locked mission
-            expect(emitSpy).not.toHaveBeenCalled();
+            const host = { hostname: 'vault', ip: '10.0.0.5', missionId: 'mission-04' };
+
+            commandHandlers.reportMissionEvent('escalate', { host, artifact: 'root' });
+
+            expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+                host: { hostname: 'vault', ip: '10.0.0.5' },
+                missionId: 'mission-04',
+            }));
         });
     });
-    
+
     describe('trackCommandUsage', () => {
         it('should track command usage', () => {
             mockStateManager.get = vi.fn((key) => {
@@ -222,6 +175,23 @@ describe('CommandHandlers', () => {
     });
     
     describe('showHelp', () => {
+        beforeEach(() => {
+            const registry = new CommandRegistry();
+            registry.register('help', () => {}, { description: 'Show available commands' });
+            registry.register('scan', () => {}, {
+                description: 'Scan network for targets',
+                category: 'network',
+                examples: ['scan > targets.txt'],
+                missions: ['mission-01'],
+            });
+            registry.register('exploit', () => {}, {
+                description: 'Exploit a target',
+                category: 'hacking',
+                unlock: { level: 5 },
+            });
+            mockTerminal.commandRegistry = registry;
+        });
+
         it('should display help message', () => {
             commandHandlers.showHelp();
             
@@ -229,6 +199,30 @@ describe('CommandHandlers', () => {
             expect(mockTerminal.lines.some(line => line.text.includes('help'))).toBe(true);
             expect(mockTerminal.lines.some(line => line.text.includes('scan'))).toBe(true);
         });
+
+        it('should group commands by category and hide locked commands', () => {
+            commandHandlers.showHelp();
+
+            const texts = mockTerminal.lines.map(line => line.text);
+            expect(texts).toContain('Network:');
+            expect(texts.some(text => text.includes('exploit'))).toBe(false);
+        });
+
+        it('should render man page from registry metadata', () => {
+            commandHandlers.man(['scan']);
+
+            const texts = mockTerminal.lines.map(line => line.text);
+            expect(texts).toContain('SYNOPSIS');
+            expect(texts).toContain('    scan');
+            expect(texts).toContain('    scan > targets.txt');
+            expect(texts).toContain('RELATED MISSIONS');
+        });
+
+        it('should not show man pages for locked commands', () => {
+            commandHandlers.man(['exploit']);
+
+            expect(mockTerminal.lines[0].type).toBe('error');
+        });
     });
     
     describe('clearTerminal', () => {
@@ -244,3 +238,131 @@ describe('CommandHandlers', () => {
     });
 });
 
+describe('Hacking Commands', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-04',
+                status: 'active',
+                steps: [{ id: 'step-3', text: 'Exploit vulnerabilities', completed: false }],
+                network: {
+                    subnets: [{ cidr: '172.16.0.0/24', name: 'edge' }],
+                    hosts: [
+                        {
+                            ip: '172.16.0.1',
+                            hostname: 'fw',
+                            firewall: true,
+                            ports: [
+                                { port: 443, service: 'https', state: 'filtered',
+                                    vulnerability: 'Panel RCE' },
+                            ],
+                            users: [{ name: 'netadmin', email: 'net@fw.corp', lure: 'invoice' }],
+                        },
+                    ],
+                },
+            },
+        ]);
+        session.state.set('knownHosts', ['172.16.0.1']);
+        // Success rolls berasal dari random stream commands
+        vi.spyOn(session.terminal.random.stream('commands'), 'next').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should require targets to be discovered first', async () => {
+        session.state.set('knownHosts', []);
+        await run('exploit fw');
+
+        expect(output()).toContain('exploit: fw: unknown target (run scan first)');
+    });
+
+    it('should bypass a firewall before exploiting its filtered port', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+
+        await run('exploit fw');
+        expect(output()).toContain('exploit: port 443 is filtered by a firewall');
+
+        await run('bypass fw');
+        expect(output()).toContain('Firewall on fw bypassed');
+        const { network } = session.terminal;
+        expect(network.isFirewalled(network.findHost('fw'))).toBe(false);
+
+        await run('exploit fw');
+        expect(output()).toContain('Shell access gained on fw');
+        expect(session.state.get('breaches')['172.16.0.1']).toEqual({
+            firewall: true,
+            shell: true,
+        });
+        expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+            command: 'exploit',
+            host: { hostname: 'fw', ip: '172.16.0.1' },
+            artifact: 'shell',
+        }));
+    });
+
+    it('should save phished credentials to the loot directory', async () => {
+        await run('phish fw --lure invoice');
+
+        const loot = session.terminal.fileSystem.readFile('~/loot/fw.creds');
+        expect(loot).toMatch(/^netadmin:session-/);
+        expect(session.state.get('breaches')['172.16.0.1'].credentials).toBe(true);
+    });
+
+    it('should reject unknown phishing lures', async () => {
+        await run('phish fw --lure candy');
+
+        expect(output()).toContain('phish: invalid lure');
+    });
+
+    it('should capture intercepted traffic and count messages', async () => {
+        await run('intercept fw -c 2');
+
+        const capture = session.terminal.fileSystem.readFile('~/captures/fw.log').split('\n');
+        expect(capture).toHaveLength(2);
+        expect(capture[0]).toContain('[https] 172.16.0.1 → 172.16.0.1:443 HELLO');
+        expect(session.state.get('interceptedMessages')).toBe(2);
+    });
+
+    it('should report hosts without traffic instead of an empty capture', async () => {
+        const missions = session.state.get('missions');
+        missions[0].network.hosts[0].traffic = [];
+        session.state.set('missions', missions);
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+
+        await run('intercept fw');
+
+        expect(output()).toContain('No traffic captured from fw');
+        expect(session.terminal.fileSystem.exists('~/captures/fw.log')).toBe(false);
+        expect(session.state.get('interceptedMessages')).toBeUndefined();
+        expect(emitSpy).not.toHaveBeenCalledWith('mission:command', expect.anything());
+    });
+
+    it('should reject intercept counts below one', async () => {
+        await run('intercept fw -c 0');
+
+        expect(output()).toContain("intercept: option '--count' must be at least 1, got 0");
+        expect(session.terminal.fileSystem.exists('~/captures/fw.log')).toBe(false);
+    });
+
+    it('should report loot that cannot be written', async () => {
+        session.terminal.fileSystem.writeFile('~/captures', 'not a directory');
+
+        await run('intercept fw -c 2');
+
+        expect(output()).toContain('intercept: ~/captures/fw.log:');
+        expect(session.state.get('interceptedMessages')).toBeUndefined();
+    });
+
+    it('should fail when the success roll misses', async () => {
+        session.terminal.random.stream('commands').next.mockReturnValue(0.99);
+        await run('bypass fw');
+
+        expect(output()).toContain('Bypass failed');
+        expect(session.state.get('breaches')).toBeUndefined();
+    });
+});
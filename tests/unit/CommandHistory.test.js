@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CommandHistory } from '../../src/modules/Terminal/CommandHistory.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('CommandHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new CommandHistory(
+            new StateManager({
+                commandHistory: ['scan', 'decrypt password.hash', 'ping 10.0.0.1'],
+                historyIndex: 3,
+            })
+        );
+    });
+
+    describe('Entries', () => {
+        it('should add entries and reset the navigation index', () => {
+            history.add('whoami');
+
+            expect(history.getEntries()).toHaveLength(4);
+            expect(history.state.get('historyIndex')).toBe(4);
+        });
+
+        it('should cap history at MAX_HISTORY', () => {
+            for (let i = 0; i < CONSTANTS.TERMINAL.MAX_HISTORY + 5; i++) {
+                history.add(`echo ${i}`);
+            }
+
+            const entries = history.getEntries();
+            expect(entries).toHaveLength(CONSTANTS.TERMINAL.MAX_HISTORY);
+            expect(entries[entries.length - 1]).toBe(`echo ${CONSTANTS.TERMINAL.MAX_HISTORY + 4}`);
+        });
+    });
+
+    describe('Expansion', () => {
+        const expand = (line) => history.expand(line).line;
+
+        it('should expand !!, !n, !-n and !prefix', () => {
+            expect(expand('!!')).toBe('ping 10.0.0.1');
+            expect(expand('!1')).toBe('scan');
+            expect(expand('!-2')).toBe('decrypt password.hash');
+            expect(expand('!dec')).toBe('decrypt password.hash');
+        });
+
+        it('should expand references inside a longer line', () => {
+            expect(expand('!! | cat > out.txt')).toBe('ping 10.0.0.1 | cat > out.txt');
+            expect(expand('echo !1')).toBe('echo scan');
+        });
+
+        it('should leave quoted, escaped and standalone ! alone', () => {
+            expect(history.expand("echo '!!' ! \\!1")).toEqual({
+                line: "echo '!!' ! \\!1",
+                expanded: false,
+            });
+        });
+
+        it('should throw for unknown events', () => {
+            expect(() => expand('!42')).toThrow('!42: event not found');
+            expect(() => expand('!nope')).toThrow('!nope: event not found');
+        });
+    });
+
+    describe('Reverse Search', () => {
+        it('should find the newest entry containing the query', () => {
+            expect(history.search('c')).toBe(1);
+            expect(history.search('c', 0)).toBe(0);
+            expect(history.search('missing')).toBe(-1);
+        });
+    });
+});
+
+describe('History', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    const press = (key, options = {}) => {
+        session.input.dispatchEvent(new KeyboardEvent('keydown', { key, ...options }));
+    };
+
+    it('should list numbered history', async () => {
+        await run('echo one');
+        await run('echo two');
+        await run('history 2 > history.txt');
+
+        expect(session.terminal.fileSystem.readFile('history.txt')).toBe(
+            '    2  echo two\n    3  history 2 > history.txt'
+        );
+    });
+
+    it('should expand !! and !n before executing', async () => {
+        await run('echo first > out.txt');
+        await run('!!');
+        await run('!1');
+
+        expect(session.terminal.history.getEntries()).toEqual([
+            'echo first > out.txt',
+            'echo first > out.txt',
+            'echo first > out.txt',
+        ]);
+    });
+
+    it('should report events that are not found', async () => {
+        await run('!nothing');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('!nothing: event not found');
+        expect(session.terminal.history.getEntries()).toEqual([]);
+    });
+
+    it('should clear history with -c', async () => {
+        await run('echo hi');
+        await run('history -c');
+
+        expect(session.terminal.history.getEntries()).toEqual([]);
+    });
+
+    it('should search history incrementally with Ctrl+R', async () => {
+        await run('echo alpha');
+        await run('pwd');
+        await run('echo beta');
+        session.input.value = 'draft';
+
+        press('r', { ctrlKey: true });
+        press('e');
+        press('c');
+        expect(session.input.value).toBe('echo beta');
+
+        press('r', { ctrlKey: true });
+        expect(session.input.value).toBe('echo alpha');
+
+        press('Escape');
+        expect(session.input.value).toBe('draft');
+        expect(session.terminal.reverseSearch).toBeNull();
+    });
+
+    it('should accept the reverse search match on Enter', async () => {
+        await run('echo picked > picked.txt');
+        await run('pwd');
+
+        press('r', { ctrlKey: true });
+        press('p');
+        press('i');
+        press('Enter');
+        await vi.waitFor(() => expect(session.terminal.history.getEntries()).toHaveLength(3));
+
+        expect(session.terminal.history.getEntries()[2]).toBe('echo picked > picked.txt');
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { VirtualFileSystem } from '../../src/modules/Terminal/FileSystem.js';
+import { StorageService } from '../../src/services/StorageService.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+
+describe('VirtualFileSystem', () => {
+    let fileSystem;
+    const home = CONSTANTS.FILESYSTEM.HOME;
+
+    beforeEach(() => {
+        localStorage.clear();
+        fileSystem = new VirtualFileSystem();
+    });
+
+    describe('Path Resolution', () => {
+        it('should start in home directory', () => {
+            expect(fileSystem.cwd).toBe(home);
+            expect(fileSystem.displayPath()).toBe('~');
+        });
+
+        it('should resolve relative, home and parent paths', () => {
+            expect(fileSystem.resolve('notes.txt')).toBe(`${home}/notes.txt`);
+            expect(fileSystem.resolve('~/a/../b')).toBe(`${home}/b`);
+            expect(fileSystem.resolve('/tmp/./x')).toBe('/tmp/x');
+            expect(fileSystem.resolve('../../..')).toBe('/');
+        });
+    });
+
+    describe('Navigation', () => {
+        it('should change directory', () => {
+            fileSystem.changeDirectory('/tmp');
+            expect(fileSystem.cwd).toBe('/tmp');
+
+            fileSystem.changeDirectory();
+            expect(fileSystem.cwd).toBe(home);
+        });
+
+        it('should reject missing directories and files', () => {
+            expect(() => fileSystem.changeDirectory('/nope')).toThrow('No such file or directory');
+            expect(() => fileSystem.changeDirectory('readme.txt')).toThrow('Not a directory');
+        });
+
+        it('should list directory entries sorted by name', () => {
+            const entries = fileSystem.list('/');
+            expect(entries.map((e) => e.name)).toEqual(['etc', 'home', 'tmp']);
+            expect(entries[0].type).toBe('dir');
+        });
+    });
+
+    describe('Files', () => {
+        it('should write and read files', () => {
+            fileSystem.writeFile('report.txt', 'line 1');
+            fileSystem.writeFile('report.txt', 'line 2', { append: true });
+
+            expect(fileSystem.readFile('report.txt')).toBe('line 1\nline 2');
+        });
+
+        it('should not read directories', () => {
+            expect(() => fileSystem.readFile('/tmp')).toThrow('Is a directory');
+        });
+
+        it('should create nested directories with parents option', () => {
+            expect(() => fileSystem.makeDirectory('a/b')).toThrow('No such file or directory');
+
+            fileSystem.makeDirectory('a/b', { parents: true });
+            expect(fileSystem.isDirectory('a/b')).toBe(true);
+        });
+
+        it('should only remove directories recursively', () => {
+            fileSystem.makeDirectory('loot');
+            fileSystem.writeFile('loot/key.txt', 'secret');
+
+            expect(() => fileSystem.remove('loot')).toThrow('Is a directory');
+
+            fileSystem.remove('loot', { recursive: true });
+            expect(fileSystem.exists('loot')).toBe(false);
+        });
+
+        it('should not remove the current directory', () => {
+            expect(() => fileSystem.remove('/', { recursive: true })).toThrow();
+            expect(() => fileSystem.remove(home, { recursive: true })).toThrow();
+        });
+
+        it('should not resolve Object.prototype keys as entries', () => {
+            expect(fileSystem.exists('constructor')).toBe(false);
+            expect(fileSystem.exists('toString/type')).toBe(false);
+            expect(() => fileSystem.readFile('constructor')).toThrow('No such file or directory');
+            expect(() => fileSystem.remove('hasOwnProperty')).toThrow('No such file or directory');
+
+            fileSystem.writeFile('constructor', 'x');
+            expect(fileSystem.readFile('constructor')).toBe('x');
+        });
+
+        it('should reject __proto__ as a file name', () => {
+            expect(() => fileSystem.writeFile('__proto__', 'x')).toThrow('Invalid file name');
+            expect(() => fileSystem.makeDirectory('__proto__')).toThrow('Invalid file name');
+            expect(() => fileSystem.makeDirectory('a/__proto__/b', { parents: true })).toThrow(
+                'Invalid file name'
+            );
+            expect(fileSystem.exists('type')).toBe(false);
+        });
+
+        it('should guard privileged files with the access check', () => {
+            fileSystem.writeFile('/tmp/secret', 'root only', { metadata: { privilege: 'root' } });
+            let root = false;
+            fileSystem.access = (privilege) => privilege !== 'root' || root;
+
+            expect(() => fileSystem.readFile('/tmp/secret')).toThrow('Permission denied');
+            expect(() => fileSystem.remove('/tmp/secret')).toThrow('Permission denied');
+            expect(() => fileSystem.readFile('/etc/shadow')).toThrow('Permission denied');
+
+            root = true;
+            expect(fileSystem.readFile('/tmp/secret')).toBe('root only');
+        });
+    });
+
+    describe('Mission Seeding', () => {
+        const mission = {
+            id: 'mission-01',
+            files: [
+                { path: 'password.hash', content: 'admin:abc', encrypted: true },
+                { path: 'cache/notes.txt', content: 'hi' },
+            ],
+        };
+
+        it('should seed mission files relative to home', () => {
+            expect(fileSystem.seedMission(mission)).toBe(true);
+
+            const node = fileSystem.getNode(`${home}/password.hash`);
+            expect(node.content).toBe('admin:abc');
+            expect(node.encrypted).toBe(true);
+            expect(node.mission).toBe('mission-01');
+            expect(fileSystem.readFile('cache/notes.txt')).toBe('hi');
+        });
+
+        it('should only seed a mission once', () => {
+            fileSystem.seedMission(mission);
+            fileSystem.remove('password.hash');
+
+            expect(fileSystem.seedMission(mission)).toBe(false);
+            expect(fileSystem.exists('password.hash')).toBe(false);
+        });
+
+        it('should encrypt cipher specs and keep the puzzle metadata', () => {
+            fileSystem.seedMission({
+                id: 'mission-02',
+                files: [{ path: 'msg.enc', cipher: { type: 'caesar', key: 3, plaintext: 'abc' } }],
+            });
+
+            const node = fileSystem.getNode(`${home}/msg.enc`);
+            expect(node.content).toBe('def');
+            expect(node.encrypted).toBe(true);
+            expect(node.cipher).toEqual({
+                layers: [{ type: 'caesar', key: 3 }],
+                plaintext: 'abc',
+            });
+        });
+
+        it('should fill wordlist items with their words', () => {
+            fileSystem.seedMission({
+                id: 'mission-01',
+                files: [{ path: 'cache/pets.lst', item: 'wordlist_pets' }],
+            });
+
+            const node = fileSystem.getNode(`${home}/cache/pets.lst`);
+            expect(node.item).toBe('wordlist_pets');
+            expect(node.content.split('\n')).toContain('kitty');
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should restore tree and cwd from storage', () => {
+            fileSystem.writeFile('/tmp/saved.txt', 'persisted');
+            fileSystem.changeDirectory('/tmp');
+
+            const restored = new VirtualFileSystem();
+            expect(restored.cwd).toBe('/tmp');
+            expect(restored.readFile('saved.txt')).toBe('persisted');
+        });
+
+        it('should ignore invalid stored data', () => {
+            StorageService.set(CONSTANTS.STORAGE.FILESYSTEM_KEY, { root: null });
+
+            const restored = new VirtualFileSystem();
+            expect(restored.isFile('~/readme.txt')).toBe(true);
+        });
+    });
+});
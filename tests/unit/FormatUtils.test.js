@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { FormatUtils } from '../../src/utils/format.js';
+import { i18n } from '../../src/i18n/i18n.js';
 
 describe('FormatUtils', () => {
     describe('getTimeAgo', () => {
@@ -40,8 +41,18 @@ describe('FormatUtils', () => {
 
     describe('formatNumber', () => {
         it('should format number with thousand separator', () => {
-            expect(FormatUtils.formatNumber(1000)).toBe('1.000');
-            expect(FormatUtils.formatNumber(1234567)).toBe('1.234.567');
+            expect(FormatUtils.formatNumber(1000, 'id-ID')).toBe('1.000');
+            expect(FormatUtils.formatNumber(1234567, 'id-ID')).toBe('1.234.567');
+        });
+
+        it('should default to the active locale', () => {
+            expect(FormatUtils.formatNumber(1234567)).toBe('1,234,567');
+            i18n.setLocale('id');
+            try {
+                expect(FormatUtils.formatNumber(1234567)).toBe('1.234.567');
+            } finally {
+                i18n.setLocale('en');
+            }
         });
 
         it('should format small numbers', () => {
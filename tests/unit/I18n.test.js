@@ -0,0 +1,195 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { I18n, i18n, t } from '../../src/i18n/i18n.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { RewardSystem } from '../../src/core/RewardSystem.js';
+import { DailyLoginSystem } from '../../src/core/DailyLoginSystem.js';
+import { MissionSystem } from '../../src/modules/Missions/MissionSystem.js';
+import { Terminal } from '../../src/modules/Terminal/Terminal.js';
+import { VirtualFileSystem } from '../../src/modules/Terminal/FileSystem.js';
+import { ArgumentParser } from '../../src/modules/Terminal/ArgumentParser.js';
+import { ShellParser } from '../../src/modules/Terminal/ShellParser.js';
+import { JobManager } from '../../src/modules/Terminal/JobManager.js';
+import en from '../../i18n/en.json';
+import id from '../../i18n/id.json';
+import { useTerminal } from '../helpers/terminal.js';
+
+/**
+ * Semua leaf keys dari translation tree, misal 'commands.scan.usage'
+ */
+const keysOf = (tree, prefix = '') =>
+    Object.entries(tree).flatMap(([key, value]) =>
+        typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+    );
+
+describe('I18n', () => {
+    afterEach(() => {
+        i18n.setLocale('en');
+    });
+
+    it('should translate and interpolate parameters', () => {
+        const translator = new I18n();
+
+        expect(translator.t('terminal.locked', { command: 'exploit', requirement: 'level 3' })).toBe(
+            'exploit: command locked (level 3)'
+        );
+        expect(translator.t('missions.failed')).toBe('Mission failed: {{title}}');
+    });
+
+    it('should fall back to English, then to the key', () => {
+        const translator = new I18n('id');
+
+        expect(translator.t('commands.lang.description')).toBe(
+            'Tampilkan atau ganti bahasa antarmuka'
+        );
+        translator.translations.id = {};
+        expect(translator.t('terminal.title')).toBe('Terminal');
+        expect(translator.t('no.such.key')).toBe('no.such.key');
+        expect(translator.has('no.such.key')).toBe(false);
+    });
+
+    it('should switch locale and notify listeners', () => {
+        const listener = vi.fn();
+        const unsubscribe = eventBus.on('i18n:locale:changed', listener);
+
+        i18n.setLocale('ID');
+        i18n.setLocale('id');
+        unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith('id');
+        expect(i18n.getIntlLocale()).toBe('id-ID');
+        expect(t('missions.status.locked')).toBe('Terkunci');
+    });
+
+    it('should reject unknown locales', () => {
+        expect(() => i18n.setLocale('xx')).toThrow("unknown locale 'xx'");
+        expect(i18n.getLocale()).toBe('en');
+    });
+
+    it('should keep placeholders of translations in sync with English', () => {
+        const placeholders = (text) => (text.match(/\{\{\w+\}\}/g) || []).sort();
+        const lookup = (tree, key) => key.split('.').reduce((node, k) => node && node[k], tree);
+
+        keysOf(id).forEach((key) => {
+            const source = lookup(en, key);
+            if (typeof source === 'string') {
+                expect(placeholders(lookup(id, key)), key).toEqual(placeholders(source));
+            }
+        });
+    });
+
+    it('should translate reward and login toasts', () => {
+        const stateManager = new StateManager({});
+        i18n.setLocale('id');
+
+        const milestone = RewardSystem.checkMilestones(5, stateManager);
+        expect(milestone.message).toBe('Advanced Scanner Terbuka!');
+        expect(milestone.description).toBe('Command scan sekarang 20% lebih cepat');
+        const login = () => DailyLoginSystem.checkDailyLogin(stateManager).message;
+        expect(login()).toBe('Hadiah login harian: +60 XP! (Streak: 1 hari)');
+        expect(login()).toBe('Kamu sudah login hari ini!');
+    });
+
+    it('should translate terminal errors, usage and job status', () => {
+        i18n.setLocale('id');
+
+        expect(() => new VirtualFileSystem().readFile('missing.txt')).toThrow(
+            'File atau direktori tidak ditemukan'
+        );
+        expect(() => ArgumentParser.parse(['--nope'])).toThrow("option '--nope' tidak dikenal");
+        expect(ArgumentParser.usage('clear')).toBe('Penggunaan: clear');
+        expect(() => ShellParser.parse('ls |')).toThrow(
+            "syntax error di dekat token tak terduga 'newline'"
+        );
+        const job = { id: 1, status: JobManager.STATUS.DONE, command: 'scan' };
+        expect(new JobManager(null).formatJob(job)).toBe('[1]  Selesai     scan');
+    });
+
+    it('should translate mission data and keep procedural missions as is', () => {
+        const mission = {
+            id: 'mission-01',
+            title: 'Recover Lost Password',
+            steps: [{ id: 'step-1', text: 'Scan for password files', completed: true }],
+        };
+        const procedural = { id: 'proc-1', title: 'Generated', description: 'Text', steps: [] };
+        i18n.setLocale('id');
+
+        const localized = MissionSystem.localize(mission);
+        expect(localized.title).toBe('Pulihkan Password yang Hilang');
+        expect(localized.steps[0]).toEqual({
+            id: 'step-1',
+            text: 'Cari file password di sistem',
+            completed: true,
+        });
+        expect(mission.title).toBe('Recover Lost Password');
+        expect(MissionSystem.localize(procedural)).toEqual(procedural);
+    });
+
+    it('should describe every built-in command and flag in each locale', () => {
+        document.body.innerHTML = '<div id="terminalBody"></div><input id="terminalInput" />';
+        const terminal = new Terminal(new StateManager({ commandHistory: [], logs: [] }));
+
+        terminal.commandRegistry.commands.forEach(({ name, schema }) => {
+            const keys = [
+                `commands.${name}.description`,
+                ...Object.keys(schema.flags).map((flag) => `commands.${name}.flags.${flag}`),
+            ];
+            keys.forEach((key) => {
+                [en, id].forEach((tree) => {
+                    const text = key.split('.').reduce((node, k) => node && node[k], tree);
+                    expect(typeof text, key).toBe('string');
+                });
+            });
+        });
+        terminal.destroy();
+    });
+
+    it('should translate static markup', () => {
+        document.body.innerHTML = `
+            <h2 data-i18n="settings.title">Settings</h2>
+            <input data-i18n-placeholder="terminal.placeholder" placeholder="Enter command...">
+        `;
+
+        i18n.setLocale('id');
+        i18n.translateDocument();
+
+        expect(document.querySelector('h2').textContent).toBe('Pengaturan');
+        expect(document.querySelector('input').getAttribute('placeholder')).toBe('Ketik command...');
+    });
+});
+
+describe('Language', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    afterEach(() => {
+        i18n.setLocale('en');
+    });
+
+    it('should list locales and mark the current one', async () => {
+        await run('lang');
+
+        expect(output()).toContain('* en  English');
+        expect(output()).toContain('Bahasa Indonesia');
+    });
+
+    it('should switch the output language at runtime', async () => {
+        await run('lang id');
+        await run('missions');
+
+        expect(output()).toContain('Bahasa diganti ke Bahasa Indonesia');
+        expect(output()).toContain('Misi Tersedia:');
+        const { commandRegistry } = session.terminal;
+        expect(commandRegistry.describe(commandRegistry.get('lang'))).toBe(
+            'Tampilkan atau ganti bahasa antarmuka'
+        );
+    });
+
+    it('should reject unknown locales', async () => {
+        await run('lang klingon');
+
+        expect(output()).toContain("lang: unknown locale 'klingon'");
+        expect(i18n.getLocale()).toBe('en');
+    });
+});
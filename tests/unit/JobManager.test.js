@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { JobManager } from '../../src/modules/Terminal/JobManager.js';
+import { delay } from '../../src/utils/performance.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('JobManager', () => {
+    let jobManager;
+    let terminal;
+
+    // Runner yang menulis satu line setelah delay (abortable)
+    const slowRunner = (text, ms = 20) => async ({ signal, sink }) => {
+        await delay(ms, signal);
+        sink(text, 'text');
+    };
+
+    beforeEach(() => {
+        terminal = {
+            lines: [],
+            addLine(text, type = 'text') {
+                this.lines.push({ text, type });
+            },
+        };
+        jobManager = new JobManager(terminal);
+    });
+
+    it('should run foreground jobs to completion', async () => {
+        const job = await jobManager.start('echo hi', slowRunner('hi'));
+
+        expect(job.status).toBe(JobManager.STATUS.DONE);
+        expect(terminal.lines.map((line) => line.text)).toEqual(['hi']);
+        expect(jobManager.foreground).toBeNull();
+    });
+
+    it('should abort the foreground job on interrupt', async () => {
+        const running = jobManager.start('decrypt file', slowRunner('never', 1000));
+        expect(jobManager.interrupt()).toBe(true);
+
+        const job = await running;
+        expect(job.status).toBe(JobManager.STATUS.TERMINATED);
+        expect(terminal.lines).toEqual([]);
+        expect(jobManager.interrupt()).toBe(false);
+    });
+
+    it('should buffer background output until the job is done', async () => {
+        const job = await jobManager.start('bruteforce', slowRunner('cracked'), {
+            background: true,
+        });
+
+        expect(terminal.lines.map((line) => line.text)).toEqual(['[1] bruteforce']);
+        expect(jobManager.list()).toEqual([job]);
+
+        await job.promise;
+        expect(terminal.lines.map((line) => line.text)).toEqual([
+            '[1] bruteforce',
+            '[1]  Done        bruteforce',
+            'cracked',
+        ]);
+        expect(jobManager.list()).toEqual([]);
+    });
+
+    it('should kill background jobs by spec', async () => {
+        const job = await jobManager.start('sleep', slowRunner('never', 1000), {
+            background: true,
+        });
+
+        jobManager.kill(jobManager.resolve('%1'));
+        await job.promise;
+
+        expect(job.status).toBe(JobManager.STATUS.TERMINATED);
+        expect(terminal.lines.some((line) => line.text.includes('Terminated'))).toBe(true);
+    });
+
+    it('should bring a background job to the foreground', async () => {
+        const job = await jobManager.start('decrypt', slowRunner('decrypted'), {
+            background: true,
+        });
+
+        await jobManager.bringToForeground(job);
+
+        expect(job.background).toBe(false);
+        expect(terminal.lines.map((line) => line.text)).toEqual(['[1] decrypt', 'decrypted']);
+    });
+
+    it('should report errors of background jobs without rejecting', async () => {
+        const job = await jobManager.start(
+            'broken',
+            async () => {
+                throw new Error('boom');
+            },
+            { background: true }
+        );
+        await job.promise;
+
+        expect(job.status).toBe(JobManager.STATUS.FAILED);
+        expect(terminal.lines.some((line) => line.text.includes('boom'))).toBe(true);
+    });
+});
+
+describe('Job Control', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    it('should run commands in the background with &', async () => {
+        await run('ping 10.0.0.1 &');
+        await run('jobs > jobs.txt');
+
+        expect(session.terminal.fileSystem.readFile('jobs.txt')).toContain('[1]  Running');
+        expect(session.terminal.fileSystem.readFile('jobs.txt')).toContain('ping 10.0.0.1 &');
+
+        await session.terminal.jobManager.resolve('%1').promise;
+        expect(session.terminal.jobManager.list()).toEqual([]);
+    });
+
+    it('should kill background jobs', async () => {
+        await run('ping 10.0.0.1 &');
+        const job = session.terminal.jobManager.resolve('%1');
+        await run('kill %1');
+        await job.promise;
+
+        expect(job.status).toBe('terminated');
+    });
+
+    it('should abort the foreground command on Ctrl+C', async () => {
+        session.input.value = 'ping 10.0.0.1';
+        const running = session.terminal.executeCommand();
+
+        session.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'c', ctrlKey: true }));
+        await running;
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('^C');
+        expect(session.body.textContent).not.toContain('Reply from');
+        expect(session.terminal.jobManager.foreground).toBeNull();
+    });
+
+    it('should cancel the typed line on Ctrl+C when idle', () => {
+        session.input.value = 'rm -rf';
+        session.terminal.interrupt();
+        session.terminal.flushPendingLines();
+
+        expect(session.input.value).toBe('');
+        expect(session.body.textContent).toContain('rm -rf^C');
+    });
+});
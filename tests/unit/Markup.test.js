@@ -0,0 +1,193 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Markup } from '../../src/modules/Terminal/Markup.js';
+import { OutputStream } from '../../src/modules/Terminal/OutputStream.js';
+import { Terminal } from '../../src/modules/Terminal/Terminal.js';
+import { MiniGames } from '../../src/modules/Terminal/MiniGames.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('Markup', () => {
+    describe('Parse', () => {
+        it('should split text into styled segments', () => {
+            const text = `plain ${Markup.color('red', 'alert')} ${Markup.bold('strong')}`;
+            const segments = Markup.parse(text);
+
+            expect(segments.map((s) => s.text)).toEqual(['plain ', 'alert', ' ', 'strong']);
+            expect(segments[1].classes).toEqual(['ansi-red']);
+            expect(segments[3].classes).toEqual(['ansi-bold']);
+        });
+
+        it('should reset all attributes with SGR 0', () => {
+            const segments = Markup.parse('\x1b[1;32mok\x1b[0m done');
+
+            expect(segments[0].classes).toEqual(['ansi-green', 'ansi-bold']);
+            expect(segments[1].classes).toEqual([]);
+        });
+
+        it('should attach link commands', () => {
+            const segments = Markup.parse(`see ${Markup.link('man scan', 'scan')}`);
+
+            expect(segments[1]).toMatchObject({ text: 'scan', command: 'man scan' });
+            expect(segments[0].command).toBeNull();
+        });
+
+        it('should not honour links that were not created by Markup.link', () => {
+            // Misal dari file yang di-upload, packet payload atau recording import
+            const forged = '\x1b]8;;cmd:rm -r ~\x07cute\x1b]8;;\x07';
+            const guessed = `\x1b]8;;cmd:x:rm -r ~\x07cute\x1b]8;;\x07`;
+
+            expect(Markup.parse(forged)).toEqual([{ text: 'cute', classes: [], command: null }]);
+            expect(Markup.parse(guessed)[0].command).toBeNull();
+            expect(Markup.toHtml(forged)).toBe('cute');
+        });
+
+        it('should throw for unknown colors', () => {
+            expect(() => Markup.color('sparkly', 'x')).toThrow("unknown color 'sparkly'");
+        });
+    });
+
+    describe('HTML', () => {
+        it('should escape text exactly once', () => {
+            expect(Markup.toHtml("<b>it's</b>")).toBe('&lt;b&gt;it&#039;s&lt;/b&gt;');
+        });
+
+        it('should escape link commands and styled text', () => {
+            const html = Markup.toHtml(Markup.link('echo "<x>"', Markup.color('red', '<x>')));
+
+            expect(html).toBe(
+                '<a class="terminal-link ansi-red" data-command="echo &quot;&lt;x&gt;&quot;">' +
+                    '&lt;x&gt;</a>'
+            );
+        });
+
+        it('should highlight ranges of visible text across segments', () => {
+            const text = `a<${Markup.bold('bc')}d`;
+            const html = Markup.toHtml(text, [{ start: 1, end: 3, className: 'hit' }]);
+
+            expect(html).toBe(
+                'a<mark class="hit">&lt;</mark>' +
+                    '<span class="ansi-bold"><mark class="hit">b</mark>c</span>d'
+            );
+        });
+    });
+
+    describe('Layout', () => {
+        it('should strip markup and measure visible length', () => {
+            const text = Markup.link('help', Markup.bold('help'));
+
+            expect(Markup.strip(text)).toBe('help');
+            expect(Markup.visibleLength(text)).toBe(4);
+            expect(Markup.strip(Markup.pad(text, 6))).toBe('help  ');
+        });
+
+        it('should align table columns by visible width', () => {
+            const lines = Markup.table(
+                [
+                    [Markup.color('green', 'open'), 22, 'ssh'],
+                    ['filtered', 3306, 'mysql'],
+                ],
+                { headers: ['STATE', 'PORT', 'SERVICE'], align: ['left', 'right'] }
+            ).map((line) => Markup.strip(line));
+
+            expect(lines).toEqual([
+                'STATE     PORT  SERVICE',
+                'open        22  ssh',
+                'filtered  3306  mysql',
+            ]);
+        });
+
+        it('should render and clamp progress bars', () => {
+            expect(Markup.progressBar(50, 10)).toBe('[█████░░░░░]  50%');
+            expect(Markup.progressBar(140, 4)).toBe('[████] 100%');
+            expect(Markup.progressBar(-5, 4)).toBe('[░░░░]   0%');
+        });
+    });
+
+    describe('OutputStream', () => {
+        it('should rewrite a single buffered line for progress', () => {
+            const stream = new OutputStream();
+            const progress = stream.progress('Cracking');
+
+            progress.update(50);
+            expect(stream.getLines()).toHaveLength(1);
+            expect(stream.getText()).toContain('50%');
+
+            progress.done('Cracking done');
+            expect(stream.getText()).toBe('Cracking done');
+        });
+
+        it('should refresh sink lines after update', () => {
+            const refreshed = [];
+            const stream = new OutputStream(
+                (text, type) => ({ text, type, element: null }),
+                (line) => refreshed.push(line.text)
+            );
+
+            const line = stream.write('loading');
+            stream.update(line, 'loaded');
+
+            expect(refreshed).toEqual(['loaded']);
+        });
+    });
+});
+
+describe('Terminal Markup', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    it('should render quotes and angle brackets literally', async () => {
+        await run('echo "it\'s <b>cute</b>"');
+
+        expect(output()).toContain("it's <b>cute</b>");
+        expect(session.body.querySelector('b')).toBeNull();
+    });
+
+    it('should render colors and clickable command links', async () => {
+        await run('help');
+        session.terminal.flushPendingLines();
+        // Output help lebih panjang dari viewport, scroll ke baris scan
+        const { scrollback } = session.terminal;
+        const index = scrollback.findIndex((line) => line.text.includes(':man scan'));
+        session.terminal.scroller.scrollToIndex(index);
+        const link = session.body.querySelector('.terminal-link[data-command="man scan"]');
+
+        expect(link.textContent).toBe('scan');
+        link.click();
+        await vi.waitFor(() => expect(output()).toContain('NAME'));
+        expect(session.terminal.history.getEntries()).toContain('man scan');
+    });
+
+    it('should strip markup from piped output', async () => {
+        await run('help | cat > help.txt');
+        const text = session.terminal.fileSystem.readFile('help.txt');
+
+        expect(text).toContain('  scan');
+        expect(text).not.toContain('\x1b');
+    });
+
+    it('should rewrite a single line for progress bars', async () => {
+        session.state.set('missions', [
+            {
+                id: 'mission-01',
+                status: 'active',
+                steps: [],
+                files: [
+                    {
+                        path: 'password.hash',
+                        content: `admin:${'0'.repeat(64)}`,
+                        encrypted: true,
+                    },
+                ],
+            },
+        ]);
+        vi.spyOn(MiniGames, 'optimizeHackSpeed').mockResolvedValue(100);
+        await run('bruteforce password.hash --mask ?d');
+        vi.restoreAllMocks();
+        session.terminal.flushPendingLines();
+
+        const bars = Array.from(session.lines()).filter((line) =>
+            line.textContent.startsWith('Cracking [')
+        );
+        expect(bars).toHaveLength(1);
+        expect(bars[0].textContent).toContain('100%');
+    });
+});
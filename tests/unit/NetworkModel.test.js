@@ -0,0 +1,364 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { NetworkModel } from '../../src/modules/Terminal/NetworkModel.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('NetworkModel', () => {
+    let stateManager;
+    let network;
+
+    const missions = [
+        {
+            id: 'mission-a',
+            status: 'active',
+            network: {
+                subnets: [
+                    { cidr: '172.16.0.0/24', name: 'edge' },
+                    { cidr: '10.0.0.0/24', name: 'internal', via: '172.16.0.1' },
+                ],
+                hosts: [
+                    {
+                        ip: '172.16.0.1',
+                        hostname: 'fw',
+                        firewall: true,
+                        ports: [{ port: 22, service: 'ssh' }],
+                        users: [
+                            { name: 'netadmin', password: 'fw-2024', sudo: true },
+                            { name: 'intern', password: 'intern1' },
+                        ],
+                        escalation: { vulnerability: 'SUID backup', from: 'user' },
+                    },
+                    { ip: '172.16.0.9', hostname: 'printer', ports: [{ port: 80, service: 'http' }] },
+                    { ip: '10.0.0.5', hostname: 'vault', ports: [{ port: 22, service: 'ssh' }] },
+                ],
+            },
+        },
+        { id: 'mission-b', status: 'active' },
+        {
+            id: 'mission-c',
+            status: 'locked',
+            network: { subnets: [{ cidr: '10.13.37.0/24', name: 'soc' }], hosts: [] },
+        },
+    ];
+
+    beforeEach(() => {
+        stateManager = new StateManager({ missions, knownHosts: [] });
+        network = new NetworkModel(stateManager);
+    });
+
+    describe('Topology', () => {
+        it('should merge networks of unlocked missions', () => {
+            const { subnets, hosts } = network.getTopology();
+
+            expect(subnets.map((subnet) => subnet.cidr)).toContain('172.16.0.0/24');
+            expect(subnets.map((subnet) => subnet.cidr)).not.toContain('10.13.37.0/24');
+            expect(hosts.find((host) => host.ip === '10.0.0.5').missionId).toBe('mission-a');
+        });
+
+        it('should generate a deterministic network for missions without one', () => {
+            const generated = network.generateNetwork('mission-b');
+            const again = new NetworkModel(stateManager).generateNetwork('mission-b');
+
+            expect(generated).toEqual(again);
+            expect(generated.hosts.length).toBeGreaterThanOrEqual(2);
+            expect(generated.subnets[0].cidr).toMatch(/^10\.\d+\.\d+\.0\/24$/);
+            generated.hosts.forEach((host) => {
+                expect(NetworkModel.inSubnet(host.ip, generated.subnets[0].cidr)).toBe(true);
+            });
+        });
+
+        it('should match IPs against CIDR subnets', () => {
+            expect(NetworkModel.inSubnet('192.168.1.100', '192.168.1.0/24')).toBe(true);
+            expect(NetworkModel.inSubnet('192.168.2.1', '192.168.1.0/24')).toBe(false);
+            expect(NetworkModel.inSubnet('10.9.0.1', '10.0.0.0/8')).toBe(true);
+        });
+
+        it('should find hosts by IP or hostname', () => {
+            expect(network.findHost('PRINTER').ip).toBe('172.16.0.9');
+            expect(network.findHost('172.16.0.1').hostname).toBe('fw');
+            expect(network.findHost('nope')).toBeNull();
+        });
+    });
+
+    describe('Reachability', () => {
+        it('should hide subnets behind a gateway until connected to it', () => {
+            const vault = network.findHost('vault');
+            expect(network.isReachable(vault)).toBe(false);
+            expect(network.getHiddenRoutes().map((subnet) => subnet.cidr)).toEqual(['10.0.0.0/24']);
+
+            network.connect('fw');
+            expect(network.isReachable(vault)).toBe(true);
+            expect(network.getHiddenRoutes()).toEqual([]);
+        });
+
+        it('should discover subnets progressively', () => {
+            const first = network.getNextSubnet();
+            expect(first.cidr).toBe('172.16.0.0/24');
+
+            network.discover(network.getHosts(first).map((host) => host.ip));
+            expect(stateManager.get('knownHosts')).toEqual(['172.16.0.1', '172.16.0.9']);
+
+            // Subnet generated mission-b, internal masih di balik gateway
+            const generated = network.getNextSubnet();
+            expect(generated.name).toBe('target-net');
+            network.discover(network.getHosts(generated).map((host) => host.ip));
+            expect(network.getNextSubnet()).toBeNull();
+
+            network.connect('fw');
+            expect(network.getNextSubnet().cidr).toBe('10.0.0.0/24');
+        });
+    });
+
+    describe('Connect', () => {
+        it('should connect to hosts with a remote shell', () => {
+            expect(network.connect('172.16.0.1').hostname).toBe('fw');
+            expect(network.currentHost.hostname).toBe('fw');
+            expect(stateManager.get('knownHosts')).toContain('172.16.0.1');
+
+            expect(network.disconnect().hostname).toBe('fw');
+            expect(network.currentHost).toBeNull();
+        });
+
+        it('should open filtered ports and shells after breaches', () => {
+            const printer = network.findHost('printer');
+            network.addBreach(printer, 'shell');
+            expect(network.connect('printer').hostname).toBe('printer');
+
+            const fw = network.findHost('fw');
+            expect(network.isFirewalled(fw)).toBe(true);
+            network.addBreach(fw, 'firewall');
+            expect(network.isFirewalled(fw)).toBe(false);
+            expect(network.countBreaches('firewall')).toBe(1);
+        });
+
+        it('should refuse hosts without a shell service or out of reach', () => {
+            expect(() => network.connect('printer')).toThrow('Connection refused');
+            expect(() => network.connect('vault')).toThrow('Network is unreachable');
+            expect(() => network.connect('ghost')).toThrow('Name or service not known');
+        });
+    });
+
+    describe('Privileges', () => {
+        it('should run locally as user with passwordless sudo', () => {
+            expect(network.getIdentity()).toEqual({ name: 'soft-hacker', privilege: 'user' });
+            expect(network.hasPrivilege('root')).toBe(false);
+            expect(() => network.authorizeSudo()).not.toThrow();
+
+            // sudo: root hanya untuk invocation yang membawa privilege itu
+            expect(network.getIdentity('root').privilege).toBe('root');
+            expect(network.hasPrivilege('root', 'root')).toBe(true);
+            expect(network.hasPrivilege('root')).toBe(false);
+        });
+
+        it('should log in as guest unless credentials are given', () => {
+            network.connect('fw');
+            expect(network.getIdentity()).toEqual({ name: 'guest', privilege: 'guest' });
+            expect(() => network.authorizeSudo('x')).toThrow('not in the sudoers file');
+
+            expect(() => network.connect('fw', { user: 'netadmin', password: 'nope' })).toThrow(
+                'Authentication failure'
+            );
+            network.connect('fw', { user: 'netadmin', password: 'fw-2024' });
+            expect(network.getIdentity()).toEqual({ name: 'netadmin', privilege: 'user' });
+        });
+
+        it('should require the sudoer password on remote hosts', () => {
+            network.connect('fw', { user: 'netadmin', password: 'fw-2024' });
+
+            expect(() => network.authorizeSudo()).toThrow('a password is required');
+            expect(() => network.authorizeSudo('wrong')).toThrow('incorrect password');
+            expect(() => network.authorizeSudo('fw-2024')).not.toThrow();
+
+            network.connect('fw', { user: 'intern', password: 'intern1' });
+            expect(() => network.authorizeSudo('intern1')).toThrow('not in the sudoers file');
+        });
+
+        it('should record root breaches from su and escalation', () => {
+            network.connect('fw', { user: 'netadmin', password: 'fw-2024' });
+            expect(() => network.switchUser('root', 'guess')).toThrow('Authentication failure');
+
+            // sudo su: elevated sessions switch without a password
+            network.switchUser('root', undefined, 'root');
+            expect(network.getIdentity().name).toBe('root');
+            expect(network.getBreach(network.findHost('fw')).root).toBe(true);
+
+            network.connect('fw');
+            network.escalate();
+            expect(network.hasPrivilege('root')).toBe(true);
+
+            network.disconnect();
+            expect(() => network.switchUser('root')).toThrow('Authentication failure');
+        });
+    });
+});
+
+describe('Network', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-01',
+                status: 'active',
+                steps: [],
+                network: {
+                    subnets: [{ cidr: '192.168.1.0/24', name: 'home-lan' }],
+                    hosts: [
+                        {
+                            ip: '192.168.1.100',
+                            hostname: 'admin-pc',
+                            latency: 12,
+                            ports: [{ port: 22, service: 'ssh', version: 'OpenSSH 8.9' }],
+                        },
+                        { ip: '192.168.1.102', hostname: 'gateway', firewall: true, ports: [] },
+                    ],
+                },
+            },
+        ]);
+    });
+
+    it('should reply from reachable hosts only', async () => {
+        await run('ping admin-pc');
+        await run('ping gateway');
+        await run('ping 10.9.9.9');
+        await run('ping nowhere');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('Reply from 192.168.1.100: time=');
+        expect(session.body.textContent).toContain('ICMP filtered by firewall');
+        expect(session.body.textContent).toContain('From 10.9.9.9: Destination Host Unreachable');
+        expect(session.body.textContent).toContain('ping: nowhere: Name or service not known');
+    });
+
+    it('should scan the ports of a host', async () => {
+        await run('scan 192.168.1.100 > ports.txt');
+
+        const output = session.terminal.fileSystem.readFile('ports.txt');
+        expect(output).toContain('22/tcp    open      ssh  OpenSSH 8.9');
+        expect(session.state.get('knownHosts')).toEqual(['192.168.1.100']);
+    });
+
+    it('should change the prompt on connect and restore it on disconnect', async () => {
+        await run('connect admin-pc');
+        expect(session.terminal.getPrompt()).toBe('guest@admin-pc:~$');
+
+        await run('disconnect');
+        expect(session.terminal.getPrompt()).toBe('soft-hacker@terminal:~$');
+    });
+
+    it('should refuse connections to hosts without a shell', async () => {
+        await run('connect gateway');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('connect: gateway: Connection refused');
+        expect(session.terminal.network.currentHost).toBeNull();
+    });
+});
+
+describe('Privileges', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-04',
+                status: 'active',
+                steps: [{ id: 'step-5', text: 'Escalate privileges to root', completed: false }],
+                network: {
+                    subnets: [{ cidr: '10.0.0.0/24', name: 'internal' }],
+                    hosts: [
+                        {
+                            ip: '10.0.0.5',
+                            hostname: 'vault',
+                            ports: [{ port: 22, service: 'ssh' }],
+                            users: [{ name: 'dba', password: 'pg16', sudo: true }],
+                            escalation: { vulnerability: 'SUID wrapper', from: 'guest' },
+                        },
+                    ],
+                },
+            },
+        ]);
+        session.state.set('knownHosts', ['10.0.0.5']);
+        vi.spyOn(session.terminal.random.stream('commands'), 'next').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should deny root commands and run them through sudo', async () => {
+        await run('sniff');
+        expect(output()).toContain('sniff: Permission denied (requires root)');
+
+        await run('cat /etc/shadow');
+        expect(output()).toContain('Permission denied');
+
+        await run('sudo cat /etc/shadow');
+        expect(output()).toContain('root:');
+        expect(session.terminal.network.hasPrivilege('root')).toBe(false);
+    });
+
+    it('should keep sudo elevation to its own invocation', async () => {
+        await run('sudo sniff &');
+        const job = session.terminal.jobManager.resolve('%1');
+        expect(job.status).toBe('running');
+
+        // Foreground commands tetap berjalan sebagai user selama sudo job di background
+        await run('cat /etc/shadow');
+        expect(output()).toContain('cat: /etc/shadow: Permission denied');
+        expect(output()).not.toContain('root:');
+
+        await run('su');
+        expect(output()).toContain('su: Authentication failure');
+        expect(session.terminal.getPrompt()).toBe('soft-hacker@terminal:~$');
+
+        await run('kill %1');
+        await job.promise;
+        await run('whoami');
+        expect(output()).toContain('Privilege: user on terminal');
+    });
+
+    it('should show the identity in whoami and the prompt', async () => {
+        await run('whoami');
+        expect(output()).toContain('Privilege: user on terminal');
+
+        await run('sudo su');
+        expect(session.terminal.getPrompt()).toBe('root@terminal:~#');
+
+        await run('su soft-hacker');
+        expect(session.terminal.getPrompt()).toBe('soft-hacker@terminal:~$');
+    });
+
+    it('should require sudoer credentials on remote hosts', async () => {
+        await run('connect vault');
+        await run('sudo whoami');
+        expect(output()).toContain('sudo: guest is not in the sudoers file');
+
+        await run('connect vault -u dba -p pg16');
+        expect(output()).toContain('Logged in as dba (user)');
+
+        await run('sudo -p pg16 whoami');
+        expect(output()).toContain('Privilege: root on vault');
+    });
+
+    it('should escalate to root and report the root shell', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+
+        await run('escalate');
+        expect(output()).toContain('escalate: not connected to a remote host');
+
+        await run('connect vault');
+        await run('escalate');
+        expect(output()).toContain('Root shell on vault');
+        expect(session.terminal.getPrompt()).toBe('root@vault:~#');
+        expect(session.state.get('breaches')['10.0.0.5'].root).toBe(true);
+        expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+            command: 'escalate',
+            host: { hostname: 'vault', ip: '10.0.0.5' },
+            artifact: 'root',
+        }));
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PacketCapture } from '../../src/modules/Terminal/PacketCapture.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('PacketCapture', () => {
+    const hosts = {
+        '10.0.0.5': { ip: '10.0.0.5', hostname: 'relay', ports: [{ port: 5222 }] },
+        '10.0.0.9': { ip: '10.0.0.9', hostname: 'phone', ports: [] },
+    };
+    const findHost = (address) =>
+        hosts[address] || Object.values(hosts).find((host) => host.hostname === address) || null;
+    const traffic = [
+        { from: '10.0.0.9', to: '10.0.0.5', port: 5222, protocol: 'xmpp', payload: 'HELLO' },
+        { from: '10.0.0.5', to: '10.0.0.9', port: 5222, protocol: 'xmpp', payload: 'WELCOME' },
+        {
+            from: '10.0.0.9',
+            to: '10.0.0.5',
+            port: 5222,
+            protocol: 'xmpp',
+            payload: '<message>a payload longer than one segment</message>',
+        },
+        { from: '10.0.0.9', to: '10.0.0.5', port: 443, protocol: 'https', payload: 'GET /' },
+    ];
+    const packets = PacketCapture.build(traffic, findHost);
+
+    describe('Build', () => {
+        it('should split payloads into segments and number packets', () => {
+            const message = packets.filter((p) => p.stream === 1 && p.src === '10.0.0.9');
+
+            expect(packets).toHaveLength(6);
+            expect(packets.map((p) => p.no)).toEqual([1, 2, 3, 4, 5, 6]);
+            expect(message.map((p) => p.seq)).toEqual([0, 5, 29, 53]);
+        });
+
+        it('should keep both directions in one stream with the server port', () => {
+            const reply = packets.find((p) => p.payload === 'WELCOME');
+            const hello = packets.find((p) => p.payload === 'HELLO');
+
+            expect(reply.src).toBe('10.0.0.5');
+            expect(reply.sport).toBe(5222);
+            expect(reply.dport).toBe(hello.sport);
+            expect(reply.stream).toBe(hello.stream);
+        });
+
+        it('should interleave packets from different streams', () => {
+            const streams = packets.map((p) => p.stream);
+
+            expect(streams.indexOf(2)).toBeLessThan(streams.lastIndexOf(1));
+        });
+    });
+
+    describe('Filters', () => {
+        const select = (expression) =>
+            packets.filter(PacketCapture.parseFilter(expression, findHost)).length;
+
+        it('should match hosts, ports and protocols', () => {
+            expect(select('')).toBe(6);
+            expect(select('port 443')).toBe(1);
+            expect(select('https')).toBe(1);
+            expect(select('src relay')).toBe(1);
+            expect(select('dst port 5222')).toBe(4);
+            expect(select('net 10.0.0.0/24')).toBe(6);
+        });
+
+        it('should combine expressions with and, or, not and parentheses', () => {
+            expect(select('xmpp and not src relay')).toBe(4);
+            expect(select('port 443 or contains WELCOME')).toBe(2);
+            expect(select('not (https || src 10.0.0.5)')).toBe(4);
+        });
+
+        it('should reject invalid expressions', () => {
+            expect(() => PacketCapture.parseFilter('port abc')).toThrow("invalid port 'abc'");
+            expect(() => PacketCapture.parseFilter('host')).toThrow('missing address');
+            expect(() => PacketCapture.parseFilter('(xmpp')).toThrow("missing ')'");
+            expect(() => PacketCapture.parseFilter('xmpp https')).toThrow(
+                "syntax error near 'https'"
+            );
+        });
+    });
+
+    describe('Inspection', () => {
+        it('should render hex and ASCII side by side', () => {
+            const [line] = PacketCapture.hexdump(new TextEncoder().encode('Hi\n'));
+
+            expect(line).toBe(`0000  ${'48 69 0a'.padEnd(47)}  Hi.`);
+        });
+
+        it('should reassemble a stream in order', () => {
+            const turns = PacketCapture.follow(packets, 1);
+
+            expect(turns.map((turn) => turn.text)).toEqual([
+                'HELLO',
+                'WELCOME',
+                '<message>a payload longer than one segment</message>',
+            ]);
+            expect(turns[1].from).toBe('10.0.0.5:5222');
+        });
+    });
+});
+
+describe('Packet Capture', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-02',
+                status: 'active',
+                steps: [{ id: 'step-2', text: 'Capture encrypted packets', completed: false }],
+                network: {
+                    subnets: [{ cidr: '192.168.7.0/24', name: 'lan' }],
+                    hosts: [
+                        {
+                            ip: '192.168.7.20',
+                            hostname: 'chat-relay',
+                            ports: [{ port: 5222, service: 'xmpp' }],
+                            traffic: [
+                                { from: '192.168.7.31', to: '192.168.7.20', port: 5222,
+                                    protocol: 'xmpp', payload: '<body>6f6b</body>' },
+                                { from: '192.168.7.20', to: '192.168.7.31', port: 5222,
+                                    protocol: 'xmpp', payload: 'ACK' },
+                            ],
+                        },
+                        { ip: '192.168.7.31', hostname: 'phone', ports: [] },
+                    ],
+                },
+            },
+        ]);
+        session.state.set('knownHosts', ['192.168.7.20', '192.168.7.31']);
+    });
+
+    it('should require discovered hosts', async () => {
+        session.state.set('knownHosts', []);
+        await run('sudo sniff');
+
+        expect(output()).toContain('sniff: no reachable hosts to listen to (run scan first)');
+    });
+
+    it('should capture filtered packets and report the capture', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+        await run('sudo sniff src chat-relay');
+
+        expect(output()).toContain('192.168.7.20:5222 →');
+        expect(output()).toContain('1 packets captured in 1 stream(s)');
+        expect(session.terminal.capture).toHaveLength(1);
+        expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+            command: 'sniff',
+            args: ['src', 'chat-relay'],
+            artifact: 'packets',
+        }));
+        emitSpy.mockRestore();
+    });
+
+    it('should report filter syntax errors', async () => {
+        await run('sudo sniff port xmpp');
+
+        expect(output()).toContain('sniff: filter: invalid port');
+    });
+
+    it('should dump and follow packets from the last capture', async () => {
+        await run('sudo sniff --packet 1');
+        expect(output()).toContain('sniff: no capture yet (run sniff first)');
+
+        await run('sudo sniff');
+        await run('sudo sniff -p 1');
+        expect(output()).toContain('3c 62 6f 64 79 3e');
+
+        await run('sudo sniff --follow 1');
+        expect(output()).toContain('Following stream 1');
+        expect(output()).toContain('192.168.7.20:5222ACK');
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PasswordCracker } from '../../src/modules/Terminal/PasswordCracker.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { MiniGames } from '../../src/modules/Terminal/MiniGames.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('PasswordCracker', () => {
+    describe('Masks', () => {
+        it('should parse placeholders and literals', () => {
+            const charsets = PasswordCracker.parseMask('?d-??x');
+
+            expect(charsets).toEqual(['0123456789', '-', '?', 'x']);
+            expect(() => PasswordCracker.parseMask('?z')).toThrow("invalid mask placeholder '?z'");
+        });
+
+        it('should compute the keyspace', () => {
+            expect(PasswordCracker.maskKeyspace(PasswordCracker.parseMask('?l?l?d?d'))).toBe(67600);
+            expect(PasswordCracker.maskKeyspace(PasswordCracker.parseMask('?a'))).toBe(74);
+        });
+
+        it('should enumerate candidates with the last position changing fastest', () => {
+            const charsets = PasswordCracker.parseMask('?l?d');
+
+            expect(PasswordCracker.maskCandidate(charsets, 0)).toBe('a0');
+            expect(PasswordCracker.maskCandidate(charsets, 1)).toBe('a1');
+            expect(PasswordCracker.maskCandidate(charsets, 10)).toBe('b0');
+            expect(PasswordCracker.maskCandidate(charsets, 259)).toBe('z9');
+        });
+    });
+
+    describe('Attacks', () => {
+        it('should combine words with a mask in hybrid mode', () => {
+            const attack = PasswordCracker.createAttack({ words: ['cat', 'dog'], mask: '?d' });
+
+            expect(attack.keyspace).toBe(20);
+            expect(attack.candidateAt(0)).toBe('cat0');
+            expect(attack.candidateAt(19)).toBe('dog9');
+        });
+
+        it('should support wordlist-only and mask-only attacks', () => {
+            expect(PasswordCracker.createAttack({ words: ['a', 'b'] }).candidateAt(1)).toBe('b');
+            expect(PasswordCracker.createAttack({ mask: '?d?d' }).keyspace).toBe(100);
+        });
+    });
+
+    describe('Hashes', () => {
+        it('should hash with SHA-256', async () => {
+            expect(await PasswordCracker.sha256('kitty42')).toBe(
+                '629a0139155baac00c6d8d8a840d36af2333cc6968f0d0b39f225fda8b79c913'
+            );
+        });
+
+        it('should parse user:hash lines and skip invalid ones', () => {
+            const hash = 'A'.repeat(64);
+            const hashes = PasswordCracker.parseHashes(`admin:${hash}\nbroken\nroot:123`);
+
+            expect(hashes).toEqual([{ user: 'admin', hash: 'a'.repeat(64) }]);
+        });
+
+        it('should parse wordlists without blanks and comments', () => {
+            expect(PasswordCracker.parseWordlist('# pets\nkitty\n\n luna \n')).toEqual([
+                'kitty',
+                'luna',
+            ]);
+        });
+    });
+
+    describe('Inventory', () => {
+        it('should always own the starter wordlist', () => {
+            const state = new StateManager({ unlockedItems: ['wordlist_pets', 'stealth_mode'] });
+
+            expect(PasswordCracker.getOwnedWordlists(state)).toEqual([
+                'wordlist_common',
+                'wordlist_pets',
+            ]);
+        });
+
+        it('should find wordlists by id, file name or short name', () => {
+            expect(PasswordCracker.findWordlist('pets')).toBe('wordlist_pets');
+            expect(PasswordCracker.findWordlist('pets.lst')).toBe('wordlist_pets');
+            expect(PasswordCracker.findWordlist('wordlist_kawaii')).toBe('wordlist_kawaii');
+            expect(PasswordCracker.findWordlist('rockyou')).toBeNull();
+        });
+    });
+});
+
+describe('Password Cracking', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    const hash = '629a0139155baac00c6d8d8a840d36af2333cc6968f0d0b39f225fda8b79c913';
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-01',
+                status: 'active',
+                steps: [
+                    { id: 'step-4', text: 'Recover and verify password', completed: false },
+                ],
+                files: [
+                    { path: 'password.hash', content: `admin:${hash}`, encrypted: true },
+                    {
+                        path: 'vault.hash',
+                        content: `root:${hash}`,
+                        encrypted: true,
+                        privilege: 'root',
+                    },
+                    { path: 'cache/pets.lst', item: 'wordlist_pets' },
+                ],
+            },
+        ]);
+        vi.spyOn(MiniGames, 'optimizeHackSpeed').mockResolvedValue(100);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should fall back to the starter wordlist and report exhaustion', async () => {
+        await run('bruteforce');
+
+        expect(output()).toContain('Mode: wordlist common.lst');
+        expect(output()).toContain('Keyspace exhausted without a match.');
+    });
+
+    it('should require wordlists to be collected first', async () => {
+        await run('bruteforce password.hash --wordlist pets --mask ?d?d');
+        expect(output()).toContain('bruteforce: pets: wordlist not in inventory');
+
+        await run('collect cache/pets.lst');
+        expect(session.state.get('unlockedItems')).toEqual(['wordlist_pets']);
+
+        await run('inventory');
+        expect(output()).toContain('pets.lst');
+    });
+
+    it('should recover the password with a hybrid attack', async () => {
+        await run('collect cache/pets.lst');
+        await run('bruteforce password.hash --wordlist pets --mask ?d?d');
+
+        expect(output()).toContain('Keyspace: 1,800 candidates');
+        expect(output()).toContain('Password recovered: admin:kitty42');
+    });
+
+    it('should need root to crack root-owned hashes', async () => {
+        await run('collect cache/pets.lst');
+        await run('bruteforce vault.hash --wordlist pets --mask ?d?d');
+        await run('verify vault.hash kitty42');
+
+        expect(output()).toContain('bruteforce: vault.hash: Permission denied');
+        expect(output()).toContain('verify: vault.hash: Permission denied');
+        expect(output()).not.toContain('Password recovered');
+
+        await run('sudo bruteforce vault.hash --wordlist pets --mask ?d?d');
+        expect(output()).toContain('Password recovered: root:kitty42');
+    });
+
+    it('should stop hashing as soon as the attack is aborted', async () => {
+        const controller = new AbortController();
+        const sha256 = vi.spyOn(PasswordCracker, 'sha256').mockImplementation(async () => {
+            controller.abort(new DOMException('Aborted', 'AbortError'));
+            return 'no-match';
+        });
+        const { commandHandlers } = session.terminal;
+        const ctx = { ...commandHandlers.createContext(), signal: controller.signal };
+
+        await expect(commandHandlers.bruteforce(['password.hash'], ctx)).rejects.toMatchObject({
+            name: 'AbortError',
+        });
+        expect(sha256).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse keyspaces that are too large', async () => {
+        await run('bruteforce --mask ?l?l?l?l?l?d?d');
+
+        expect(output()).toContain('bruteforce: keyspace too large (1,188,137,600 candidates)');
+    });
+
+    it('should report the mission event only when the password matches', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+
+        await run('verify password.hash kitty41');
+        expect(output()).toContain('verify: password.hash: password does not match');
+        expect(emitSpy).not.toHaveBeenCalledWith('mission:command', expect.anything());
+
+        await run('verify password.hash kitty42');
+        expect(emitSpy).toHaveBeenCalledWith('mission:command', expect.objectContaining({
+            command: 'verify',
+            file: `${CONSTANTS.FILESYSTEM.HOME}/password.hash`,
+        }));
+    });
+});
@@ -4,7 +4,8 @@ import {
     memoizeWithLimit, 
     shallowEqual,
     debounce,
-    throttle
+    throttle,
+    delay
 } from '../../src/utils/performance.js';
 
 describe('Performance Utils', () => {
@@ -216,5 +217,25 @@ describe('Performance Utils', () => {
             expect(fn).toHaveBeenCalledTimes(2);
         });
     });
+    
+    describe('delay', () => {
+        it('should resolve after the given time', async () => {
+            await expect(delay(1)).resolves.toBeUndefined();
+        });
+        
+        it('should reject when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const pending = delay(1000, controller.signal);
+            controller.abort();
+            
+            await expect(pending).rejects.toThrow();
+        });
+        
+        it('should reject immediately for an already aborted signal', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            
+            await expect(delay(1000, controller.signal)).rejects.toThrow();
+        });
+    });
 });
-
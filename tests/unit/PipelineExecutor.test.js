@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('Pipelines', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    it('should redirect command output to a file', async () => {
+        await run('echo hello pipes > out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('hello pipes');
+    });
+
+    it('should append output with >>', async () => {
+        await run('echo one > out.txt');
+        await run('echo two >> out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('one\ntwo');
+    });
+
+    it('should pass output of one stage as stdin of the next', async () => {
+        await run('pwd | cat > where.txt');
+
+        expect(session.terminal.fileSystem.readFile('where.txt')).toBe(CONSTANTS.FILESYSTEM.HOME);
+    });
+
+    it('should report unknown commands inside a pipeline', async () => {
+        await run('pwd | nope');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('Command not found: nope');
+    });
+});
+
+describe('Arguments', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    it('should keep quoted arguments intact', async () => {
+        await run('echo "hello  world" > "my notes.txt"');
+
+        expect(session.terminal.fileSystem.readFile('my notes.txt')).toBe('hello  world');
+    });
+
+    it('should pass parsed flags to handlers', async () => {
+        await run('mkdir -p loot/keys');
+        await run('rm -rf loot missing');
+
+        expect(session.terminal.fileSystem.exists('loot')).toBe(false);
+    });
+
+    it('should print usage on invalid arguments', async () => {
+        await run('mkdir --verbose');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('mkdir: unrecognized option');
+        expect(session.body.textContent).toContain('Usage: mkdir [-p]');
+    });
+});
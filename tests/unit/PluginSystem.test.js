@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PluginSystem } from '../../src/core/PluginSystem.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { CommandRegistry } from '../../src/modules/Terminal/CommandRegistry.js';
+import { OutputStream } from '../../src/modules/Terminal/OutputStream.js';
+import { pluginSystem } from '../../src/core/PluginSystem.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('PluginSystem', () => {
+    let plugins;
+
+    beforeEach(() => {
+        plugins = new PluginSystem();
+    });
+
+    describe('Hooks', () => {
+        it('should run async hooks in order and keep data on undefined', async () => {
+            plugins.registerHook('demo', async (value) => value + 1);
+            plugins.registerHook('demo', () => undefined);
+            plugins.registerHook('demo', (value) => value * 10);
+
+            expect(await plugins.executeHookAsync('demo', 1)).toBe(20);
+        });
+
+        it('should remove hooks', () => {
+            const hook = vi.fn();
+            plugins.registerHook('demo', hook);
+            expect(plugins.hasHook('demo')).toBe(true);
+
+            plugins.removeHook('demo', hook);
+            expect(plugins.hasHook('demo')).toBe(false);
+        });
+    });
+
+    describe('Command Middleware', () => {
+        const { COMMAND_BEFORE, COMMAND_AFTER, COMMAND_ERROR } = CONSTANTS.HOOKS;
+        let registry;
+        let handler;
+        let stdout;
+        let stderr;
+
+        const run = (args = [], flags = {}) =>
+            registry.execute(registry.get('greet'), args, { stdout, stderr, flags, signal: null });
+
+        beforeEach(() => {
+            registry = new CommandRegistry(plugins);
+            handler = vi.fn((args, ctx) => ctx.stdout.write(`hello ${args.join(' ')}`));
+            registry.register('greet', handler, {
+                args: [{ name: 'name', variadic: true }],
+                flags: { times: { type: 'number' } },
+            });
+            stdout = new OutputStream();
+            stderr = new OutputStream();
+        });
+
+        it('should let before hooks rewrite arguments', async () => {
+            plugins.registerHook(COMMAND_BEFORE, (invocation) => ({
+                ...invocation,
+                args: invocation.args.map((arg) => arg.toUpperCase()),
+            }));
+
+            expect(await run(['kitty'])).toBe(true);
+            expect(stdout.getText()).toBe('hello KITTY');
+        });
+
+        it('should let before hooks veto execution', async () => {
+            plugins.registerHook(COMMAND_BEFORE, (invocation) => ({
+                ...invocation,
+                cancel: 'cooling down',
+            }));
+
+            expect(await run(['kitty'])).toBe(false);
+            expect(handler).not.toHaveBeenCalled();
+            expect(stderr.getText()).toBe('greet: cooling down');
+        });
+
+        it('should merge partial or empty before hook results', async () => {
+            plugins.registerHook(COMMAND_BEFORE, () => null);
+            plugins.registerHook(COMMAND_BEFORE, () => ({ flags: { times: 2 } }));
+
+            expect(await run(['kitty'])).toBe(true);
+            expect(handler).toHaveBeenCalledWith(['kitty'], expect.objectContaining({
+                flags: { times: 2 },
+            }));
+        });
+
+        it('should validate rewritten arguments against the schema', async () => {
+            plugins.registerHook(COMMAND_BEFORE, () => ({ flags: { times: 'twice' } }));
+            expect(await run(['kitty'])).toBe(false);
+            expect(stderr.getText()).toBe("greet: option '--times' expects a number");
+
+            plugins.registerHook(COMMAND_BEFORE, () => ({ args: undefined, flags: { loud: true } }));
+            expect(await run(['kitty'])).toBe(false);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should let scoped after hooks transform output', async () => {
+            plugins.registerHook(`${COMMAND_AFTER}:greet`, (invocation) => ({
+                ...invocation,
+                output: [...invocation.output, { text: '♡', type: 'info' }],
+            }));
+
+            await run(['bunny']);
+            expect(stdout.getLines()).toEqual([
+                { text: 'hello bunny', type: 'text' },
+                { text: '♡', type: 'info' },
+            ]);
+        });
+
+        it('should keep the output when an after hook returns none', async () => {
+            plugins.registerHook(`${COMMAND_AFTER}:greet`, () => ({ output: null }));
+
+            await run(['bunny']);
+            expect(stdout.getText()).toBe('hello bunny');
+        });
+
+        it('should stream output of commands without scoped after hooks', async () => {
+            const onAfter = vi.fn();
+            plugins.registerHook(COMMAND_AFTER, onAfter);
+            plugins.registerHook(`${COMMAND_AFTER}:other`, (invocation) => invocation);
+
+            await run(['bunny']);
+            expect(handler.mock.calls[0][1].stdout).toBe(stdout);
+            expect(onAfter).toHaveBeenCalledWith(expect.objectContaining({ name: 'greet' }));
+        });
+
+        it('should pass errors to error hooks', async () => {
+            handler.mockImplementation(() => {
+                throw new Error('boom');
+            });
+            const onError = vi.fn(() => undefined);
+            plugins.registerHook(COMMAND_ERROR, onError);
+
+            await expect(run()).rejects.toThrow('boom');
+            expect(onError.mock.calls[0][0].error.message).toBe('boom');
+
+            plugins.registerHook(COMMAND_ERROR, () => null);
+            await expect(run()).rejects.toThrow('boom');
+
+            plugins.registerHook(COMMAND_ERROR, () => ({ handled: true }));
+            expect(await run()).toBe(false);
+        });
+    });
+});
+
+describe('Plugin Middleware', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    const veto = (invocation) =>
+        invocation.name === 'echo' ? { ...invocation, cancel: 'blocked by plugin' } : invocation;
+
+    beforeEach(() => {
+        pluginSystem.registerHook(CONSTANTS.HOOKS.COMMAND_BEFORE, veto);
+    });
+
+    afterEach(() => {
+        pluginSystem.removeHook(CONSTANTS.HOOKS.COMMAND_BEFORE, veto);
+    });
+
+    it('should stop the pipeline when a hook vetoes a command', async () => {
+        await run('echo secret | cat > out.txt');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('echo: blocked by plugin');
+        expect(session.terminal.fileSystem.exists('out.txt')).toBe(false);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { RandomService } from '../../src/services/RandomService.js';
+import { Ciphers } from '../../src/modules/Terminal/Ciphers.js';
+import { ProceduralMissionGenerator } from '../../src/modules/Missions/ProceduralMissionGenerator.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('RandomService', () => {
+    const take = (stream, count) => Array.from({ length: count }, () => stream.next());
+
+    describe('Seeds', () => {
+        it('should produce the same sequence for the same seed', () => {
+            const a = new RandomService('pastel-42').stream('commands');
+            const b = new RandomService('pastel-42').stream('commands');
+
+            expect(take(a, 5)).toEqual(take(b, 5));
+        });
+
+        it('should produce different sequences for different seeds', () => {
+            const a = new RandomService('pastel-42').stream('commands');
+            const b = new RandomService('pastel-43').stream('commands');
+
+            expect(take(a, 5)).not.toEqual(take(b, 5));
+        });
+
+        it('should restart existing streams when the seed changes', () => {
+            const random = new RandomService('first');
+            const stream = random.stream('network');
+            const expected = take(new RandomService('second').stream('network'), 3);
+            take(stream, 10);
+
+            random.setSeed('second');
+            expect(random.stream('network')).toBe(stream);
+            expect(take(stream, 3)).toEqual(expected);
+        });
+
+        it('should validate shareable seeds', () => {
+            expect(RandomService.isValidSeed('pastel_42-x')).toBe(true);
+            expect(RandomService.isValidSeed('has space')).toBe(false);
+            expect(RandomService.isValidSeed('x'.repeat(33))).toBe(false);
+            expect(RandomService.isValidSeed(undefined)).toBe(false);
+            expect(RandomService.isValidSeed(RandomService.createSeed())).toBe(true);
+        });
+    });
+
+    describe('Streams', () => {
+        it('should keep named streams independent', () => {
+            const quiet = new RandomService('seed');
+            const busy = new RandomService('seed');
+            take(busy.stream('ciphers'), 50);
+
+            expect(take(busy.stream('commands'), 5)).toEqual(take(quiet.stream('commands'), 5));
+        });
+
+        it('should stay within ranges', () => {
+            const stream = new RandomService('ranges').stream('test');
+            const values = Array.from({ length: 200 }, () => stream.int(6));
+
+            expect(Math.min(...values)).toBe(0);
+            expect(Math.max(...values)).toBe(5);
+            expect(stream.id(9)).toMatch(/^[a-z0-9]{9}$/);
+            expect(stream.shuffle([1, 2, 3, 4]).sort()).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe('Game outcomes', () => {
+        it('should derive cipher keys from the stream', () => {
+            const key = (seed) =>
+                Ciphers.generateKey('substitution', new RandomService(seed).stream('ciphers'));
+
+            expect(key('a')).toBe(key('a'));
+            expect(key('a').split('').sort().join('')).toBe(Ciphers.ALPHABET);
+        });
+
+        it('should generate the same procedural missions for the same seed', () => {
+            const generate = () =>
+                ProceduralMissionGenerator.generateMissions(
+                    3,
+                    'hard',
+                    new RandomService('missions').stream('missions')
+                ).map(({ title, steps }) => ({ title, steps }));
+
+            expect(generate()).toEqual(generate());
+        });
+    });
+});
+
+describe('Random Seed', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    afterEach(() => {
+        session.terminal.random.setSeed('test');
+    });
+
+    it('should set and persist the seed', async () => {
+        await run('seed pastel-42');
+        await run('seed');
+
+        expect(session.terminal.random.getSeed()).toBe('pastel-42');
+        expect(session.state.get('randomSeed')).toBe('pastel-42');
+        expect(output()).toContain('Seed: pastel-42');
+    });
+
+    it('should replay the same success rolls for the same seed', async () => {
+        const rolls = () =>
+            Array.from({ length: 8 }, () =>
+                session.terminal.commandHandlers.checkCommandSuccess('scan')
+            );
+        await run('seed replay');
+        const first = rolls();
+        await run('seed replay');
+
+        expect(rolls()).toEqual(first);
+    });
+
+    it('should reject invalid seeds', async () => {
+        await run('seed "not valid"');
+
+        expect(output()).toContain("seed: invalid seed 'not valid'");
+        expect(session.state.get('randomSeed')).toBeUndefined();
+    });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionRecorder } from '../../src/modules/Terminal/SessionRecorder.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { DOMUtils } from '../../src/utils/dom.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('SessionRecorder', () => {
+    let recorder;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+        recorder = new SessionRecorder();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('Recording', () => {
+        it('should record events with relative timings', () => {
+            recorder.start('demo');
+            vi.advanceTimersByTime(250);
+            recorder.input('ls');
+            const line = { text: 'notes.txt', type: 'text' };
+            recorder.output(line);
+            vi.advanceTimersByTime(40);
+            line.text = 'notes.txt  loot';
+            recorder.update(line);
+            recorder.clear();
+
+            const recording = recorder.stop();
+            expect(recording).toMatchObject({
+                version: 1,
+                title: 'demo',
+                started: '2026-01-01T10:00:00.000Z',
+                duration: 290,
+            });
+            expect(recording.events).toEqual([
+                [250, 'i', 'ls'],
+                [0, 'o', 'notes.txt', 'text'],
+                [40, 'u', 0, 'notes.txt  loot'],
+                [0, 'c'],
+            ]);
+            expect(recorder.isRecording()).toBe(false);
+        });
+
+        it('should ignore events while idle and updates of older lines', () => {
+            const before = { text: 'old', type: 'text' };
+            recorder.output(before);
+            recorder.start();
+            recorder.update(before);
+
+            expect(recorder.snapshot().events).toEqual([]);
+        });
+
+        it('should reject starting twice or stopping when idle', () => {
+            expect(() => recorder.stop()).toThrow('not recording');
+            recorder.start();
+            expect(() => recorder.start()).toThrow('already recording');
+        });
+
+        it('should cap the number of events', () => {
+            recorder.start();
+            for (let i = 0; i < CONSTANTS.RECORDING.MAX_EVENTS + 5; i++) {
+                recorder.input('pwd');
+            }
+
+            expect(recorder.stop().events).toHaveLength(CONSTANTS.RECORDING.MAX_EVENTS);
+        });
+    });
+
+    describe('Format', () => {
+        it('should round-trip through JSON', () => {
+            recorder.start('trip');
+            recorder.input('whoami');
+            const recording = recorder.stop();
+
+            expect(SessionRecorder.parse(SessionRecorder.serialize(recording))).toEqual(recording);
+            expect(SessionRecorder.getCommands(recording)).toEqual(['whoami']);
+        });
+
+        it('should reject invalid recordings', () => {
+            expect(() => SessionRecorder.parse('hello')).toThrow('not a session recording');
+            expect(() => SessionRecorder.parse('{"version":9,"events":[]}')).toThrow(
+                'unsupported recording version 9'
+            );
+            expect(() => SessionRecorder.parse('{"version":1,"events":[[0,"x"]]}')).toThrow(
+                'recording contains invalid events'
+            );
+        });
+    });
+
+    describe('Replay', () => {
+        it('should replay output with scaled and capped timings', async () => {
+            const calls = [];
+            const target = {
+                write: (text) => {
+                    calls.push(['write', text, Date.now()]);
+                    return { text };
+                },
+                update: (line, text) => calls.push(['update', `${line.text}>${text}`, Date.now()]),
+                clear: () => calls.push(['clear', '', Date.now()]),
+            };
+            const recording = {
+                version: 1,
+                events: [
+                    [100, 'i', 'ls'],
+                    [0, 'o', 'a', 'text'],
+                    [60000, 'u', 0, 'b'],
+                    [0, 'c'],
+                ],
+            };
+
+            const start = Date.now();
+            const replay = SessionRecorder.replay(recording, target, { speed: 2 });
+            await vi.runAllTimersAsync();
+            await replay;
+
+            expect(calls.map(([kind, text, time]) => [kind, text, time - start])).toEqual([
+                ['write', 'a', 50],
+                ['update', 'a>b', 50 + CONSTANTS.RECORDING.MAX_IDLE / 2],
+                ['clear', '', 50 + CONSTANTS.RECORDING.MAX_IDLE / 2],
+            ]);
+        });
+
+        it('should stop when aborted', async () => {
+            const controller = new AbortController();
+            const write = vi.fn();
+            const recording = { version: 1, events: [[500, 'o', 'late', 'text']] };
+
+            const replay = SessionRecorder.replay(recording, { write }, {
+                signal: controller.signal,
+            });
+            controller.abort(new Error('Interrupted'));
+
+            await expect(replay).rejects.toThrow('Interrupted');
+            expect(write).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('Session Recording', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    it('should record input and output to a file', async () => {
+        await run('record start demo');
+        await run('echo hello replay');
+        await run('record stop demo.rec');
+
+        const recording = JSON.parse(session.terminal.fileSystem.readFile('demo.rec'));
+        const outputs = recording.events.filter(([, kind]) => kind === 'o');
+        expect(recording.title).toBe('demo');
+        expect(outputs.map(([, , text]) => text)).toContain('hello replay');
+        expect(output()).toContain('to demo.rec');
+        expect(session.terminal.recorder.isRecording()).toBe(false);
+    });
+
+    it('should save to the recordings directory by default', async () => {
+        await run('record');
+        await run('record stop');
+
+        const files = session.terminal.fileSystem.list(CONSTANTS.RECORDING.DIRECTORY);
+        expect(files).toHaveLength(1);
+        expect(files[0].name).toMatch(/^session-.*\.rec$/);
+    });
+
+    it('should replay recorded output and list commands', async () => {
+        await run('record start');
+        await run('echo hello replay');
+        await run('record stop demo.rec');
+        await run('replay demo.rec --speed 1000');
+        await run('replay demo.rec -c > commands.txt');
+
+        expect(output()).toContain('Replay finished');
+        const lines = Array.from(session.lines()).map((line) => line.textContent);
+        expect(lines.filter((line) => line === 'hello replay')).toHaveLength(2);
+        expect(session.terminal.fileSystem.readFile('commands.txt')).toBe(
+            'echo hello replay\nrecord stop demo.rec'
+        );
+    });
+
+    it('should reject files that are not recordings', async () => {
+        await run('echo nope > fake.rec');
+        await run('replay fake.rec');
+        await run('record stop');
+
+        expect(output()).toContain('replay: fake.rec: not a session recording');
+        expect(output()).toContain('record: not recording');
+    });
+
+    it('should download and upload files', async () => {
+        const download = vi.spyOn(DOMUtils, 'downloadText').mockImplementation(() => {});
+        const upload = new File(['shared walkthrough'], 'walk.rec');
+        vi.spyOn(DOMUtils, 'pickFile').mockResolvedValue(upload);
+
+        await run('echo secret > notes.txt');
+        await run('download notes.txt');
+        await run('upload');
+
+        expect(download).toHaveBeenCalledWith('notes.txt', 'secret');
+        expect(session.terminal.fileSystem.readFile('walk.rec')).toBe('shared walkthrough');
+        vi.restoreAllMocks();
+    });
+});
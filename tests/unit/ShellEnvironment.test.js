@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('Shell Environment', () => {
+    const session = useTerminal();
+    const { run } = session;
+
+    it('should expand exported variables', async () => {
+        await run('export GREETING="hi there"');
+        await run('echo $GREETING from $USER > out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('hi there from soft-hacker');
+        expect(session.state.get('env')).toEqual({ GREETING: 'hi there' });
+    });
+
+    it('should unset variables and protect built-ins', async () => {
+        await run('export A=1');
+        await run('unset A');
+        await run('export HOME=/tmp');
+        session.terminal.flushPendingLines();
+
+        expect(session.state.get('env')).toEqual({});
+        expect(session.body.textContent).toContain('HOME: readonly variable');
+    });
+
+    it('should expand aliases with extra arguments', async () => {
+        await run("alias say='echo said:'");
+        await run('say hello > out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('said: hello');
+        expect(session.state.get('aliases')).toEqual({ say: 'echo said:' });
+    });
+
+    it('should not recurse into self-referencing aliases', async () => {
+        await run("alias echo='echo [x]'");
+        await run('echo hi > out.txt');
+
+        expect(session.terminal.fileSystem.readFile('out.txt')).toBe('[x] hi');
+    });
+
+    it('should remove aliases', async () => {
+        await run("alias say='echo said:'");
+        await run('unalias say');
+        await run('say hello');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('Command not found: say');
+    });
+
+    it('should not treat Object.prototype keys as aliases or built-ins', async () => {
+        await run('constructor');
+        await run('unalias toString');
+        await run('alias hasOwnProperty');
+        await run('export constructor=1');
+        session.terminal.flushPendingLines();
+
+        expect(session.body.textContent).toContain('Command not found: constructor');
+        expect(session.body.textContent).toContain('unalias: toString: not found');
+        expect(session.body.textContent).toContain('alias: hasOwnProperty: not found');
+        expect(session.state.get('env')).toEqual({ constructor: '1' });
+    });
+
+    it('should autocomplete aliases and variables', async () => {
+        await run("alias scanlog='scan | cat'");
+        await run('export TARGET=10.0.0.1');
+
+        session.input.value = 'scanlo';
+        session.terminal.autocomplete();
+        expect(session.input.value).toBe('scanlog ');
+
+        session.input.value = 'ping $TAR';
+        session.terminal.autocomplete();
+        expect(session.input.value).toBe('ping $TARGET ');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { ShellParser } from '../../src/modules/Terminal/ShellParser.js';
+
+describe('ShellParser', () => {
+    describe('parse', () => {
+        it('should parse a single command', () => {
+            const pipeline = ShellParser.parse('ping 10.0.0.1');
+
+            expect(pipeline.stages).toEqual([{ name: 'ping', args: ['10.0.0.1'] }]);
+            expect(pipeline.redirect).toBeNull();
+        });
+
+        it('should split pipeline stages on |', () => {
+            const pipeline = ShellParser.parse('scan | cat|cat');
+
+            expect(pipeline.stages.map((stage) => stage.name)).toEqual(['scan', 'cat', 'cat']);
+        });
+
+        it('should parse output redirection', () => {
+            expect(ShellParser.parse('logs > report.txt').redirect).toEqual({
+                append: false,
+                target: 'report.txt',
+            });
+            expect(ShellParser.parse('logs >>report.txt').redirect).toEqual({
+                append: true,
+                target: 'report.txt',
+            });
+        });
+
+        it('should parse trailing & as background job', () => {
+            expect(ShellParser.parse('bruteforce password.hash &').background).toBe(true);
+            expect(ShellParser.parse('echo "&"').background).toBe(false);
+            expect(() => ShellParser.parse('scan & cat')).toThrow('syntax error');
+            expect(() => ShellParser.parse('&')).toThrow('syntax error');
+        });
+
+        it('should reject invalid syntax', () => {
+            expect(() => ShellParser.parse('| cat')).toThrow('syntax error');
+            expect(() => ShellParser.parse('scan |')).toThrow('syntax error');
+            expect(() => ShellParser.parse('logs >')).toThrow('syntax error');
+            expect(() => ShellParser.parse('logs > a.txt | cat')).toThrow('syntax error');
+        });
+    });
+
+    describe('tokenize', () => {
+        const words = (input) => ShellParser.tokenize(input).map((token) => token.value);
+
+        it('should keep quoted whitespace and operators', () => {
+            expect(words('echo "hello  world" \'a | b\'')).toEqual(['echo', 'hello  world', 'a | b']);
+            expect(ShellParser.parse('echo "x > y"').redirect).toBeNull();
+        });
+
+        it('should handle backslash escapes', () => {
+            expect(words('cat my\\ file.txt')).toEqual(['cat', 'my file.txt']);
+            expect(words('echo "say \\"hi\\""')).toEqual(['echo', 'say "hi"']);
+            expect(words("echo 'no \\escape'")).toEqual(['echo', 'no \\escape']);
+        });
+
+        it('should keep empty quoted words', () => {
+            expect(words('echo "" x')).toEqual(['echo', '', 'x']);
+        });
+
+        it('should reject unterminated quotes', () => {
+            expect(() => ShellParser.tokenize('echo "oops')).toThrow('unexpected EOF');
+        });
+    });
+
+    describe('variable expansion', () => {
+        const variables = { TARGET: '10.0.0.1', NAME: 'kitty cat' };
+        const args = (input) => ShellParser.parse(input, variables).stages[0].args;
+
+        it('should expand $VAR and ${VAR} outside single quotes', () => {
+            expect(args('ping $TARGET')).toEqual(['10.0.0.1']);
+            expect(args('echo "${NAME}s" \'$NAME\'')).toEqual(['kitty cats', '$NAME']);
+        });
+
+        it('should expand unknown variables to nothing', () => {
+            expect(args('echo $MISSING done')).toEqual(['done']);
+            expect(args('echo "$MISSING"')).toEqual(['']);
+        });
+
+        it('should keep escaped and bare dollar signs', () => {
+            expect(args('echo \\$TARGET $ "\\$NAME"')).toEqual(['$TARGET', '$', '$NAME']);
+        });
+
+        it('should not expand variables without a variables map', () => {
+            expect(ShellParser.parse('echo $TARGET').stages[0].args).toEqual(['$TARGET']);
+        });
+    });
+});
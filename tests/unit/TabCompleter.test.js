@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Terminal } from '../../src/modules/Terminal/Terminal.js';
+import { TabCompleter } from '../../src/modules/Terminal/TabCompleter.js';
+import { StateManager } from '../../src/core/StateManager.js';
+
+describe('TabCompleter', () => {
+    let terminal;
+    let completer;
+
+    const complete = (line) => completer.complete(line);
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div id="terminalBody"></div>
+            <input id="terminalInput" />
+        `;
+
+        terminal = new Terminal(
+            new StateManager({
+                commandHistory: [],
+                historyIndex: 0,
+                logs: [],
+                knownHosts: ['192.168.1.100', '192.168.1.101', '10.0.0.5'],
+                missions: [
+                    { id: 'mission-01', title: 'One', status: 'active', steps: [] },
+                    { id: 'mission-02', title: 'Two', status: 'locked', steps: [] },
+                ],
+            })
+        );
+        completer = terminal.completer;
+    });
+
+    afterEach(() => {
+        terminal.destroy();
+    });
+
+    describe('Providers', () => {
+        it('should complete command names with a trailing space', () => {
+            expect(complete('whoa')).toEqual({ value: 'whoami ', candidates: [] });
+        });
+
+        it('should complete file paths relative to the typed directory', () => {
+            terminal.fileSystem.makeDirectory('notes');
+            terminal.fileSystem.writeFile('notes/readme.md', 'hi');
+
+            expect(complete('cat read').value).toBe('cat readme.txt ');
+            expect(complete('cd no').value).toBe('cd notes/');
+            expect(complete('cat notes/re').value).toBe('cat notes/readme.md ');
+        });
+
+        it('should only offer directories to cd', () => {
+            terminal.fileSystem.writeFile('rambling.txt', '');
+            terminal.fileSystem.makeDirectory('ram');
+
+            expect(complete('cd ra').value).toBe('cd ram/');
+        });
+
+        it('should complete known hosts for ping', () => {
+            expect(complete('ping 10').value).toBe('ping 10.0.0.5 ');
+
+            const result = complete('ping 192');
+            expect(result.value).toBe('ping 192.168.1.10');
+            expect(result.candidates).toEqual(['192.168.1.100', '192.168.1.101']);
+        });
+
+        it('should complete mission ids', () => {
+            expect(complete('missions mission-0').candidates).toEqual([
+                'mission-01',
+                'mission-02',
+            ]);
+        });
+
+        it('should complete long flags from the schema', () => {
+            expect(complete('mkdir --p').value).toBe('mkdir --parents ');
+        });
+
+        it('should complete files after a redirect', () => {
+            expect(complete('echo hi > rea').value).toBe('echo hi > readme.txt ');
+        });
+
+        it('should complete commands after a pipe', () => {
+            expect(complete('scan | whoa').value).toBe('scan | whoami ');
+        });
+
+        it('should not resolve Object.prototype keys as aliases or flags', () => {
+            expect(complete('constructor ')).toEqual({ value: 'constructor ', candidates: [] });
+            expect(complete('toString rea')).toEqual({ value: 'toString rea', candidates: [] });
+            expect(complete('cat --constructor rea').value).toBe('cat --constructor readme.txt ');
+        });
+    });
+
+    describe('Fuzzy Matching', () => {
+        it('should fall back to fuzzy matches when nothing has the prefix', () => {
+            expect(complete('mkdr').value).toBe('mkdir ');
+        });
+
+        it('should rank tighter fuzzy matches first', () => {
+            expect(TabCompleter.fuzzyScore('pw', 'pwd')).toBe(0);
+            expect(TabCompleter.fuzzyScore('pd', 'pwd')).toBe(1);
+            expect(TabCompleter.fuzzyScore('xz', 'pwd')).toBe(-1);
+        });
+    });
+
+    describe('Cycling', () => {
+        it('should cycle through candidates on repeated Tab', () => {
+            const first = complete('ping 192');
+            expect(first.value).toBe('ping 192.168.1.10');
+
+            expect(complete(first.value).value).toBe('ping 192.168.1.100');
+            expect(complete('ping 192.168.1.100').value).toBe('ping 192.168.1.101');
+            expect(complete('ping 192.168.1.101').value).toBe('ping 192.168.1.100');
+        });
+
+        it('should stop cycling after the input changes', () => {
+            complete('ping 192');
+            completer.reset();
+
+            expect(complete('ping 192.168.1.10').candidates).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('Scrollback Search', () => {
+    const session = useTerminal();
+
+    const press = (target, key, options = {}) => {
+        target.dispatchEvent(new KeyboardEvent('keydown', { key, ...options }));
+    };
+    const search = (query) => {
+        const field = document.querySelector('.terminal-search-input');
+        field.value = query;
+        field.dispatchEvent(new Event('input'));
+        return field;
+    };
+    const countText = () => document.querySelector('.terminal-search-count').textContent;
+
+    beforeEach(() => {
+        ['alpha one', 'beta', 'alpha two'].forEach((text) => session.terminal.addLine(text));
+        session.terminal.flushPendingLines();
+    });
+
+    it('should open the search bar with Ctrl+F', () => {
+        press(session.input, 'f', { ctrlKey: true });
+
+        expect(document.querySelector('.terminal-search')).not.toBeNull();
+        expect(document.activeElement.className).toBe('terminal-search-input');
+    });
+
+    it('should highlight matches and select the latest', () => {
+        session.terminal.search.open();
+        search('ALPHA');
+
+        expect(session.body.querySelectorAll('mark.terminal-match')).toHaveLength(2);
+        expect(session.body.querySelector('mark.current').parentElement.textContent).toBe(
+            'alpha two'
+        );
+        expect(countText()).toBe('2/2');
+    });
+
+    it('should cycle matches with Enter and Shift+Enter', () => {
+        session.terminal.search.open();
+        const field = search('alpha');
+
+        press(field, 'Enter');
+        expect(countText()).toBe('1/2');
+        press(field, 'Enter', { shiftKey: true });
+        expect(countText()).toBe('2/2');
+    });
+
+    it('should report no matches and close with Escape', () => {
+        session.terminal.search.open();
+        const field = search('gamma');
+        expect(countText()).toBe('No matches');
+
+        press(field, 'Escape');
+        expect(document.querySelector('.terminal-search')).toBeNull();
+        expect(session.body.querySelector('mark')).toBeNull();
+    });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { TerminalTabs } from '../../src/modules/Terminal/TerminalTabs.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+
+describe('TerminalTabs', () => {
+    let tabs;
+    let stateManager;
+
+    const run = async (terminal, line) => {
+        terminal.input.value = line;
+        await terminal.executeCommand();
+    };
+    const press = (key) => {
+        const event = new KeyboardEvent('keydown', { key, altKey: true, bubbles: true });
+        tabs.getActive().input.dispatchEvent(event);
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div class="terminal-container">
+                <div class="terminal-header">
+                    <span class="terminal-title">soft-hacker@terminal ~</span>
+                </div>
+                <div class="terminal-body" id="terminalBody"></div>
+                <div class="terminal-input-container">
+                    <span class="terminal-prompt"></span>
+                    <input id="terminalInput" class="terminal-input" />
+                </div>
+            </div>
+        `;
+        stateManager = new StateManager({ commandHistory: [], historyIndex: 0, logs: [] });
+        tabs = new TerminalTabs(stateManager);
+    });
+
+    afterEach(() => {
+        tabs.destroy();
+    });
+
+    describe('Layout', () => {
+        it('should wrap the existing terminal in the first pane', () => {
+            const pane = document.querySelector('.terminal-pane');
+
+            expect(pane.contains(document.getElementById('terminalBody'))).toBe(true);
+            expect(tabs.getActive().input).toBe(document.getElementById('terminalInput'));
+            expect(document.querySelectorAll('.terminal-tab')).toHaveLength(1);
+        });
+
+        it('should open tabs and show only the active one', () => {
+            const first = tabs.tabs[0];
+            tabs.newTab();
+
+            expect(tabs.tabs).toHaveLength(2);
+            expect(first.panes[0].element.hidden).toBe(true);
+            expect(tabs.activePane.element.hidden).toBe(false);
+            expect(document.activeElement).toBe(tabs.getActive().input);
+        });
+
+        it('should split a tab into side-by-side panes up to MAX_PANES', () => {
+            tabs.split();
+
+            expect(tabs.activeTab.panes).toHaveLength(2);
+            expect(document.querySelector('.terminal-panes').classList.contains('split')).toBe(
+                true
+            );
+            expect(tabs.split()).toBeNull();
+            expect(tabs.activeTab.panes).toHaveLength(CONSTANTS.TERMINAL.MAX_PANES);
+        });
+
+        it('should support keyboard shortcuts', () => {
+            press('t');
+            press('d');
+            expect(tabs.tabs).toHaveLength(2);
+            expect(tabs.activeTab.panes).toHaveLength(2);
+
+            press('1');
+            expect(tabs.activeTab).toBe(tabs.tabs[0]);
+            press(']');
+            expect(tabs.activeTab).toBe(tabs.tabs[1]);
+
+            press('w');
+            expect(tabs.activeTab.panes).toHaveLength(1);
+        });
+
+        it('should keep the last pane open', () => {
+            expect(tabs.closePane()).toBe(false);
+            expect(tabs.getTerminals()).toHaveLength(1);
+        });
+    });
+
+    describe('Sessions', () => {
+        it('should keep cwd per session but share files', async () => {
+            const first = tabs.getActive();
+            await run(first, 'mkdir loot');
+            tabs.newTab();
+            const second = tabs.getActive();
+
+            await run(second, 'cd loot');
+            await run(second, 'echo shared > note.txt');
+
+            expect(second.fileSystem.displayPath()).toBe('~/loot');
+            expect(first.fileSystem.displayPath()).toBe('~');
+            expect(first.fileSystem.readFile('loot/note.txt')).toBe('shared');
+            expect(document.querySelector('.terminal-tab.active').textContent).toBe(
+                '2: terminal:~/loot'
+            );
+        });
+
+        it('should start new sessions from the existing history', async () => {
+            const first = tabs.getActive();
+            await run(first, 'echo one');
+            tabs.split();
+            const second = tabs.getActive();
+            await run(second, 'echo two');
+
+            expect(first.history.getEntries()).toEqual(['echo one']);
+            expect(second.history.getEntries()).toEqual(['echo one', 'echo two']);
+        });
+
+        it('should keep jobs and hosts per session and stop jobs on close', async () => {
+            const first = tabs.getActive();
+            tabs.newTab();
+            const second = tabs.getActive();
+            await run(second, 'ping localhost &');
+            const [job] = second.jobManager.list();
+
+            expect(first.jobManager.list()).toHaveLength(0);
+            expect(second.network).not.toBe(first.network);
+
+            tabs.closePane();
+            expect(job.controller.signal.aborted).toBe(true);
+            expect(tabs.getActive()).toBe(first);
+        });
+    });
+});
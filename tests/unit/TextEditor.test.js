@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TextEditor } from '../../src/modules/Terminal/TextEditor.js';
+import { VirtualFileSystem } from '../../src/modules/Terminal/FileSystem.js';
+import { Markup } from '../../src/modules/Terminal/Markup.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('TextEditor', () => {
+    let fileSystem;
+    let editor;
+
+    beforeEach(() => {
+        localStorage.clear();
+        fileSystem = new VirtualFileSystem();
+        editor = new TextEditor(fileSystem, 'notes.txt', 'alpha\nbeta\ngamma');
+    });
+
+    describe('Buffer', () => {
+        it('should insert text and split lines at the cursor', () => {
+            editor.setCursor(0, 2);
+            editor.insert('X\nY');
+
+            expect(editor.lines).toEqual(['alX', 'Ypha', 'beta', 'gamma']);
+            expect(editor.cursor).toEqual({ row: 1, col: 1 });
+            expect(editor.dirty).toBe(true);
+        });
+
+        it('should join lines with backspace and delete', () => {
+            editor.setCursor(1, 0);
+            editor.backspace();
+            expect(editor.lines).toEqual(['alphabeta', 'gamma']);
+            expect(editor.cursor).toEqual({ row: 0, col: 5 });
+
+            editor.setCursor(0, 9);
+            editor.deleteForward();
+            expect(editor.lines).toEqual(['alphabetagamma']);
+        });
+
+        it('should wrap horizontal moves and keep the goal column vertically', () => {
+            editor.setCursor(0, 5);
+            editor.move('right');
+            expect(editor.cursor).toEqual({ row: 1, col: 0 });
+            editor.move('left');
+            expect(editor.cursor).toEqual({ row: 0, col: 5 });
+
+            editor.move('down');
+            expect(editor.cursor).toEqual({ row: 1, col: 4 });
+            editor.move('down');
+            expect(editor.cursor).toEqual({ row: 2, col: 5 });
+            editor.move('up', 10);
+            expect(editor.cursor.row).toBe(0);
+        });
+
+        it('should cut consecutive lines and paste them back', () => {
+            editor.cutLine();
+            editor.cutLine();
+            expect(editor.lines).toEqual(['gamma']);
+
+            editor.setCursor(0, 0);
+            editor.cutting = false;
+            expect(editor.paste()).toBe(true);
+            expect(editor.lines).toEqual(['alpha', 'beta', 'gamma']);
+        });
+
+        it('should find matches after the cursor and wrap around', () => {
+            editor.lines = ['foo', 'bar foo', 'baz'];
+            editor.setCursor(0, 0);
+
+            expect(editor.find('FOO')).toBe(true);
+            expect(editor.match).toEqual({ row: 1, start: 4, end: 7 });
+            expect(editor.find('foo')).toBe(true);
+            expect(editor.cursor).toEqual({ row: 0, col: 0 });
+            expect(editor.find('missing')).toBe(false);
+        });
+
+        it('should save to the filesystem', () => {
+            editor.insert('# ');
+            expect(editor.save()).toBe(3);
+
+            expect(fileSystem.readFile('notes.txt')).toBe('# alpha\nbeta\ngamma');
+            expect(editor.dirty).toBe(false);
+        });
+    });
+
+    describe('Syntax Highlighting', () => {
+        it('should pick the language from the extension', () => {
+            expect(TextEditor.getLanguage('deploy.sh')).toBe('shell');
+            expect(TextEditor.getLanguage('/etc/firewall.rules')).toBe('config');
+            expect(TextEditor.getLanguage('data.JSON')).toBe('json');
+            expect(TextEditor.getLanguage('readme.txt')).toBeNull();
+        });
+
+        it('should colour tokens without changing the visible text', () => {
+            const line = 'echo "hi $USER" # greet';
+            const html = TextEditor.highlight(line, 'shell');
+
+            expect(Markup.strip(html)).toBe(line);
+            expect(html).toContain(Markup.color('gray', '# greet'));
+            expect(html).toContain(Markup.color('blue', 'echo'));
+            expect(TextEditor.highlight(line, null)).toBe(line);
+        });
+
+        it('should colour json keys and values differently', () => {
+            const html = TextEditor.highlight('{"port": 22, "open": true}', 'json');
+
+            expect(html).toContain(Markup.color('blue', '"port"'));
+            expect(html).toContain(Markup.color('yellow', '22'));
+            expect(html).toContain(Markup.color('magenta', 'true'));
+        });
+    });
+
+    describe('Overlay', () => {
+        let container;
+        const press = (key, options = {}) => {
+            const target = document.activeElement;
+            target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+        };
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="pane"></div>';
+            container = document.getElementById('pane');
+        });
+
+        it('should render the buffer and edit with the keyboard', () => {
+            editor.open(container);
+            expect(container.querySelectorAll('.text-editor-line')).toHaveLength(3);
+
+            press('End');
+            press('!');
+            expect(editor.lines[0]).toBe('alpha!');
+            expect(container.querySelector('.text-editor-header').textContent).toContain(
+                '[Modified]'
+            );
+        });
+
+        it('should ask before exiting a modified buffer and save on Y', async () => {
+            const closed = editor.open(container);
+            press('x');
+            press('x', { ctrlKey: true });
+            expect(container.querySelector('.text-editor-status').textContent).toContain(
+                'Save modified buffer?'
+            );
+
+            press('y');
+            await expect(closed).resolves.toEqual({ saved: true, lines: 3 });
+            expect(container.querySelector('.text-editor')).toBeNull();
+            expect(fileSystem.readFile('notes.txt')).toBe('xalpha\nbeta\ngamma');
+        });
+
+        it('should search from the status bar prompt', () => {
+            editor.open(container);
+            press('w', { ctrlKey: true });
+            const field = container.querySelector('.text-editor-search');
+            field.value = 'gam';
+            press('Enter');
+
+            expect(editor.cursor).toEqual({ row: 2, col: 0 });
+            expect(container.querySelector('mark.terminal-match').textContent).toBe('gam');
+            expect(document.activeElement.className).toBe('text-editor');
+        });
+
+        it('should close without saving when aborted', async () => {
+            const controller = new AbortController();
+            const closed = editor.open(container, controller.signal);
+            press('z');
+            controller.abort();
+
+            await expect(closed).resolves.toEqual({ saved: false, lines: 3 });
+            expect(fileSystem.exists('notes.txt')).toBe(false);
+        });
+    });
+});
+
+describe('Editor', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    const press = (key, options = {}) => {
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent('keydown', { key, bubbles: true, ...options })
+        );
+    };
+
+    it('should edit and save a file with the edit command', async () => {
+        session.input.value = 'edit todo.sh';
+        const running = session.terminal.executeCommand();
+        const header = await vi.waitFor(() => {
+            const element = document.querySelector('.text-editor-header');
+            if (!element) throw new Error('editor not open');
+            return element;
+        });
+        expect(header.textContent).toContain('todo.sh  (shell)');
+
+        'scan'.split('').forEach((key) => press(key));
+        press('o', { ctrlKey: true });
+        press('x', { ctrlKey: true });
+        await running;
+
+        expect(document.querySelector('.text-editor')).toBeNull();
+        expect(session.terminal.fileSystem.readFile('todo.sh')).toBe('scan');
+        expect(output()).toContain('Saved todo.sh (1 line)');
+    });
+
+    it('should refuse directories and background runs', async () => {
+        await run('edit /tmp');
+        await run('edit readme.txt &');
+        await vi.waitFor(() => {
+            expect(output()).toContain('edit: /tmp: Is a directory');
+            expect(output()).toContain('edit: the editor needs the foreground');
+        });
+        expect(document.querySelector('.text-editor')).toBeNull();
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TextTools } from '../../src/modules/Terminal/TextTools.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('TextTools', () => {
+    const log = [
+        '10.0.0.7 POST /login 401',
+        '10.0.0.2 GET /health 200',
+        '10.0.0.7 POST /login 401',
+        '10.0.0.7 POST /login 200',
+    ];
+
+    it('should split text without a trailing empty line', () => {
+        expect(TextTools.splitLines('a\nb\n')).toEqual(['a', 'b']);
+        expect(TextTools.splitLines('')).toEqual([]);
+    });
+
+    describe('grep', () => {
+        it('should return matching lines with their numbers', () => {
+            expect(TextTools.grep(log, '40[0-9]$')).toEqual([
+                { number: 1, line: log[0] },
+                { number: 3, line: log[2] },
+            ]);
+        });
+
+        it('should support ignore case, invert and fixed strings', () => {
+            expect(TextTools.grep(log, 'get', { ignoreCase: true })).toHaveLength(1);
+            expect(TextTools.grep(log, 'POST', { invert: true })).toEqual([
+                { number: 2, line: log[1] },
+            ]);
+            expect(TextTools.grep(['a.b', 'axb'], 'a.b', { fixed: true })).toHaveLength(1);
+        });
+
+        it('should reject invalid patterns', () => {
+            expect(() => TextTools.grep(log, '(')).toThrow("invalid pattern '('");
+        });
+    });
+
+    it('should take the first and last lines', () => {
+        expect(TextTools.head(log, 2)).toEqual(log.slice(0, 2));
+        expect(TextTools.tail(log, 1)).toEqual([log[3]]);
+        expect(TextTools.tail(log, 0)).toEqual([]);
+    });
+
+    it('should count lines, words and characters', () => {
+        expect(TextTools.wc(['hello world', 'hi'])).toEqual({ lines: 2, words: 3, chars: 15 });
+    });
+
+    it('should sort lines as text or numbers', () => {
+        const lines = ['10 b', '9 a', '10 a'];
+
+        expect(TextTools.sort(lines)).toEqual(['10 a', '10 b', '9 a']);
+        expect(TextTools.sort(lines, { numeric: true })).toEqual(['9 a', '10 a', '10 b']);
+        expect(TextTools.sort(['b', 'a', 'b'], { reverse: true, unique: true })).toEqual([
+            'b',
+            'a',
+        ]);
+    });
+
+    it('should collapse adjacent duplicates with counts', () => {
+        const ips = TextTools.sort(log.map((line) => line.split(' ')[0]));
+
+        expect(TextTools.uniq(ips)).toEqual([
+            { line: '10.0.0.2', count: 1 },
+            { line: '10.0.0.7', count: 3 },
+        ]);
+        expect(TextTools.uniq(ips, { duplicates: true })).toEqual([{ line: '10.0.0.7', count: 3 }]);
+        expect(TextTools.uniq(['A', 'a'], { ignoreCase: true })).toEqual([{ line: 'A', count: 2 }]);
+    });
+
+    describe('cut', () => {
+        it('should select fields by delimiter and ranges', () => {
+            expect(TextTools.cut(['a:b:c:d', 'plain'], { delimiter: ':', fields: '1,3-' })).toEqual(
+                ['a:c:d', 'plain']
+            );
+        });
+
+        it('should select characters', () => {
+            expect(TextTools.cut(['abcdef'], { characters: '-2,5' })).toEqual(['abe']);
+        });
+
+        it('should require a valid list', () => {
+            expect(() => TextTools.cut(log, {})).toThrow('list of fields or characters');
+            expect(() => TextTools.cut(log, { fields: '3-1' })).toThrow("invalid range '3-1'");
+            expect(() => TextTools.cut(log, { fields: 'x' })).toThrow("invalid list 'x'");
+        });
+    });
+});
+
+describe('Text Utilities', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.terminal.fileSystem.writeFile(
+            'access.log',
+            ['1.1.1.1 401', '2.2.2.2 200', '1.1.1.1 401', '3.3.3.3 401', '1.1.1.1 200'].join(
+                '\n'
+            )
+        );
+    });
+
+    it('should find the noisiest IP with a pipeline', async () => {
+        await run('grep 401 access.log | cut -d " " -f 1 | sort | uniq -c | sort -rn > top.txt');
+
+        expect(session.terminal.fileSystem.readFile('top.txt').split('\n')).toEqual([
+            '      2 1.1.1.1',
+            '      1 3.3.3.3',
+        ]);
+    });
+
+    it('should read files with head, tail and wc', async () => {
+        await run('head -n 1 access.log > first.txt');
+        await run('tail -n 2 access.log > last.txt');
+        await run('wc -l access.log readme.txt');
+
+        expect(session.terminal.fileSystem.readFile('first.txt')).toBe('1.1.1.1 401');
+        expect(session.terminal.fileSystem.readFile('last.txt')).toBe('3.3.3.3 401\n1.1.1.1 200');
+        expect(output()).toContain('      5 access.log');
+        expect(output()).toContain('      7 total');
+    });
+
+    it('should prefix grep matches and report bad input', async () => {
+        await run('grep -n -c 200 access.log readme.txt');
+        await run('grep "(" access.log');
+        await run('cut access.log');
+
+        expect(output()).toContain('access.log:2');
+        expect(output()).toContain('readme.txt:0');
+        expect(output()).toContain("grep: invalid pattern '('");
+        expect(output()).toContain('cut: you must specify a list of fields or characters');
+    });
+
+    it('should filter logs output', async () => {
+        const logs = Array.from({ length: 8 }, (_, i) => ({
+            level: i % 2 ? 'ERROR' : 'INFO',
+            message: `event ${i}`,
+        }));
+        session.state.set('logs', logs);
+        await run('logs -n 8 | grep -c ERROR > errors.txt');
+
+        expect(session.terminal.fileSystem.readFile('errors.txt')).toBe('4');
+    });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TraceMonitor } from '../../src/modules/Terminal/TraceMonitor.js';
+import { NetworkModel } from '../../src/modules/Terminal/NetworkModel.js';
+import { StateManager } from '../../src/core/StateManager.js';
+import { eventBus } from '../../src/core/EventBus.js';
+import { CONSTANTS } from '../../src/core/Constants.js';
+import { useTerminal } from '../helpers/terminal.js';
+
+describe('TraceMonitor', () => {
+    let stateManager;
+    let network;
+    let monitor;
+    let host;
+    const { NOISE, TRACE_DURATION, BAN_DURATION, TRACE_WARNING_INTERVAL } = CONSTANTS.TRACE;
+
+    const missions = [
+        {
+            id: 'mission-a',
+            status: 'active',
+            steps: [{ id: 'step-1', text: 'Exploit the vault', completed: true }],
+            network: {
+                subnets: [{ cidr: '10.0.0.0/24', name: 'internal' }],
+                hosts: [
+                    { ip: '10.0.0.5', hostname: 'vault', ports: [{ port: 22, service: 'ssh' }] },
+                    { ip: '10.0.0.6', hostname: 'backup', ports: [] },
+                ],
+            },
+        },
+    ];
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+        stateManager = new StateManager({
+            missions: structuredClone(missions),
+            breaches: { '10.0.0.5': { shell: true } },
+            unlockedItems: [],
+        });
+        network = new NetworkModel(stateManager);
+        monitor = new TraceMonitor(stateManager, network);
+        host = network.findHost('vault');
+    });
+
+    afterEach(() => {
+        monitor.dispose();
+        vi.useRealTimers();
+    });
+
+    describe('Noise', () => {
+        it('should make failed and repeated actions noisier', () => {
+            expect(monitor.noise(host, 'scan').level).toBe(NOISE.scan);
+            expect(monitor.noise(host, 'scan', { failed: true }).noise).toBe(NOISE.scan * 2);
+            expect(monitor.noise(host, 'scan', { failed: true, repeats: 2 }).noise).toBe(
+                NOISE.scan * 4
+            );
+            expect(monitor.noise(host, 'connect').noise).toBe(0);
+        });
+
+        it('should halve the noise with the stealth_mode item', () => {
+            stateManager.set('unlockedItems', ['stealth_mode']);
+
+            expect(monitor.noise(host, 'exploit').noise).toBe(NOISE.exploit / 2);
+        });
+
+        it('should decay the alert over time', () => {
+            monitor.noise(host, 'exploit');
+            vi.advanceTimersByTime(60000);
+
+            const { level } = monitor.getAlert(host);
+            expect(level).toBe(NOISE.exploit - CONSTANTS.TRACE.DECAY_PER_MINUTE);
+        });
+    });
+
+    describe('Responses', () => {
+        it('should deploy a honeypot host that starts a trace when touched', () => {
+            const { events } = monitor.noise(host, 'exploit', { failed: true, repeats: 2 });
+            expect(events).toEqual(['honeypot']);
+
+            const decoy = network.getTopology().hosts.find((h) => h.honeypot);
+            expect(decoy.hostname).toBe('vault-backup');
+            expect(NetworkModel.inSubnet(decoy.ip, '10.0.0.0/24')).toBe(true);
+
+            const hit = monitor.noise(decoy, 'connect');
+            expect(hit.events).toEqual(['honeypot-hit', 'ban', 'trace']);
+        });
+
+        it('should ban the player IP for a while', () => {
+            monitor.noise(host, 'exploit', { failed: true, repeats: 2 });
+            const { events } = monitor.noise(host, 'exploit', { failed: true, repeats: 2 });
+
+            expect(events).toContain('ban');
+            expect(monitor.getBanRemaining(host)).toBe(BAN_DURATION);
+            vi.advanceTimersByTime(BAN_DURATION);
+            expect(monitor.getBanRemaining(host)).toBe(0);
+        });
+
+        it('should fail the mission when the trace countdown runs out', () => {
+            const onWarning = vi.fn();
+            const onTraced = vi.fn();
+            const emitSpy = vi.spyOn(eventBus, 'emit');
+            monitor = new TraceMonitor(stateManager, network, { onWarning, onTraced });
+            network.connect('vault');
+
+            const { events } = monitor.noise(host, 'exploit', { failed: true, repeats: 8 });
+            expect(events).toContain('trace');
+            expect(monitor.getTraceRemaining(host)).toBe(TRACE_DURATION);
+
+            vi.advanceTimersByTime(TRACE_WARNING_INTERVAL);
+            expect(onWarning).toHaveBeenCalledWith(host, TRACE_DURATION - TRACE_WARNING_INTERVAL);
+
+            vi.advanceTimersByTime(TRACE_DURATION);
+            expect(onTraced).toHaveBeenCalledTimes(1);
+            expect(emitSpy).toHaveBeenCalledWith('mission:fail', {
+                missionId: 'mission-a',
+                reason: 'traced by vault',
+            });
+            expect(stateManager.get('alerts')).toEqual({});
+            expect(stateManager.get('breaches')).toEqual({});
+            expect(network.currentHost).toBeNull();
+            emitSpy.mockRestore();
+        });
+
+        it('should stop the trace when stealth wipes enough logs', () => {
+            const onTraced = vi.fn();
+            monitor = new TraceMonitor(stateManager, network, { onTraced });
+            monitor.noise(host, 'exploit', { failed: true, repeats: 8 });
+
+            const result = monitor.wipe(host);
+            expect(result).toEqual({ level: 60, traceStopped: true });
+            expect(() => monitor.wipe(host)).toThrow('retry in 120s');
+
+            vi.advanceTimersByTime(TRACE_DURATION);
+            expect(onTraced).not.toHaveBeenCalled();
+            expect(monitor.getTraceRemaining(host)).toBeNull();
+        });
+
+        it('should resume stored traces in a new session', () => {
+            monitor.noise(host, 'exploit', { failed: true, repeats: 8 });
+            monitor.dispose();
+
+            const onTraced = vi.fn();
+            const resumed = new TraceMonitor(stateManager, network, { onTraced });
+            resumed.resume();
+            vi.advanceTimersByTime(TRACE_DURATION);
+
+            expect(onTraced).toHaveBeenCalledWith(host, expect.objectContaining({ id: 'mission-a' }));
+            resumed.dispose();
+        });
+    });
+});
+
+describe('Detection', () => {
+    const session = useTerminal();
+    const { run, output } = session;
+
+    beforeEach(() => {
+        session.state.set('missions', [
+            {
+                id: 'mission-04',
+                status: 'active',
+                steps: [{ id: 'step-3', text: 'Exploit vulnerabilities', completed: false }],
+                network: {
+                    subnets: [{ cidr: '172.16.0.0/24', name: 'edge' }],
+                    hosts: [
+                        {
+                            ip: '172.16.0.1',
+                            hostname: 'fw',
+                            ports: [{ port: 443, service: 'https', vulnerability: 'RCE' }],
+                        },
+                    ],
+                },
+            },
+        ]);
+        session.state.set('knownHosts', ['172.16.0.1']);
+        session.state.set('alerts', {});
+        vi.spyOn(session.terminal.random.stream('commands'), 'next').mockReturnValue(0.99);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should raise the alert on failures until the target bans the player', async () => {
+        // Gagal berturut-turut: 20 + 30 + 40 noise
+        await run('exploit fw');
+        await run('exploit fw');
+        expect(output()).toContain('IDS on fw is suspicious (alert 50%)');
+
+        await run('exploit fw');
+        expect(output()).toContain('fw banned your IP for 60s');
+
+        await run('exploit fw');
+        expect(output()).toContain('exploit: fw: Connection reset by peer (IP banned for 60s)');
+
+        await run('trace');
+        expect(output()).toMatch(/fw\s+172\.16\.0\.1\s+\[█{9}░\]\s+90%\s+banned 60s/);
+    });
+
+    it('should lock stealth behind the stealth_mode item', async () => {
+        await run('stealth fw');
+        expect(output()).toContain('unlock stealth_mode');
+
+        session.state.set('unlockedItems', ['stealth_mode']);
+        session.terminal.trace.noise(session.terminal.network.findHost('fw'), 'exploit');
+        await run('stealth fw');
+        expect(output()).toContain('Alert on fw: 0%');
+    });
+});
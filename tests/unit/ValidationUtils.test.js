@@ -56,6 +56,24 @@ describe('ValidationUtils', () => {
 
             expect(ValidationUtils.validateMission(mission)).toBe(false);
         });
+
+        it('should validate step completion conditions', () => {
+            const withCondition = (when) => ({
+                id: 'mission-01',
+                title: 'Test',
+                description: 'Test',
+                status: 'active',
+                steps: [{ id: 'step-1', text: 'Step 1', completed: false, when }],
+                reward: '50 XP',
+            });
+
+            const valid = (when) => ValidationUtils.validateMission(withCondition(when));
+
+            expect(valid({ command: ['sniff', 'intercept'], host: 'vault', after: ['step-0'] })).toBe(true);
+            expect(valid({})).toBe(false);
+            expect(valid(['scan'])).toBe(false);
+            expect(valid({ keyword: 'crack' })).toBe(false);
+        });
     });
 
     describe('validateSettings', () => {
@@ -70,6 +88,11 @@ describe('ValidationUtils', () => {
             expect(ValidationUtils.validateSettings(settings)).toBe(true);
         });
 
+        it('should accept a locale string', () => {
+            expect(ValidationUtils.validateSettings({ locale: 'id' })).toBe(true);
+            expect(ValidationUtils.validateSettings({ locale: 1 })).toBe(false);
+        });
+
         it('should reject settings with invalid types', () => {
             const settings = {
                 sound: 'true', // Should be boolean
@@ -89,6 +112,34 @@ describe('ValidationUtils', () => {
         });
     });
 
+    describe('validateState', () => {
+        const base = { xp: 0, level: 1, completedMissions: 0 };
+
+        it('should accept shell aliases and env maps', () => {
+            expect(ValidationUtils.validateState({
+                ...base,
+                aliases: { ll: 'ls -a' },
+                env: { TARGET: '10.0.0.1' },
+            })).toBe(true);
+        });
+
+        it('should reject non-string alias or env values', () => {
+            expect(ValidationUtils.validateState({ ...base, aliases: { ll: 1 } })).toBe(false);
+            expect(ValidationUtils.validateState({ ...base, env: ['A=1'] })).toBe(false);
+        });
+
+        it('should validate network progress', () => {
+            expect(ValidationUtils.validateState({
+                ...base,
+                knownHosts: ['10.0.0.5'],
+                breaches: { '10.0.0.5': { shell: true } },
+                interceptedMessages: 3,
+            })).toBe(true);
+            expect(ValidationUtils.validateState({ ...base, breaches: [] })).toBe(false);
+            expect(ValidationUtils.validateState({ ...base, interceptedMessages: '3' })).toBe(false);
+        });
+    });
+
     describe('validateString', () => {
         it('should validate string with constraints', () => {
             expect(ValidationUtils.validateString('hello', { minLength: 3, maxLength: 10 })).toBe('hello');